@@ -1,14 +1,25 @@
 import React, { useEffect, useState, useCallback } from "react";
 import { Tabs } from "expo-router";
-import { View } from "react-native";
+import { View, Alert, AppState } from "react-native";
 import { useRouter } from "expo-router";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { supabase } from "../../src/lib/supabase";
 import { Ionicons } from "@expo/vector-icons";
 import SOSAlertOverlay from "../../src/components/SOSAlertOverlay";
+import DrillBanner from "../../src/components/DrillBanner";
 import SOSAlertManager from "../../src/services/SOSAlertManager";
 import AlarmService from "../../src/services/AlarmService";
 import ForegroundService from "../../src/services/ForegroundService";
+import SOSOutbox from "../../src/services/SOSOutbox";
+import SOSResponders from "../../src/services/SOSResponders";
+import SafeArrivalTimer from "../../src/services/SafeArrivalTimer";
+import SOSEscalation from "../../src/services/SOSEscalation";
+import EmergencyContacts from "../../src/services/EmergencyContacts";
+import FleetRoles from "../../src/services/FleetRoles";
+import ContactDelivery from "../../src/services/ContactDelivery";
+import GeofenceMonitor from "../../src/services/GeofenceMonitor";
+import BatteryGuard from "../../src/services/BatteryGuard";
+import WakePhrases from "../../src/services/WakePhrases";
 import { colors, font } from "../../src/theme";
 
 let SecureStore = null;
@@ -20,6 +31,14 @@ import { clearSOS, stopLiveTracking } from "../../src/services/LiveTracker";
 export async function performLogout(router) {
   try { AlarmService.stopAlarm(); } catch {}
   try { ForegroundService.stopForegroundService(); } catch {}
+  try { SOSResponders.stopAll(); } catch {}
+  try { await SafeArrivalTimer.reset(); } catch {}
+  try { await SOSEscalation.reset(); } catch {}
+  try { await GeofenceMonitor.reset(); } catch {}
+  try { await BatteryGuard.reset(); } catch {}
+  try { WakePhrases.reset(); } catch {}
+  try { EmergencyContacts.reset(); } catch {}
+  try { FleetRoles.reset(); } catch {}
 
   const deviceId = await AsyncStorage.getItem("sentinel_device_id").catch(() => null);
 
@@ -41,6 +60,10 @@ export async function performLogout(router) {
     ]);
   } catch {}
 
+  // Queued SOS events belong to this account — never replay them for the next one
+  try { await SOSOutbox.clear(); } catch {}
+  try { await ContactDelivery.reset(); } catch {}
+
   try {
     await AsyncStorage.multiRemove([
       "sentinel_group_id",
@@ -68,10 +91,32 @@ export async function performLogout(router) {
 export default function AppLayout() {
   const router = useRouter();
   const [sosAlert, setSosAlert] = useState(null);
+  const [drillAlert, setDrillAlert] = useState(null);
 
   useEffect(() => {
     let mounted = true;
 
+    // Replay anything queued offline (also picks up entries from a previous app run)
+    SOSOutbox.start();
+
+    // Safe-arrival timer: catch up on a deadline that passed while the app was closed
+    SafeArrivalTimer.resume().catch(() => {});
+    const appStateSub = AppState.addEventListener("change", (next) => {
+      if (next === "active") SafeArrivalTimer.evaluate("foreground").catch(() => {});
+    });
+
+    // SOS escalation: pick up a chain that was waiting for an acknowledgement
+    SOSEscalation.resume().catch(() => {});
+    // ...whose last tier reaches the emergency contacts (cached list, synced in the background)
+    EmergencyContacts.load().catch(() => {});
+    FleetRoles.load().catch(() => {});
+
+    // Geofences: load the active fleet's zones (evaluated on every background location fix)
+    GeofenceMonitor.start().catch(() => {});
+
+    // Battery: send a last-gasp position to the fleet before the phone dies
+    BatteryGuard.start().catch(() => {});
+
     const initSOSManager = async () => {
       try {
         const deviceId = await AsyncStorage.getItem("sentinel_device_id");
@@ -107,15 +152,20 @@ export default function AppLayout() {
           onSOSReceived: (data) => {
             if (!mounted) return;
             if (data.deviceId && SOSAlertManager.isSuppressed(data.deviceId)) return;
+            const duress = data.severity === "duress";
             setSosAlert({
               deviceId: data.deviceId,
               displayName: data.displayName,
               latitude: data.latitude,
               longitude: data.longitude,
+              severity: data.severity || "normal",
+              trigger: data.trigger || null,
             });
             ForegroundService.updateNotification(
-              "🚨 SOS ALERT ACTIVE",
-              `${data.displayName || "Fleet member"} needs immediate help!`
+              duress ? "🚨 DURESS ALERT ACTIVE" : "🚨 SOS ALERT ACTIVE",
+              duress
+                ? `${data.displayName || "Fleet member"} was forced to cancel — still in danger`
+                : `${data.displayName || "Fleet member"} needs immediate help!`
             ).catch(() => {});
           },
           onSOSCancelled: (deviceId) => {
@@ -130,6 +180,11 @@ export default function AppLayout() {
             ).catch(() => {});
           },
           onSOSAcknowledged: () => {},
+          // Drills: silent labelled banner only — never the alarm overlay
+          onDrillReceived: (data) => {
+            if (!mounted) return;
+            setDrillAlert({ deviceId: data.deviceId, displayName: data.displayName, drillId: data.drillId });
+          },
         });
 
         try {
@@ -144,6 +199,7 @@ export default function AppLayout() {
 
     return () => {
       mounted = false;
+      appStateSub.remove();
       SOSAlertManager.cleanup();
       ForegroundService.stopForegroundService().catch(() => {});
     };
@@ -162,6 +218,24 @@ export default function AppLayout() {
     }
   }, [sosAlert]);
 
+  const handleRespond = useCallback(async () => {
+    const deviceId = sosAlert?.deviceId;
+    setSosAlert(null);
+    if (!deviceId) return;
+
+    const res = await SOSAlertManager.respondToAlert(deviceId);
+    if (!res?.ok) {
+      console.log("AppLayout: Respond failed:", res?.error);
+      if (res?.error === "location_permission") {
+        Alert.alert(
+          "Location Needed",
+          "Allow location access so the person in distress can see you are on the way."
+        );
+      }
+    }
+    router.push("/fleet");
+  }, [router, sosAlert]);
+
   const handleViewLocation = useCallback(async () => {
     if (sosAlert?.deviceId) {
       await SOSAlertManager.suppressIncident(sosAlert.deviceId);
@@ -170,6 +244,8 @@ export default function AppLayout() {
     router.push("/fleet");
   }, [router, sosAlert]);
 
+  const handleDrillDismiss = useCallback(() => setDrillAlert(null), []);
+
   const handleDismiss = useCallback(async () => {
     await SOSAlertManager.dismissAllAlerts();
     setSosAlert(null);
@@ -181,11 +257,16 @@ export default function AppLayout() {
         visible={sosAlert !== null}
         senderName={sosAlert?.displayName}
         senderDeviceId={sosAlert?.deviceId}
+        severity={sosAlert?.severity}
+        trigger={sosAlert?.trigger}
         onAcknowledge={handleAcknowledge}
+        onRespond={handleRespond}
         onViewLocation={handleViewLocation}
         onDismiss={handleDismiss}
       />
 
+      <DrillBanner drill={sosAlert ? null : drillAlert} onDismiss={handleDrillDismiss} />
+
       <Tabs
         screenOptions={{
           headerShown: false,
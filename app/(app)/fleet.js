@@ -17,6 +17,28 @@
 // ✅ NEW (Phase 3 Baby Step 5):
 // - Admin-only “Remove device” action (stealth ⋯ button per member)
 // - Calls remove_device_from_fleet RPC and refreshes instantly
+// ✅ Fleet roles (FleetRoles → get_my_fleet_role):
+// - Remove needs the "remove" permission (owner / admin), the invite code needs "invite"
+// - Header shows the user's role; roles without "view_location" only see others during an SOS
+// - Members on a work shift choose whether their location stays visible while off shift
+//   (private by default — FleetTeams.setOffShiftSharing)
+// ✅ Invite codes (FleetInvites):
+// - Join / Switch Fleet accept any code (primary or extra) and explain expired / revoked ones
+// - "Manage" next to the invite code: extra codes with expiry, uses and role / team presets,
+//   revoke, replace the fleet code, and who joined with which code
+// ✅ Join approval (FleetJoinRequests):
+// - A join into a fleet that approves new members is only a request: the device stays where it
+//   is until approved, then the user is offered to link it (the approval also arrives as a push)
+// - Owner / admins see "N waiting to join" and approve or reject in the invite manager
+// ✅ Invite links + QR (InviteLinks):
+// - Share sends a tap-to-join link; the QR button shows the same link as a QR code
+// - Switch Fleet can scan an invite QR, and opens pre-filled when an invite link opened the app
+// ✅ Geofences:
+// - Collapsible "Geofences" list for every member; the owner can add / edit / delete zones
+// - Shows a banner when a member's device reports entering / leaving a zone (`geofence` broadcast)
+// ✅ Battery last gasp:
+// - `battery_critical` broadcast → banner + "battery died" note with the last fix on the member's card,
+//   kept (AsyncStorage) until that member reports a recharged battery
 
 import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import {
@@ -36,6 +58,7 @@ import {
   Platform,
   Pressable,
   Share,
+  Switch,
 } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { supabase } from "../../src/lib/supabase";
@@ -51,45 +74,38 @@ import { startLiveTracking, rebindTrackerToLatestFleet } from "../../src/service
 import { handshakeDevice } from "../../src/services/deviceHandshake";
 import AlarmService from "../../src/services/AlarmService";
 import SOSAlertManager from "../../src/services/SOSAlertManager";
-import { hashPin } from "../../src/utils/pinHash";
-
-// Prefer SecureStore for PIN hash (encrypted on device); fall back to AsyncStorage
-let SecureStore = null;
-try {
-  SecureStore = require("expo-secure-store");
-} catch {}
-
-// Default (unscoped) key — callers pass a user-scoped key wherever userId is available
+import BreadcrumbTrail from "../../src/components/BreadcrumbTrail";
+import DeliveryReceipts from "../../src/components/DeliveryReceipts";
+import SOSIncidents from "../../src/services/SOSIncidents";
+import GeofenceEditor from "../../src/components/GeofenceEditor";
+import GeofenceMonitor, { ZONE_KIND_LABELS, formatActiveHours } from "../../src/services/GeofenceMonitor";
+import { createPinHash, verifyPinHash, duressPinHashKey } from "../../src/utils/pinHash";
+import { readPinHash, writePinHash, clearPinHash } from "../../src/utils/pinVerify";
+import FleetRoles from "../../src/services/FleetRoles";
+import FleetTeams from "../../src/services/FleetTeams";
+import FleetInvites from "../../src/services/FleetInvites";
+import FleetJoinRequests from "../../src/services/FleetJoinRequests";
+import FleetInviteManager from "../../src/components/FleetInviteManager";
+import InviteLinks from "../../src/services/InviteLinks";
+import InviteQrCard from "../../src/components/InviteQrCard";
+import InviteQrScanner from "../../src/components/InviteQrScanner";
+import { FLEET_PERMISSIONS, FLEET_ROLES, ROLE_LABELS } from "../../src/utils/fleetRoles";
+
+// Default (unscoped) key — callers pass a user-scoped key wherever userId is available.
+// PIN hashes are SecureStore-only (src/utils/pinVerify).
 const PIN_STORAGE_KEY = "sentinel_pin_hash";
 
-async function readPinHash(key = PIN_STORAGE_KEY) {
-  if (SecureStore?.getItemAsync) {
-    try {
-      const v = await SecureStore.getItemAsync(key);
-      if (v) return v;
-    } catch {}
-  }
-  try { return await AsyncStorage.getItem(key); } catch {}
-  return null;
-}
-
-async function writePinHash(hash, key = PIN_STORAGE_KEY) {
-  if (SecureStore?.setItemAsync) {
-    try { await SecureStore.setItemAsync(key, hash); } catch {}
-  }
-  try { await AsyncStorage.setItem(key, hash); } catch {}
-}
-
 const STORAGE_KEY_GROUP_ID = "sentinel_group_id";
 const STORAGE_KEY_INVITE_CODE = "sentinel_invite_code";
 const STORAGE_KEY_SELECTED_FLEET = "sentinel_selected_fleet_type"; // ✅ FIX #2: Track which tab user selected
+const STORAGE_KEY_LAST_GASPS = "sentinel_fleet_last_gasps"; // { [device_id]: last gasp event }
 
-// ✅ RPCs
-const RPC_JOIN_GROUP = "join_group_with_invite_code";
-const RPC_GET_GROUP_ID = "get_group_id_by_invite_code";
+// ✅ RPCs (joining goes through FleetInvites)
 const RPC_REMOVE_DEVICE = "remove_device_from_fleet";
 const RPC_HAS_SOS_PIN = "has_user_sos_pin";
 const RPC_SET_SOS_PIN = "set_user_sos_pin";
+const RPC_SET_DURESS_PIN = "set_user_sos_duress_pin";
+const RPC_GET_SOS_TRAIL = "get_sos_trail";
 
 // ✅ Your guardian dashboard base URL (existing public dashboard)
 const GUARDIAN_DASHBOARD_URL = "https://sentihnel.com/";
@@ -103,6 +119,7 @@ const HIDE_STALE_DEVICE_MS = 30 * 60 * 1000; // 30 minutes
 // ✅ Battery warning thresholds
 const BATTERY_LOW_THRESHOLD = 20;      // Yellow warning
 const BATTERY_CRITICAL_THRESHOLD = 10; // Red warning
+const LAST_GASP_CLEAR_ABOVE = 15;      // Member reporting more than this has recharged → drop the note
 
 // ✅ match Phase 2 SQL normalization (strip non-alphanumeric)
 function normalizeInviteCode(code) {
@@ -146,6 +163,8 @@ export default function FleetScreen() {
   const [workers, setWorkers] = useState([]);
   const workersRef = useRef([]);
   const [nameByDevice, setNameByDevice] = useState({}); // device_id -> display_name
+  const [trailsByDevice, setTrailsByDevice] = useState({}); // device_id -> SOS breadcrumb points
+  const [receiptsByDevice, setReceiptsByDevice] = useState({}); // device_id -> incident delivery receipts
 
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -173,21 +192,38 @@ export default function FleetScreen() {
   // ✅ Check-in notifications
   const [recentCheckIns, setRecentCheckIns] = useState([]);
 
+  // ✅ Geofences (zones + enter/exit notifications)
+  const [geofences, setGeofences] = useState([]);
+  const [geofencesLoading, setGeofencesLoading] = useState(false);
+  const [geofenceEditor, setGeofenceEditor] = useState(null); // null = closed, { zone } = open
+  const [inviteManagerVisible, setInviteManagerVisible] = useState(false);
+  const [joinRequestCount, setJoinRequestCount] = useState(0); // owner / admins: people waiting to join
+  const [inviteQrVisible, setInviteQrVisible] = useState(false);
+  const [recentZoneEvents, setRecentZoneEvents] = useState([]);
+
+  // ✅ Battery last gasps (members whose phone announced it was about to die)
+  const [lastGasps, setLastGasps] = useState({});
+  const [recentLastGasp, setRecentLastGasp] = useState(null);
+
   // ✅ Switch Fleet modal
   const [switchModalVisible, setSwitchModalVisible] = useState(false);
   const [switchInviteInput, setSwitchInviteInput] = useState("");
   const [switchFleetType, setSwitchFleetType] = useState("family"); // "family" or "work"
   const [switching, setSwitching] = useState(false);
   const [switchError, setSwitchError] = useState("");
+  const [switchScanning, setSwitchScanning] = useState(false); // camera replaces the code field
 
-  // ✅ Admin detection + remove device
-  const [isAdmin, setIsAdmin] = useState(false);
+  // ✅ Role in the current fleet (null = unknown) + remove device
+  const [fleetAccess, setFleetAccess] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false); // role can remove devices
   const [adminLoading, setAdminLoading] = useState(false);
   const [removingDeviceId, setRemovingDeviceId] = useState(null);
 
   // ✅ SOS PIN setup
   const [hasPin, setHasPin] = useState(null); // null = loading, true/false = known
+  const [hasDuressPin, setHasDuressPin] = useState(false);
   const [pinModalVisible, setPinModalVisible] = useState(false);
+  const [pinMode, setPinMode] = useState("cancel"); // "cancel" | "duress"
   const [pinStep, setPinStep] = useState(1); // 1 = enter, 2 = confirm
   const [pinInput, setPinInput] = useState("");
   const [pinConfirm, setPinConfirm] = useState("");
@@ -198,6 +234,7 @@ export default function FleetScreen() {
   // Default invite code EXPANDED so first-time users can see & share their code
   const [inviteCodeExpanded, setInviteCodeExpanded] = useState(true);
   const [pinSectionExpanded, setPinSectionExpanded] = useState(false);
+  const [geofenceSectionExpanded, setGeofenceSectionExpanded] = useState(false);
 
   // Throttle realtime refreshes
   const refetchTimerRef = useRef(null);
@@ -495,128 +532,45 @@ export default function FleetScreen() {
     }
   }, []);
 
-  const resolveGroupIdByInviteCode = useCallback(async (cleanCode) => {
-    try {
-      const { data, error } = await supabase.rpc(RPC_GET_GROUP_ID, { p_invite_code: cleanCode });
-      if (error) throw error;
-      const gid = extractGroupIdFromRpc(data);
-      return gid ? String(gid) : null;
-    } catch (e) {
-      console.log("resolveGroupIdByInviteCode error:", e?.message || e);
-      return null;
-    }
+  // → { ok, groupId } | { ok: false, message } (expired / revoked / used-up codes say so)
+  const resolveInviteCode = useCallback(async (cleanCode) => {
+    const res = await FleetInvites.lookup(cleanCode);
+    if (!res.ok) console.log("resolveInviteCode:", res.error);
+    return res;
   }, []);
 
-  // ✅ Join fleet with 2-arg → 1-arg fallback (handles DB with or without p_fleet_type)
+  // ✅ Join with any invite code (FleetInvites falls back to the 2-arg → 1-arg join RPC)
   const joinFleetByInviteCode = useCallback(async ({ inviteCode, fleetType }) => {
     // ✅ normalizeInviteCode strips non-alphanumeric and uppercases — matches SQL normalization
     const clean = normalizeInviteCode(inviteCode);
     if (!clean) throw new Error("Missing invite code");
 
-    // Try 2-arg overload first (p_invite_code + p_fleet_type)
-    const twoArg = await supabase.rpc(RPC_JOIN_GROUP, {
-      p_invite_code: clean,
-      p_fleet_type: fleetType,
-    });
-
-    if (!twoArg.error) return twoArg;
-
-    // Fallback: 1-arg overload (p_invite_code only)
-    const oneArg = await supabase.rpc(RPC_JOIN_GROUP, {
-      p_invite_code: clean,
-    });
-
-    if (!oneArg.error) return oneArg;
-
-    // Both failed — throw the more useful error (usually the 2-arg one)
-    throw twoArg.error || oneArg.error;
+    const res = await FleetInvites.join(clean, fleetType);
+    if (res.error) throw res.error;
+    return res;
   }, []);
 
-  // ✅ Admin status: try groups table first; fall back to group_members
+  // ✅ Role in this fleet (get_my_fleet_role; cached for offline)
   const resolveIsAdmin = useCallback(async (gid) => {
     const fleetId = gid ? String(gid) : null;
     if (!fleetId) {
-      if (isMountedRef.current) setIsAdmin(false);
+      if (isMountedRef.current) {
+        setIsAdmin(false);
+        setFleetAccess(null);
+      }
       return;
     }
 
     setAdminLoading(true);
 
     try {
-      const { data: userRes } = await supabase.auth.getUser();
-      const user = userRes?.user;
-      const uid = user?.id ? String(user.id) : null;
-      if (!uid) {
-        if (isMountedRef.current) setIsAdmin(false);
-        return;
-      }
-
-      // 1) Try groups.* (owner/admin columns vary across builds)
-      const groupSelects = [
-        "owner_user_id, admin_id",
-        "admin_id, owner_user_id",
-        "owner_user_id",
-        "admin_id",
-        "owner_id",
-        "created_by",
-        "user_id",
-      ];
-
-      for (const sel of groupSelects) {
-        try {
-          const { data, error } = await supabase
-            .from("groups")
-            .select(sel)
-            .eq("id", fleetId)
-            .limit(1)
-            .maybeSingle();
-
-          if (error) continue;
-
-          const row = data || {};
-          const candidates = [
-            row.owner_user_id,
-            row.admin_id,
-            row.owner_id,
-            row.created_by,
-            row.user_id,
-          ]
-            .filter(Boolean)
-            .map((x) => String(x));
-
-          if (candidates.includes(uid)) {
-            if (isMountedRef.current) setIsAdmin(true);
-            return;
-          }
-        } catch {}
-      }
+      const access = await FleetRoles.refresh(fleetId);
+      if (!isMountedRef.current) return;
+      // Fleet may have changed while loading
+      if (activeGroupIdRef.current && fleetId !== activeGroupIdRef.current) return;
 
-      // 2) Fall back to group_members role/is_admin (schema varies)
-      const gmSelects = ["role, is_admin", "role", "is_admin", "is_manager", "*"];
-      for (const sel of gmSelects) {
-        try {
-          const { data, error } = await supabase
-            .from("group_members")
-            .select(sel)
-            .eq("group_id", fleetId)
-            .eq("user_id", uid)
-            .limit(1)
-            .maybeSingle();
-
-          if (error) continue;
-
-          const row = data || {};
-          const role = row?.role ? String(row.role).toLowerCase() : "";
-          const isAdminBool = row?.is_admin === true || row?.is_manager === true;
-
-          if (isAdminBool || role.includes("admin") || role.includes("owner")) {
-            if (isMountedRef.current) setIsAdmin(true);
-            return;
-          }
-        } catch {}
-      }
-
-      if (isMountedRef.current) setIsAdmin(false);
+      setFleetAccess(access);
+      setIsAdmin(!!access?.permissions.includes(FLEET_PERMISSIONS.REMOVE));
     } finally {
       if (isMountedRef.current) setAdminLoading(false);
     }
@@ -627,8 +581,85 @@ export default function FleetScreen() {
     resolveIsAdmin(groupId);
   }, [groupId, resolveIsAdmin]);
 
+  // ✅ Owner / admins: how many people wait for approval (get_fleet_join_requests)
+  const canApproveJoins = fleetAccess?.role === FLEET_ROLES.OWNER || fleetAccess?.role === FLEET_ROLES.ADMIN;
+  useEffect(() => {
+    if (!groupId || !canApproveJoins) {
+      setJoinRequestCount(0);
+      return;
+    }
+    let cancelled = false;
+    FleetJoinRequests.getRequests(groupId).then((res) => {
+      if (!cancelled && isMountedRef.current) setJoinRequestCount(res.ok ? res.requests.length : 0);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [groupId, canApproveJoins]);
+
+  // ✅ Joiner: a request this phone sent earlier was answered → offer to link / say no
+  const checkPendingJoin = useCallback(async () => {
+    const res = await FleetJoinRequests.checkPending();
+    if (!res || res.status === "pending" || !isMountedRef.current) return;
+
+    await FleetJoinRequests.forgetPending();
+    const { pending, status } = res;
+
+    if (status === "approved") {
+      if (activeGroupIdRef.current === pending.groupId) return;
+      Alert.alert("Request Approved", "You can now join the fleet. Link this device to it now?", [
+        { text: "Later", style: "cancel" },
+        {
+          text: "Link Now",
+          onPress: () => {
+            setSwitchError("");
+            setSwitchInviteInput(pending.code || "");
+            setSwitchFleetType(pending.fleetType === "work" ? "work" : "family");
+            setSwitchModalVisible(true);
+          },
+        },
+      ]);
+    } else if (status === "rejected") {
+      Alert.alert("Request Declined", "The fleet owner did not approve your request to join.");
+    }
+  }, []);
+
+  const checkPendingJoinRef = useRef(checkPendingJoin);
+  checkPendingJoinRef.current = checkPendingJoin;
+
+  useEffect(() => {
+    checkPendingJoin();
+  }, [checkPendingJoin]);
+
+  // ✅ Geofences for the current fleet
+  const loadGeofences = useCallback(async (gid) => {
+    if (!gid) {
+      setGeofences([]);
+      return;
+    }
+    setGeofencesLoading(true);
+    const zones = await GeofenceMonitor.loadZones(gid);
+    if (!isMountedRef.current) return;
+    setGeofencesLoading(false);
+    // Fleet may have changed while loading
+    if (activeGroupIdRef.current && gid !== activeGroupIdRef.current) return;
+    setGeofences(zones);
+  }, []);
+
+  useEffect(() => {
+    loadGeofences(groupId);
+  }, [groupId, loadGeofences]);
+
+  const closeGeofenceEditor = useCallback(() => setGeofenceEditor(null), []);
+
+  const handleGeofenceSaved = useCallback(() => {
+    setGeofenceEditor(null);
+    loadGeofences(activeGroupIdRef.current);
+  }, [loadGeofences]);
+
   // ✅ Check if user has SOS PIN set (falls back to local cache if Supabase is unreachable)
-  // ✅ Also restores PIN hash from cloud to local storage after app reinstall
+  // (After a reinstall the offline PIN copy comes back on the first successful online check —
+  // user_sos_pins is not readable from the app)
   const checkHasPin = useCallback(async () => {
     // Resolve userId for user-scoped storage key (defense against cross-account bleed)
     let uid = null;
@@ -647,29 +678,9 @@ export default function FleetScreen() {
         return;
       }
       const result = data?.has_pin === true;
-      if (isMountedRef.current) setHasPin(result);
-
-      // ✅ PIN recovery: if cloud has a PIN but local storage is empty (reinstall),
-      // pull the hash back into local storage so offline SOS cancel works.
-      // MUST use .eq("user_id", uid) — never rely on .limit(1) without a user filter.
-      if (result) {
-        const localHash = await readPinHash(scopedKey);
-        if (!localHash && uid) {
-          try {
-            const { data: pinRow, error: pinErr } = await supabase
-              .from("user_sos_pins")
-              .select("pin_hash")
-              .eq("user_id", uid)
-              .maybeSingle();
-
-            if (!pinErr && pinRow?.pin_hash) {
-              await writePinHash(pinRow.pin_hash, scopedKey);
-              console.log("✅ PIN hash restored from cloud to local storage (reinstall recovery)");
-            }
-          } catch (e) {
-            console.log("PIN recovery from cloud failed (non-fatal):", e?.message || e);
-          }
-        }
+      if (isMountedRef.current) {
+        setHasPin(result);
+        setHasDuressPin(data?.has_duress_pin === true);
       }
     } catch (e) {
       console.log("checkHasPin error:", e?.message || e);
@@ -686,8 +697,46 @@ export default function FleetScreen() {
     checkHasPin();
   }, [checkHasPin]);
 
+  // ✅ Battery last gasps survive leaving the screen / restarting the app
+  const lastGaspsLoadedRef = useRef(false);
+
+  useEffect(() => {
+    AsyncStorage.getItem(STORAGE_KEY_LAST_GASPS)
+      .then((raw) => {
+        const saved = raw ? JSON.parse(raw) : null;
+        if (saved && typeof saved === "object" && isMountedRef.current) {
+          setLastGasps((prev) => ({ ...saved, ...prev }));
+        }
+      })
+      .catch(() => {})
+      .finally(() => { lastGaspsLoadedRef.current = true; });
+  }, []);
+
+  useEffect(() => {
+    if (!lastGaspsLoadedRef.current) return;
+    AsyncStorage.setItem(STORAGE_KEY_LAST_GASPS, JSON.stringify(lastGasps)).catch(() => {});
+  }, [lastGasps]);
+
+  // Drop the note once the member reports a recharged battery
+  useEffect(() => {
+    const recharged = workers.filter((w) => {
+      const gasp = lastGasps[String(w?.device_id)];
+      if (!gasp) return false;
+      const level = typeof w?.battery_level === "number" ? w.battery_level : parseInt(w?.battery_level, 10);
+      const updatedAt = Date.parse(w?.last_updated || "");
+      return level > LAST_GASP_CLEAR_ABOVE && updatedAt > gasp.ts;
+    });
+    if (!recharged.length) return;
+    setLastGasps((prev) => {
+      const next = { ...prev };
+      for (const w of recharged) delete next[String(w.device_id)];
+      return next;
+    });
+  }, [workers, lastGasps]);
+
   // ✅ PIN modal handlers
-  const openPinModal = () => {
+  const openPinModal = (mode = "cancel") => {
+    setPinMode(mode === "duress" ? "duress" : "cancel");
     setPinStep(1);
     setPinInput("");
     setPinConfirm("");
@@ -758,8 +807,6 @@ export default function FleetScreen() {
     setPinError("");
 
     try {
-      const hashed = hashPin(pinInput);
-
       // Resolve userId for user-scoped storage key
       let uid = null;
       try {
@@ -767,8 +814,30 @@ export default function FleetScreen() {
         uid = authData?.user?.id || null;
       } catch {}
       const scopedKey = uid ? `sentinel_pin_hash:${uid}` : PIN_STORAGE_KEY;
+      const duressKey = duressPinHashKey(uid);
+
+      // The two PINs must differ — salted hashes can't be compared server-side
+      const otherHash = await readPinHash(pinMode === "duress" ? scopedKey : duressKey);
+      if (otherHash && verifyPinHash(pinInput, otherHash)) {
+        setPinError(
+          pinMode === "duress"
+            ? "Your duress PIN must be different from your SOS PIN."
+            : "Your SOS PIN must be different from your duress PIN."
+        );
+        setPinStep(1);
+        setPinInput("");
+        setPinConfirm("");
+        return;
+      }
 
-      // Always save locally first (SecureStore + AsyncStorage fallback)
+      const hashed = createPinHash(pinInput);
+
+      if (pinMode === "duress") {
+        await saveDuressPin(hashed, duressKey);
+        return;
+      }
+
+      // Always save locally first (SecureStore)
       await writePinHash(hashed, scopedKey);
 
       // Verify the save actually worked
@@ -818,6 +887,64 @@ export default function FleetScreen() {
     }
   };
 
+  // Duress PIN is cloud-first: the server needs it to flag a duress "cancel" as one
+  const saveDuressPin = async (hashed, duressKey) => {
+    const { data, error } = await Promise.race([
+      supabase.rpc(RPC_SET_DURESS_PIN, { p_pin_hash: hashed }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 6000)),
+    ]);
+    if (error) throw error;
+    if (data?.success === false) {
+      throw new Error(
+        data.error === "no_pin" ? "Set up your SOS PIN first." :
+        data.error === "same_as_cancel_pin" ? "Your duress PIN must be different from your SOS PIN." :
+        "Server rejected duress PIN save"
+      );
+    }
+
+    await writePinHash(hashed, duressKey);
+    console.log("✅ Duress PIN saved");
+
+    if (isMountedRef.current) {
+      setHasDuressPin(true);
+      setPinModalVisible(false);
+    }
+
+    Alert.alert(
+      "Duress PIN Saved",
+      "Entering this PIN on the SOS lock screen will look like a normal cancel, but your fleet gets a duress alert and your location keeps streaming."
+    );
+  };
+
+  const removeDuressPin = () => {
+    Alert.alert("Remove Duress PIN?", "Only your SOS PIN will work on the lock screen.", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            const { data, error } = await supabase.rpc(RPC_SET_DURESS_PIN, { p_pin_hash: null });
+            if (error) throw error;
+            if (data?.success === false) throw new Error(data.error || "Server rejected duress PIN removal");
+
+            let uid = null;
+            try {
+              const { data: authData } = await supabase.auth.getUser();
+              uid = authData?.user?.id || null;
+            } catch {}
+            await clearPinHash(duressPinHashKey(uid));
+
+            if (isMountedRef.current) setHasDuressPin(false);
+          } catch (e) {
+            console.log("remove duress PIN error:", e?.message || e);
+            Alert.alert("Could Not Remove", e?.message || "Please try again when you're online.");
+          }
+        },
+      },
+    ]);
+  };
+
   const copyInviteCode = async () => {
     try {
       if (!inviteCode) return;
@@ -829,12 +956,17 @@ export default function FleetScreen() {
     }
   };
 
+  // The owner / an admin replaced the fleet code in the invite manager
+  const handlePrimaryCodeChanged = async (code) => {
+    if (!code) return;
+    setInviteCode(String(code));
+    try { await AsyncStorage.setItem(STORAGE_KEY_INVITE_CODE, String(code)); } catch {}
+  };
+
   const shareInviteCode = async () => {
     try {
       if (!inviteCode) return;
-      await Share.share({
-        message: `SenTihNel Invite Code: ${inviteCode}\n\nOpen the app → Login → Join Fleet → enter this code.`,
-      });
+      await Share.share({ message: InviteLinks.buildShareMessage(inviteCode) });
     } catch (e) {
       console.log("shareInviteCode error:", e?.message || e);
     }
@@ -1041,6 +1173,71 @@ export default function FleetScreen() {
     return Array.from(map.values());
   };
 
+  // ✅ SOS breadcrumb trails: one get_sos_trail call per member currently in SOS
+  const loadSOSTrails = useCallback(async (gid, rows) => {
+    try {
+      const sosIds = (rows || [])
+        .filter((r) => computeDisplayStatus(r) === "SOS" && r?.device_id)
+        .map((r) => String(r.device_id));
+
+      if (sosIds.length === 0) {
+        if (isMountedRef.current) setTrailsByDevice({});
+        return;
+      }
+
+      const results = await Promise.all(
+        sosIds.map(async (dId) => {
+          const { data, error } = await supabase.rpc(RPC_GET_SOS_TRAIL, {
+            p_device_id: dId,
+            p_group_id: gid,
+          });
+          if (error) {
+            console.log("SOS trail fetch warning:", dId.slice(0, 8), error.message);
+            return [dId, []];
+          }
+          return [dId, Array.isArray(data) ? data : []];
+        })
+      );
+
+      // Ignore trails for a fleet we've already switched away from
+      if (activeGroupIdRef.current && gid !== activeGroupIdRef.current) return;
+      if (isMountedRef.current) setTrailsByDevice(Object.fromEntries(results));
+    } catch (e) {
+      console.log("SOS trail fetch error (non-fatal):", e?.message || e);
+    }
+  }, []);
+
+  // ✅ SOS delivery receipts: who got the alert, saw the alarm or opened it (per open incident)
+  const loadSOSReceipts = useCallback(async (gid, rows) => {
+    try {
+      const sosIds = (rows || [])
+        .filter((r) => computeDisplayStatus(r) === "SOS" && r?.device_id)
+        .map((r) => String(r.device_id));
+
+      if (sosIds.length === 0) {
+        if (isMountedRef.current) setReceiptsByDevice({});
+        return;
+      }
+
+      const openIncidents = await SOSIncidents.getOpenIncidentsByDevice([gid]);
+      if (!openIncidents) return;
+
+      const results = await Promise.all(
+        sosIds.map(async (dId) => {
+          const incident = openIncidents.get(dId);
+          if (!incident?.id) return [dId, null];
+          const full = await SOSIncidents.getIncident(incident.id);
+          return [dId, Array.isArray(full?.receipts) ? full.receipts : null];
+        })
+      );
+
+      if (activeGroupIdRef.current && gid !== activeGroupIdRef.current) return;
+      if (isMountedRef.current) setReceiptsByDevice(Object.fromEntries(results));
+    } catch (e) {
+      console.log("SOS receipts fetch error (non-fatal):", e?.message || e);
+    }
+  }, []);
+
   const fetchFleet = useCallback(
     async (gidOverride) => {
       const gidForLock = gidOverride ?? groupId;
@@ -1113,6 +1310,10 @@ export default function FleetScreen() {
         workersRef.current = filtered;
         if (isMountedRef.current) setWorkers(filtered);
 
+        // Non-blocking: trails and delivery receipts are extra detail on SOS cards
+        loadSOSTrails(gid, filtered);
+        loadSOSReceipts(gid, filtered);
+
         await hydrateNamesForSessions({ gid, sessions: filtered });
       } catch (err) {
         const msg = err?.message || "Failed to load fleet.";
@@ -1136,7 +1337,7 @@ export default function FleetScreen() {
         }
       }
     },
-    [groupId, hydrateNamesForSessions]
+    [groupId, hydrateNamesForSessions, loadSOSTrails, loadSOSReceipts]
   );
 
   // ✅ Keep ref in sync so broadcast handlers always see latest fetchFleet
@@ -1330,6 +1531,23 @@ export default function FleetScreen() {
 
   const hasLowBattery = lowBatteryMembers.length > 0;
 
+  // ✅ Role-based UI (unknown role → previous behaviour; the server decides either way)
+  const isFleetOwner = fleetAccess?.role === FLEET_ROLES.OWNER;
+  const canInvite = fleetAccess ? fleetAccess.permissions.includes(FLEET_PERMISSIONS.INVITE) : true;
+  const seesOthersOnlyInSos = !!fleetAccess && !fleetAccess.permissions.includes(FLEET_PERMISSIONS.VIEW_LOCATION);
+  const hasShift = !!fleetAccess?.shiftId;
+
+  const toggleOffShiftSharing = async (share) => {
+    const gid = activeGroupIdRef.current;
+    if (!gid) return;
+    setFleetAccess((a) => (a ? { ...a, shareOffShift: share } : a));
+    const res = await FleetTeams.setOffShiftSharing(gid, share);
+    if (!res.ok) {
+      setFleetAccess((a) => (a ? { ...a, shareOffShift: !share } : a));
+      Alert.alert("Not saved", "Could not change off-shift sharing. Check your connection.");
+    }
+  };
+
   const criticalBatteryCount = useMemo(() => {
     return lowBatteryMembers.filter((w) => computeBatteryStatus(w?.battery_level) === "critical").length;
   }, [lowBatteryMembers]);
@@ -1602,6 +1820,7 @@ export default function FleetScreen() {
           setNameByDevice({});
           setErrorText("");
           setIsAdmin(false);
+          setFleetAccess(null);
           setOwnedFleets({ work: { groupId: null, inviteCode: null }, family: { groupId: null, inviteCode: null } });
           setActiveTab("family");
           setLoading(false);       // ✅ Prevent "loading forever" if screen stays mounted
@@ -1642,6 +1861,7 @@ export default function FleetScreen() {
         // ✅ Fix #6: use ref to avoid stale closure over groupId
         const gid = activeGroupIdRef.current;
         if (gid && fetchFleetRef.current) fetchFleetRef.current(gid);
+        checkPendingJoinRef.current?.();
       }
     });
 
@@ -1822,6 +2042,69 @@ export default function FleetScreen() {
           });
         }, 8500);
       })
+      .on("broadcast", { event: "geofence" }, (payload) => {
+        // ✅ Zone enter/exit from a member's device — ignore if fleet changed
+        if (activeGroupIdRef.current && subscribedGroup !== activeGroupIdRef.current) return;
+        const p = payload?.payload || payload;
+        if (!p?.zone_name || (p?.event !== "enter" && p?.event !== "exit")) return;
+        console.log("📍 Geofence broadcast received:", p.event, p.zone_name);
+
+        if (isMountedRef.current) {
+          setRecentZoneEvents((prev) => {
+            const now = Date.now();
+            const filtered = prev.filter((z) => now - z.ts < 30000).slice(-4);
+            return [...filtered, {
+              device_id: String(p.device_id || "Unknown"),
+              display_name: p.display_name || null,
+              event: p.event,
+              zone_name: String(p.zone_name),
+              ts: now,
+            }];
+          });
+        }
+
+        // Auto-clear after 10 seconds
+        setTimeout(() => {
+          if (!isMountedRef.current) return;
+          setRecentZoneEvents((prev) => {
+            const now = Date.now();
+            return prev.filter((z) => now - z.ts < 10000);
+          });
+        }, 10500);
+      })
+      .on("broadcast", { event: "battery_critical" }, (payload) => {
+        // ✅ Last gasp from a member's dying phone — ignore if fleet changed
+        if (activeGroupIdRef.current && subscribedGroup !== activeGroupIdRef.current) return;
+        const p = payload?.payload || payload;
+        if (!p?.device_id) return;
+        console.log("🪫 Battery-critical broadcast received:", p.device_id, p.battery_level);
+
+        const gasp = {
+          device_id: String(p.device_id),
+          display_name: p.display_name || null,
+          group_id: subscribedGroup,
+          battery_level: typeof p.battery_level === "number" ? p.battery_level : null,
+          latitude: typeof p.latitude === "number" ? p.latitude : null,
+          longitude: typeof p.longitude === "number" ? p.longitude : null,
+          gps_accuracy_m: typeof p.gps_accuracy_m === "number" ? p.gps_accuracy_m : null,
+          sos_active: p.sos_active === true,
+          ts: typeof p.timestamp === "number" ? p.timestamp : Date.now(),
+        };
+
+        if (isMountedRef.current) {
+          setLastGasps((prev) => ({ ...prev, [gasp.device_id]: gasp }));
+          setRecentLastGasp({ ...gasp, shownAt: Date.now() });
+        }
+
+        // Auto-clear the banner after 12 seconds (the card note stays)
+        setTimeout(() => {
+          if (!isMountedRef.current) return;
+          setRecentLastGasp((prev) => (prev && Date.now() - prev.shownAt >= 12000 ? null : prev));
+        }, 12500);
+
+        // A last gasp during SOS changes what the fleet should expect — refresh now
+        if (gasp.sos_active && fetchFleetRef.current) fetchFleetRef.current(subscribedGroup);
+      })
       .subscribe();
 
     broadcastChannelRef.current = ch;
@@ -1845,6 +2128,7 @@ export default function FleetScreen() {
   const openSwitchModal = () => {
     setSwitchError("");
     setSwitchInviteInput("");
+    setSwitchScanning(false);
     setSwitchFleetType(activeTab); // ✅ Match current tab (work or family)
     setSwitchModalVisible(true);
   };
@@ -1852,9 +2136,38 @@ export default function FleetScreen() {
   const closeSwitchModal = () => {
     if (switching) return;
     setSwitchModalVisible(false);
+    setSwitchScanning(false);
     setSwitchError("");
   };
 
+  // Scanned or linked code: fill it in and pick the tab of the fleet it joins
+  const prefillSwitchCode = (code) => {
+    setSwitchError("");
+    setSwitchScanning(false);
+    setSwitchInviteInput(code);
+    FleetInvites.lookup(code).then((res) => {
+      if (!isMountedRef.current) return;
+      if (res.ok && (res.fleetType === "work" || res.fleetType === "family")) setSwitchFleetType(res.fleetType);
+      else if (!res.ok) setSwitchError(res.message);
+    });
+  };
+
+  const openSwitchModalWithLinkRef = useRef(null);
+  openSwitchModalWithLinkRef.current = (code) => {
+    openSwitchModal();
+    prefillSwitchCode(code);
+  };
+
+  // ✅ An invite link opened the app (app/join.js) → Switch Fleet with that code
+  useEffect(() => {
+    const takeLinked = async () => {
+      const code = await InviteLinks.takeLinkedCode();
+      if (code && isMountedRef.current) openSwitchModalWithLinkRef.current?.(code);
+    };
+    takeLinked();
+    return InviteLinks.onLinkedCode(takeLinked);
+  }, []);
+
   const handleSwitchFleet = async () => {
     if (switchingRef.current) return; // ✅ Ref guard prevents double-fire before state re-render
     switchingRef.current = true;
@@ -1873,11 +2186,12 @@ export default function FleetScreen() {
 
     try {
       // 1) Resolve group_id first
-      const targetGroupId = await resolveGroupIdByInviteCode(clean);
-      if (!targetGroupId) {
-        setSwitchError("That invite code does not exist.");
+      const resolved = await resolveInviteCode(clean);
+      if (!resolved.ok) {
+        setSwitchError(resolved.message);
         return;
       }
+      const targetGroupId = resolved.groupId;
 
       // ✅ Early exit if already on this fleet
       if (prevGroupId && String(targetGroupId) === String(prevGroupId)) {
@@ -1916,6 +2230,17 @@ export default function FleetScreen() {
           throw new Error(joinData?.error || "Could not join fleet");
         }
 
+        // ✅ Fleet approves new members: nothing moves until the owner / an admin says yes
+        if (joinData?.pending) {
+          await FleetJoinRequests.rememberPending({ groupId: targetGroupId, code: clean, fleetType: ft });
+          if (isMountedRef.current) setSwitchModalVisible(false);
+          Alert.alert(
+            "Request Sent",
+            "This fleet approves new members. You'll get a notification when you're approved — until then you stay in your current fleet."
+          );
+          return;
+        }
+
         const extracted = extractGroupIdFromRpc(joinData);
         newGroupId = String(extracted || targetGroupId);
       }
@@ -2032,6 +2357,7 @@ export default function FleetScreen() {
     if (error) throw error;
 
     if (data && typeof data === "object" && data.ok === false) {
+      if (data.error === "not_permitted") throw new Error("Your role can't remove this member.");
       throw new Error(data.error || "Remove failed.");
     }
 
@@ -2116,6 +2442,17 @@ export default function FleetScreen() {
     const gpsAccuracy = typeof item?.gps_accuracy_m === "number" ? Math.round(item.gps_accuracy_m) : null;
     const speed = typeof item?.speed === "number" && item.speed >= 0 ? item.speed : null;
     const speedMph = speed !== null ? Math.round(speed * 2.237) : null; // m/s to mph
+    const trail = isSOS ? trailsByDevice[String(item?.device_id)] : null;
+    const receipts = isSOS ? receiptsByDevice[String(item?.device_id)] : null;
+    const delivery = receipts
+      ? SOSIncidents.buildDeliveryList(
+          receipts,
+          workers
+            .filter((w) => w?.device_id && String(w.device_id) !== String(item.device_id))
+            .map((w) => ({ deviceId: String(w.device_id), displayName: getFriendlyName(w.device_id) }))
+        )
+      : null;
+    const lastGasp = lastGasps[String(item?.device_id)] || null;
 
     return (
       <View style={[
@@ -2243,6 +2580,26 @@ export default function FleetScreen() {
           )}
         </View>
 
+        {/* ✅ Battery last gasp — why this member went (or is about to go) dark, and where */}
+        {!!lastGasp && (
+          <View style={styles.lastGaspRow}>
+            <Ionicons name="battery-dead" size={14} color="#fca5a5" />
+            <Text style={styles.lastGaspText} numberOfLines={2}>
+              {isOnline ? "Battery critical — phone about to die" : "Went dark: battery died"}
+              {typeof lastGasp.battery_level === "number" ? ` (${lastGasp.battery_level}%)` : ""}
+              {` • last fix ${safeTime(new Date(lastGasp.ts).toISOString())}`}
+              {lastGasp.latitude != null ? ` at ${safeCoords(lastGasp.latitude, lastGasp.longitude)}` : ""}
+              {typeof lastGasp.gps_accuracy_m === "number" ? ` (±${lastGasp.gps_accuracy_m}m)` : ""}
+            </Text>
+          </View>
+        )}
+
+        {/* ✅ SOS breadcrumb trail — the path taken since SOS started */}
+        {isSOS && trail?.length > 1 ? <BreadcrumbTrail points={trail} /> : null}
+
+        {/* ✅ Who the alert actually reached */}
+        {delivery ? <DeliveryReceipts members={delivery} /> : null}
+
         <View style={styles.cardActions}>
           <TouchableOpacity
             style={[styles.actionBtn, styles.liveBtn, isSOS && styles.liveBtnSOS]}
@@ -2277,6 +2634,11 @@ export default function FleetScreen() {
     );
   };
 
+  const listExtraData = useMemo(
+    () => ({ nameByDevice, trailsByDevice, receiptsByDevice }),
+    [nameByDevice, trailsByDevice, receiptsByDevice]
+  );
+
   if (loading) {
     return (
       <View style={styles.centered}>
@@ -2310,17 +2672,36 @@ export default function FleetScreen() {
                 </TouchableOpacity>
               </View>
 
-              <Text style={styles.modalHint}>Enter an invite code to link a different fleet. You will stay logged in.</Text>
+              <Text style={styles.modalHint}>
+                Enter or scan an invite code to link a different fleet. You will stay logged in.
+              </Text>
 
-              <TextInput
-                value={switchInviteInput}
-                onChangeText={(t) => setSwitchInviteInput(t)}
-                placeholder="Invite Code"
-                placeholderTextColor="#64748b"
-                autoCapitalize="characters"
-                style={styles.modalInput}
-                editable={!switching}
-              />
+              {switchScanning ? (
+                <InviteQrScanner
+                  style={{ marginTop: 12 }}
+                  onScanned={prefillSwitchCode}
+                  onCancel={() => setSwitchScanning(false)}
+                />
+              ) : (
+                <View style={styles.modalInputRow}>
+                  <TextInput
+                    value={switchInviteInput}
+                    onChangeText={(t) => setSwitchInviteInput(t)}
+                    placeholder="Invite Code"
+                    placeholderTextColor="#64748b"
+                    autoCapitalize="characters"
+                    style={[styles.modalInput, { flex: 1 }]}
+                    editable={!switching}
+                  />
+                  <TouchableOpacity
+                    style={styles.modalScanBtn}
+                    onPress={() => setSwitchScanning(true)}
+                    disabled={switching}
+                  >
+                    <Ionicons name="qr-code-outline" size={20} color="#e2e8f0" />
+                  </TouchableOpacity>
+                </View>
+              )}
 
               {/* ✅ Fleet Type Indicator (auto-matches current tab) */}
               <View style={styles.switchFleetTypeContainer}>
@@ -2375,15 +2756,74 @@ export default function FleetScreen() {
         </Pressable>
       </Modal>
 
+      {/* ✅ Invite QR (roles with 'invite') */}
+      <Modal transparent visible={inviteQrVisible} animationType="fade" onRequestClose={() => setInviteQrVisible(false)}>
+        <Pressable style={styles.modalBackdrop} onPress={() => setInviteQrVisible(false)}>
+          <Pressable style={styles.modalCard} onPress={() => {}}>
+            <View style={styles.modalHeaderRow}>
+              <View style={styles.modalTitleRow}>
+                <Ionicons name="qr-code" size={18} color="#e2e8f0" />
+                <Text style={styles.modalTitle}>Invite by QR</Text>
+              </View>
+
+              <TouchableOpacity onPress={() => setInviteQrVisible(false)} style={styles.modalCloseBtn}>
+                <Ionicons name="close" size={18} color="#94a3b8" />
+              </TouchableOpacity>
+            </View>
+
+            <InviteQrCard code={inviteCode} />
+
+            <View style={styles.modalBtnRow}>
+              <TouchableOpacity
+                style={[styles.modalBtn, styles.modalBtnGhost]}
+                onPress={() => setInviteQrVisible(false)}
+                activeOpacity={0.85}
+              >
+                <Text style={styles.modalBtnGhostText}>Done</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalBtn, styles.modalBtnPrimary]}
+                onPress={shareInviteCode}
+                activeOpacity={0.9}
+              >
+                <Ionicons name="share-outline" size={16} color="#0b1220" />
+                <Text style={styles.modalBtnPrimaryText}>Share Link</Text>
+              </TouchableOpacity>
+            </View>
+          </Pressable>
+        </Pressable>
+      </Modal>
+
+      {/* ✅ Geofence editor (owner) */}
+      <GeofenceEditor
+        visible={!!geofenceEditor}
+        groupId={groupId}
+        zone={geofenceEditor?.zone || null}
+        onClose={closeGeofenceEditor}
+        onSaved={handleGeofenceSaved}
+      />
+
+      {/* ✅ Invite codes (roles with 'invite') */}
+      <FleetInviteManager
+        visible={inviteManagerVisible}
+        groupId={groupId}
+        onClose={() => setInviteManagerVisible(false)}
+        onPrimaryCodeChanged={handlePrimaryCodeChanged}
+        onRequestsChanged={setJoinRequestCount}
+      />
+
       {/* ✅ SOS PIN Setup Modal */}
       <Modal transparent visible={pinModalVisible} animationType="fade" onRequestClose={closePinModal}>
         <Pressable style={styles.modalBackdrop} onPress={closePinModal}>
           <Pressable style={styles.pinModalCard} onPress={() => {}}>
             <View style={styles.modalHeaderRow}>
               <View style={styles.modalTitleRow}>
-                <Ionicons name="lock-closed" size={18} color="#e2e8f0" />
+                <Ionicons name={pinMode === "duress" ? "warning" : "lock-closed"} size={18} color="#e2e8f0" />
                 <Text style={styles.modalTitle}>
-                  {pinStep === 1 ? (hasPin ? "Change Your SOS PIN" : "Create Your SOS PIN") : "Confirm Your PIN"}
+                  {pinMode === "duress"
+                    ? (pinStep === 1 ? "Set Duress PIN" : "Confirm Duress PIN")
+                    : pinStep === 1 ? (hasPin ? "Change Your SOS PIN" : "Create Your SOS PIN") : "Confirm Your PIN"}
                 </Text>
               </View>
 
@@ -2393,9 +2833,11 @@ export default function FleetScreen() {
             </View>
 
             <Text style={styles.modalHint}>
-              {pinStep === 1
-                ? "This PIN deactivates emergency SOS."
-                : "Enter the same PIN again to confirm."}
+              {pinStep === 2
+                ? "Enter the same PIN again to confirm."
+                : pinMode === "duress"
+                ? "For when someone forces you to cancel: the SOS looks cancelled, but your fleet gets a duress alert and tracking continues."
+                : "This PIN deactivates emergency SOS."}
             </Text>
 
             <Text style={styles.pinWarningModal}>
@@ -2549,7 +2991,7 @@ export default function FleetScreen() {
         <Text style={styles.headerSub}>
           {sortedWorkers.length} member{sortedWorkers.length === 1 ? "" : "s"} visible
           {!!groupId ? ` • Fleet ${String(groupId).slice(0, 8)}…` : ""}
-          {isAdmin ? " • Manager" : ""}
+          {fleetAccess ? ` • ${ROLE_LABELS[fleetAccess.role]}` : ""}
         </Text>
 
         {!!incomingSos?.device_id && (
@@ -2573,6 +3015,32 @@ export default function FleetScreen() {
           </View>
         )}
 
+        {/* ✅ Battery last gasp (latest) */}
+        {!!recentLastGasp && !incomingSos?.device_id && (
+          <View style={styles.lastGaspBanner}>
+            <Ionicons name="battery-dead" size={16} color="#fecaca" />
+            <Text style={styles.lastGaspBannerText} numberOfLines={1}>
+              {`${recentLastGasp.display_name || getFriendlyName(recentLastGasp.device_id)}'s phone is dying`}
+              {typeof recentLastGasp.battery_level === "number" ? ` (${recentLastGasp.battery_level}%)` : ""}
+              {recentLastGasp.sos_active ? " during SOS" : ""}
+            </Text>
+          </View>
+        )}
+
+        {/* ✅ Geofence arrivals / departures (latest event) */}
+        {recentZoneEvents.length > 0 && !incomingSos?.device_id && (() => {
+          const last = recentZoneEvents[recentZoneEvents.length - 1];
+          const who = last.display_name || getFriendlyName(last.device_id);
+          return (
+            <View style={styles.zoneBanner}>
+              <Ionicons name={last.event === "enter" ? "enter-outline" : "exit-outline"} size={16} color="#bfdbfe" />
+              <Text style={styles.zoneBannerText} numberOfLines={1}>
+                {last.event === "enter" ? `${who} arrived at ${last.zone_name}` : `${who} left ${last.zone_name}`}
+              </Text>
+            </View>
+          );
+        })()}
+
         {!!groupId ? (
           <View style={styles.fleetInfoCard}>
             {/* ✅ Collapsible Invite Code Header */}
@@ -2592,38 +3060,85 @@ export default function FleetScreen() {
               />
             </TouchableOpacity>
 
+            {joinRequestCount > 0 && (
+              <TouchableOpacity
+                style={styles.joinRequestBanner}
+                onPress={() => setInviteManagerVisible(true)}
+                activeOpacity={0.85}
+              >
+                <Ionicons name="hourglass-outline" size={16} color="#fbbf24" />
+                <Text style={styles.joinRequestBannerText}>
+                  {joinRequestCount} {joinRequestCount === 1 ? "person is" : "people are"} waiting to join — Review
+                </Text>
+              </TouchableOpacity>
+            )}
+
             {/* ✅ Collapsible Content */}
             {inviteCodeExpanded && (
               <>
                 <View style={styles.fleetInfoRow}>
                   <Text style={styles.fleetInfoLabel}>Invite Code</Text>
-                  <View style={styles.inviteRow}>
-                    <Text style={styles.inviteCode} selectable>
-                      {inviteLoading ? "Loading…" : inviteCode || "—"}
-                    </Text>
+                  {canInvite ? (
+                    <View style={styles.inviteRow}>
+                      <Text style={styles.inviteCode} selectable>
+                        {inviteLoading ? "Loading…" : inviteCode || "—"}
+                      </Text>
 
-                    <TouchableOpacity
-                      style={[styles.copyBtn, !inviteCode && styles.copyBtnDisabled]}
-                      onPress={copyInviteCode}
-                      disabled={!inviteCode}
-                    >
-                      <Ionicons name="copy-outline" size={16} color="#0b1220" />
-                    </TouchableOpacity>
-                    <TouchableOpacity
-                      style={[styles.copyBtn, !inviteCode && styles.copyBtnDisabled, { marginLeft: 6 }]}
-                      onPress={shareInviteCode}
-                      disabled={!inviteCode}
-                    >
-                      <Ionicons name="share-outline" size={16} color="#0b1220" />
-                    </TouchableOpacity>
-                  </View>
+                      <TouchableOpacity
+                        style={[styles.copyBtn, !inviteCode && styles.copyBtnDisabled]}
+                        onPress={copyInviteCode}
+                        disabled={!inviteCode}
+                      >
+                        <Ionicons name="copy-outline" size={16} color="#0b1220" />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.copyBtn, !inviteCode && styles.copyBtnDisabled, { marginLeft: 6 }]}
+                        onPress={shareInviteCode}
+                        disabled={!inviteCode}
+                      >
+                        <Ionicons name="share-outline" size={16} color="#0b1220" />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.copyBtn, !inviteCode && styles.copyBtnDisabled, { marginLeft: 6 }]}
+                        onPress={() => setInviteQrVisible(true)}
+                        disabled={!inviteCode}
+                      >
+                        <Ionicons name="qr-code-outline" size={16} color="#0b1220" />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.copyBtn, { marginLeft: 6 }]}
+                        onPress={() => setInviteManagerVisible(true)}
+                      >
+                        <Ionicons name="key-outline" size={16} color="#0b1220" />
+                      </TouchableOpacity>
+                    </View>
+                  ) : (
+                    <Text style={styles.fleetInfoHint}>Ask the fleet owner or an admin for an invite.</Text>
+                  )}
                 </View>
 
                 <Text style={styles.fleetInfoHint}>
                   Only devices in your fleet appear here (same invite code / group).
                   {"\n"}Use "LIVE VIEW" when SOS triggers, and "COORDS" to read to police.
+                  {canInvite ? "\n(Share sends a tap-to-join link; the QR lets someone next to you scan it.)" : ""}
+                  {canInvite ? "\n(Tap the key for invite codes that expire, limit uses or preset a role.)" : ""}
                   {isAdmin ? "\n(Manager: long-press a member card header or tap ⋯ to remove old devices.)" : ""}
+                  {seesOthersOnlyInSos ? `\n(${ROLE_LABELS[fleetAccess.role]}: other members appear here only during an SOS.)` : ""}
                 </Text>
+
+                {hasShift && (
+                  <View style={[styles.fleetInfoRow, { marginTop: 8 }]}>
+                    <View style={{ flex: 1, paddingRight: 12 }}>
+                      <Text style={styles.fleetInfoLabel}>
+                        Share location off shift {fleetAccess.onShift ? "" : "• OFF SHIFT NOW"}
+                      </Text>
+                      <Text style={styles.fleetInfoHint}>
+                        Off: the fleet only sees you on shift or in an SOS.
+                      </Text>
+                    </View>
+                    <Switch value={!!fleetAccess.shareOffShift} onValueChange={toggleOffShiftSharing} />
+                  </View>
+                )}
               </>
             )}
 
@@ -2723,13 +3238,36 @@ export default function FleetScreen() {
                     <Ionicons name="checkmark-circle" size={18} color="#22c55e" />
                     <Text style={[styles.pinStatusText, { color: "#22c55e" }]}>PIN Configured</Text>
                   </View>
-                  <TouchableOpacity style={[styles.pinSetupBtn, { backgroundColor: "#334155", marginTop: 8 }]} onPress={openPinModal} activeOpacity={0.85}>
+                  <TouchableOpacity style={[styles.pinSetupBtn, { backgroundColor: "#334155", marginTop: 8 }]} onPress={() => openPinModal("cancel")} activeOpacity={0.85}>
                     <Ionicons name="refresh-outline" size={16} color="#e2e8f0" />
                     <Text style={[styles.pinSetupBtnText, { color: "#e2e8f0" }]}>CHANGE PIN</Text>
                   </TouchableOpacity>
+
+                  {/* Duress PIN: looks like a cancel, silently escalates */}
+                  <View style={[styles.pinStatusRow, { marginTop: 14 }]}>
+                    <Ionicons name="warning-outline" size={18} color={hasDuressPin ? "#f59e0b" : "#94a3b8"} />
+                    <Text style={[styles.pinStatusText, hasDuressPin && { color: "#f59e0b" }]}>
+                      {hasDuressPin ? "Duress PIN Configured" : "No Duress PIN"}
+                    </Text>
+                  </View>
+                  <Text style={styles.pinDescription}>
+                    Entering it looks like a normal cancel, but your fleet gets a duress alert and tracking keeps running.
+                  </Text>
+                  <View style={{ flexDirection: "row", gap: 8 }}>
+                    <TouchableOpacity style={[styles.pinSetupBtn, { backgroundColor: "#334155", flex: 1 }]} onPress={() => openPinModal("duress")} activeOpacity={0.85}>
+                      <Ionicons name="key-outline" size={16} color="#e2e8f0" />
+                      <Text style={[styles.pinSetupBtnText, { color: "#e2e8f0" }]}>{hasDuressPin ? "CHANGE DURESS PIN" : "SET DURESS PIN"}</Text>
+                    </TouchableOpacity>
+                    {hasDuressPin && (
+                      <TouchableOpacity style={[styles.pinSetupBtn, { backgroundColor: "#334155" }]} onPress={removeDuressPin} activeOpacity={0.85}>
+                        <Ionicons name="trash-outline" size={16} color="#f87171" />
+                        <Text style={[styles.pinSetupBtnText, { color: "#f87171" }]}>REMOVE</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
                 </View>
               ) : (
-                <TouchableOpacity style={styles.pinSetupBtn} onPress={openPinModal} activeOpacity={0.85}>
+                <TouchableOpacity style={styles.pinSetupBtn} onPress={() => openPinModal("cancel")} activeOpacity={0.85}>
                   <Ionicons name="key-outline" size={16} color="#0b1220" />
                   <Text style={styles.pinSetupBtnText}>SET UP PIN</Text>
                 </TouchableOpacity>
@@ -2742,6 +3280,86 @@ export default function FleetScreen() {
           )}
         </View>
 
+        {/* ✅ Geofences Section - Collapsible */}
+        {!!groupId && (
+          <View style={styles.pinSection}>
+            <TouchableOpacity
+              style={styles.collapsibleHeader}
+              onPress={() => setGeofenceSectionExpanded(!geofenceSectionExpanded)}
+              activeOpacity={0.7}
+            >
+              <View style={styles.collapsibleHeaderLeft}>
+                <Ionicons name="locate" size={18} color="#94a3b8" />
+                <Text style={styles.collapsibleHeaderText}>Geofences</Text>
+                {geofences.length > 0 && (
+                  <View style={styles.statusBadgeGreen}>
+                    <Text style={styles.statusBadgeText}>{geofences.length}</Text>
+                  </View>
+                )}
+              </View>
+              <Ionicons
+                name={geofenceSectionExpanded ? "chevron-up" : "chevron-down"}
+                size={20}
+                color="#94a3b8"
+              />
+            </TouchableOpacity>
+
+            {geofenceSectionExpanded && (
+              <>
+                <Text style={styles.pinDescription}>
+                  Members' phones report arriving at and leaving these places to the fleet.
+                </Text>
+
+                {geofencesLoading && geofences.length === 0 ? (
+                  <View style={styles.pinStatusRow}>
+                    <ActivityIndicator size="small" color="#94a3b8" />
+                    <Text style={styles.pinStatusText}>Loading...</Text>
+                  </View>
+                ) : geofences.length === 0 ? (
+                  <Text style={styles.zoneEmptyText}>
+                    {isFleetOwner ? "No zones yet. Add home, school or a job site." : "The fleet owner hasn't added any zones yet."}
+                  </Text>
+                ) : (
+                  geofences.map((zone) => (
+                    <TouchableOpacity
+                      key={zone.id}
+                      style={styles.zoneRow}
+                      onPress={() => isFleetOwner && setGeofenceEditor({ zone })}
+                      disabled={!isFleetOwner}
+                      activeOpacity={0.8}
+                    >
+                      <View style={{ flex: 1 }}>
+                        <View style={styles.zoneTitleRow}>
+                          <Text style={styles.zoneName} numberOfLines={1}>{zone.name}</Text>
+                          {zone.is_safe_zone && (
+                            <Ionicons name="shield-checkmark" size={13} color="#22c55e" />
+                          )}
+                        </View>
+                        <Text style={styles.zoneMeta} numberOfLines={1}>
+                          {ZONE_KIND_LABELS[zone.kind] || "Zone"} • {zone.radius_m} m • {formatActiveHours(zone)}
+                          {zone.auto_check_in ? " • Auto check-in" : ""}
+                        </Text>
+                      </View>
+                      {isFleetOwner && <Ionicons name="create-outline" size={16} color="#94a3b8" />}
+                    </TouchableOpacity>
+                  ))
+                )}
+
+                {isFleetOwner && (
+                  <TouchableOpacity
+                    style={[styles.pinSetupBtn, { marginTop: 8 }]}
+                    onPress={() => setGeofenceEditor({ zone: null })}
+                    activeOpacity={0.85}
+                  >
+                    <Ionicons name="add-circle-outline" size={16} color="#0b1220" />
+                    <Text style={styles.pinSetupBtnText}>ADD ZONE</Text>
+                  </TouchableOpacity>
+                )}
+              </>
+            )}
+          </View>
+        )}
+
         {!!errorText && (
           <TouchableOpacity onPress={retryBoot}>
             <Text style={styles.errorText}>⚠ {errorText}</Text>
@@ -2752,7 +3370,7 @@ export default function FleetScreen() {
 
       <FlatList
         data={sortedWorkers}
-        extraData={nameByDevice}  // ✅ Force re-render when names load
+        extraData={listExtraData}  // ✅ Force re-render when names / SOS trails load
         keyExtractor={(item, idx) => String(item?.device_id || `row-${idx}`)}
         renderItem={renderWorker}
         contentContainerStyle={styles.list}
@@ -2917,6 +3535,62 @@ const styles = StyleSheet.create({
     flex: 1,
   },
 
+  // ✅ Geofence Banner
+  lastGaspBanner: {
+    marginTop: 12,
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    backgroundColor: "rgba(239, 68, 68, 0.12)",
+    borderWidth: 1,
+    borderColor: "rgba(239, 68, 68, 0.30)",
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+  },
+  lastGaspBannerText: {
+    color: "#fecaca",
+    fontFamily: font.bold,
+    letterSpacing: 0.3,
+    fontSize: 12,
+    flex: 1,
+  },
+  lastGaspRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 10,
+    backgroundColor: "rgba(239, 68, 68, 0.10)",
+  },
+  lastGaspText: {
+    color: "#fca5a5",
+    fontSize: 12,
+    fontFamily: font.bold,
+    flex: 1,
+  },
+  zoneBanner: {
+    marginTop: 12,
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    backgroundColor: "rgba(59, 130, 246, 0.12)",
+    borderWidth: 1,
+    borderColor: "rgba(59, 130, 246, 0.28)",
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+  },
+  zoneBannerText: {
+    color: "#bfdbfe",
+    fontFamily: font.bold,
+    letterSpacing: 0.3,
+    fontSize: 12,
+    flex: 1,
+  },
+
   fleetInfoCard: {
     marginTop: 10,
     padding: 10,
@@ -2994,6 +3668,20 @@ const styles = StyleSheet.create({
   },
   copyBtnDisabled: { opacity: 0.35 },
 
+  joinRequestBanner: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    backgroundColor: "rgba(251, 191, 36, 0.08)",
+    borderWidth: 1,
+    borderColor: "rgba(251, 191, 36, 0.35)",
+  },
+  joinRequestBannerText: { color: "#fde68a", fontSize: 12, fontFamily: font.bold, flex: 1 },
+
   sosPanel: {
     marginTop: 10,
     borderRadius: 14,
@@ -3261,6 +3949,17 @@ const styles = StyleSheet.create({
     fontFamily: font.black,
     letterSpacing: 1.2,
   },
+  modalInputRow: { flexDirection: "row", alignItems: "flex-end", gap: 8 },
+  modalScanBtn: {
+    width: 46,
+    height: 46,
+    borderRadius: 12,
+    backgroundColor: "#0b1220",
+    borderWidth: 1,
+    borderColor: "rgba(148, 163, 184, 0.14)",
+    alignItems: "center",
+    justifyContent: "center",
+  },
   modalError: { color: "#fca5a5", marginTop: 10, fontSize: 12, fontFamily: font.bold },
 
   // ✅ Fleet Type Selector styles (Switch Fleet modal)
@@ -3412,6 +4111,22 @@ const styles = StyleSheet.create({
     lineHeight: 15,
   },
 
+  // =========================
+  // ✅ Geofences Section styles
+  // =========================
+  zoneRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 9,
+    borderTopWidth: 1,
+    borderTopColor: "rgba(148, 163, 184, 0.10)",
+  },
+  zoneTitleRow: { flexDirection: "row", alignItems: "center", gap: 6 },
+  zoneName: { color: "#e2e8f0", fontSize: 13, fontFamily: font.bold, flexShrink: 1 },
+  zoneMeta: { color: "#64748b", fontSize: 11, fontFamily: font.bold, marginTop: 2 },
+  zoneEmptyText: { color: "#64748b", fontSize: 12, fontFamily: font.bold, marginBottom: 6 },
+
   // =========================
   // ✅ PIN Modal styles
   // =========================
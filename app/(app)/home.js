@@ -15,6 +15,7 @@ import {
   AppState,
   Modal,
   Pressable,
+  TextInput,
 } from "react-native";
 import NetInfo from "@react-native-community/netinfo";
 import { SafeAreaView } from "react-native-safe-area-context";
@@ -33,31 +34,80 @@ import {
   registerForBatSignal,
   cancelBatSignal,
   sendCheckIn,
+  sendDuressSignal,
+  isDuressActive,
 } from "../../src/services/BatSignal";
 import FakeLockScreen from "../../src/components/FakeLockScreen";
-import { startLiveTracking } from "../../src/services/LiveTracker";
+import { startLiveTracking, isSOSDrill } from "../../src/services/LiveTracker";
 import { getDeviceId as getStableDeviceId } from "../../src/services/Identity";
 import { supabase } from "../../src/lib/supabase";
 import FloatingSOSButton from "../../src/services/FloatingSOSButton";
+import SOSIncidents, { RESPONSE_KIND } from "../../src/services/SOSIncidents";
+import SOSDrill, { DRILL_BROADCAST } from "../../src/services/SOSDrill";
+import DeliveryReceipts from "../../src/components/DeliveryReceipts";
+import { ESCALATION_TIER } from "../../src/services/SOSEscalation";
+import SafeArrivalTimer, { TIMER_STATE, PRE_ALERT_GRACE_MS } from "../../src/services/SafeArrivalTimer";
+import FallDetector, { FALL_TRIGGERS } from "../../src/services/FallDetector";
+import VolumeSOSTrigger from "../../src/services/VolumeSOSTrigger";
+import { SOS_TRIGGERS, getSosTriggerLabel } from "../../src/utils/sosTriggers";
+import AlarmService from "../../src/services/AlarmService";
+import { checkSosPin, PIN_RESULT } from "../../src/utils/pinVerify";
 import { colors, font, radius, space } from "../../src/theme";
 
-let SecureStore = null;
-try { SecureStore = require("expo-secure-store"); } catch {}
-
 const STORAGE_KEY_DEVICE_ID = "sentinel_device_id";
 const STORAGE_KEY_SOS = "sentinel_sos_active";
 const TAP_WINDOW_MS = 3000;
 const TAP_TARGET = 7;
 
+// Safe-arrival presets ("check on me in …")
+const SAFE_ARRIVAL_PRESETS_MIN = [15, 30, 45, 60, 120];
+
 function isGranted(status) {
   return String(status || "").toLowerCase() === "granted";
 }
 
+/**
+ * "23:00", "7:30", "11:15 pm" → next occurrence (today or tomorrow) as ms epoch, or null
+ */
+function parseHomeByTime(text) {
+  const m = String(text || "").trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!m) return null;
+
+  let hours = Number(m[1]);
+  const minutes = m[2] ? Number(m[2]) : 0;
+  const meridiem = m[3]?.toLowerCase();
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === "pm") hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  const at = new Date();
+  at.setHours(hours, minutes, 0, 0);
+  if (at.getTime() <= Date.now()) at.setDate(at.getDate() + 1);
+  return at.getTime();
+}
+
+function formatRemaining(ms) {
+  const totalSec = Math.max(0, Math.ceil(ms / 1000));
+  const hrs = Math.floor(totalSec / 3600);
+  const mins = Math.floor((totalSec % 3600) / 60);
+  const secs = totalSec % 60;
+  if (hrs > 0) return `${hrs}h ${mins}m`;
+  if (mins >= 10) return `${mins}m`;
+  return `${mins}:${String(secs).padStart(2, "0")}`;
+}
+
 export default function HomePage() {
   const navigation = useNavigation();
   const router = useRouter();
 
   const [isSOS, setIsSOS] = useState(false);
+  // Duress PIN was entered: UI looks disarmed, SOS + tracking + streaming keep running
+  const [duressActive, setDuressActive] = useState(false);
   const [deviceId, setDeviceId] = useState("Loading...");
   const [wakeWordStatus, setWakeWordStatus] = useState("Initializing...");
 
@@ -80,8 +130,31 @@ export default function HomePage() {
   const [sosStartTime, setSosStartTime] = useState(null);
   const [showPostSosReport, setShowPostSosReport] = useState(false);
   const [lastSosDuration, setLastSosDuration] = useState(null);
+  const [reportIncident, setReportIncident] = useState(null);
+  const [reportDelivery, setReportDelivery] = useState([]);
+  const [sosTrigger, setSosTrigger] = useState(null);
+  const [sosDrill, setSosDrill] = useState(false);
+  const [drillReport, setDrillReport] = useState(null);
+  const [reportNote, setReportNote] = useState("");
   const [hasPin, setHasPin] = useState(null);
 
+  // Safe-arrival timer
+  const [safeTimer, setSafeTimer] = useState(null);
+  const [showTimerSetup, setShowTimerSetup] = useState(false);
+  const [homeByText, setHomeByText] = useState("");
+  const [timerPinAction, setTimerPinAction] = useState(null); // "check_in" | "cancel"
+  const [timerPin, setTimerPin] = useState("");
+  const [timerPinError, setTimerPinError] = useState("");
+  const [timerPinBusy, setTimerPinBusy] = useState(false);
+  const [timerNow, setTimerNow] = useState(Date.now());
+
+  // Fall / crash detection countdown
+  const [fallCountdown, setFallCountdown] = useState(null); // { trigger, startedAt, deadline }
+  const [fallPin, setFallPin] = useState("");
+  const [fallPinError, setFallPinError] = useState("");
+  const [fallPinBusy, setFallPinBusy] = useState(false);
+  const fallAlarmRef = useRef(false); // we started the alarm (don't stop a received-SOS alarm)
+
   const [permChecking, setPermChecking] = useState(false);
   const [permReady, setPermReady] = useState(false);
   const [permCanAskAgain, setPermCanAskAgain] = useState(true);
@@ -240,8 +313,13 @@ export default function HomePage() {
         const sosFlag = await AsyncStorage.getItem(STORAGE_KEY_SOS);
         if (sosFlag === "1") {
           try { await AsyncStorage.removeItem(`sentinel_cloudrec_started:${finalId}`); } catch {}
-          setIsSOS(true);
-          setSosStartTime(Date.now());
+          if (await isDuressActive()) {
+            setDuressActive(true);
+          } else {
+            setIsSOS(true);
+            setSosStartTime(Date.now());
+            if (await isSOSDrill()) setSosDrill(true);
+          }
         }
       } catch {}
 
@@ -249,22 +327,7 @@ export default function HomePage() {
         const { data } = await supabase.rpc("has_user_sos_pin");
         const pinExists = data?.has_pin === true;
         setHasPin(pinExists);
-
-        if (pinExists) {
-          let localHash = null;
-          try { if (SecureStore?.getItemAsync) localHash = await SecureStore.getItemAsync("sentinel_pin_hash"); } catch {}
-          if (!localHash) { try { localHash = await AsyncStorage.getItem("sentinel_pin_hash"); } catch {} }
-
-          if (!localHash) {
-            try {
-              const { data: pinRow } = await supabase.from("user_sos_pins").select("pin_hash").limit(1).maybeSingle();
-              if (pinRow?.pin_hash) {
-                try { if (SecureStore?.setItemAsync) await SecureStore.setItemAsync("sentinel_pin_hash", pinRow.pin_hash); } catch {}
-                await AsyncStorage.setItem("sentinel_pin_hash", pinRow.pin_hash);
-              }
-            } catch {}
-          }
-        }
+        // The offline PIN copy (SecureStore) is refreshed by the next successful online check
       } catch { setHasPin(false); }
 
       const ready = await refreshPermissionSnapshot();
@@ -283,7 +346,7 @@ export default function HomePage() {
   useEffect(() => {
     const handleDeeplink = (url) => {
       if (!url || !url.includes("/sos")) return;
-      if (triggerSOSRef.current) triggerSOSRef.current("back-tap");
+      if (triggerSOSRef.current) triggerSOSRef.current(null, { trigger: SOS_TRIGGERS.BACK_TAP });
     };
     // App already running (backgrounded) — catches URL while app is alive
     const sub = Linking.addEventListener("url", ({ url }) => handleDeeplink(url));
@@ -328,7 +391,7 @@ export default function HomePage() {
     if (!FloatingSOSButton.isAvailable) return;
     const sub = FloatingSOSButton.addSOSTriggerListener(() => {
       FloatingSOSButton.stop();
-      if (triggerSOSRef.current) triggerSOSRef.current();
+      if (triggerSOSRef.current) triggerSOSRef.current(null, { trigger: SOS_TRIGGERS.FLOATING_BUTTON });
     });
     return () => sub.remove();
   }, []);
@@ -342,7 +405,7 @@ export default function HomePage() {
         const hasOverlay = await FloatingSOSButton.checkPermission();
         overlayPermRef.current = hasOverlay;
         const triggered = await FloatingSOSButton.checkSOSFlag();
-        if (triggered && triggerSOSRef.current) triggerSOSRef.current();
+        if (triggered && triggerSOSRef.current) triggerSOSRef.current(null, { trigger: SOS_TRIGGERS.FLOATING_BUTTON });
       } else if (nextAppState === "background" && permReady && !isSOS) {
         const hasOverlay = await FloatingSOSButton.checkPermission();
         overlayPermRef.current = hasOverlay;
@@ -387,7 +450,174 @@ export default function HomePage() {
     })();
   }, [permReady]);
 
-  const triggerSOS = async (detectedPhrase) => {
+  // ── Safe-arrival timer ──
+  useEffect(() => {
+    SafeArrivalTimer.getTimer().then(setSafeTimer).catch(() => {});
+    const unsubscribe = SafeArrivalTimer.subscribe((t) => {
+      setSafeTimer(t);
+      // Missed check-in escalated → the SOS is live, show the lock screen like any trigger
+      if (t?.state === TIMER_STATE.ESCALATED) {
+        setTimerPinAction(null);
+        setIsSOS(true);
+        setSosStartTime((prev) => prev || Date.now());
+      }
+    });
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    if (!safeTimer) return;
+    const id = setInterval(() => setTimerNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [safeTimer]);
+
+  // ✅ Fall detection: armed only when an SOS could actually be raised + cancelled
+  useEffect(() => {
+    if (!permReady || !hasPin || isSOS || duressActive) return;
+    FallDetector.start(({ trigger }) => triggerSOSRef.current?.(null, { trigger })).catch(() => {});
+    return () => FallDetector.stop();
+  }, [permReady, hasPin, isSOS, duressActive]);
+
+  // ✅ Volume-button pattern (Settings → Volume-Button SOS), same arming rules
+  useEffect(() => {
+    if (!permReady || !hasPin || isSOS || duressActive) return;
+    VolumeSOSTrigger.start(({ trigger }) => triggerSOSRef.current?.(null, { trigger })).catch(() => {});
+    return () => VolumeSOSTrigger.stop();
+  }, [permReady, hasPin, isSOS, duressActive]);
+
+  useEffect(() => {
+    setFallCountdown(FallDetector.getCountdown());
+    return FallDetector.subscribe((c) => {
+      setFallCountdown(c);
+      setFallPin("");
+      setFallPinError("");
+    });
+  }, []);
+
+  // Loud countdown: alarm + once-a-second tick while it runs
+  useEffect(() => {
+    if (!fallCountdown) {
+      if (fallAlarmRef.current) {
+        fallAlarmRef.current = false;
+        AlarmService.stopAlarm().catch(() => {});
+      }
+      return;
+    }
+    if (!AlarmService.isPlaying()) {
+      fallAlarmRef.current = true;
+      AlarmService.startAlarm().catch(() => {});
+    }
+    setTimerNow(Date.now());
+    const id = setInterval(() => setTimerNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [fallCountdown]);
+
+  const submitFallPin = async () => {
+    if (fallPinBusy || fallPin.length < 4) return;
+    setFallPinBusy(true);
+    setFallPinError("");
+    try {
+      const result = await checkSosPin(fallPin);
+
+      // Duress PIN: the countdown stops like normal, the fleet is escalated silently
+      if (result === PIN_RESULT.DURESS) {
+        FallDetector.dismiss();
+        setDuressActive(true);
+        sendDuressSignal().catch(() => {});
+        return;
+      }
+
+      if (result !== PIN_RESULT.VALID) {
+        try { Vibration.vibrate(400); } catch {}
+        setFallPin("");
+        setFallPinError(result === PIN_RESULT.LOCKED ? "Too many wrong PINs — try again later" : "Incorrect PIN");
+        return;
+      }
+
+      FallDetector.dismiss();
+      try { Vibration.vibrate([0, 30]); } catch {}
+    } finally {
+      setFallPinBusy(false);
+    }
+  };
+
+  const startSafeTimer = async ({ durationMs, deadline }) => {
+    if (!hasPin) {
+      Alert.alert(
+        "Set Up Your PIN First",
+        "A safe-arrival timer can only be stopped with your SOS PIN. Go to Fleet to set it up.",
+        [
+          { text: "Cancel", style: "cancel" },
+          { text: "Set Up PIN", onPress: () => router.push("/(app)/fleet") },
+        ]
+      );
+      return;
+    }
+
+    const res = await SafeArrivalTimer.arm({ durationMs, deadline });
+    if (!res.ok) {
+      Alert.alert(
+        "Timer Not Set",
+        res.error === "too_soon"
+          ? "Pick a time at least a minute from now."
+          : res.error === "too_far"
+            ? "Timers can run for up to 24 hours."
+            : "Enter a time like 23:00 or 11:30 pm."
+      );
+      return;
+    }
+    setShowTimerSetup(false);
+    setHomeByText("");
+    try { Vibration.vibrate([0, 30]); } catch {}
+  };
+
+  const closeTimerPin = () => {
+    setTimerPinAction(null);
+    setTimerPin("");
+    setTimerPinError("");
+  };
+
+  const submitTimerPin = async () => {
+    if (timerPinBusy || timerPin.length < 4) return;
+    setTimerPinBusy(true);
+    setTimerPinError("");
+    try {
+      const result = await checkSosPin(timerPin);
+
+      // Duress PIN: the timer looks handled, but nobody is told "I'm OK" and the fleet is escalated
+      if (result === PIN_RESULT.DURESS) {
+        const action = timerPinAction || "check_in";
+        closeTimerPin();
+        await SafeArrivalTimer.cancel();
+        if (action !== "cancel") setLastCheckIn(Date.now());
+        try { Vibration.vibrate([0, 30]); } catch {}
+        setDuressActive(true);
+        sendDuressSignal().catch(() => {});
+        return;
+      }
+
+      if (result !== PIN_RESULT.VALID) {
+        try { Vibration.vibrate(400); } catch {}
+        setTimerPin("");
+        setTimerPinError(result === PIN_RESULT.LOCKED ? "Too many wrong PINs — try again later" : "Incorrect PIN");
+        return;
+      }
+
+      const action = timerPinAction || "check_in";
+      closeTimerPin();
+      if (action === "cancel") {
+        await SafeArrivalTimer.cancel();
+      } else {
+        const ok = await SafeArrivalTimer.checkIn();
+        if (ok) setLastCheckIn(Date.now());
+      }
+      try { Vibration.vibrate([0, 30]); } catch {}
+    } finally {
+      setTimerPinBusy(false);
+    }
+  };
+
+  const triggerSOS = async (detectedPhrase, { trigger = null, drill = false } = {}) => {
     if (deviceId === "Loading..." || deviceId === "Unavailable") return;
 
     if (!permReady) {
@@ -410,34 +640,75 @@ export default function HomePage() {
     if (sosLockRef.current) return;
     sosLockRef.current = true;
 
+    // What raised it rides along to the fleet + incident record (false-positive tuning)
+    const source = trigger || (detectedPhrase ? SOS_TRIGGERS.VOICE : SOS_TRIGGERS.BUTTON);
     if (detectedPhrase) console.log(`⚠️ SOS TRIGGERED by wake word: "${detectedPhrase}"`);
-    else console.log("⚠️ SOS TRIGGERED by button press");
+    else console.log(`⚠️ SOS TRIGGERED by ${source}`);
 
     try { await AsyncStorage.setItem(STORAGE_KEY_SOS, "1"); } catch {}
 
     setIsSOS(true);
     setSosStartTime((prev) => prev || Date.now());
+    setSosTrigger((prev) => prev || source);
+    if (drill) setSosDrill(true);
 
-    sendBatSignal(deviceId).catch(() => {});
+    sendBatSignal({ deviceId, trigger: source, triggerDetail: detectedPhrase || null, drill }).catch(() => {});
 
     setTimeout(() => { sosLockRef.current = false; }, 3000);
   };
 
   useEffect(() => { triggerSOSRef.current = triggerSOS; });
 
+  // ✅ Drill: the whole SOS flow for real (lock screen, streaming, broadcast, push) while the
+  // fleet only sees a silent test banner. The post-drill report lists who received it.
+  const startDrill = () => {
+    Alert.alert(
+      "Run an SOS Drill?",
+      "Everything runs like a real SOS, but your fleet only gets a silent \"SOS DRILL\" banner — no siren. Enter your PIN on the lock screen to end it.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Start Drill", onPress: () => triggerSOS(null, { trigger: SOS_TRIGGERS.BUTTON, drill: true }) },
+      ]
+    );
+  };
+
+  useEffect(() => {
+    if (!sosDrill) return;
+    SOSDrill.loadLastReport().then(setDrillReport).catch(() => {});
+    return SOSDrill.subscribe(setDrillReport);
+  }, [sosDrill]);
+
   const handleWakeWordStatus = (status) => {
     setWakeWordStatus(status);
   };
 
-  const disarmSOS = () => {
+  // ✅ Post-SOS report reads the incident record (who acknowledged / responded, start + end)
+  // plus per-member delivery receipts against the fleet roster
+  const loadReportIncident = async () => {
+    try {
+      const incidentId = await SOSIncidents.getLastIncidentId();
+      const incident = await SOSIncidents.getIncident(incidentId);
+      if (!incident) return;
+      setReportIncident(incident);
+      const roster = await SOSIncidents.getFleetRoster(incident.group_id, incident.device_id);
+      setReportDelivery(SOSIncidents.buildDeliveryList(incident.receipts, roster));
+    } catch {}
+  };
+
+  const disarmSOS = ({ duress = false } = {}) => {
     if (sosStartTime) {
       const duration = Math.round((Date.now() - sosStartTime) / 1000);
       setLastSosDuration(duration);
       setShowPostSosReport(true);
+      // Under duress the report must not reveal that the fleet is responding
+      if (!duress && !sosDrill) loadReportIncident();
     }
     setIsSOS(false);
     setSosStartTime(null);
-    AsyncStorage.setItem(STORAGE_KEY_SOS, "0").catch(() => {});
+    setDuressActive(duress);
+    if (!sosStartTime) setSosTrigger(null);
+    // Under duress the SOS flag stays "1" so LiveTracker keeps SOS-rate tracking
+    if (!duress) AsyncStorage.setItem(STORAGE_KEY_SOS, "0").catch(() => {});
   };
 
   const formatDuration = (seconds) => {
@@ -449,14 +720,67 @@ export default function HomePage() {
     return `${hrs}h ${mins % 60}m`;
   };
 
+  const formatClock = (iso) => {
+    const t = iso ? new Date(iso) : null;
+    if (!t || Number.isNaN(t.getTime())) return "—";
+    return t.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  };
+
+  const responderNames = (kind) => {
+    const list = Array.isArray(reportIncident?.responses) ? reportIncident.responses : [];
+    return list
+      .filter((r) => r?.kind === kind)
+      .map((r) => r?.display_name || "Fleet member")
+      .join(", ");
+  };
+
+  // "Other fleets 10:42 PM, Emergency contacts 10:44 PM (failed)" — tiers past the first fleet
+  const ESCALATION_LABELS = {
+    [ESCALATION_TIER.TEAM_SUPERVISORS]: "Team supervisors",
+    [ESCALATION_TIER.OTHER_FLEETS]: "Other fleets",
+    [ESCALATION_TIER.CONTACTS]: "Emergency contacts",
+  };
+  const escalationText = () => {
+    const steps = Array.isArray(reportIncident?.escalations) ? reportIncident.escalations : [];
+    return steps
+      .filter((e) => ESCALATION_LABELS[e?.tier])
+      .map((e) => `${ESCALATION_LABELS[e.tier]} ${formatClock(e.created_at)}${e.ok ? "" : " (failed)"}`)
+      .join(", ");
+  };
+
+  // "Voice phrase (“help me now”)" — the incident record wins, local trigger as fallback
+  const reportTriggerText = () => {
+    const label = getSosTriggerLabel(reportIncident?.trigger_source || sosTrigger);
+    if (!label) return null;
+    const detail = reportIncident?.trigger_detail;
+    return detail ? `${label} (“${detail}”)` : label;
+  };
+
   const closePostSosReport = () => {
+    // Resolution note is optional — saved to the incident record (queued if offline)
+    const note = reportNote.trim();
+    if (note && reportIncident?.id) {
+      SOSIncidents.addResolutionNote(reportIncident.id, note).catch(() => {});
+    }
     setShowPostSosReport(false);
     setLastSosDuration(null);
+    setReportIncident(null);
+    setReportDelivery([]);
+    setReportNote("");
+    setSosTrigger(null);
+    setSosDrill(false);
+    setDrillReport(null);
   };
 
   const handleCheckIn = async () => {
     if (isCheckingIn || !permReady) return;
 
+    // An armed safe-arrival timer is only satisfied by a PIN-confirmed check-in
+    if (safeTimer) {
+      setTimerPinAction("check_in");
+      return;
+    }
+
     // ✅ Fix 4: Explain why the button is disabled when device ID isn't ready
     if (deviceId === "Loading..." || deviceId === "Unavailable") {
       Alert.alert("Not Ready", "Device identity is still loading. Please wait a moment and try again.");
@@ -531,8 +855,8 @@ export default function HomePage() {
         <Pressable style={styles.modalBackdrop} onPress={closePostSosReport}>
           <Pressable style={styles.modalCard} onPress={() => {}}>
             <View style={styles.modalHeaderRow}>
-              <Ionicons name="shield-checkmark" size={32} color={colors.green} />
-              <Text style={styles.modalTitle}>Emergency Resolved</Text>
+              <Ionicons name={sosDrill ? "flask" : "shield-checkmark"} size={32} color={colors.green} />
+              <Text style={styles.modalTitle}>{sosDrill ? "Drill Complete" : "Emergency Resolved"}</Text>
             </View>
 
             <View style={styles.durationBadge}>
@@ -540,8 +864,71 @@ export default function HomePage() {
               <Text style={styles.durationValue}>{lastSosDuration ? formatDuration(lastSosDuration) : "—"}</Text>
             </View>
 
+            {reportIncident ? (
+              <View style={styles.tipBox}>
+                <Text style={styles.tipTitle}>Incident Record</Text>
+                <Text style={styles.tipText}>
+                  {`Started: ${formatClock(reportIncident.started_at)}   Ended: ${formatClock(reportIncident.ended_at)}`}
+                </Text>
+                <Text style={styles.tipText}>
+                  {`Triggered by: ${reportTriggerText() || "Unknown"}`}
+                </Text>
+                <Text style={styles.tipText}>
+                  {`Acknowledged by: ${responderNames(RESPONSE_KIND.ACKNOWLEDGED) || "No one yet"}`}
+                </Text>
+                <Text style={styles.tipText}>
+                  {`Responded: ${responderNames(RESPONSE_KIND.RESPONDED) || "—"}`}
+                </Text>
+                {escalationText() ? (
+                  <Text style={styles.tipText}>{`Escalated to: ${escalationText()}`}</Text>
+                ) : null}
+                <DeliveryReceipts members={reportDelivery} />
+              </View>
+            ) : null}
+
+            {sosDrill && drillReport ? (
+              <View style={styles.tipBox}>
+                <Text style={styles.tipTitle}>
+                  {drillReport.total
+                    ? `Drill Delivery — reached ${drillReport.reached} of ${drillReport.total}`
+                    : `Drill Delivery — reached ${drillReport.reached}`}
+                </Text>
+                <Text style={styles.tipText}>
+                  {drillReport.broadcast === DRILL_BROADCAST.SENT
+                    ? `Broadcast sent${drillReport.pushSent ? " · push sent" : ""}`
+                    : drillReport.broadcast === DRILL_BROADCAST.FAILED
+                    ? "Broadcast failed — check your connection and try again"
+                    : "Broadcast pending…"}
+                </Text>
+                {drillReport.members.map((m) => (
+                  <Text key={m.deviceId} style={styles.tipText}>
+                    {m.received
+                      ? `✓ ${m.displayName || "Fleet member"} — ${formatClock(m.receivedAt)}${m.appState && m.appState !== "active" ? " (in background)" : ""}`
+                      : `✗ ${m.displayName || "Fleet member"} — not received`}
+                  </Text>
+                ))}
+                {!drillReport.members.length && (
+                  <Text style={styles.tipText}>No receipts yet — late ones keep arriving while this is open.</Text>
+                )}
+              </View>
+            ) : null}
+
+            {!sosDrill && (
+            <TextInput
+              style={styles.noteInput}
+              value={reportNote}
+              onChangeText={setReportNote}
+              placeholder="Resolution note (optional)"
+              placeholderTextColor={colors.faint}
+              multiline
+              maxLength={500}
+            />
+            )}
+
             <Text style={styles.modalMessage}>
-              Your fleet has been notified that you are safe. Location tracking and camera access have been stopped.
+              {sosDrill
+                ? "Drill ended. Your fleet only saw a test banner. Location tracking and camera access have been stopped."
+                : "Your fleet has been notified that you are safe. Location tracking and camera access have been stopped."}
             </Text>
 
             <View style={styles.tipBox}>
@@ -556,19 +943,187 @@ export default function HomePage() {
         </Pressable>
       </Modal>
 
-      {/* Stealth streamer only during SOS */}
-      {isSOS && permReady && deviceId !== "Loading..." && deviceId !== "Unavailable" && (
+      {/* Safe-arrival timer setup */}
+      <Modal transparent visible={showTimerSetup} animationType="fade" onRequestClose={() => setShowTimerSetup(false)}>
+        <Pressable style={styles.modalBackdrop} onPress={() => setShowTimerSetup(false)}>
+          <Pressable style={[styles.modalCard, styles.timerCard]} onPress={() => {}}>
+            <View style={styles.modalHeaderRow}>
+              <Ionicons name="timer-outline" size={32} color={colors.amber} />
+              <Text style={[styles.modalTitle, styles.timerTitle]}>Safe Arrival</Text>
+            </View>
+
+            <Text style={styles.modalMessage}>
+              If you don't check in with your PIN by the deadline, your fleet gets an SOS automatically
+              {` (after a ${Math.round(PRE_ALERT_GRACE_MS / 60000)}-minute warning).`}
+            </Text>
+
+            <Text style={styles.timerSectionLabel}>CHECK ON ME IN</Text>
+            <View style={styles.timerPresetRow}>
+              {SAFE_ARRIVAL_PRESETS_MIN.map((min) => (
+                <TouchableOpacity
+                  key={min}
+                  style={styles.timerPreset}
+                  onPress={() => startSafeTimer({ durationMs: min * 60_000 })}
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.timerPresetText}>{min >= 60 ? `${min / 60}h` : `${min}m`}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.timerSectionLabel}>OR HOME BY</Text>
+            <View style={styles.timerHomeByRow}>
+              <TextInput
+                style={styles.timerInput}
+                value={homeByText}
+                onChangeText={setHomeByText}
+                placeholder="23:00"
+                placeholderTextColor={colors.faint}
+                autoCapitalize="none"
+                maxLength={8}
+              />
+              <TouchableOpacity
+                style={styles.timerSetBtn}
+                onPress={() => startSafeTimer({ deadline: parseHomeByTime(homeByText) ?? NaN })}
+                activeOpacity={0.9}
+              >
+                <Text style={styles.timerSetBtnText}>START</Text>
+              </TouchableOpacity>
+            </View>
+          </Pressable>
+        </Pressable>
+      </Modal>
+
+      {/* Safe-arrival PIN prompt (check-in / cancel) — forced open during the pre-alert */}
+      <Modal
+        transparent
+        visible={!isSOS && (!!timerPinAction || safeTimer?.state === TIMER_STATE.PRE_ALERT)}
+        animationType="fade"
+        onRequestClose={() => { if (safeTimer?.state !== TIMER_STATE.PRE_ALERT) closeTimerPin(); }}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={[styles.modalCard, safeTimer?.state === TIMER_STATE.PRE_ALERT ? styles.preAlertCard : styles.timerCard]}>
+            {safeTimer?.state === TIMER_STATE.PRE_ALERT ? (
+              <>
+                <View style={styles.modalHeaderRow}>
+                  <Ionicons name="alert-circle" size={36} color={colors.red} />
+                  <Text style={[styles.modalTitle, styles.preAlertTitle]}>Are You OK?</Text>
+                </View>
+                <Text style={styles.modalMessage}>
+                  {`You missed your safe-arrival check-in. SOS will be sent to your fleet in ${formatRemaining(
+                    safeTimer.deadline + PRE_ALERT_GRACE_MS - timerNow
+                  )}.`}
+                </Text>
+              </>
+            ) : (
+              <View style={styles.modalHeaderRow}>
+                <Ionicons name="lock-closed-outline" size={30} color={colors.amber} />
+                <Text style={[styles.modalTitle, styles.timerTitle]}>
+                  {timerPinAction === "cancel" ? "Cancel Timer" : "I'm Safe"}
+                </Text>
+              </View>
+            )}
+
+            <TextInput
+              style={[styles.timerInput, styles.timerPinInput]}
+              value={timerPin}
+              onChangeText={(v) => setTimerPin(v.replace(/\D/g, "").slice(0, 4))}
+              placeholder="Enter PIN"
+              placeholderTextColor={colors.faint}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={4}
+              onSubmitEditing={submitTimerPin}
+            />
+            {timerPinError ? <Text style={styles.timerPinError}>{timerPinError}</Text> : null}
+
+            <TouchableOpacity
+              style={[styles.modalBtn, (timerPin.length < 4 || timerPinBusy) && styles.sosBtnDim]}
+              onPress={submitTimerPin}
+              disabled={timerPin.length < 4 || timerPinBusy}
+              activeOpacity={0.9}
+            >
+              {timerPinBusy ? (
+                <ActivityIndicator color={colors.bg} size="small" />
+              ) : (
+                <Text style={styles.modalBtnText}>
+                  {timerPinAction === "cancel" ? "CANCEL TIMER" : "CHECK IN"}
+                </Text>
+              )}
+            </TouchableOpacity>
+
+            {safeTimer?.state !== TIMER_STATE.PRE_ALERT && (
+              <TouchableOpacity onPress={closeTimerPin} style={styles.settingsLink}>
+                <Text style={styles.settingsLinkText}>Back</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      </Modal>
+
+      {/* Fall / crash detected — loud countdown, PIN to stop it */}
+      <Modal transparent visible={!isSOS && !!fallCountdown} animationType="fade" onRequestClose={() => {}}>
+        <View style={styles.modalBackdrop}>
+          <View style={[styles.modalCard, styles.preAlertCard]}>
+            <View style={styles.modalHeaderRow}>
+              <Ionicons name="alert-circle" size={36} color={colors.red} />
+              <Text style={[styles.modalTitle, styles.preAlertTitle]}>
+                {fallCountdown?.trigger === FALL_TRIGGERS.CRASH ? "Crash Detected" : "Fall Detected"}
+              </Text>
+            </View>
+            <Text style={styles.fallCountdownNumber}>
+              {Math.max(0, Math.ceil(((fallCountdown?.deadline || 0) - timerNow) / 1000))}
+            </Text>
+            <Text style={styles.modalMessage}>
+              Are you OK? SOS will be sent to your fleet when the countdown ends. Enter your PIN to stop it.
+            </Text>
+
+            <TextInput
+              style={[styles.timerInput, styles.timerPinInput]}
+              value={fallPin}
+              onChangeText={(v) => setFallPin(v.replace(/\D/g, "").slice(0, 4))}
+              placeholder="Enter PIN"
+              placeholderTextColor={colors.faint}
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={4}
+              onSubmitEditing={submitFallPin}
+            />
+            {fallPinError ? <Text style={styles.timerPinError}>{fallPinError}</Text> : null}
+
+            <TouchableOpacity
+              style={[styles.modalBtn, (fallPin.length < 4 || fallPinBusy) && styles.sosBtnDim]}
+              onPress={submitFallPin}
+              disabled={fallPin.length < 4 || fallPinBusy}
+              activeOpacity={0.9}
+            >
+              {fallPinBusy ? (
+                <ActivityIndicator color={colors.bg} size="small" />
+              ) : (
+                <Text style={styles.modalBtnText}>I'M OK</Text>
+              )}
+            </TouchableOpacity>
+
+            <TouchableOpacity onPress={() => FallDetector.sendNow().catch(() => {})} style={styles.settingsLink}>
+              <Text style={[styles.settingsLinkText, { color: colors.red }]}>Send SOS now</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Stealth streamer only during SOS (and after a duress "cancel") */}
+      {(isSOS || duressActive) && permReady && deviceId !== "Loading..." && deviceId !== "Unavailable" && (
         <StealthStreamer channelId={deviceId} />
       )}
 
       {isSOS ? (
         <View style={StyleSheet.absoluteFill}>
-          <FakeLockScreen onUnlock={disarmSOS} />
+          <FakeLockScreen onUnlock={disarmSOS} drill={sosDrill} />
         </View>
       ) : (
         <SafeAreaView style={styles.container}>
           {/* Wake word listener */}
-          {permReady && (
+          {permReady && !duressActive && (
             <WakeWordListener onTrigger={triggerSOS} onStatus={handleWakeWordStatus} />
           )}
 
@@ -680,6 +1235,44 @@ export default function HomePage() {
             </TouchableOpacity>
           )}
 
+          {/* ── Safe-Arrival Timer ── */}
+          {permReady && (
+            safeTimer ? (
+              <View style={styles.timerActive}>
+                <View style={styles.checkInRow}>
+                  <Ionicons name="timer-outline" size={18} color={colors.amber} />
+                  <Text style={styles.timerActiveText}>
+                    {`Check in by ${new Date(safeTimer.deadline).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}`}
+                  </Text>
+                  <Text style={styles.timerRemaining}>{formatRemaining(safeTimer.deadline - timerNow)}</Text>
+                </View>
+                <View style={styles.timerActionRow}>
+                  <TouchableOpacity style={styles.timerSafeBtn} onPress={() => setTimerPinAction("check_in")} activeOpacity={0.85}>
+                    <Text style={styles.timerSafeBtnText}>I'M SAFE</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.timerCancelBtn} onPress={() => setTimerPinAction("cancel")} activeOpacity={0.85}>
+                    <Text style={styles.timerCancelBtnText}>CANCEL</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ) : (
+              <TouchableOpacity style={styles.timerBtn} onPress={() => setShowTimerSetup(true)} activeOpacity={0.85}>
+                <View style={styles.checkInRow}>
+                  <Ionicons name="timer-outline" size={18} color={colors.amber} />
+                  <Text style={styles.timerBtnText}>SAFE ARRIVAL TIMER</Text>
+                </View>
+              </TouchableOpacity>
+            )
+          )}
+
+          {/* ── SOS Drill ── */}
+          {permReady && hasPin && (
+            <TouchableOpacity onPress={startDrill} style={styles.settingsLink}>
+              <Ionicons name="flask-outline" size={14} color={colors.muted} />
+              <Text style={styles.settingsLinkText}>Run an SOS drill</Text>
+            </TouchableOpacity>
+          )}
+
           <Text style={styles.hint}>
             {anyMissing
               ? "Grant all permissions to activate your shield."
@@ -927,6 +1520,78 @@ const styles = StyleSheet.create({
     letterSpacing: 0.8,
   },
 
+  // ── Safe-Arrival Timer ──
+  timerBtn: {
+    width: "100%",
+    paddingVertical: 13,
+    borderRadius: radius.md,
+    backgroundColor: colors.amberDim,
+    borderWidth: 1,
+    borderColor: "rgba(251,191,36,0.35)",
+    alignItems: "center",
+    marginBottom: space.md,
+  },
+  timerBtnText: {
+    color: colors.amber,
+    fontSize: 13,
+    fontFamily: font.bold,
+    letterSpacing: 0.8,
+  },
+  timerActive: {
+    width: "100%",
+    padding: space.sm,
+    borderRadius: radius.md,
+    backgroundColor: colors.amberDim,
+    borderWidth: 1,
+    borderColor: "rgba(251,191,36,0.35)",
+    marginBottom: space.md,
+    gap: 10,
+  },
+  timerActiveText: {
+    flex: 1,
+    color: colors.text,
+    fontSize: 13,
+    fontFamily: font.semi,
+  },
+  timerRemaining: {
+    color: colors.amber,
+    fontSize: 13,
+    fontFamily: font.bold,
+  },
+  timerActionRow: {
+    flexDirection: "row",
+    gap: 10,
+  },
+  timerSafeBtn: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: radius.sm,
+    backgroundColor: colors.greenDim,
+    borderWidth: 1,
+    borderColor: colors.greenBorder,
+    alignItems: "center",
+  },
+  timerSafeBtnText: {
+    color: colors.green,
+    fontSize: 12,
+    fontFamily: font.bold,
+    letterSpacing: 0.8,
+  },
+  timerCancelBtn: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: radius.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: "center",
+  },
+  timerCancelBtnText: {
+    color: colors.muted,
+    fontSize: 12,
+    fontFamily: font.bold,
+    letterSpacing: 0.8,
+  },
+
   hint: {
     color: colors.faint,
     fontSize: 12,
@@ -1011,6 +1676,22 @@ const styles = StyleSheet.create({
     fontFamily: font.reg,
     lineHeight: 18,
   },
+  noteInput: {
+    width: "100%",
+    minHeight: 60,
+    maxHeight: 120,
+    borderRadius: radius.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.bg,
+    color: colors.text,
+    fontSize: 13,
+    fontFamily: font.reg,
+    paddingHorizontal: space.sm,
+    paddingVertical: 10,
+    marginBottom: space.md,
+    textAlignVertical: "top",
+  },
   modalBtn: {
     backgroundColor: colors.green,
     paddingVertical: 14,
@@ -1025,4 +1706,96 @@ const styles = StyleSheet.create({
     fontFamily: font.black,
     letterSpacing: 1,
   },
+
+  // ── Safe-Arrival Modals ──
+  timerCard: {
+    borderColor: "rgba(251,191,36,0.35)",
+  },
+  timerTitle: {
+    color: colors.amber,
+  },
+  fallCountdownNumber: {
+    color: colors.red,
+    fontSize: 64,
+    fontFamily: font.black,
+    textAlign: "center",
+    marginVertical: space.sm,
+  },
+  preAlertCard: {
+    borderColor: colors.redBorder,
+  },
+  preAlertTitle: {
+    color: colors.red,
+  },
+  timerSectionLabel: {
+    alignSelf: "flex-start",
+    color: colors.muted,
+    fontSize: 10,
+    fontFamily: font.bold,
+    letterSpacing: 1.2,
+    marginBottom: 8,
+  },
+  timerPresetRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    width: "100%",
+    marginBottom: space.md,
+  },
+  timerPreset: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: radius.pill,
+    backgroundColor: colors.amberDim,
+    borderWidth: 1,
+    borderColor: "rgba(251,191,36,0.35)",
+  },
+  timerPresetText: {
+    color: colors.amber,
+    fontSize: 13,
+    fontFamily: font.bold,
+  },
+  timerHomeByRow: {
+    flexDirection: "row",
+    gap: 8,
+    width: "100%",
+  },
+  timerInput: {
+    flex: 1,
+    borderRadius: radius.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.bg,
+    color: colors.text,
+    fontSize: 15,
+    fontFamily: font.semi,
+    paddingHorizontal: space.sm,
+    paddingVertical: 10,
+  },
+  timerPinInput: {
+    flex: 0,
+    width: "100%",
+    textAlign: "center",
+    letterSpacing: 8,
+    marginBottom: space.sm,
+  },
+  timerPinError: {
+    color: colors.red,
+    fontSize: 12,
+    fontFamily: font.semi,
+    marginBottom: space.sm,
+  },
+  timerSetBtn: {
+    paddingHorizontal: space.md,
+    borderRadius: radius.sm,
+    backgroundColor: colors.amber,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  timerSetBtnText: {
+    color: colors.bg,
+    fontSize: 13,
+    fontFamily: font.black,
+    letterSpacing: 0.8,
+  },
 });
@@ -1,6 +1,13 @@
 /**
  * Work Fleet Manager Dashboard
- * Shows all Work fleet members' locations for the fleet owner
+ * Shows Work fleet members' locations to roles that can see them outside an SOS:
+ * owner and admins see everyone, a supervisor sees their own team.
+ * Block, invite and role changes appear only when the viewer's role allows them
+ * (enforced again by the RPCs — supabase/fleet_roles.sql).
+ * Teams: filter the list by team; owner and admins create teams and shifts and put members
+ * on them (supabase/fleet_teams.sql). Off-shift members show without a location.
+ * Join approval: owner and admins approve or reject people waiting to join
+ * (JoinRequestsPanel — supabase/fleet_invites.sql).
  */
 import React, { useState, useEffect, useRef, useCallback } from "react";
 import {
@@ -23,11 +30,23 @@ import { useRouter } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "../../src/lib/supabase";
 import { font } from "../../src/theme";
+import FleetRoles from "../../src/services/FleetRoles";
+import FleetTeams, { formatShiftHours } from "../../src/services/FleetTeams";
+import FleetTeamEditor from "../../src/components/FleetTeamEditor";
+import JoinRequestsPanel from "../../src/components/JoinRequestsPanel";
+import {
+  FLEET_PERMISSIONS,
+  ROLE_LABELS,
+  ROLE_DESCRIPTIONS,
+  assignableRoles,
+  canActOn,
+  normalizeRole,
+} from "../../src/utils/fleetRoles";
 
 const { width: SCREEN_WIDTH } = Dimensions.get("window");
 
 // RPC function names
-const RPC_IS_WORK_FLEET_OWNER = "is_work_fleet_owner";
+const RPC_GET_WORK_FLEET_ACCESS = "get_work_fleet_access";
 const RPC_GET_MEMBERS_LOCATIONS = "get_work_fleet_members_locations";
 const RPC_BLOCK_USER = "block_user_from_fleet";
 const RPC_UNBLOCK_USER = "unblock_user_from_fleet";
@@ -36,13 +55,24 @@ const RPC_GET_BLOCKED = "get_blocked_users";
 // Refresh interval (15 seconds)
 const REFRESH_INTERVAL_MS = 15000;
 
+const ROLE_COLORS = {
+  owner: "#fbbf24",
+  admin: "#a78bfa",
+  supervisor: "#3b82f6",
+  responder: "#22c55e",
+  member: "#94a3b8",
+};
+
 export default function ManagerDashboard() {
   const router = useRouter();
 
   // State
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  // Dashboard access = the role can see locations outside an SOS (owner / admin / supervisor)
   const [isOwner, setIsOwner] = useState(false);
+  const [myRole, setMyRole] = useState(null);
+  const [permissions, setPermissions] = useState([]);
   const [hasWorkFleet, setHasWorkFleet] = useState(false);
   const [members, setMembers] = useState([]);
   const [memberCount, setMemberCount] = useState(0);
@@ -55,6 +85,16 @@ export default function ManagerDashboard() {
   const [blockedUsers, setBlockedUsers] = useState([]);
   const [showBlockedSection, setShowBlockedSection] = useState(false);
   const [blockingUserId, setBlockingUserId] = useState(null);
+  const [roleChangingUserId, setRoleChangingUserId] = useState(null);
+
+  // Teams: filter (null = everyone the role can see) + editor
+  const [teams, setTeams] = useState([]);
+  const [teamFilter, setTeamFilter] = useState(null);
+  const [editingTeam, setEditingTeam] = useState(null); // team object, {} = new team, null = closed
+  const [assigningUserId, setAssigningUserId] = useState(null);
+  const [joinRequestCount, setJoinRequestCount] = useState(0);
+  const joinRequestCountRef = useRef(0);
+  const teamFilterRef = useRef(null);
 
   // Auto-refresh timer
   const refreshTimerRef = useRef(null);
@@ -64,20 +104,27 @@ export default function ManagerDashboard() {
   const isMountedRef = useRef(true);
   const fetchRef = useRef(null);
 
-  // Check if user is Work fleet owner
+  const can = (permission) => permissions.includes(permission);
+
+  // Check the user's role in their Work fleet
   const checkOwnership = useCallback(async () => {
     try {
-      const { data, error: err } = await supabase.rpc(RPC_IS_WORK_FLEET_OWNER);
+      const { data, error: err } = await supabase.rpc(RPC_GET_WORK_FLEET_ACCESS);
       if (err) throw err;
 
-      setIsOwner(data?.is_owner === true);
+      const perms = Array.isArray(data?.permissions) ? data.permissions : [];
+      const allowed = data?.ok === true && perms.includes(FLEET_PERMISSIONS.VIEW_LOCATION);
+
+      setIsOwner(allowed);
+      setMyRole(data?.role ? normalizeRole(data.role) : null);
+      setPermissions(perms);
       setHasWorkFleet(data?.has_work_fleet === true);
       setInviteCode(data?.invite_code || "");
       setMemberCount(data?.member_count || 0);
       // ✅ Store group_id for real-time SOS subscription
       if (data?.group_id) groupIdRef.current = data.group_id;
 
-      return data?.is_owner === true;
+      return allowed;
     } catch (e) {
       console.log("checkOwnership error:", e?.message || e);
       setError("Failed to verify fleet ownership");
@@ -91,7 +138,9 @@ export default function ManagerDashboard() {
       if (isRefresh) setRefreshing(true);
       else setLoading(true);
 
-      const { data, error: err } = await supabase.rpc(RPC_GET_MEMBERS_LOCATIONS);
+      const { data, error: err } = await supabase.rpc(RPC_GET_MEMBERS_LOCATIONS, {
+        p_team_id: teamFilterRef.current,
+      });
 
       if (err) throw err;
 
@@ -222,12 +271,97 @@ export default function ManagerDashboard() {
     }
   }, []);
 
-  // Load blocked users when owner
+  // Load blocked users when the role can block
+  const canBlock = permissions.includes(FLEET_PERMISSIONS.BLOCK);
   useEffect(() => {
-    if (isOwner) {
+    if (canBlock) {
       fetchBlockedUsers();
     }
-  }, [isOwner, fetchBlockedUsers]);
+  }, [canBlock, fetchBlockedUsers]);
+
+  // Teams of the work fleet (filter chips + editor)
+  const fetchTeams = useCallback(async () => {
+    if (!groupIdRef.current) return [];
+    const res = await FleetTeams.getTeams(groupIdRef.current);
+    if (res.ok) setTeams(res.teams);
+    return res.teams;
+  }, []);
+
+  useEffect(() => {
+    if (isOwner) fetchTeams();
+  }, [isOwner, fetchTeams]);
+
+  // An approval shrinks the queue → the new member belongs in the list
+  const handleJoinRequestsChanged = (count) => {
+    if (count < joinRequestCountRef.current) fetchMemberLocations(true);
+    joinRequestCountRef.current = count;
+    setJoinRequestCount(count);
+  };
+
+  const selectTeamFilter = (teamId) => {
+    teamFilterRef.current = teamId;
+    setTeamFilter(teamId);
+    fetchMemberLocations(true);
+  };
+
+  // Editor saved: reload, keep the edited team open (null id = deleted → close)
+  const handleTeamSaved = async (teamId) => {
+    const fresh = await fetchTeams();
+    setEditingTeam(teamId ? fresh.find((t) => t.id === teamId) || null : null);
+    if (!teamId && teamFilterRef.current && !fresh.some((t) => t.id === teamFilterRef.current)) {
+      selectTeamFilter(null);
+    } else {
+      fetchMemberLocations(true);
+    }
+  };
+
+  // Put a member on a team, then (if it has any) one of its shifts
+  const handleAssignTeam = (member) => {
+    if (!groupIdRef.current) return;
+
+    const assign = async (teamId, shiftId = null) => {
+      setAssigningUserId(member.user_id);
+      try {
+        const res = await FleetTeams.assignMember(groupIdRef.current, member.user_id, { teamId, shiftId });
+        if (res.ok) {
+          await Promise.all([fetchMemberLocations(true), fetchTeams()]);
+        } else {
+          Alert.alert("Error", res.error === "not_permitted"
+            ? "Only the fleet owner and admins can assign teams."
+            : "Failed to assign team");
+        }
+      } finally {
+        setAssigningUserId(null);
+      }
+    };
+
+    const pickShift = (team) => {
+      const shifts = Array.isArray(team.shifts) ? team.shifts : [];
+      if (shifts.length === 0) return assign(team.id);
+      Alert.alert(
+        "Shift",
+        `Which ${team.name} shift is ${member.display_name || "this member"} on?`,
+        [
+          ...shifts.map((shift) => ({
+            text: `${shift.name} — ${formatShiftHours(shift)}`,
+            onPress: () => assign(team.id, shift.id),
+          })),
+          { text: "No shift (always on)", onPress: () => assign(team.id) },
+          { text: "Cancel", style: "cancel" },
+        ]
+      );
+    };
+
+    Alert.alert(
+      "Team",
+      `${member.display_name || "This member"} is ${member.team_name ? `on ${member.team_name}` : "not on a team"}.`,
+      [
+        ...teams.map((team) => ({ text: team.name, onPress: () => pickShift(team) })),
+        ...(member.team_id ? [{ text: "No team", style: "destructive", onPress: () => assign(null) }] : []),
+        { text: "Cancel", style: "cancel" },
+      ]
+    );
+  };
 
   // Block a user
   const handleBlockUser = (member) => {
@@ -264,6 +398,38 @@ export default function ManagerDashboard() {
     );
   };
 
+  // Change a member's role (owner / admins — only the owner makes admins)
+  const handleChangeRole = (member) => {
+    const options = assignableRoles(myRole, member.role).filter((r) => r !== normalizeRole(member.role));
+    if (!groupIdRef.current || options.length === 0) return;
+
+    Alert.alert(
+      "Change Role",
+      `${member.display_name || "This member"} is ${ROLE_LABELS[normalizeRole(member.role)]}.`,
+      [
+        ...options.map((role) => ({
+          text: `${ROLE_LABELS[role]} — ${ROLE_DESCRIPTIONS[role]}`,
+          onPress: async () => {
+            setRoleChangingUserId(member.user_id);
+            try {
+              const res = await FleetRoles.setMemberRole(groupIdRef.current, member.user_id, role);
+              if (res.ok) {
+                await fetchMemberLocations(true);
+              } else {
+                Alert.alert("Error", res.error === "not_permitted"
+                  ? "Your role can't give that role."
+                  : "Failed to change role");
+              }
+            } finally {
+              setRoleChangingUserId(null);
+            }
+          },
+        })),
+        { text: "Cancel", style: "cancel" },
+      ]
+    );
+  };
+
   // Unblock a user
   const handleUnblockUser = (blockedUser) => {
     Alert.alert(
@@ -345,6 +511,12 @@ export default function ManagerDashboard() {
     const hasLocation =
       typeof member.latitude === "number" && typeof member.longitude === "number";
     const isSelected = selectedMember?.user_id === member.user_id;
+    const role = normalizeRole(member.role);
+    const roleColor = ROLE_COLORS[role];
+    const showBlock = can(FLEET_PERMISSIONS.BLOCK) && canActOn(myRole, role);
+    const showRoleChange = can(FLEET_PERMISSIONS.MANAGE_ROLES) && assignableRoles(myRole, role).length > 0;
+    const showAssignTeam = can(FLEET_PERMISSIONS.MANAGE_TEAMS) && teams.length > 0;
+    const offShift = member.on_shift === false;
 
     return (
       <TouchableOpacity
@@ -361,6 +533,11 @@ export default function ManagerDashboard() {
           <View style={styles.memberNameRow}>
             <View style={[styles.statusDot, { backgroundColor: statusColor }]} />
             <Text style={styles.memberName}>{member.display_name || "Member"}</Text>
+            <View style={[styles.roleBadge, { borderColor: roleColor }]}>
+              <Text style={[styles.roleBadgeText, { color: roleColor }]}>
+                {ROLE_LABELS[role].toUpperCase()}
+              </Text>
+            </View>
           </View>
           <View style={[styles.statusBadge, { borderColor: statusColor }]}>
             <Text style={[styles.statusText, { color: statusColor }]}>
@@ -383,8 +560,25 @@ export default function ManagerDashboard() {
             </TouchableOpacity>
           ) : (
             <View style={styles.detailRow}>
-              <Ionicons name="location-outline" size={14} color="#64748b" />
-              <Text style={styles.detailTextMuted}>No location data</Text>
+              <Ionicons name={offShift ? "eye-off-outline" : "location-outline"} size={14} color="#64748b" />
+              <Text style={styles.detailTextMuted}>
+                {offShift && member.status !== "SOS" ? "Off shift — location private" : "No location data"}
+              </Text>
+            </View>
+          )}
+
+          {!!member.team_name && (
+            <View style={styles.detailRow}>
+              <Ionicons name="people-outline" size={14} color="#64748b" />
+              <Text style={styles.detailText}>
+                {member.team_name}
+                {member.shift_name ? ` • ${member.shift_name}` : ""}
+              </Text>
+              {!!member.shift_id && (
+                <Text style={[styles.shiftTag, offShift && styles.shiftTagOff]}>
+                  {offShift ? "OFF SHIFT" : "ON SHIFT"}
+                </Text>
+              )}
             </View>
           )}
 
@@ -423,27 +617,61 @@ export default function ManagerDashboard() {
                 </Text>
               </TouchableOpacity>
             )}
-            <TouchableOpacity
-              style={styles.blockBtn}
-              onPress={() => handleBlockUser(member)}
-              disabled={blockingUserId === member.user_id}
-            >
-              {blockingUserId === member.user_id ? (
-                <ActivityIndicator size="small" color="#ef4444" />
-              ) : (
-                <>
-                  <Ionicons name="ban-outline" size={18} color="#ef4444" />
-                  <Text style={styles.blockBtnText}>Block from Fleet</Text>
-                </>
-              )}
-            </TouchableOpacity>
+            {showRoleChange && (
+              <TouchableOpacity
+                style={styles.roleBtn}
+                onPress={() => handleChangeRole(member)}
+                disabled={roleChangingUserId === member.user_id}
+              >
+                {roleChangingUserId === member.user_id ? (
+                  <ActivityIndicator size="small" color="#a78bfa" />
+                ) : (
+                  <>
+                    <Ionicons name="shield-half-outline" size={18} color="#a78bfa" />
+                    <Text style={styles.roleBtnText}>Change Role</Text>
+                  </>
+                )}
+              </TouchableOpacity>
+            )}
+            {showAssignTeam && (
+              <TouchableOpacity
+                style={styles.roleBtn}
+                onPress={() => handleAssignTeam(member)}
+                disabled={assigningUserId === member.user_id}
+              >
+                {assigningUserId === member.user_id ? (
+                  <ActivityIndicator size="small" color="#a78bfa" />
+                ) : (
+                  <>
+                    <Ionicons name="people-outline" size={18} color="#a78bfa" />
+                    <Text style={styles.roleBtnText}>Team & Shift</Text>
+                  </>
+                )}
+              </TouchableOpacity>
+            )}
+            {showBlock && (
+              <TouchableOpacity
+                style={styles.blockBtn}
+                onPress={() => handleBlockUser(member)}
+                disabled={blockingUserId === member.user_id}
+              >
+                {blockingUserId === member.user_id ? (
+                  <ActivityIndicator size="small" color="#ef4444" />
+                ) : (
+                  <>
+                    <Ionicons name="ban-outline" size={18} color="#ef4444" />
+                    <Text style={styles.blockBtnText}>Block from Fleet</Text>
+                  </>
+                )}
+              </TouchableOpacity>
+            )}
           </View>
         )}
       </TouchableOpacity>
     );
   };
 
-  // Not a Work fleet owner
+  // No Work fleet, or a role without the dashboard (responder / member)
   if (!loading && (!hasWorkFleet || !isOwner)) {
     return (
       <>
@@ -456,12 +684,12 @@ export default function ManagerDashboard() {
         <View style={styles.centerContent}>
           <Ionicons name="briefcase-outline" size={64} color="#475569" />
           <Text style={styles.emptyTitle}>
-            {!hasWorkFleet ? "No Work Fleet" : "Not Fleet Owner"}
+            {!hasWorkFleet ? "No Work Fleet" : "Not a Fleet Manager"}
           </Text>
           <Text style={styles.emptySubtitle}>
             {!hasWorkFleet
               ? "Create or join a Work fleet to access the Manager Dashboard."
-              : "Only the fleet creator can access the Manager Dashboard to track members."}
+              : `Your role (${ROLE_LABELS[myRole || "member"]}) can't see member locations outside an SOS. Ask the fleet owner or an admin for the Supervisor or Admin role.`}
           </Text>
 
           <View style={styles.helpBox}>
@@ -539,6 +767,7 @@ export default function ManagerDashboard() {
           <Text style={styles.headerTitle}>WORK FLEET</Text>
           <Text style={styles.headerSubtitle}>
             {memberCount} member{memberCount !== 1 ? "s" : ""}
+            {myRole ? ` • ${ROLE_LABELS[myRole]}` : ""}
           </Text>
         </View>
 
@@ -585,24 +814,36 @@ export default function ManagerDashboard() {
           </View>
         </View>
 
-        {/* Invite Code Card */}
-        <View style={styles.inviteCodeCard}>
-          <Text style={styles.inviteCodeLabel}>FLEET INVITE CODE</Text>
-          <View style={styles.inviteCodeRow}>
-            <Text style={styles.inviteCodeValue}>{inviteCode || "—"}</Text>
-            {inviteCode ? (
-              <TouchableOpacity
-                style={styles.shareCodeBtn}
-                onPress={() => Share.share({ message: `Join my SenTihNel Work Fleet with code: ${inviteCode}` })}
-              >
-                <Ionicons name="share-outline" size={20} color="#22c55e" />
-              </TouchableOpacity>
-            ) : null}
+        {/* Invite Code Card (roles that can invite) */}
+        {can(FLEET_PERMISSIONS.INVITE) && (
+          <View style={styles.inviteCodeCard}>
+            <Text style={styles.inviteCodeLabel}>FLEET INVITE CODE</Text>
+            <View style={styles.inviteCodeRow}>
+              <Text style={styles.inviteCodeValue}>{inviteCode || "—"}</Text>
+              {inviteCode ? (
+                <TouchableOpacity
+                  style={styles.shareCodeBtn}
+                  onPress={() => Share.share({ message: `Join my SenTihNel Work Fleet with code: ${inviteCode}` })}
+                >
+                  <Ionicons name="share-outline" size={20} color="#22c55e" />
+                </TouchableOpacity>
+              ) : null}
+            </View>
+            <Text style={styles.inviteCodeHint}>
+              Share this code with employees to join your Work fleet
+            </Text>
           </View>
-          <Text style={styles.inviteCodeHint}>
-            Share this code with employees to join your Work fleet
-          </Text>
-        </View>
+        )}
+
+        {/* Join approval (owner / admins) */}
+        {(myRole === "owner" || myRole === "admin") && !!groupIdRef.current && (
+          <View style={styles.joinRequestsCard}>
+            <Text style={styles.sectionTitle}>
+              Join Requests{joinRequestCount > 0 ? ` (${joinRequestCount})` : ""}
+            </Text>
+            <JoinRequestsPanel groupId={groupIdRef.current} onChanged={handleJoinRequestsChanged} />
+          </View>
+        )}
 
         {/* SOS Alert Banner */}
         {sosCount > 0 && (
@@ -614,14 +855,61 @@ export default function ManagerDashboard() {
           </View>
         )}
 
+        {/* Teams (owner / admins manage; a supervisor only ever sees their own team) */}
+        {(teams.length > 0 || can(FLEET_PERMISSIONS.MANAGE_TEAMS)) && myRole !== "supervisor" && (
+          <>
+            <View style={styles.teamHeaderRow}>
+              <Text style={styles.sectionTitle}>Teams</Text>
+              {can(FLEET_PERMISSIONS.MANAGE_TEAMS) && (
+                <TouchableOpacity onPress={() => setEditingTeam({})} style={styles.teamAddBtn}>
+                  <Ionicons name="add" size={16} color="#22c55e" />
+                  <Text style={styles.teamAddBtnText}>New Team</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.teamChipRow}>
+              <TouchableOpacity
+                style={[styles.teamChip, !teamFilter && styles.teamChipActive]}
+                onPress={() => selectTeamFilter(null)}
+              >
+                <Text style={[styles.teamChipText, !teamFilter && styles.teamChipTextActive]}>All</Text>
+              </TouchableOpacity>
+              {teams.map((team) => {
+                const active = teamFilter === team.id;
+                const supervisorOnShift = (team.supervisors || []).some((s) => s.on_shift);
+                return (
+                  <TouchableOpacity
+                    key={team.id}
+                    style={[styles.teamChip, active && styles.teamChipActive]}
+                    onPress={() => selectTeamFilter(active ? null : team.id)}
+                    onLongPress={can(FLEET_PERMISSIONS.MANAGE_TEAMS) ? () => setEditingTeam(team) : undefined}
+                  >
+                    <View style={[styles.teamChipDot, { backgroundColor: supervisorOnShift ? "#22c55e" : "#475569" }]} />
+                    <Text style={[styles.teamChipText, active && styles.teamChipTextActive]}>
+                      {team.name} ({team.member_count})
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+            {can(FLEET_PERMISSIONS.MANAGE_TEAMS) && teams.length > 0 && (
+              <Text style={styles.teamHint}>
+                Long-press a team to edit it and its shifts. Green dot = a supervisor is on shift.
+              </Text>
+            )}
+          </>
+        )}
+
         {/* Members list */}
-        <Text style={styles.sectionTitle}>Fleet Members</Text>
+        <Text style={styles.sectionTitle}>
+          {teamFilter ? teams.find((t) => t.id === teamFilter)?.name || "Team" : "Fleet Members"}
+        </Text>
         {members.length === 0 ? (
           <View style={styles.emptyList}>
             <Ionicons name="people-outline" size={48} color="#475569" />
-            <Text style={styles.emptyListText}>No members yet</Text>
+            <Text style={styles.emptyListText}>{teamFilter ? "No members on this team" : "No members yet"}</Text>
             <Text style={styles.emptyListHint}>
-              Share your invite code to add team members
+              {teamFilter ? "Assign members from their card (Team & Shift)" : "Share your invite code to add team members"}
             </Text>
           </View>
         ) : (
@@ -644,26 +932,28 @@ export default function ManagerDashboard() {
           </Text>
         </View>
 
-        {/* Blocked Users Section */}
-        <TouchableOpacity
-          style={styles.blockedSectionHeader}
-          onPress={() => setShowBlockedSection(!showBlockedSection)}
-          activeOpacity={0.8}
-        >
-          <View style={styles.blockedHeaderLeft}>
-            <Ionicons name="ban-outline" size={18} color="#94a3b8" />
-            <Text style={styles.blockedSectionTitle}>
-              Blocked Users ({blockedUsers.length})
-            </Text>
-          </View>
-          <Ionicons
-            name={showBlockedSection ? "chevron-up" : "chevron-down"}
-            size={18}
-            color="#64748b"
-          />
-        </TouchableOpacity>
+        {/* Blocked Users Section (roles that can block) */}
+        {canBlock && (
+          <TouchableOpacity
+            style={styles.blockedSectionHeader}
+            onPress={() => setShowBlockedSection(!showBlockedSection)}
+            activeOpacity={0.8}
+          >
+            <View style={styles.blockedHeaderLeft}>
+              <Ionicons name="ban-outline" size={18} color="#94a3b8" />
+              <Text style={styles.blockedSectionTitle}>
+                Blocked Users ({blockedUsers.length})
+              </Text>
+            </View>
+            <Ionicons
+              name={showBlockedSection ? "chevron-up" : "chevron-down"}
+              size={18}
+              color="#64748b"
+            />
+          </TouchableOpacity>
+        )}
 
-        {showBlockedSection && (
+        {canBlock && showBlockedSection && (
           <View style={styles.blockedList}>
             {blockedUsers.length === 0 ? (
               <Text style={styles.blockedEmptyText}>No blocked users</Text>
@@ -692,6 +982,14 @@ export default function ManagerDashboard() {
           </View>
         )}
       </ScrollView>
+
+      <FleetTeamEditor
+        visible={!!editingTeam}
+        groupId={groupIdRef.current}
+        team={editingTeam?.id ? editingTeam : null}
+        onClose={() => setEditingTeam(null)}
+        onSaved={handleTeamSaved}
+      />
       </SafeAreaView>
     </>
   );
@@ -809,6 +1107,84 @@ const styles = StyleSheet.create({
     marginTop: 8,
   },
 
+  // Teams
+  teamHeaderRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+
+  teamAddBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingVertical: 4,
+  },
+
+  teamAddBtnText: {
+    color: "#22c55e",
+    fontSize: 12,
+    fontFamily: font.bold,
+  },
+
+  teamChipRow: {
+    gap: 8,
+    paddingBottom: 4,
+  },
+
+  teamChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 7,
+    paddingHorizontal: 12,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#1e293b",
+    backgroundColor: "rgba(255,255,255,0.03)",
+  },
+
+  teamChipActive: {
+    borderColor: "#22c55e",
+    backgroundColor: "rgba(34, 197, 94, 0.12)",
+  },
+
+  teamChipDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+  },
+
+  teamChipText: {
+    color: "#94a3b8",
+    fontSize: 12,
+    fontFamily: font.bold,
+  },
+
+  teamChipTextActive: {
+    color: "#22c55e",
+  },
+
+  teamHint: {
+    color: "#475569",
+    fontSize: 11,
+    fontFamily: font.reg,
+    marginTop: 6,
+    marginBottom: 12,
+  },
+
+  shiftTag: {
+    marginLeft: 6,
+    color: "#22c55e",
+    fontSize: 9,
+    fontFamily: font.bold,
+    letterSpacing: 0.5,
+  },
+
+  shiftTagOff: {
+    color: "#64748b",
+  },
+
   inviteCodeCard: {
     backgroundColor: "rgba(34, 197, 94, 0.08)",
     borderWidth: 1,
@@ -852,6 +1228,16 @@ const styles = StyleSheet.create({
     fontFamily: font.reg,
   },
 
+  joinRequestsCard: {
+    backgroundColor: "rgba(148, 163, 184, 0.05)",
+    borderWidth: 1,
+    borderColor: "rgba(148, 163, 184, 0.15)",
+    borderRadius: 16,
+    padding: 16,
+    paddingTop: 8,
+    marginBottom: 16,
+  },
+
   sosAlertBanner: {
     flexDirection: "row",
     alignItems: "center",
@@ -928,6 +1314,19 @@ const styles = StyleSheet.create({
     letterSpacing: 0.5,
   },
 
+  roleBadge: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 6,
+    borderWidth: 1,
+  },
+
+  roleBadgeText: {
+    fontSize: 9,
+    fontFamily: font.bold,
+    letterSpacing: 0.5,
+  },
+
   memberDetails: {
     gap: 6,
   },
@@ -1157,6 +1556,25 @@ const styles = StyleSheet.create({
     fontFamily: font.bold,
   },
 
+  roleBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    backgroundColor: "rgba(167, 139, 250, 0.10)",
+    borderWidth: 1,
+    borderColor: "rgba(167, 139, 250, 0.3)",
+    borderRadius: 10,
+    paddingVertical: 12,
+    marginTop: 8,
+  },
+
+  roleBtnText: {
+    color: "#a78bfa",
+    fontSize: 14,
+    fontFamily: font.bold,
+  },
+
   // Blocked users section
   blockedSectionHeader: {
     flexDirection: "row",
@@ -8,6 +8,7 @@ import {
   Alert,
   Linking,
   ActivityIndicator,
+  Switch,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons } from "@expo/vector-icons";
@@ -16,6 +17,11 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 import { supabase } from "../../src/lib/supabase";
 import Diagnostics from "../../src/components/Diagnostics";
 import Paywall from "../../src/components/Paywall";
+import WakePhraseSettings from "../../src/components/WakePhraseSettings";
+import FallDetector from "../../src/services/FallDetector";
+import VolumeSOSSettings from "../../src/components/VolumeSOSSettings";
+import EmergencyContactsSettings from "../../src/components/EmergencyContactsSettings";
+import SOSEscalation, { ESCALATION_WINDOW_OPTIONS_MIN } from "../../src/services/SOSEscalation";
 import { performLogout } from "./_layout";
 import { colors, font, radius, space } from "../../src/theme";
 
@@ -24,15 +30,32 @@ export default function SettingsScreen() {
   const [userEmail, setUserEmail] = useState("");
   const [showDiagnostics, setShowDiagnostics] = useState(false);
   const [showPaywall, setShowPaywall] = useState(false);
+  const [showWakePhrases, setShowWakePhrases] = useState(false);
+  const [showVolumeSOS, setShowVolumeSOS] = useState(false);
+  const [showContacts, setShowContacts] = useState(false);
   const [loggingOut, setLoggingOut] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  const [fallDetection, setFallDetection] = useState(true);
+  const [escalation, setEscalation] = useState({ enabled: true, windowMinutes: 2 });
 
   useEffect(() => {
     supabase.auth.getUser().then(({ data }) => {
       if (data?.user?.email) setUserEmail(data.user.email);
     });
+    FallDetector.isEnabled().then(setFallDetection).catch(() => {});
+    SOSEscalation.getConfig().then(setEscalation).catch(() => {});
   }, []);
 
+  const updateEscalation = (patch) => {
+    setEscalation((prev) => ({ ...prev, ...patch }));
+    SOSEscalation.saveConfig(patch).then(setEscalation).catch(() => {});
+  };
+
+  const toggleFallDetection = (on) => {
+    setFallDetection(on);
+    FallDetector.setEnabled(on).catch(() => {});
+  };
+
   const handleLogout = async () => {
     Alert.alert(
       "Sign Out",
@@ -129,6 +152,60 @@ export default function SettingsScreen() {
     );
   }
 
+  if (showWakePhrases) {
+    return (
+      <SafeAreaView style={styles.screen}>
+        <View style={styles.subHeader}>
+          <TouchableOpacity onPress={() => setShowWakePhrases(false)} style={styles.backBtn}>
+            <Ionicons name="chevron-back" size={22} color={colors.text} />
+          </TouchableOpacity>
+          <Text style={styles.subHeaderTitle}>Voice Trigger Phrases</Text>
+        </View>
+        <ScrollView
+          contentContainerStyle={{ padding: space.md, paddingBottom: 120 }}
+          keyboardShouldPersistTaps="handled"
+        >
+          <WakePhraseSettings />
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  if (showVolumeSOS) {
+    return (
+      <SafeAreaView style={styles.screen}>
+        <View style={styles.subHeader}>
+          <TouchableOpacity onPress={() => setShowVolumeSOS(false)} style={styles.backBtn}>
+            <Ionicons name="chevron-back" size={22} color={colors.text} />
+          </TouchableOpacity>
+          <Text style={styles.subHeaderTitle}>Volume-Button SOS</Text>
+        </View>
+        <ScrollView contentContainerStyle={{ padding: space.md, paddingBottom: 120 }}>
+          <VolumeSOSSettings />
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  if (showContacts) {
+    return (
+      <SafeAreaView style={styles.screen}>
+        <View style={styles.subHeader}>
+          <TouchableOpacity onPress={() => setShowContacts(false)} style={styles.backBtn}>
+            <Ionicons name="chevron-back" size={22} color={colors.text} />
+          </TouchableOpacity>
+          <Text style={styles.subHeaderTitle}>Emergency Contacts</Text>
+        </View>
+        <ScrollView
+          contentContainerStyle={{ padding: space.md, paddingBottom: 120 }}
+          keyboardShouldPersistTaps="handled"
+        >
+          <EmergencyContactsSettings />
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
   if (showPaywall) {
     return (
       <SafeAreaView style={styles.screen}>
@@ -175,6 +252,69 @@ export default function SettingsScreen() {
             onPress={() => setShowDiagnostics(true)}
           />
           <View style={styles.divider} />
+          <SettingsRow
+            icon="mic-outline"
+            iconColor={colors.red}
+            label="Voice Trigger Phrases"
+            sublabel="Your private phrases and languages that send an SOS"
+            onPress={() => setShowWakePhrases(true)}
+          />
+          <View style={styles.divider} />
+          <SettingsRow
+            icon="volume-high-outline"
+            iconColor={colors.red}
+            label="Volume-Button SOS"
+            sublabel="A secret press pattern that sends an SOS, plus practice mode"
+            onPress={() => setShowVolumeSOS(true)}
+          />
+          <View style={styles.divider} />
+          <SettingsToggleRow
+            icon="body-outline"
+            iconColor={colors.amber}
+            label="Fall & Crash Detection"
+            sublabel={
+              FallDetector.isAvailable()
+                ? "A hard impact and no movement starts a 30s SOS countdown"
+                : "Not supported in this build"
+            }
+            value={fallDetection && FallDetector.isAvailable()}
+            disabled={!FallDetector.isAvailable()}
+            onValueChange={toggleFallDetection}
+          />
+          <View style={styles.divider} />
+          <SettingsToggleRow
+            icon="git-branch-outline"
+            iconColor={colors.red}
+            label="Escalate Unanswered SOS"
+            sublabel={`If nobody acknowledges within ${escalation.windowMinutes} min: your other fleet, then emergency contacts`}
+            value={escalation.enabled}
+            onValueChange={(on) => updateEscalation({ enabled: on })}
+          />
+          {escalation.enabled && (
+            <View style={styles.chipRow}>
+              {ESCALATION_WINDOW_OPTIONS_MIN.map((min) => (
+                <TouchableOpacity
+                  key={min}
+                  style={[styles.chip, escalation.windowMinutes === min && styles.chipActive]}
+                  onPress={() => updateEscalation({ windowMinutes: min })}
+                  activeOpacity={0.8}
+                >
+                  <Text style={[styles.chipText, escalation.windowMinutes === min && styles.chipTextActive]}>
+                    {`${min} min`}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          <View style={styles.divider} />
+          <SettingsRow
+            icon="people-outline"
+            iconColor={colors.amber}
+            label="Emergency Contacts"
+            sublabel="People outside your fleet who get your SOS by text or email"
+            onPress={() => setShowContacts(true)}
+          />
+          <View style={styles.divider} />
           <SettingsRow
             icon="shield-half-outline"
             iconColor={colors.green}
@@ -277,6 +417,26 @@ function SettingsRow({ icon, iconColor, label, sublabel, onPress }) {
   );
 }
 
+function SettingsToggleRow({ icon, iconColor, label, sublabel, value, disabled, onValueChange }) {
+  return (
+    <View style={styles.row}>
+      <View style={[styles.rowIcon, { backgroundColor: `${iconColor}18` }]}>
+        <Ionicons name={icon} size={18} color={iconColor} />
+      </View>
+      <View style={{ flex: 1 }}>
+        <Text style={styles.rowLabel}>{label}</Text>
+        {sublabel ? <Text style={styles.rowSublabel}>{sublabel}</Text> : null}
+      </View>
+      <Switch
+        value={!!value}
+        disabled={disabled}
+        onValueChange={onValueChange}
+        trackColor={{ false: colors.border, true: colors.green }}
+      />
+    </View>
+  );
+}
+
 const styles = StyleSheet.create({
   screen: {
     flex: 1,
@@ -357,6 +517,32 @@ const styles = StyleSheet.create({
     paddingHorizontal: space.md,
     gap: space.sm,
   },
+  chipRow: {
+    flexDirection: "row",
+    gap: space.xs,
+    paddingHorizontal: space.md,
+    paddingBottom: space.md,
+    marginLeft: 42,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: space.sm,
+    borderRadius: radius.pill,
+    borderWidth: 1,
+    borderColor: colors.borderHigh,
+  },
+  chipActive: {
+    backgroundColor: colors.redDim,
+    borderColor: colors.redBorder,
+  },
+  chipText: {
+    color: colors.muted,
+    fontSize: 12,
+    fontFamily: font.semi,
+  },
+  chipTextActive: {
+    color: colors.red,
+  },
   rowIcon: {
     width: 34,
     height: 34,
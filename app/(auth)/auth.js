@@ -22,6 +22,10 @@ import * as Clipboard from "expo-clipboard";
 import { supabase } from "../../src/lib/supabase";
 import { handshakeDevice, deriveDisplayName } from "../../src/services/deviceHandshake";
 import { forceOneShotSync } from "../../src/services/LiveTracker";
+import FleetInvites from "../../src/services/FleetInvites";
+import FleetJoinRequests from "../../src/services/FleetJoinRequests";
+import InviteLinks from "../../src/services/InviteLinks";
+import InviteQrScanner from "../../src/components/InviteQrScanner";
 import { colors, font, radius, space } from "../../src/theme";
 
 let SecureStore = null;
@@ -42,11 +46,8 @@ const STORAGE_KEY_LAST_USER_ID = "sentinel_last_user_id";
 const DEVICE_NAME_PREFIX = "sentinel_device_display_name:";
 
 // ===============================
-// RPC names
+// RPC names (invite codes: FleetInvites)
 // ===============================
-const RPC_GET_GROUP_ID = "get_group_id_by_invite_code";
-const RPC_JOIN_GROUP = "join_group_with_invite_code";
-
 // ✅ Preferred create RPC (but we’ll fallback to others in Phase 1)
 const RPC_CREATE_GROUP_AUTO = "create_group_auto_invite_code";
 
@@ -320,20 +321,11 @@ async function persistDisplayNameForUser(userId, displayName) {
 }
 
 // ✅ Secure group lookup via RPC (no direct groups lookup)
-async function resolveGroupIdByInviteCode(inviteCode) {
-  const clean = normalizeInviteCode(inviteCode);
-  if (!clean) return null;
-
-  const { data, error } = await supabase.rpc(RPC_GET_GROUP_ID, {
-    p_invite_code: clean,
-  });
-
-  if (error) {
-    console.log("RPC group lookup error:", error.message);
-    return null;
-  }
-
-  return extractGroupIdFromRpc(data) || null;
+// → { ok, groupId } | { ok: false, message } (expired / revoked / used-up codes say so)
+async function resolveInviteCode(inviteCode) {
+  const res = await FleetInvites.lookup(normalizeInviteCode(inviteCode));
+  if (!res.ok) console.log("RPC group lookup:", res.error);
+  return res;
 }
 
 // ✅ Fetch invite code for a group (RLS should allow members)
@@ -484,6 +476,7 @@ export default function AuthPage() {
   const [password, setPassword] = useState("");
   const [inviteCode, setInviteCode] = useState("");
   const [fleetType, setFleetType] = useState("family"); // "family" or "work"
+  const [scanningInvite, setScanningInvite] = useState(false); // camera replaces the invite field
 
   const [displayName, setDisplayName] = useState("");
 
@@ -548,6 +541,27 @@ export default function AuthPage() {
     });
   };
 
+  // ✅ Invite link / scanned QR → Join Fleet with the code filled in
+  const fillInviteCode = (code, note) => {
+    if (!code) return;
+    setInviteCode(code);
+    setActionMode("join");
+    setScanningInvite(false);
+    showToast(note);
+  };
+
+  const fillInviteCodeRef = useRef(fillInviteCode);
+  fillInviteCodeRef.current = fillInviteCode;
+
+  useEffect(() => {
+    const takeLinked = async () => {
+      const code = await InviteLinks.takeLinkedCode();
+      if (code) fillInviteCodeRef.current(code, "Invite code filled in from link");
+    };
+    takeLinked();
+    return InviteLinks.onLinkedCode(takeLinked);
+  }, []);
+
   const openModal = ({
     variant = "info",
     title = "",
@@ -751,9 +765,7 @@ export default function AuthPage() {
       const clean = String(code || "").trim();
       if (!clean) return;
 
-      await Share.share({
-        message: `SenTihNel Invite Code: ${clean}\n\nOpen the app → Login → Join Fleet → enter this code.`,
-      });
+      await Share.share({ message: InviteLinks.buildShareMessage(clean) });
     } catch (e) {
       console.log("Share failed:", e?.message || e);
       showToast("Share not available");
@@ -978,9 +990,9 @@ export default function AuthPage() {
         }
 
         if (actionMode === "join") {
-          const exists = await resolveGroupIdByInviteCode(cleanCode);
-          if (!exists) {
-            openModal({ variant: "error", title: "Invalid Code", message: "That invite code does not exist." });
+          const resolved = await resolveInviteCode(cleanCode);
+          if (!resolved.ok) {
+            openModal({ variant: "error", title: "Invalid Code", message: resolved.message });
             return;
           }
         }
@@ -1114,22 +1126,38 @@ export default function AuthPage() {
       if (actionMode === "join") {
         await assertServerIsExpected(matched.id, matched.email || cleanEmail, "before-join");
 
-        const targetGroupId = await resolveGroupIdByInviteCode(cleanCode);
-        if (!targetGroupId) {
-          openModal({ variant: "error", title: "Invalid Code", message: "That invite code does not exist." });
+        const resolved = await resolveInviteCode(cleanCode);
+        if (!resolved.ok) {
+          openModal({ variant: "error", title: "Invalid Code", message: resolved.message });
           return;
         }
+        const targetGroupId = resolved.groupId;
 
         await AsyncStorage.multiRemove([STORAGE_KEY_GROUP_ID, STORAGE_KEY_INVITE_CODE]);
 
         await logAuth("before-join-rpc");
 
-        const { data: joinData, error: joinErr } = await supabase.rpc(RPC_JOIN_GROUP, {
-          p_invite_code: cleanCode,
-          p_fleet_type: fleetType, // ✅ Pass user's chosen fleet type
-        });
+        const { data: joinData, error: joinErr } = await FleetInvites.join(cleanCode, fleetType); // ✅ Pass user's chosen fleet type
         if (joinErr) throw joinErr;
 
+        // ✅ RPC returns {success: false} as data, not error
+        if (joinData?.success === false) {
+          throw new Error(joinData?.error || "Could not join fleet");
+        }
+
+        // ✅ Fleet approves new members: no membership (and no handshake) until approved
+        if (joinData?.pending) {
+          await FleetJoinRequests.rememberPending({ groupId: targetGroupId, code: cleanCode, fleetType });
+          await AsyncStorage.removeItem(STORAGE_KEY_PENDING_INVITE);
+          openModal({
+            variant: "info",
+            title: "Request Sent",
+            message:
+              "This fleet approves new members. You'll get a notification when you're approved — then log in again to link this device.",
+          });
+          return;
+        }
+
         const extracted = extractGroupIdFromRpc(joinData);
         const expected = extracted || targetGroupId;
 
@@ -1185,26 +1213,36 @@ export default function AuthPage() {
       if (pending) {
         await assertServerIsExpected(matched.id, matched.email || cleanEmail, "before-pending-join");
 
-        const targetGroupId = await resolveGroupIdByInviteCode(pending);
+        const resolved = await resolveInviteCode(pending);
+        const targetGroupId = resolved.ok ? resolved.groupId : null;
         // ✅ Retrieve stored fleet type (default to "family" if not found)
         const pendingFleetType = (await AsyncStorage.getItem(STORAGE_KEY_PENDING_FLEET_TYPE)) || "family";
 
         await AsyncStorage.multiRemove([STORAGE_KEY_GROUP_ID, STORAGE_KEY_INVITE_CODE]);
 
-        const { data: joinData, error: joinErr } = await supabase.rpc(RPC_JOIN_GROUP, {
-          p_invite_code: pending,
-          p_fleet_type: pendingFleetType, // ✅ Pass stored fleet type
-        });
+        const { data: joinData, error: joinErr } = await FleetInvites.join(pending, pendingFleetType); // ✅ Pass stored fleet type
+        const joinFailure = joinErr?.message || (joinData?.success === false ? joinData?.error || "Could not join fleet" : null);
 
-        if (joinErr) {
+        if (joinFailure) {
           // ✅ Don't clear pending invite on failure — user should retry
           openModal({
             variant: "error",
             title: "Fleet Join Failed",
-            message: `Could not join fleet with code "${pending}".\n\nError: ${joinErr?.message || "Unknown error"}\n\nPlease log in again to retry.`,
+            message: `Could not join fleet with code "${pending}".\n\nError: ${joinFailure}\n\nPlease log in again to retry.`,
             primaryText: "OK",
           });
           return;
+        } else if (joinData?.pending) {
+          await FleetJoinRequests.rememberPending({ groupId: targetGroupId, code: pending, fleetType: pendingFleetType });
+          await AsyncStorage.removeItem(STORAGE_KEY_PENDING_INVITE);
+          await AsyncStorage.removeItem(STORAGE_KEY_PENDING_FLEET_TYPE);
+          openModal({
+            variant: "info",
+            title: "Request Sent",
+            message:
+              "This fleet approves new members. You'll get a notification when you're approved — then log in again to link this device.",
+          });
+          return;
         } else {
           const extracted = extractGroupIdFromRpc(joinData);
           const expected = extracted || targetGroupId;
@@ -1487,15 +1525,33 @@ export default function AuthPage() {
 
             {showInviteInput && (
               <>
-                <TextInput
-                  style={styles.input}
-                  placeholder="Invite Code (Required)"
-                  placeholderTextColor="#64748b"
-                  value={inviteCode}
-                  onChangeText={setInviteCode}
-                  keyboardType="default"
-                  autoCapitalize="characters"
-                />
+                {scanningInvite ? (
+                  <InviteQrScanner
+                    style={{ marginBottom: 12 }}
+                    onScanned={(code) => fillInviteCode(code, "Scanned invite code")}
+                    onCancel={() => setScanningInvite(false)}
+                  />
+                ) : (
+                  <View style={styles.inviteInputRow}>
+                    <TextInput
+                      style={[styles.input, { flex: 1 }]}
+                      placeholder="Invite Code (Required)"
+                      placeholderTextColor="#64748b"
+                      value={inviteCode}
+                      onChangeText={setInviteCode}
+                      keyboardType="default"
+                      autoCapitalize="characters"
+                    />
+                    <TouchableOpacity
+                      style={styles.scanBtn}
+                      onPress={() => setScanningInvite(true)}
+                      disabled={loading}
+                      activeOpacity={0.8}
+                    >
+                      <Ionicons name="qr-code-outline" size={22} color="#94a3b8" />
+                    </TouchableOpacity>
+                  </View>
+                )}
 
                 {/* ✅ Fleet Type Selector */}
                 <View style={styles.fleetTypeContainer}>
@@ -1626,7 +1682,7 @@ export default function AuthPage() {
                 : actionMode === "create"
                 ? "Create a new fleet and get a unique invite code (saved in Fleet Manager)."
                 : actionMode === "join"
-                ? "Join a fleet using the invite code."
+                ? "Join a fleet using the invite code — type it, scan its QR, or tap an invite link."
                 : "Log in to resume protection."}
             </Text>
           </>
@@ -1680,6 +1736,18 @@ const styles = StyleSheet.create({
     fontFamily: font.reg,
   },
 
+  inviteInputRow: { flexDirection: "row", alignItems: "flex-start", gap: 8 },
+  scanBtn: {
+    width: 52,
+    height: 52,
+    borderRadius: radius.sm,
+    backgroundColor: colors.surfaceHigh,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+
   passwordWrap: {
     flexDirection: "row",
     alignItems: "center",
@@ -209,6 +209,9 @@ function AuthGate() {
         const inAuthGroup = rootSeg === "(auth)";
         const inAppGroup = rootSeg === "(app)";
 
+        // ✅ Invite link (app/join.js): always route on, even back to the screen we came from
+        if (rootSeg === "join") lastRouteRef.current = "";
+
         const session = await getSession();
 
         // ✅ Not logged in -> must be in auth
@@ -0,0 +1,22 @@
+// 📂 FILE: app/join.js
+// Invite links land here: https://sentihnel.com/join?code=… and sentihnel://join?code=…
+// Hands the code to InviteLinks; AuthGate (app/_layout.js) then routes on as usual — the
+// login screen opens Join Fleet with it, the Fleet screen opens Switch Fleet with it.
+import React, { useEffect } from "react";
+import { ActivityIndicator, View } from "react-native";
+import { useLocalSearchParams } from "expo-router";
+import InviteLinks from "../src/services/InviteLinks";
+
+export default function JoinLink() {
+  const { code } = useLocalSearchParams();
+
+  useEffect(() => {
+    InviteLinks.deliverLinkedCode(Array.isArray(code) ? code[0] : code);
+  }, [code]);
+
+  return (
+    <View style={{ flex: 1, backgroundColor: "#080E1A", alignItems: "center", justifyContent: "center" }}>
+      <ActivityIndicator size="large" color="#22C55E" />
+    </View>
+  );
+}
@@ -0,0 +1,266 @@
+// 📂 FILE: src/components/BreadcrumbTrail.js
+// ✅ SOS breadcrumb trail (Fleet card)
+// - Draws the path a member took during an SOS from the ordered get_sos_trail points
+// - Pure RN views (no map SDK): points are projected into the box, segments are rotated bars
+// - Tap "Open Trail" to see the same path in Google Maps (start → waypoints → latest)
+
+import React, { useMemo, useState } from "react";
+import { View, Text, TouchableOpacity, StyleSheet, Linking } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { colors, font, radius } from "../theme";
+import { haversineMeters, formatDistance } from "../utils/geo";
+
+const TRAIL_HEIGHT = 120;
+const PADDING = 12;
+
+// Google Maps directions URLs accept a limited number of waypoints
+const MAX_MAP_WAYPOINTS = 8;
+
+function isNum(n) {
+  return typeof n === "number" && Number.isFinite(n);
+}
+
+function formatDuration(ms) {
+  const mins = Math.max(0, Math.round(ms / 60000));
+  if (mins < 60) return `${mins} min`;
+  return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
+function buildTrailMapsUrl(points) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  const inner = points.slice(1, -1);
+
+  // Evenly sample the middle of the trail so long sessions still fit the URL
+  const step = Math.max(1, Math.ceil(inner.length / MAX_MAP_WAYPOINTS));
+  const waypoints = inner
+    .filter((_, i) => i % step === 0)
+    .slice(0, MAX_MAP_WAYPOINTS)
+    .map((p) => `${p.latitude},${p.longitude}`)
+    .join("|");
+
+  let url =
+    `https://www.google.com/maps/dir/?api=1` +
+    `&origin=${encodeURIComponent(`${first.latitude},${first.longitude}`)}` +
+    `&destination=${encodeURIComponent(`${last.latitude},${last.longitude}`)}` +
+    `&travelmode=walking`;
+  if (waypoints) url += `&waypoints=${encodeURIComponent(waypoints)}`;
+  return url;
+}
+
+export default function BreadcrumbTrail({ points }) {
+  const [width, setWidth] = useState(0);
+
+  const clean = useMemo(
+    () => (Array.isArray(points) ? points.filter((p) => isNum(p?.latitude) && isNum(p?.longitude)) : []),
+    [points]
+  );
+
+  const summary = useMemo(() => {
+    if (clean.length < 2) return null;
+    let meters = 0;
+    for (let i = 1; i < clean.length; i++) {
+      const a = clean[i - 1];
+      const b = clean[i];
+      meters += haversineMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+    }
+    const startMs = Date.parse(clean[0].recorded_at);
+    const endMs = Date.parse(clean[clean.length - 1].recorded_at);
+    const durationMs = Number.isFinite(startMs) && Number.isFinite(endMs) ? endMs - startMs : null;
+    return { meters, durationMs };
+  }, [clean]);
+
+  // Project lat/lng → box pixels (equirectangular, aspect-preserving, north up)
+  const projected = useMemo(() => {
+    if (!width || clean.length < 2) return [];
+
+    const midLat = clean.reduce((sum, p) => sum + p.latitude, 0) / clean.length;
+    const kx = Math.cos((midLat * Math.PI) / 180);
+
+    const xs = clean.map((p) => p.longitude * kx);
+    const ys = clean.map((p) => p.latitude);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+
+    const innerW = width - PADDING * 2;
+    const innerH = TRAIL_HEIGHT - PADDING * 2;
+    const spanX = maxX - minX || 1e-9;
+    const spanY = maxY - minY || 1e-9;
+    const scale = Math.min(innerW / spanX, innerH / spanY);
+
+    const offX = PADDING + (innerW - spanX * scale) / 2;
+    const offY = PADDING + (innerH - spanY * scale) / 2;
+
+    return clean.map((p, i) => ({
+      x: offX + (xs[i] - minX) * scale,
+      y: offY + (maxY - ys[i]) * scale,
+    }));
+  }, [clean, width]);
+
+  if (clean.length < 2) return null;
+
+  const openInMaps = async () => {
+    try {
+      await Linking.openURL(buildTrailMapsUrl(clean));
+    } catch (e) {
+      console.log("BreadcrumbTrail: open maps error:", e?.message || e);
+    }
+  };
+
+  const start = projected[0];
+  const end = projected[projected.length - 1];
+
+  return (
+    <View style={styles.wrap}>
+      <View style={styles.headerRow}>
+        <Ionicons name="footsteps-outline" size={14} color={colors.red} />
+        <Text style={styles.title}>SOS Trail</Text>
+        <Text style={styles.meta} numberOfLines={1}>
+          {clean.length} fixes
+          {summary ? ` • ${formatDistance(summary.meters)}` : ""}
+          {summary?.durationMs != null ? ` • ${formatDuration(summary.durationMs)}` : ""}
+        </Text>
+      </View>
+
+      <View style={styles.canvas} onLayout={(e) => setWidth(e.nativeEvent.layout.width)}>
+        {projected.slice(1).map((b, i) => {
+          const a = projected[i];
+          const dx = b.x - a.x;
+          const dy = b.y - a.y;
+          const len = Math.sqrt(dx * dx + dy * dy);
+          if (len < 0.5) return null;
+          const angle = Math.atan2(dy, dx);
+          return (
+            <View
+              key={`seg-${i}`}
+              style={[
+                styles.segment,
+                {
+                  width: len,
+                  left: (a.x + b.x) / 2 - len / 2,
+                  top: (a.y + b.y) / 2 - 1,
+                  transform: [{ rotate: `${angle}rad` }],
+                },
+              ]}
+            />
+          );
+        })}
+
+        {start ? <View style={[styles.dot, styles.startDot, { left: start.x - 5, top: start.y - 5 }]} /> : null}
+        {end ? <View style={[styles.dot, styles.endDot, { left: end.x - 6, top: end.y - 6 }]} /> : null}
+      </View>
+
+      <View style={styles.footerRow}>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendDot, { backgroundColor: colors.green }]} />
+          <Text style={styles.legendText}>Start</Text>
+        </View>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendDot, { backgroundColor: colors.red }]} />
+          <Text style={styles.legendText}>Latest</Text>
+        </View>
+        <TouchableOpacity style={styles.openBtn} onPress={openInMaps} activeOpacity={0.85}>
+          <Ionicons name="map-outline" size={13} color="#fee2e2" />
+          <Text style={styles.openBtnText}>Open Trail</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrap: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: radius.sm,
+    backgroundColor: "rgba(127,29,29,0.25)",
+    borderWidth: 1,
+    borderColor: colors.redBorder,
+  },
+  headerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 8,
+  },
+  title: {
+    color: "#fecaca",
+    fontSize: 12,
+    fontFamily: font.bold,
+    letterSpacing: 0.5,
+  },
+  meta: {
+    flex: 1,
+    textAlign: "right",
+    color: "#fca5a5",
+    fontSize: 11,
+    fontFamily: font.med,
+  },
+  canvas: {
+    height: TRAIL_HEIGHT,
+    borderRadius: radius.xs,
+    backgroundColor: colors.bg,
+    overflow: "hidden",
+  },
+  segment: {
+    position: "absolute",
+    height: 2,
+    borderRadius: 1,
+    backgroundColor: "#f87171",
+  },
+  dot: {
+    position: "absolute",
+    borderWidth: 2,
+    borderColor: colors.bg,
+  },
+  startDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: colors.green,
+  },
+  endDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: colors.red,
+  },
+  footerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+  },
+  legendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
+  legendText: {
+    color: colors.muted,
+    fontSize: 11,
+    fontFamily: font.med,
+  },
+  openBtn: {
+    marginLeft: "auto",
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: radius.pill,
+    backgroundColor: "rgba(239,68,68,0.35)",
+  },
+  openBtnText: {
+    color: "#fee2e2",
+    fontSize: 11,
+    fontFamily: font.semi,
+  },
+});
@@ -0,0 +1,80 @@
+// 📂 FILE: src/components/DeliveryReceipts.js
+// Per-member SOS delivery: opened / alarm shown / delivered / not reached.
+// Rows come from SOSIncidents.buildDeliveryList (incident receipts vs. the fleet roster).
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { RECEIPT_STAGE } from "../services/SOSIncidents";
+import { colors, font, radius, space } from "../theme";
+
+const STAGE_DISPLAY = {
+  [RECEIPT_STAGE.OPENED]: { label: "Opened", icon: "eye", color: colors.green },
+  [RECEIPT_STAGE.ALARM_SHOWN]: { label: "Alarm shown", icon: "notifications", color: colors.amber },
+  [RECEIPT_STAGE.DELIVERED]: { label: "Delivered", icon: "checkmark", color: colors.muted },
+};
+const NOT_REACHED = { label: "Not reached", icon: "close", color: colors.red };
+
+function formatTime(at) {
+  const t = at ? new Date(at) : null;
+  if (!t || Number.isNaN(t.getTime())) return "";
+  return t.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+}
+
+export default function DeliveryReceipts({ members, style }) {
+  const list = Array.isArray(members) ? members : [];
+  if (list.length === 0) return null;
+
+  const reached = list.filter((m) => m.stage).length;
+
+  return (
+    <View style={[styles.box, style]}>
+      <Text style={styles.title}>{`Alert Delivery — reached ${reached} of ${list.length}`}</Text>
+      {list.map((m) => {
+        const d = STAGE_DISPLAY[m.stage] || NOT_REACHED;
+        const time = m.stage ? formatTime(m.at) : "";
+        return (
+          <View key={m.deviceId} style={styles.row}>
+            <Ionicons name={d.icon} size={13} color={d.color} />
+            <Text style={styles.name} numberOfLines={1}>
+              {m.displayName || "Fleet member"}
+            </Text>
+            <Text style={[styles.stage, { color: d.color }]}>{time ? `${d.label} · ${time}` : d.label}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  box: {
+    backgroundColor: colors.surfaceHigh,
+    borderRadius: radius.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: space.sm,
+    marginTop: space.xs,
+  },
+  title: {
+    fontFamily: font.semi,
+    fontSize: 12,
+    color: colors.text,
+    marginBottom: 6,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 2,
+  },
+  name: {
+    flex: 1,
+    fontFamily: font.reg,
+    fontSize: 12,
+    color: colors.text,
+  },
+  stage: {
+    fontFamily: font.med,
+    fontSize: 11,
+  },
+});
@@ -0,0 +1,72 @@
+// 📂 FILE: src/components/DrillBanner.js
+// Silent "SOS DRILL" banner on receivers — clearly not an emergency, no siren, no vibration.
+// Shown by the app layout when SOSAlertManager reports a drill; dismisses itself.
+import React, { useEffect } from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import { colors, font, radius, space } from "../theme";
+
+const AUTO_DISMISS_MS = 8000;
+
+export default function DrillBanner({ drill, onDismiss }) {
+  useEffect(() => {
+    if (!drill) return;
+    const t = setTimeout(() => onDismiss?.(), AUTO_DISMISS_MS);
+    return () => clearTimeout(t);
+  }, [drill, onDismiss]);
+
+  if (!drill) return null;
+
+  return (
+    <SafeAreaView edges={["top"]} style={styles.wrap} pointerEvents="box-none">
+      <TouchableOpacity style={styles.banner} onPress={onDismiss} activeOpacity={0.85}>
+        <Ionicons name="flask" size={18} color={colors.blue} />
+        <View style={styles.textCol}>
+          <Text style={styles.title}>SOS DRILL — NOT AN EMERGENCY</Text>
+          <Text style={styles.body}>
+            {`${drill.displayName || "A fleet member"} is testing SenTihNel. No action needed.`}
+          </Text>
+        </View>
+        <Ionicons name="close" size={16} color={colors.muted} />
+      </TouchableOpacity>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrap: {
+    position: "absolute",
+    top: 0,
+    left: 0,
+    right: 0,
+    zIndex: 50,
+    paddingHorizontal: space.sm,
+  },
+  banner: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: space.sm,
+    marginTop: space.xs,
+    padding: space.sm,
+    borderRadius: radius.md,
+    backgroundColor: colors.surfaceHigh,
+    borderWidth: 1,
+    borderColor: colors.blue,
+  },
+  textCol: {
+    flex: 1,
+  },
+  title: {
+    fontFamily: font.bold,
+    fontSize: 12,
+    letterSpacing: 0.6,
+    color: colors.blue,
+  },
+  body: {
+    fontFamily: font.reg,
+    fontSize: 13,
+    color: colors.text,
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,387 @@
+// 📂 FILE: src/components/EmergencyContactsSettings.js
+// ✅ Emergency contacts (Settings → Protection)
+// - Up to MAX_EMERGENCY_CONTACTS people outside the fleet: name, phone (+ optional email),
+//   relationship and the language their messages are written in
+// - They get the SOS (with the live-location link) when it escalates past the fleets,
+//   and a "cancelled" message when it ends — see ContactDelivery
+// - Opt-in status per contact (pending / confirmed / opted out): only confirmed contacts
+//   are alerted; pending ones can be sent the invite again
+
+import React, { useEffect, useState } from "react";
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import EmergencyContacts, { INVITE_RESEND_MS } from "../services/EmergencyContacts";
+import {
+  CONTACT_LANGUAGES,
+  CONTACT_STATUS,
+  MAX_EMERGENCY_CONTACTS,
+  RELATIONSHIP_SUGGESTIONS,
+} from "../utils/contactMessages";
+import { DEFAULT_LANGUAGE } from "../utils/wakeMatch";
+import { colors, font, radius, space } from "../theme";
+
+const STATUS_DISPLAY = {
+  [CONTACT_STATUS.CONFIRMED]: { label: "Confirmed", icon: "checkmark-circle", color: colors.green },
+  [CONTACT_STATUS.PENDING]: { label: "Pending", icon: "time-outline", color: colors.amber },
+  [CONTACT_STATUS.OPTED_OUT]: { label: "Opted out", icon: "close-circle", color: colors.red },
+};
+
+const INVITE_ERROR_TEXT = {
+  too_soon: "An invite was just sent. You can resend it in a few minutes.",
+  offline: "Couldn't reach the server. The invite will go out when you're back online.",
+  not_delivered: "The invite couldn't be delivered. Check the number / email.",
+  not_pending: "This contact has already answered.",
+};
+
+const EMPTY_FORM = { id: null, name: "", phone: "", email: "", relationship: "", language: DEFAULT_LANGUAGE };
+
+const ERROR_TEXT = {
+  missing_name: "Add a name.",
+  invalid_phone: "Use the international format, e.g. +1 470 555 0100.",
+  invalid_email: "That email address doesn't look right.",
+  missing_phone: "Add a phone number — SOS messages go out by text.",
+  too_many_contacts: `You can add up to ${MAX_EMERGENCY_CONTACTS} contacts.`,
+};
+
+export default function EmergencyContactsSettings() {
+  const [loading, setLoading] = useState(true);
+  const [contacts, setContacts] = useState(EmergencyContacts.getContacts());
+  const [form, setForm] = useState(null); // null = list view
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [syncNote, setSyncNote] = useState("");
+  const [inviting, setInviting] = useState(null); // contact id
+
+  useEffect(() => {
+    const unsub = EmergencyContacts.subscribe(setContacts);
+    EmergencyContacts.load()
+      .then(setContacts)
+      .finally(() => setLoading(false))
+      // Pick up answers to invites since the last visit
+      .then(() => EmergencyContacts.sync())
+      .catch(() => {});
+    return unsub;
+  }, []);
+
+  const edit = (contact) => {
+    setError("");
+    setSyncNote("");
+    setForm(
+      contact
+        ? { ...contact, phone: contact.phone || "", email: contact.email || "", relationship: contact.relationship || "" }
+        : { ...EMPTY_FORM }
+    );
+  };
+
+  const setField = (key) => (value) => {
+    setForm((f) => ({ ...f, [key]: value }));
+    setError("");
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const res = await EmergencyContacts.saveContact(form);
+    setSaving(false);
+    if (!res.ok) {
+      setError(ERROR_TEXT[res.error] || "That contact can't be saved.");
+      return;
+    }
+    setForm(null);
+    if (!res.synced) setSyncNote("Saved on this phone. It will sync — and the invite go out — when you're back online.");
+    else if (res.contact.status === CONTACT_STATUS.PENDING) {
+      const invited = EmergencyContacts.getContacts().find((c) => c.id === res.contact.id)?.invitedAt;
+      setSyncNote(
+        invited
+          ? `Invite sent. ${res.contact.name} must agree before they can get SOS messages.`
+          : `${res.contact.name} hasn't been invited yet — tap "Send invite" to try again.`
+      );
+    } else setSyncNote("");
+  };
+
+  const resendInvite = async (contact) => {
+    setInviting(contact.id);
+    const res = await EmergencyContacts.resendInvite(contact.id);
+    setInviting(null);
+    setSyncNote(res.ok ? `Invite sent to ${contact.name}.` : INVITE_ERROR_TEXT[res.error] || "The invite couldn't be sent.");
+  };
+
+  const confirmRemove = (contact) => {
+    Alert.alert("Remove Contact", `${contact.name} will no longer be alerted when an SOS goes unanswered.`, [
+      { text: "Keep", style: "cancel" },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: async () => {
+          const res = await EmergencyContacts.removeContact(contact.id);
+          setForm(null);
+          setSyncNote(res.synced ? "" : "Removed on this phone. It will sync when you're back online.");
+        },
+      },
+    ]);
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loading}>
+        <ActivityIndicator color={colors.green} />
+      </View>
+    );
+  }
+
+  if (form) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.card}>
+          <Text style={styles.fieldLabel}>NAME</Text>
+          <TextInput
+            value={form.name}
+            onChangeText={setField("name")}
+            placeholder="e.g. Maria Lopez"
+            placeholderTextColor={colors.faint}
+            style={styles.input}
+            maxLength={60}
+          />
+
+          <Text style={styles.fieldLabel}>MOBILE NUMBER</Text>
+          <TextInput
+            value={form.phone}
+            onChangeText={setField("phone")}
+            placeholder="+1 470 555 0100"
+            placeholderTextColor={colors.faint}
+            style={styles.input}
+            keyboardType="phone-pad"
+            autoCorrect={false}
+            maxLength={24}
+          />
+
+          <Text style={styles.fieldLabel}>EMAIL</Text>
+          <TextInput
+            value={form.email}
+            onChangeText={setField("email")}
+            placeholder="name@example.com"
+            placeholderTextColor={colors.faint}
+            style={styles.input}
+            keyboardType="email-address"
+            autoCapitalize="none"
+            autoCorrect={false}
+            maxLength={120}
+          />
+
+          <Text style={styles.fieldLabel}>RELATIONSHIP</Text>
+          <TextInput
+            value={form.relationship}
+            onChangeText={setField("relationship")}
+            placeholder="Optional"
+            placeholderTextColor={colors.faint}
+            style={styles.input}
+            maxLength={40}
+          />
+          <View style={styles.chipRow}>
+            {RELATIONSHIP_SUGGESTIONS.map((r) => (
+              <TouchableOpacity
+                key={r}
+                style={[styles.chip, form.relationship === r && styles.chipActive]}
+                onPress={() => setField("relationship")(r)}
+                activeOpacity={0.8}
+              >
+                <Text style={[styles.chipText, form.relationship === r && styles.chipTextActive]}>{r}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={[styles.fieldLabel, { marginTop: space.md }]}>MESSAGE LANGUAGE</Text>
+          <View style={styles.chipRow}>
+            {CONTACT_LANGUAGES.map((l) => (
+              <TouchableOpacity
+                key={l.code}
+                style={[styles.chip, form.language === l.code && styles.chipActive]}
+                onPress={() => setField("language")(l.code)}
+                activeOpacity={0.8}
+              >
+                <Text style={[styles.chipText, form.language === l.code && styles.chipTextActive]}>{l.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {!!error && <Text style={styles.error}>{error}</Text>}
+
+        <TouchableOpacity style={styles.saveBtn} onPress={handleSave} disabled={saving} activeOpacity={0.85}>
+          {saving ? <ActivityIndicator color={colors.bg} /> : <Text style={styles.saveBtnText}>SAVE CONTACT</Text>}
+        </TouchableOpacity>
+
+        <View style={styles.formActions}>
+          <TouchableOpacity onPress={() => setForm(null)} style={styles.linkBtn}>
+            <Text style={styles.linkText}>Cancel</Text>
+          </TouchableOpacity>
+          {!!form.id && (
+            <TouchableOpacity onPress={() => confirmRemove(form)} style={styles.linkBtn}>
+              <Text style={[styles.linkText, { color: colors.red }]}>Remove contact</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.intro}>
+        People outside your fleet. If nobody in your fleets acknowledges an SOS, they get a text
+        and/or email with a link to your live location, and another message when you cancel.
+        Each contact first gets an invite and must agree — until then they are never alerted.
+      </Text>
+
+      <View style={styles.card}>
+        {contacts.length === 0 && <Text style={styles.emptyText}>No emergency contacts yet.</Text>}
+        {contacts.map((c) => {
+          const status = STATUS_DISPLAY[c.status] || STATUS_DISPLAY[CONTACT_STATUS.PENDING];
+          const canResend =
+            c.status === CONTACT_STATUS.PENDING && (!c.invitedAt || Date.now() - c.invitedAt >= INVITE_RESEND_MS);
+          return (
+            <TouchableOpacity key={c.id} style={styles.contactRow} onPress={() => edit(c)} activeOpacity={0.8}>
+              <View style={styles.avatar}>
+                <Ionicons name="person" size={16} color={colors.green} />
+              </View>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.contactName} numberOfLines={1}>
+                  {c.relationship ? `${c.name} · ${c.relationship}` : c.name}
+                </Text>
+                <Text style={styles.contactDetail} numberOfLines={1}>
+                  {[c.phone, c.email].filter(Boolean).join("  ·  ")}
+                </Text>
+                <View style={styles.statusRow}>
+                  <Ionicons name={status.icon} size={12} color={status.color} />
+                  <Text style={[styles.statusText, { color: status.color }]}>
+                    {c.status === CONTACT_STATUS.PENDING && !c.invitedAt ? "Pending · invite not sent yet" : status.label}
+                  </Text>
+                  {canResend && (
+                    <TouchableOpacity onPress={() => resendInvite(c)} disabled={inviting === c.id} hitSlop={8}>
+                      {inviting === c.id ? (
+                        <ActivityIndicator size="small" color={colors.amber} />
+                      ) : (
+                        <Text style={styles.resendText}>{c.invitedAt ? "Resend invite" : "Send invite"}</Text>
+                      )}
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </View>
+              <Text style={styles.langTag}>{String(c.language).toUpperCase()}</Text>
+              <Ionicons name="chevron-forward" size={16} color={colors.faint} />
+            </TouchableOpacity>
+          );
+        })}
+
+        {contacts.length > 0 && !contacts.some((c) => c.status === CONTACT_STATUS.CONFIRMED) && (
+          <Text style={styles.warnText}>No contact has agreed yet, so an unanswered SOS can't reach anyone outside your fleets.</Text>
+        )}
+
+        {contacts.length < MAX_EMERGENCY_CONTACTS && (
+          <TouchableOpacity style={styles.addBtn} onPress={() => edit(null)} activeOpacity={0.85}>
+            <Ionicons name="add" size={18} color={colors.bg} />
+            <Text style={styles.addBtnText}>Add Contact</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {!!syncNote && <Text style={styles.syncNote}>{syncNote}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loading: { padding: space.xl, alignItems: "center" },
+  container: { paddingBottom: space.lg },
+  intro: {
+    color: colors.muted,
+    fontSize: 13,
+    fontFamily: font.reg,
+    lineHeight: 19,
+    marginBottom: space.lg,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: radius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: space.md,
+    marginBottom: space.md,
+  },
+  emptyText: { color: colors.muted, fontSize: 13, fontFamily: font.reg, marginBottom: space.sm },
+  contactRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: space.sm,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  avatar: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: colors.surfaceHigh,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  contactName: { color: colors.text, fontSize: 14, fontFamily: font.semi },
+  contactDetail: { color: colors.muted, fontSize: 12, fontFamily: font.reg, marginTop: 2 },
+  statusRow: { flexDirection: "row", alignItems: "center", gap: 4, marginTop: 4 },
+  statusText: { fontSize: 11, fontFamily: font.bold },
+  resendText: { color: colors.amber, fontSize: 11, fontFamily: font.bold, marginLeft: space.sm },
+  warnText: { color: colors.amber, fontSize: 12, fontFamily: font.med, lineHeight: 17, marginTop: space.sm },
+  langTag: { color: colors.faint, fontSize: 10, fontFamily: font.black, letterSpacing: 0.8 },
+  addBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: space.xs,
+    marginTop: space.md,
+    paddingVertical: 12,
+    borderRadius: radius.sm,
+    backgroundColor: colors.green,
+  },
+  addBtnText: { color: colors.bg, fontSize: 14, fontFamily: font.bold },
+  fieldLabel: {
+    color: colors.faint,
+    fontSize: 11,
+    fontFamily: font.bold,
+    letterSpacing: 1.2,
+    marginBottom: space.xs,
+  },
+  input: {
+    backgroundColor: colors.bg,
+    borderRadius: radius.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    color: colors.text,
+    fontFamily: font.med,
+    marginBottom: space.md,
+  },
+  chipRow: { flexDirection: "row", flexWrap: "wrap", gap: space.xs },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: radius.pill,
+    borderWidth: 1,
+    borderColor: colors.borderHigh,
+    backgroundColor: colors.bg,
+  },
+  chipActive: { backgroundColor: colors.green, borderColor: colors.green },
+  chipText: { color: colors.muted, fontSize: 12, fontFamily: font.bold },
+  chipTextActive: { color: colors.bg },
+  error: { color: "#fca5a5", fontSize: 12, fontFamily: font.bold, marginBottom: space.sm },
+  syncNote: { color: colors.muted, fontSize: 12, fontFamily: font.med, marginBottom: space.sm },
+  saveBtn: {
+    backgroundColor: colors.green,
+    borderRadius: radius.md,
+    paddingVertical: 14,
+    alignItems: "center",
+  },
+  saveBtnText: { color: colors.bg, fontSize: 15, fontFamily: font.black, letterSpacing: 0.4 },
+  formActions: { flexDirection: "row", justifyContent: "space-between", marginTop: space.md },
+  linkBtn: { paddingVertical: 8 },
+  linkText: { color: colors.muted, fontSize: 13, fontFamily: font.bold },
+});
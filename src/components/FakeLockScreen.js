@@ -9,55 +9,39 @@ import {
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import AsyncStorage from "@react-native-async-storage/async-storage";
-import { cancelBatSignal } from "../services/BatSignal";
+import { cancelBatSignal, sendDuressSignal } from "../services/BatSignal";
+import { getSOSSessionId } from "../services/LiveTracker";
+import SOSResponders from "../services/SOSResponders";
 import { supabase } from "../lib/supabase";
-import { hashPin, pinHashKey, pinLockKey, pinLockLevelKey } from "../utils/pinHash";
+import { pinLockKey, pinLockLevelKey } from "../utils/pinHash";
+import { PIN_RESULT, checkSosPin, upgradeLegacyPinHash } from "../utils/pinVerify";
 import { colors, font, radius } from "../theme";
+import { formatDistance } from "../utils/geo";
 
-// Prefer SecureStore for PIN hash (encrypted on device); fall back to AsyncStorage
-let SecureStore = null;
-try {
-  SecureStore = require("expo-secure-store");
-} catch {}
+// ✅ Hard timeout so UI never gets stuck
+// ✅ FIX: Increased from 4000 to 6000ms to give broadcast cancel time to reach fleet
+const CANCEL_TIMEOUT_MS = 6000;
 
-// Legacy unscoped fallback key (used when userId is not yet known)
-const LEGACY_PIN_KEY = "sentinel_pin_hash";
+// Backup reload of responders (live updates arrive via broadcast)
+const RESPONDER_REFRESH_MS = 30_000;
 
-async function readPinHash(key = LEGACY_PIN_KEY) {
-  // Try SecureStore first
-  if (SecureStore?.getItemAsync) {
-    try {
-      const v = await SecureStore.getItemAsync(key);
-      if (v) return v;
-    } catch {}
-  }
-  // Fall back to AsyncStorage
-  try {
-    return await AsyncStorage.getItem(key);
-  } catch {}
-  return null;
-}
+// ✅ Discreet one-liner — must not make the fake lock screen look like an SOS screen
+function formatResponderLine(summary) {
+  if (!summary || summary.count === 0) return "";
+  if (summary.arrived > 0) return `${summary.arrived} nearby`;
 
-async function writePinHash(hash, key = LEGACY_PIN_KEY) {
-  // Write to SecureStore (primary) + AsyncStorage (fallback)
-  if (SecureStore?.setItemAsync) {
-    try { await SecureStore.setItemAsync(key, hash); } catch {}
-  }
-  try { await AsyncStorage.setItem(key, hash); } catch {}
+  const parts = [`${summary.count} on the way`];
+  if (summary.nearestMeters != null) parts.push(formatDistance(summary.nearestMeters));
+  if (summary.nearestEtaSeconds != null) parts.push(`~${Math.max(1, Math.round(summary.nearestEtaSeconds / 60))} min`);
+  return parts.join(" · ");
 }
 
-// ✅ Hard timeout so UI never gets stuck
-// ✅ FIX: Increased from 4000 to 6000ms to give broadcast cancel time to reach fleet
-const CANCEL_TIMEOUT_MS = 6000;
-// ✅ FIX: Increased from 3000 to 8000ms — during SOS the network is saturated
-// (video streaming, GPS syncs, cloud recording) so RPC needs more time
-const PIN_VERIFY_TIMEOUT_MS = 8000;
-
-export default function FakeLockScreen({ onUnlock }) {
+export default function FakeLockScreen({ onUnlock, drill = false }) {
   const [pin, setPin] = useState("");
   const [message, setMessage] = useState("Enter PIN");
   const [attempts, setAttempts] = useState(0);
   const [isCancelling, setIsCancelling] = useState(false);
+  const [responderSummary, setResponderSummary] = useState(null);
 
   // ✅ User-scoped storage — prevents cross-account PIN bleed
   const [userId, setUserId] = useState(null);
@@ -92,6 +76,32 @@ export default function FakeLockScreen({ onUnlock }) {
     return () => { cancelled = true; };
   }, []);
 
+  // ✅ Responders en route (claims from SOSAlertOverlay) — live via broadcast + periodic reload
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+    const unsubscribe = SOSResponders.subscribe((summary) => {
+      if (!cancelled) setResponderSummary(summary);
+    });
+
+    const refresh = async () => {
+      try {
+        const incidentId = await getSOSSessionId();
+        if (!cancelled && incidentId) await SOSResponders.loadResponders(incidentId);
+      } catch {}
+    };
+
+    refresh();
+    timer = setInterval(refresh, RESPONDER_REFRESH_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      unsubscribe();
+      SOSResponders.resetSender();
+    };
+  }, []);
+
   // ✅ Brief "SOS Sent" confirmation so user knows the alert went through
   useEffect(() => {
     setMessage("SOS Sent — Enter PIN to cancel");
@@ -203,7 +213,8 @@ export default function FakeLockScreen({ onUnlock }) {
     setPin(pin.slice(0, -1));
   };
 
-  const doUnlock = async () => {
+  // duress: identical on screen, but the SOS keeps running and the fleet is escalated
+  const doUnlock = async ({ duress = false } = {}) => {
     // ✅ Show unlocking state immediately
     safeSet(() => {
       setIsCancelling(true);
@@ -214,14 +225,14 @@ export default function FakeLockScreen({ onUnlock }) {
 
     // ✅ Best-effort cancel SOS, but NEVER block unlock forever
     try {
-      await withTimeout(cancelBatSignal(), CANCEL_TIMEOUT_MS);
+      await withTimeout(duress ? sendDuressSignal() : cancelBatSignal(), CANCEL_TIMEOUT_MS);
     } catch (e) {
       console.log("⚠️ SOS cancel timed out/failed (non-fatal):", e?.message || e);
     }
 
     // ✅ Always return to normal app UI — this is the critical call
     try {
-      if (typeof onUnlock === "function") onUnlock();
+      if (typeof onUnlock === "function") onUnlock({ duress });
     } catch (e) {
       console.log("⚠️ onUnlock error:", e?.message || e);
     }
@@ -234,72 +245,22 @@ export default function FakeLockScreen({ onUnlock }) {
 
     safeSet(() => setMessage("Verifying..."));
 
-    // Resolve userId for scoped keys (may already be set; fetch as fallback)
-    let resolvedUserId = userId;
-    if (!resolvedUserId) {
-      try {
-        const { data: authData } = await supabase.auth.getUser();
-        resolvedUserId = authData?.user?.id || null;
-      } catch {}
-    }
-    const scopedPinKey = pinHashKey(resolvedUserId);
-
-    // Verify PIN against server, then local cache. No hardcoded fallbacks.
-    let isValid = false;
+    // Server first, then local/cloud cache when offline (see utils/pinVerify)
+    const result = await checkSosPin(inputPin, { userId });
 
-    try {
-      const hashed = hashPin(inputPin);
-      const { data, error } = await withTimeout(
-        supabase.rpc("verify_user_sos_pin", { p_pin_hash: hashed }),
-        PIN_VERIFY_TIMEOUT_MS
-      );
-
-      if (!error && data?.valid === true) {
-        isValid = true;
-        // Cache PIN hash locally (SecureStore + AsyncStorage) for offline use
-        await writePinHash(hashed, scopedPinKey);
-      }
-      // If "No PIN set" server-side, stay locked (user must set a PIN from fleet screen)
-    } catch (e) {
-      console.log("PIN verification error (falling back to local/cloud cache):", e?.message || e);
-      const hashed = hashPin(inputPin);
-
-      // 1) Check local cache first (fastest)
-      let cachedHash = await readPinHash(scopedPinKey);
-
-      // 2) If local cache is empty (reinstall), try pulling PIN hash from cloud
-      //    MUST filter by user_id — never rely on .limit(1) without a user filter.
-      if (!cachedHash && resolvedUserId) {
-        try {
-          const { data: pinRow } = await withTimeout(
-            supabase
-              .from("user_sos_pins")
-              .select("pin_hash")
-              .eq("user_id", resolvedUserId)
-              .maybeSingle(),
-            5000
-          );
-          if (pinRow?.pin_hash) {
-            cachedHash = pinRow.pin_hash;
-            // Restore to local storage for future offline use
-            await writePinHash(cachedHash, scopedPinKey);
-            console.log("✅ PIN hash restored from cloud during SOS verify fallback");
-          }
-        } catch (fetchErr) {
-          console.log("PIN cloud fetch also failed:", fetchErr?.message || fetchErr);
-        }
-      }
-
-      if (cachedHash && cachedHash === hashed) {
-        isValid = true;
-      }
-      // No cached PIN + no server = stay locked (safe default)
+    if (result === PIN_RESULT.DURESS) {
+      // Looks exactly like a successful cancel (during a drill it IS one — no real escalation)
+      verifyingRef.current = false;
+      await doUnlock({ duress: !drill });
+      return;
     }
 
-    if (isValid) {
+    if (result === PIN_RESULT.VALID) {
       // ✅ SUCCESS: Unlock immediately, don't let anything block it
       verifyingRef.current = false;
       await doUnlock();
+      // Legacy "pin_xxxxxxxx" hash → salted v2 now that we know the PIN (non-blocking)
+      upgradeLegacyPinHash(inputPin, { userId }).catch(() => {});
       return;
     }
 
@@ -307,6 +268,15 @@ export default function FakeLockScreen({ onUnlock }) {
     verifyingRef.current = false;
     Vibration.vibrate(400);
 
+    // Server lockout (too many wrong PINs across devices / screens) — no local count needed
+    if (result === PIN_RESULT.LOCKED) {
+      safeSet(() => {
+        setMessage("Too many attempts. Try again later");
+        setPin("");
+      });
+      return;
+    }
+
     const nextAttempts = attempts + 1;
 
     safeSet(() => {
@@ -358,6 +328,9 @@ export default function FakeLockScreen({ onUnlock }) {
       <View style={styles.displayArea}>
         <Text style={styles.message}>{lockSecondsLeft > 0 ? `Locked. Try again in ${lockSecondsLeft}s` : message}</Text>
         {renderDots()}
+        {responderSummary?.count > 0 ? (
+          <Text style={styles.responderLine}>{formatResponderLine(responderSummary)}</Text>
+        ) : null}
       </View>
 
       {/* Bottom Section: Keypad */}
@@ -430,6 +403,13 @@ const styles = StyleSheet.create({
     shadowOpacity: 0,
     shadowRadius: 6,
   },
+  responderLine: {
+    marginTop: 22,
+    color: colors.faint,
+    fontSize: 12,
+    fontFamily: font.med,
+    letterSpacing: 0.3,
+  },
   filledDot: {
     backgroundColor: colors.text,
     borderColor: colors.text,
@@ -0,0 +1,505 @@
+// 📂 FILE: src/components/FleetInviteManager.js
+// ✅ Invite manager (Fleet screen, roles with 'invite')
+// - Primary code: copy / share / QR; owner and admins can replace a leaked one
+// - Extra codes with a label, expiry, number of uses and a role / team preset; share as a
+//   tap-to-join link or show as a QR (InviteQrCard); revoke any time
+// - "Joined" list: who joined with which code, and the role it gave them
+// - Join approval (owner / admins): JoinRequestsPanel
+
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  Pressable,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  Share,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as Clipboard from "expo-clipboard";
+import { colors, font, radius } from "../theme";
+import { ROLE_LABELS } from "../utils/fleetRoles";
+import JoinRequestsPanel from "./JoinRequestsPanel";
+import InviteQrCard from "./InviteQrCard";
+import InviteLinks from "../services/InviteLinks";
+import FleetInvites, {
+  MAX_USES_OPTIONS,
+  EXPIRY_OPTIONS_HOURS,
+  INVITE_ERROR_MESSAGES,
+  describeInviteStatus,
+  formatExpiryOption,
+} from "../services/FleetInvites";
+
+function newCodeForm(lockedTeamId = null) {
+  return { label: "", role: "member", teamId: lockedTeamId, maxUses: 1, expiresInHours: 24 * 7 };
+}
+
+function formatJoinedAt(iso) {
+  if (!iso) return "";
+  try {
+    return new Date(iso).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+  } catch {
+    return "";
+  }
+}
+
+export default function FleetInviteManager({ visible, groupId, onClose, onPrimaryCodeChanged, onRequestsChanged }) {
+  const [info, setInfo] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [qrCode, setQrCode] = useState(null); // code whose QR is open
+
+  const load = useCallback(async () => {
+    if (!groupId) return;
+    setLoading(true);
+    const res = await FleetInvites.getCodes(groupId);
+    setLoading(false);
+    if (!res.ok) {
+      setError(INVITE_ERROR_MESSAGES[res.error] || "Could not load invite codes. Check your connection.");
+      return;
+    }
+    setInfo(res);
+  }, [groupId]);
+
+  useEffect(() => {
+    if (!visible) return;
+    setForm(null);
+    setError("");
+    setQrCode(null);
+    load();
+  }, [visible, load]);
+
+  const close = () => {
+    if (saving) return;
+    onClose?.();
+  };
+
+  const fail = (res, fallback) => setError(INVITE_ERROR_MESSAGES[res?.error] || fallback);
+
+  const shareCode = async (code, label) => {
+    try {
+      await Share.share({ message: InviteLinks.buildShareMessage(code, label) });
+    } catch {}
+  };
+
+  const copyCode = async (code) => {
+    try {
+      await Clipboard.setStringAsync(code);
+      Alert.alert("Copied", "Invite code copied to clipboard.");
+    } catch {
+      Alert.alert("Invite Code", code);
+    }
+  };
+
+  const toggleQr = (code) => setQrCode((open) => (open === code ? null : code));
+
+  const createCode = async () => {
+    setSaving(true);
+    setError("");
+    const res = await FleetInvites.createCode(groupId, form);
+    setSaving(false);
+    if (!res.ok) return fail(res, "Could not create the code. Check your connection.");
+    setForm(null);
+    await load();
+    shareCode(res.code, form.label.trim());
+  };
+
+  const confirmRevoke = (invite) => {
+    Alert.alert("Revoke code?", `${invite.code} stops working right away. People who already joined stay in the fleet.`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Revoke",
+        style: "destructive",
+        onPress: async () => {
+          setSaving(true);
+          const res = await FleetInvites.revokeCode(invite.id);
+          setSaving(false);
+          if (!res.ok) return fail(res, "Could not revoke the code.");
+          load();
+        },
+      },
+    ]);
+  };
+
+  const confirmRotate = () => {
+    Alert.alert(
+      "Replace fleet code?",
+      "The current code stops working right away and a new one is created. Members stay in the fleet.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Replace",
+          style: "destructive",
+          onPress: async () => {
+            setSaving(true);
+            const res = await FleetInvites.rotatePrimaryCode(groupId);
+            setSaving(false);
+            if (!res.ok) return fail(res, "Could not replace the code.");
+            onPrimaryCodeChanged?.(res.code);
+            load();
+          },
+        },
+      ]
+    );
+  };
+
+  const presetRoles = info?.presetRoles || [];
+  const teams = info?.teams || [];
+  const codes = info?.codes || [];
+  const redemptions = info?.redemptions || [];
+
+  return (
+    <Modal transparent visible={!!visible} animationType="fade" onRequestClose={close}>
+      <Pressable style={styles.backdrop} onPress={close}>
+        <Pressable style={styles.card} onPress={() => {}}>
+          <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : undefined}>
+            <ScrollView keyboardShouldPersistTaps="handled" showsVerticalScrollIndicator={false}>
+              <View style={styles.headerRow}>
+                <View style={styles.titleRow}>
+                  <Ionicons name="key" size={18} color={colors.text} />
+                  <Text style={styles.title}>Invite Codes</Text>
+                </View>
+                <TouchableOpacity onPress={close} disabled={saving} style={styles.closeBtn}>
+                  <Ionicons name="close" size={18} color={colors.muted} />
+                </TouchableOpacity>
+              </View>
+
+              {loading && !info ? (
+                <ActivityIndicator color={colors.green} style={{ marginTop: 20 }} />
+              ) : info ? (
+                <>
+                  <Text style={styles.label}>FLEET CODE</Text>
+                  <View style={styles.listRow}>
+                    <Text style={styles.code} selectable>{info.primaryCode || "—"}</Text>
+                    {!!info.primaryCode && (
+                      <>
+                        <TouchableOpacity onPress={() => copyCode(info.primaryCode)} style={styles.iconBtn}>
+                          <Ionicons name="copy-outline" size={16} color={colors.muted} />
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => shareCode(info.primaryCode)} style={styles.iconBtn}>
+                          <Ionicons name="share-social-outline" size={16} color={colors.muted} />
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => toggleQr(info.primaryCode)} style={styles.iconBtn}>
+                          <Ionicons
+                            name="qr-code-outline"
+                            size={16}
+                            color={qrCode === info.primaryCode ? colors.green : colors.muted}
+                          />
+                        </TouchableOpacity>
+                      </>
+                    )}
+                    {info.canRotate && (
+                      <TouchableOpacity onPress={confirmRotate} disabled={saving} style={styles.iconBtn}>
+                        <Ionicons name="refresh" size={16} color={colors.red} />
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                  {qrCode === info.primaryCode && <InviteQrCard code={info.primaryCode} size={200} />}
+                  <Text style={styles.hint}>Never expires — replace it if it leaks.</Text>
+
+                  <Text style={styles.label}>EXTRA CODES</Text>
+                  {codes.length === 0 && !form && (
+                    <Text style={styles.hint}>None yet — make one that expires or only works a few times.</Text>
+                  )}
+                  {codes.map((invite) => {
+                    const active = invite.status === "active";
+                    return (
+                      <View key={invite.id}>
+                        <View style={styles.listRow}>
+                          <View style={[styles.dot, { backgroundColor: active ? colors.green : colors.faint }]} />
+                          <View style={{ flex: 1 }}>
+                            <Text style={[styles.listTitle, !active && styles.dead]} selectable>
+                              {invite.code}
+                              {invite.label ? `  ·  ${invite.label}` : ""}
+                            </Text>
+                            <Text style={styles.listMeta}>
+                              {ROLE_LABELS[invite.role] || "Member"}
+                              {invite.team_name ? ` · ${invite.team_name}` : ""} · {describeInviteStatus(invite)}
+                            </Text>
+                          </View>
+                          {active && (
+                            <>
+                              <TouchableOpacity onPress={() => shareCode(invite.code, invite.label)} style={styles.iconBtn}>
+                                <Ionicons name="share-social-outline" size={16} color={colors.muted} />
+                              </TouchableOpacity>
+                              <TouchableOpacity onPress={() => toggleQr(invite.code)} style={styles.iconBtn}>
+                                <Ionicons
+                                  name="qr-code-outline"
+                                  size={16}
+                                  color={qrCode === invite.code ? colors.green : colors.muted}
+                                />
+                              </TouchableOpacity>
+                              <TouchableOpacity onPress={() => confirmRevoke(invite)} disabled={saving} style={styles.iconBtn}>
+                                <Ionicons name="close-circle-outline" size={16} color={colors.red} />
+                              </TouchableOpacity>
+                            </>
+                          )}
+                        </View>
+                        {active && qrCode === invite.code && (
+                          <InviteQrCard code={invite.code} label={invite.label} size={200} />
+                        )}
+                      </View>
+                    );
+                  })}
+
+                  {form ? (
+                    <View style={styles.form}>
+                      <TextInput
+                        value={form.label}
+                        onChangeText={(t) => setForm((f) => ({ ...f, label: t }))}
+                        placeholder="Label (e.g. New hires, Contractor)"
+                        placeholderTextColor={colors.faint}
+                        style={styles.input}
+                        maxLength={40}
+                        editable={!saving}
+                      />
+
+                      <Text style={styles.label}>JOINS AS</Text>
+                      <View style={styles.chipRow}>
+                        {presetRoles.map((role) => (
+                          <TouchableOpacity
+                            key={role}
+                            style={[styles.chip, form.role === role && styles.chipActive]}
+                            onPress={() => setForm((f) => ({ ...f, role }))}
+                            activeOpacity={0.85}
+                          >
+                            <Text style={[styles.chipText, form.role === role && styles.chipTextActive]}>
+                              {ROLE_LABELS[role]}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+
+                      {info.fleetType === "work" && teams.length > 0 && (
+                        <>
+                          <Text style={styles.label}>TEAM</Text>
+                          <View style={styles.chipRow}>
+                            {!info.lockedTeamId && (
+                              <TouchableOpacity
+                                style={[styles.chip, !form.teamId && styles.chipActive]}
+                                onPress={() => setForm((f) => ({ ...f, teamId: null }))}
+                                activeOpacity={0.85}
+                              >
+                                <Text style={[styles.chipText, !form.teamId && styles.chipTextActive]}>No team</Text>
+                              </TouchableOpacity>
+                            )}
+                            {teams.map((t) => (
+                              <TouchableOpacity
+                                key={t.id}
+                                style={[styles.chip, form.teamId === t.id && styles.chipActive]}
+                                onPress={() => !info.lockedTeamId && setForm((f) => ({ ...f, teamId: t.id }))}
+                                activeOpacity={0.85}
+                              >
+                                <Text style={[styles.chipText, form.teamId === t.id && styles.chipTextActive]}>{t.name}</Text>
+                              </TouchableOpacity>
+                            ))}
+                          </View>
+                        </>
+                      )}
+
+                      <Text style={styles.label}>USES</Text>
+                      <View style={styles.chipRow}>
+                        {MAX_USES_OPTIONS.map((n) => (
+                          <TouchableOpacity
+                            key={String(n)}
+                            style={[styles.chip, form.maxUses === n && styles.chipActive]}
+                            onPress={() => setForm((f) => ({ ...f, maxUses: n }))}
+                            activeOpacity={0.85}
+                          >
+                            <Text style={[styles.chipText, form.maxUses === n && styles.chipTextActive]}>
+                              {n ? String(n) : "Unlimited"}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+
+                      <Text style={styles.label}>EXPIRES AFTER</Text>
+                      <View style={styles.chipRow}>
+                        {EXPIRY_OPTIONS_HOURS.map((h) => (
+                          <TouchableOpacity
+                            key={String(h)}
+                            style={[styles.chip, form.expiresInHours === h && styles.chipActive]}
+                            onPress={() => setForm((f) => ({ ...f, expiresInHours: h }))}
+                            activeOpacity={0.85}
+                          >
+                            <Text style={[styles.chipText, form.expiresInHours === h && styles.chipTextActive]}>
+                              {formatExpiryOption(h)}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+
+                      <View style={styles.btnRow}>
+                        <TouchableOpacity style={[styles.btn, styles.btnGhost]} onPress={() => setForm(null)} disabled={saving} activeOpacity={0.85}>
+                          <Text style={styles.btnGhostText}>Cancel</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.btn, styles.btnPrimary]} onPress={createCode} disabled={saving} activeOpacity={0.9}>
+                          {saving ? <ActivityIndicator color={colors.bg} /> : <Text style={styles.btnPrimaryText}>Create & Share</Text>}
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  ) : (
+                    presetRoles.length > 0 && (
+                      <TouchableOpacity
+                        style={styles.addBtn}
+                        onPress={() => setForm(newCodeForm(info.lockedTeamId))}
+                        disabled={saving}
+                        activeOpacity={0.85}
+                      >
+                        <Ionicons name="add" size={14} color={colors.green} />
+                        <Text style={styles.addBtnText}>New code</Text>
+                      </TouchableOpacity>
+                    )
+                  )}
+
+                  {info.canRotate && (
+                    <>
+                      <Text style={styles.label}>JOIN REQUESTS</Text>
+                      <JoinRequestsPanel groupId={groupId} visible={visible} onChanged={onRequestsChanged} />
+                    </>
+                  )}
+
+                  <Text style={styles.label}>JOINED</Text>
+                  {redemptions.length === 0 ? (
+                    <Text style={styles.hint}>Nobody has joined with a code yet.</Text>
+                  ) : (
+                    redemptions.map((r, i) => (
+                      <View key={`${r.user_id}-${r.joined_at}-${i}`} style={styles.listRow}>
+                        <Ionicons name="person-add-outline" size={14} color={colors.muted} />
+                        <View style={{ flex: 1 }}>
+                          <Text style={styles.listTitle}>{r.display_name || "New member"}</Text>
+                          <Text style={styles.listMeta}>
+                            {r.primary ? "Fleet code" : r.label || r.code} · {ROLE_LABELS[r.role] || "Member"}
+                            {r.team_name ? ` · ${r.team_name}` : ""} · {formatJoinedAt(r.joined_at)}
+                          </Text>
+                        </View>
+                      </View>
+                    ))
+                  )}
+                </>
+              ) : null}
+
+              {!!error && <Text style={styles.error}>⚠ {error}</Text>}
+            </ScrollView>
+          </KeyboardAvoidingView>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(2, 6, 23, 0.72)",
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 18,
+  },
+  card: {
+    width: "100%",
+    maxWidth: 420,
+    maxHeight: "88%",
+    borderRadius: 18,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: 16,
+  },
+  headerRow: { flexDirection: "row", alignItems: "center", justifyContent: "space-between" },
+  titleRow: { flexDirection: "row", alignItems: "center", gap: 10 },
+  title: { color: colors.text, fontSize: 16, fontFamily: font.black, letterSpacing: 0.6 },
+  closeBtn: {
+    width: 34,
+    height: 34,
+    borderRadius: 12,
+    backgroundColor: "rgba(148, 163, 184, 0.08)",
+    borderWidth: 1,
+    borderColor: colors.border,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  label: {
+    color: colors.muted,
+    fontSize: 11,
+    fontFamily: font.black,
+    letterSpacing: 1,
+    marginTop: 14,
+  },
+  hint: { color: colors.faint, fontSize: 11, fontFamily: font.med, marginTop: 6 },
+  code: { flex: 1, color: colors.green, fontSize: 18, fontFamily: font.black, letterSpacing: 2 },
+  input: {
+    marginTop: 8,
+    backgroundColor: colors.bg,
+    borderRadius: 12,
+    paddingVertical: 11,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    color: colors.text,
+    fontFamily: font.semi,
+  },
+  chipRow: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginTop: 10 },
+  chip: {
+    paddingVertical: 7,
+    paddingHorizontal: 12,
+    borderRadius: radius.pill,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.bg,
+  },
+  chipActive: { backgroundColor: colors.green, borderColor: colors.green },
+  chipText: { color: colors.muted, fontSize: 12, fontFamily: font.bold },
+  chipTextActive: { color: colors.bg },
+  listRow: { flexDirection: "row", alignItems: "center", gap: 10, marginTop: 10 },
+  dot: { width: 8, height: 8, borderRadius: 4 },
+  listTitle: { color: colors.text, fontSize: 13, fontFamily: font.bold },
+  listMeta: { color: colors.faint, fontSize: 11, fontFamily: font.med, marginTop: 2 },
+  dead: { color: colors.faint, textDecorationLine: "line-through" },
+  iconBtn: { padding: 6 },
+  form: {
+    marginTop: 10,
+    padding: 12,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: "rgba(148, 163, 184, 0.04)",
+  },
+  addBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 10,
+    alignSelf: "flex-start",
+    paddingVertical: 6,
+  },
+  addBtnText: { color: colors.green, fontSize: 12, fontFamily: font.bold },
+  error: { color: "#fca5a5", marginTop: 12, fontSize: 12, fontFamily: font.bold },
+  btnRow: { flexDirection: "row", gap: 10, marginTop: 16 },
+  btn: {
+    flex: 1,
+    borderRadius: 14,
+    paddingVertical: 12,
+    alignItems: "center",
+    justifyContent: "center",
+    flexDirection: "row",
+    gap: 8,
+  },
+  btnGhost: {
+    backgroundColor: "rgba(148, 163, 184, 0.08)",
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  btnGhostText: { color: colors.text, fontFamily: font.black, letterSpacing: 0.6, fontSize: 12 },
+  btnPrimary: { backgroundColor: colors.green },
+  btnPrimaryText: { color: colors.bg, fontFamily: font.black, letterSpacing: 0.8, fontSize: 12 },
+});
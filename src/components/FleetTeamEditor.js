@@ -0,0 +1,494 @@
+// 📂 FILE: src/components/FleetTeamEditor.js
+// ✅ Team editor (Manager Dashboard, owner / admins)
+// - Create / rename / delete a team and set how long its on-shift supervisors get an SOS first
+// - Add / edit / delete the team's shifts: days, hours (may run past midnight), timezone
+// - Supervisors are members with the Supervisor role on this team (assigned from the member card)
+
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  Pressable,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  StyleSheet,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { colors, font, radius } from "../theme";
+import FleetTeams, {
+  DAY_LABELS,
+  WEEKDAYS,
+  SUPERVISOR_WINDOW_OPTIONS_SEC,
+  DEFAULT_SUPERVISOR_WINDOW_SEC,
+  formatClock,
+  formatShiftHours,
+  deviceTimezone,
+} from "../services/FleetTeams";
+
+const ERROR_MESSAGES = {
+  not_permitted: "Only the fleet owner and admins can manage teams.",
+  not_work_fleet: "Teams are only available in Work fleets.",
+  invalid_name: "Names need 1–40 characters.",
+  name_taken: "That name is already used.",
+  team_not_found: "This team no longer exists.",
+  shift_not_found: "This shift no longer exists.",
+  invalid_days: "Pick at least one day.",
+  invalid_time: "Enter a start and an end time like 07:00 and 15:00.",
+  invalid_timezone: "Unknown timezone (e.g. America/Chicago).",
+};
+
+// "7:30", "07:30", "19:05" → minutes after midnight | null
+function parseClock(text) {
+  const m = String(text || "").trim().match(/^(\d{1,2}):?(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return h * 60 + min;
+}
+
+function windowLabel(sec) {
+  if (!sec) return "Off";
+  return sec < 60 ? `${sec}s` : `${sec / 60} min`;
+}
+
+function newShiftForm(shift = null) {
+  return {
+    id: shift?.id || null,
+    name: shift?.name || "",
+    days: Array.isArray(shift?.days) ? shift.days.map(Number) : WEEKDAYS,
+    fromText: shift ? formatClock(shift.start_min) : "",
+    toText: shift ? formatClock(shift.end_min) : "",
+    timezone: shift?.timezone || deviceTimezone(),
+  };
+}
+
+export default function FleetTeamEditor({ visible, groupId, team = null, onClose, onSaved }) {
+  const [name, setName] = useState("");
+  const [windowSec, setWindowSec] = useState(DEFAULT_SUPERVISOR_WINDOW_SEC);
+  const [shiftForm, setShiftForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Reset the form every time it opens (or the team is reloaded after a save)
+  useEffect(() => {
+    if (!visible) return;
+    setName(team?.name || "");
+    setWindowSec(Number.isFinite(team?.supervisor_window_sec) ? team.supervisor_window_sec : DEFAULT_SUPERVISOR_WINDOW_SEC);
+    setShiftForm(null);
+    setError("");
+  }, [visible, team]);
+
+  const close = () => {
+    if (saving) return;
+    onClose?.();
+  };
+
+  const fail = (res, fallback) => setError(ERROR_MESSAGES[res?.error] || fallback);
+
+  const saveTeam = async () => {
+    if (!name.trim()) {
+      setError("Give the team a name.");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    const res = await FleetTeams.saveTeam(groupId, { id: team?.id || null, name, supervisorWindowSec: windowSec });
+    setSaving(false);
+    if (!res.ok) return fail(res, "Could not save the team. Check your connection.");
+    onSaved?.(res.teamId);
+  };
+
+  const confirmDeleteTeam = () => {
+    if (!team?.id) return;
+    Alert.alert("Delete team?", `Members of "${team.name}" keep their role but lose their team and shift.`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          setSaving(true);
+          const res = await FleetTeams.deleteTeam(team.id);
+          setSaving(false);
+          if (!res.ok) return fail(res, "Could not delete the team.");
+          onSaved?.(null);
+        },
+      },
+    ]);
+  };
+
+  const toggleDay = (d) => {
+    setShiftForm((f) => ({
+      ...f,
+      days: f.days.includes(d) ? f.days.filter((x) => x !== d) : [...f.days, d].sort((a, b) => a - b),
+    }));
+  };
+
+  const saveShift = async () => {
+    if (!shiftForm.name.trim()) {
+      setError("Give the shift a name.");
+      return;
+    }
+    const startMin = parseClock(shiftForm.fromText);
+    const endMin = parseClock(shiftForm.toText);
+    if (startMin === null || endMin === null) {
+      setError(ERROR_MESSAGES.invalid_time);
+      return;
+    }
+    if (shiftForm.days.length === 0) {
+      setError(ERROR_MESSAGES.invalid_days);
+      return;
+    }
+
+    setSaving(true);
+    setError("");
+    const res = await FleetTeams.saveShift(team.id, {
+      id: shiftForm.id,
+      name: shiftForm.name,
+      days: shiftForm.days,
+      startMin,
+      endMin,
+      timezone: shiftForm.timezone.trim(),
+    });
+    setSaving(false);
+    if (!res.ok) return fail(res, "Could not save the shift. Check your connection.");
+    onSaved?.(team.id);
+  };
+
+  const confirmDeleteShift = (shift) => {
+    Alert.alert("Delete shift?", `Members on "${shift.name}" count as always on shift until reassigned.`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          setSaving(true);
+          const res = await FleetTeams.deleteShift(shift.id);
+          setSaving(false);
+          if (!res.ok) return fail(res, "Could not delete the shift.");
+          onSaved?.(team.id);
+        },
+      },
+    ]);
+  };
+
+  const shifts = Array.isArray(team?.shifts) ? team.shifts : [];
+  const supervisors = Array.isArray(team?.supervisors) ? team.supervisors : [];
+
+  return (
+    <Modal transparent visible={!!visible} animationType="fade" onRequestClose={close}>
+      <Pressable style={styles.backdrop} onPress={close}>
+        <Pressable style={styles.card} onPress={() => {}}>
+          <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : undefined}>
+            <ScrollView keyboardShouldPersistTaps="handled" showsVerticalScrollIndicator={false}>
+              <View style={styles.headerRow}>
+                <View style={styles.titleRow}>
+                  <Ionicons name="people" size={18} color={colors.text} />
+                  <Text style={styles.title}>{team?.id ? "Edit Team" : "New Team"}</Text>
+                </View>
+                <TouchableOpacity onPress={close} disabled={saving} style={styles.closeBtn}>
+                  <Ionicons name="close" size={18} color={colors.muted} />
+                </TouchableOpacity>
+              </View>
+
+              <TextInput
+                value={name}
+                onChangeText={setName}
+                placeholder="Name (e.g. North Site, Night Crew)"
+                placeholderTextColor={colors.faint}
+                style={styles.input}
+                maxLength={40}
+                editable={!saving}
+              />
+
+              <Text style={styles.label}>SUPERVISORS GET AN SOS FIRST FOR</Text>
+              <View style={styles.chipRow}>
+                {SUPERVISOR_WINDOW_OPTIONS_SEC.map((sec) => (
+                  <TouchableOpacity
+                    key={sec}
+                    style={[styles.chip, windowSec === sec && styles.chipActive]}
+                    onPress={() => setWindowSec(sec)}
+                    activeOpacity={0.85}
+                  >
+                    <Text style={[styles.chipText, windowSec === sec && styles.chipTextActive]}>{windowLabel(sec)}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.hint}>
+                The rest of the fleet is alarmed when this runs out without an acknowledgement, or straight away
+                when no supervisor is on shift.
+              </Text>
+
+              {team?.id ? (
+                <>
+                  <Text style={styles.label}>SUPERVISORS</Text>
+                  {supervisors.length === 0 ? (
+                    <Text style={styles.hint}>None yet — give a member of this team the Supervisor role.</Text>
+                  ) : (
+                    supervisors.map((s) => (
+                      <View key={s.user_id} style={styles.listRow}>
+                        <View style={[styles.dot, { backgroundColor: s.on_shift ? colors.green : colors.faint }]} />
+                        <Text style={styles.listTitle}>{s.display_name || "Supervisor"}</Text>
+                        <Text style={styles.listMeta}>{s.on_shift ? "On shift" : "Off shift"}</Text>
+                      </View>
+                    ))
+                  )}
+
+                  <Text style={styles.label}>SHIFTS</Text>
+                  {shifts.length === 0 && !shiftForm && (
+                    <Text style={styles.hint}>No shifts — members of this team count as always on shift.</Text>
+                  )}
+                  {shifts.map((shift) => (
+                    <View key={shift.id} style={styles.listRow}>
+                      <View style={[styles.dot, { backgroundColor: shift.active ? colors.green : colors.faint }]} />
+                      <View style={{ flex: 1 }}>
+                        <Text style={styles.listTitle}>{shift.name}</Text>
+                        <Text style={styles.listMeta}>
+                          {formatShiftHours(shift)} · {shift.timezone}
+                        </Text>
+                      </View>
+                      <TouchableOpacity onPress={() => setShiftForm(newShiftForm(shift))} disabled={saving} style={styles.iconBtn}>
+                        <Ionicons name="create-outline" size={16} color={colors.muted} />
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => confirmDeleteShift(shift)} disabled={saving} style={styles.iconBtn}>
+                        <Ionicons name="trash-outline" size={16} color={colors.red} />
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+
+                  {shiftForm ? (
+                    <View style={styles.shiftForm}>
+                      <TextInput
+                        value={shiftForm.name}
+                        onChangeText={(t) => setShiftForm((f) => ({ ...f, name: t }))}
+                        placeholder="Shift name (e.g. Day, Night)"
+                        placeholderTextColor={colors.faint}
+                        style={styles.input}
+                        maxLength={40}
+                        editable={!saving}
+                      />
+                      <View style={styles.chipRow}>
+                        {DAY_LABELS.map((label, d) => (
+                          <TouchableOpacity
+                            key={label}
+                            style={[styles.chip, shiftForm.days.includes(d) && styles.chipActive]}
+                            onPress={() => toggleDay(d)}
+                            activeOpacity={0.85}
+                          >
+                            <Text style={[styles.chipText, shiftForm.days.includes(d) && styles.chipTextActive]}>{label}</Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                      <View style={styles.hoursRow}>
+                        <TextInput
+                          value={shiftForm.fromText}
+                          onChangeText={(t) => setShiftForm((f) => ({ ...f, fromText: t }))}
+                          placeholder="07:00"
+                          placeholderTextColor={colors.faint}
+                          style={[styles.input, styles.hoursInput]}
+                          keyboardType="numbers-and-punctuation"
+                          maxLength={5}
+                          editable={!saving}
+                        />
+                        <Text style={styles.hoursDash}>to</Text>
+                        <TextInput
+                          value={shiftForm.toText}
+                          onChangeText={(t) => setShiftForm((f) => ({ ...f, toText: t }))}
+                          placeholder="15:00"
+                          placeholderTextColor={colors.faint}
+                          style={[styles.input, styles.hoursInput]}
+                          keyboardType="numbers-and-punctuation"
+                          maxLength={5}
+                          editable={!saving}
+                        />
+                      </View>
+                      <TextInput
+                        value={shiftForm.timezone}
+                        onChangeText={(t) => setShiftForm((f) => ({ ...f, timezone: t }))}
+                        placeholder="Timezone (e.g. America/Chicago)"
+                        placeholderTextColor={colors.faint}
+                        style={styles.input}
+                        autoCapitalize="none"
+                        autoCorrect={false}
+                        editable={!saving}
+                      />
+                      <Text style={styles.hint}>An end time before the start runs past midnight; equal times mean all day.</Text>
+                      <View style={styles.btnRow}>
+                        <TouchableOpacity style={[styles.btn, styles.btnGhost]} onPress={() => setShiftForm(null)} disabled={saving} activeOpacity={0.85}>
+                          <Text style={styles.btnGhostText}>Cancel</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.btn, styles.btnPrimary]} onPress={saveShift} disabled={saving} activeOpacity={0.9}>
+                          {saving ? <ActivityIndicator color={colors.bg} /> : <Text style={styles.btnPrimaryText}>Save Shift</Text>}
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  ) : (
+                    <TouchableOpacity style={styles.addBtn} onPress={() => setShiftForm(newShiftForm())} disabled={saving} activeOpacity={0.85}>
+                      <Ionicons name="add" size={14} color={colors.green} />
+                      <Text style={styles.addBtnText}>Add shift</Text>
+                    </TouchableOpacity>
+                  )}
+                </>
+              ) : (
+                <Text style={styles.hint}>Save the team to add shifts.</Text>
+              )}
+
+              {!!error && <Text style={styles.error}>⚠ {error}</Text>}
+
+              {!shiftForm && (
+                <View style={styles.btnRow}>
+                  {team?.id ? (
+                    <TouchableOpacity style={[styles.btn, styles.btnDanger]} onPress={confirmDeleteTeam} disabled={saving} activeOpacity={0.85}>
+                      <Ionicons name="trash-outline" size={16} color={colors.red} />
+                      <Text style={styles.btnDangerText}>Delete</Text>
+                    </TouchableOpacity>
+                  ) : (
+                    <TouchableOpacity style={[styles.btn, styles.btnGhost]} onPress={close} disabled={saving} activeOpacity={0.85}>
+                      <Text style={styles.btnGhostText}>Cancel</Text>
+                    </TouchableOpacity>
+                  )}
+
+                  <TouchableOpacity
+                    style={[styles.btn, styles.btnPrimary, saving && { opacity: 0.75 }]}
+                    onPress={saveTeam}
+                    disabled={saving}
+                    activeOpacity={0.9}
+                  >
+                    {saving ? (
+                      <ActivityIndicator color={colors.bg} />
+                    ) : (
+                      <>
+                        <Ionicons name="checkmark" size={16} color={colors.bg} />
+                        <Text style={styles.btnPrimaryText}>Save Team</Text>
+                      </>
+                    )}
+                  </TouchableOpacity>
+                </View>
+              )}
+            </ScrollView>
+          </KeyboardAvoidingView>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(2, 6, 23, 0.72)",
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 18,
+  },
+  card: {
+    width: "100%",
+    maxWidth: 420,
+    maxHeight: "88%",
+    borderRadius: 18,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: 16,
+  },
+  headerRow: { flexDirection: "row", alignItems: "center", justifyContent: "space-between" },
+  titleRow: { flexDirection: "row", alignItems: "center", gap: 10 },
+  title: { color: colors.text, fontSize: 16, fontFamily: font.black, letterSpacing: 0.6 },
+  closeBtn: {
+    width: 34,
+    height: 34,
+    borderRadius: 12,
+    backgroundColor: "rgba(148, 163, 184, 0.08)",
+    borderWidth: 1,
+    borderColor: colors.border,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  label: {
+    color: colors.muted,
+    fontSize: 11,
+    fontFamily: font.black,
+    letterSpacing: 1,
+    marginTop: 14,
+  },
+  hint: { color: colors.faint, fontSize: 11, fontFamily: font.med, marginTop: 6 },
+  input: {
+    marginTop: 8,
+    backgroundColor: colors.bg,
+    borderRadius: 12,
+    paddingVertical: 11,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    color: colors.text,
+    fontFamily: font.semi,
+  },
+  chipRow: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginTop: 10 },
+  chip: {
+    paddingVertical: 7,
+    paddingHorizontal: 12,
+    borderRadius: radius.pill,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.bg,
+  },
+  chipActive: { backgroundColor: colors.green, borderColor: colors.green },
+  chipText: { color: colors.muted, fontSize: 12, fontFamily: font.bold },
+  chipTextActive: { color: colors.bg },
+  listRow: { flexDirection: "row", alignItems: "center", gap: 10, marginTop: 10 },
+  dot: { width: 8, height: 8, borderRadius: 4 },
+  listTitle: { color: colors.text, fontSize: 13, fontFamily: font.bold },
+  listMeta: { color: colors.faint, fontSize: 11, fontFamily: font.med, marginTop: 2 },
+  iconBtn: { padding: 6 },
+  shiftForm: {
+    marginTop: 10,
+    padding: 12,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: "rgba(148, 163, 184, 0.04)",
+  },
+  addBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 10,
+    alignSelf: "flex-start",
+    paddingVertical: 6,
+  },
+  addBtnText: { color: colors.green, fontSize: 12, fontFamily: font.bold },
+  hoursRow: { flexDirection: "row", alignItems: "center", gap: 10 },
+  hoursInput: { flex: 1, textAlign: "center" },
+  hoursDash: { color: colors.muted, fontFamily: font.bold, fontSize: 12, marginTop: 8 },
+  error: { color: "#fca5a5", marginTop: 12, fontSize: 12, fontFamily: font.bold },
+  btnRow: { flexDirection: "row", gap: 10, marginTop: 16 },
+  btn: {
+    flex: 1,
+    borderRadius: 14,
+    paddingVertical: 12,
+    alignItems: "center",
+    justifyContent: "center",
+    flexDirection: "row",
+    gap: 8,
+  },
+  btnGhost: {
+    backgroundColor: "rgba(148, 163, 184, 0.08)",
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  btnGhostText: { color: colors.text, fontFamily: font.black, letterSpacing: 0.6, fontSize: 12 },
+  btnDanger: {
+    backgroundColor: "rgba(239, 68, 68, 0.08)",
+    borderWidth: 1,
+    borderColor: colors.redBorder,
+  },
+  btnDangerText: { color: colors.red, fontFamily: font.black, letterSpacing: 0.6, fontSize: 12 },
+  btnPrimary: { backgroundColor: colors.green },
+  btnPrimaryText: { color: colors.bg, fontFamily: font.black, letterSpacing: 0.8, fontSize: 12 },
+});
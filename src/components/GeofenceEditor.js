@@ -0,0 +1,490 @@
+// 📂 FILE: src/components/GeofenceEditor.js
+// ✅ Geofence editor (Fleet screen, owner only)
+// - Create / edit / delete a named zone: kind, center, radius, active hours, safe-zone flags
+// - No map SDK: the center is "use my current location" or a pasted "lat, lng"
+//   (long-press a spot in Google Maps to copy it)
+
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  Pressable,
+  ScrollView,
+  Switch,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  StyleSheet,
+} from "react-native";
+import * as Location from "expo-location";
+import { Ionicons } from "@expo/vector-icons";
+import { colors, font, radius } from "../theme";
+import GeofenceMonitor, { ZONE_KINDS, ZONE_KIND_LABELS } from "../services/GeofenceMonitor";
+
+const RADIUS_PRESETS_M = [100, 200, 500, 1000];
+const DEFAULT_RADIUS_M = 200;
+const MIN_RADIUS_M = 50;
+const MAX_RADIUS_M = 5000;
+
+const KIND_ICONS = {
+  home: "home",
+  school: "school",
+  job_site: "construct",
+  other: "location",
+};
+
+const ERROR_MESSAGES = {
+  not_fleet_owner: "Only the fleet owner can edit geofences.",
+  geofence_not_found: "This zone no longer exists.",
+  invalid_active_hours: "Enter both a start and an end time.",
+};
+
+function isNum(n) {
+  return typeof n === "number" && Number.isFinite(n);
+}
+
+// "47.6062, -122.3321" → { latitude, longitude } | null
+function parseCoords(text) {
+  const m = String(text || "").match(/(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)/);
+  if (!m) return null;
+  const latitude = Number(m[1]);
+  const longitude = Number(m[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+}
+
+function formatCoords(lat, lng) {
+  return isNum(lat) && isNum(lng) ? `${lat.toFixed(6)}, ${lng.toFixed(6)}` : "";
+}
+
+// "7:30", "07:30", "19:05" → minutes after midnight | null
+function parseClock(text) {
+  const m = String(text || "").trim().match(/^(\d{1,2}):?(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return h * 60 + min;
+}
+
+function formatClock(min) {
+  if (!isNum(min)) return "";
+  return `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+}
+
+export default function GeofenceEditor({ visible, groupId, zone = null, onClose, onSaved }) {
+  const [name, setName] = useState("");
+  const [kind, setKind] = useState("home");
+  const [coordsText, setCoordsText] = useState("");
+  const [radiusText, setRadiusText] = useState(String(DEFAULT_RADIUS_M));
+  const [allDay, setAllDay] = useState(true);
+  const [fromText, setFromText] = useState("");
+  const [toText, setToText] = useState("");
+  const [isSafeZone, setIsSafeZone] = useState(false);
+  const [autoCheckIn, setAutoCheckIn] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Reset the form every time it opens (new zone or the zone being edited)
+  useEffect(() => {
+    if (!visible) return;
+    setName(zone?.name || "");
+    setKind(zone?.kind || "home");
+    setCoordsText(formatCoords(zone?.latitude, zone?.longitude));
+    setRadiusText(String(zone?.radius_m || DEFAULT_RADIUS_M));
+    setAllDay(!isNum(zone?.active_from_min) || !isNum(zone?.active_to_min));
+    setFromText(formatClock(zone?.active_from_min));
+    setToText(formatClock(zone?.active_to_min));
+    setIsSafeZone(zone?.is_safe_zone === true);
+    setAutoCheckIn(zone?.auto_check_in === true);
+    setError("");
+  }, [visible, zone]);
+
+  const close = () => {
+    if (saving) return;
+    onClose?.();
+  };
+
+  const handleUseMyLocation = async () => {
+    setLocating(true);
+    setError("");
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== "granted") {
+        setError("Location permission is needed to use your current position.");
+        return;
+      }
+      const pos = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+      setCoordsText(formatCoords(pos?.coords?.latitude, pos?.coords?.longitude));
+    } catch (e) {
+      setError("Could not get your location. Try again or paste coordinates.");
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  const save = async () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setError("Give the zone a name.");
+      return;
+    }
+
+    const coords = parseCoords(coordsText);
+    if (!coords) {
+      setError("Set the center: use your location or paste \"lat, lng\".");
+      return;
+    }
+
+    const radiusM = Math.round(Number(radiusText));
+    if (!isNum(radiusM) || radiusM < MIN_RADIUS_M || radiusM > MAX_RADIUS_M) {
+      setError(`Radius must be between ${MIN_RADIUS_M} and ${MAX_RADIUS_M} m.`);
+      return;
+    }
+
+    let activeFrom = null;
+    let activeTo = null;
+    if (!allDay) {
+      activeFrom = parseClock(fromText);
+      activeTo = parseClock(toText);
+      if (activeFrom === null || activeTo === null || activeFrom === activeTo) {
+        setError("Active hours need a start and end time like 08:00 and 15:30.");
+        return;
+      }
+    }
+
+    setSaving(true);
+    setError("");
+    const res = await GeofenceMonitor.saveZone(groupId, {
+      id: zone?.id || null,
+      name: trimmed,
+      kind,
+      latitude: coords.latitude,
+      longitude: coords.longitude,
+      radius_m: radiusM,
+      active_from_min: activeFrom,
+      active_to_min: activeTo,
+      is_safe_zone: isSafeZone,
+      auto_check_in: isSafeZone && autoCheckIn,
+    });
+    setSaving(false);
+
+    if (!res.ok) {
+      setError(ERROR_MESSAGES[res.error] || "Could not save the zone. Check your connection.");
+      return;
+    }
+    onSaved?.();
+  };
+
+  const confirmDelete = () => {
+    if (!zone?.id) return;
+    Alert.alert("Delete zone?", `Members will stop reporting arrivals at "${zone.name}".`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          setSaving(true);
+          const res = await GeofenceMonitor.deleteZone(zone.id);
+          setSaving(false);
+          if (!res.ok) {
+            setError(ERROR_MESSAGES[res.error] || "Could not delete the zone.");
+            return;
+          }
+          onSaved?.();
+        },
+      },
+    ]);
+  };
+
+  return (
+    <Modal transparent visible={!!visible} animationType="fade" onRequestClose={close}>
+      <Pressable style={styles.backdrop} onPress={close}>
+        <Pressable style={styles.card} onPress={() => {}}>
+          <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : undefined}>
+            <ScrollView keyboardShouldPersistTaps="handled" showsVerticalScrollIndicator={false}>
+              <View style={styles.headerRow}>
+                <View style={styles.titleRow}>
+                  <Ionicons name="locate" size={18} color={colors.text} />
+                  <Text style={styles.title}>{zone?.id ? "Edit Zone" : "New Zone"}</Text>
+                </View>
+                <TouchableOpacity onPress={close} disabled={saving} style={styles.closeBtn}>
+                  <Ionicons name="close" size={18} color={colors.muted} />
+                </TouchableOpacity>
+              </View>
+
+              <TextInput
+                value={name}
+                onChangeText={setName}
+                placeholder="Name (e.g. Home, Lincoln High)"
+                placeholderTextColor={colors.faint}
+                style={styles.input}
+                maxLength={60}
+                editable={!saving}
+              />
+
+              <View style={styles.chipRow}>
+                {ZONE_KINDS.map((k) => (
+                  <TouchableOpacity
+                    key={k}
+                    style={[styles.chip, kind === k && styles.chipActive]}
+                    onPress={() => setKind(k)}
+                    activeOpacity={0.85}
+                  >
+                    <Ionicons name={KIND_ICONS[k]} size={13} color={kind === k ? colors.bg : colors.muted} />
+                    <Text style={[styles.chipText, kind === k && styles.chipTextActive]}>{ZONE_KIND_LABELS[k]}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={styles.label}>CENTER</Text>
+              <TextInput
+                value={coordsText}
+                onChangeText={setCoordsText}
+                placeholder="lat, lng"
+                placeholderTextColor={colors.faint}
+                style={styles.input}
+                autoCapitalize="none"
+                keyboardType={Platform.OS === "ios" ? "numbers-and-punctuation" : "default"}
+                editable={!saving}
+              />
+              <TouchableOpacity style={styles.locateBtn} onPress={handleUseMyLocation} disabled={locating || saving} activeOpacity={0.85}>
+                {locating ? (
+                  <ActivityIndicator size="small" color={colors.green} />
+                ) : (
+                  <Ionicons name="navigate" size={14} color={colors.green} />
+                )}
+                <Text style={styles.locateBtnText}>Use my current location</Text>
+              </TouchableOpacity>
+
+              <Text style={styles.label}>RADIUS (METERS)</Text>
+              <View style={styles.chipRow}>
+                {RADIUS_PRESETS_M.map((m) => (
+                  <TouchableOpacity
+                    key={m}
+                    style={[styles.chip, radiusText === String(m) && styles.chipActive]}
+                    onPress={() => setRadiusText(String(m))}
+                    activeOpacity={0.85}
+                  >
+                    <Text style={[styles.chipText, radiusText === String(m) && styles.chipTextActive]}>
+                      {m >= 1000 ? `${m / 1000} km` : `${m} m`}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TextInput
+                value={radiusText}
+                onChangeText={(t) => setRadiusText(t.replace(/[^0-9]/g, ""))}
+                placeholder={String(DEFAULT_RADIUS_M)}
+                placeholderTextColor={colors.faint}
+                style={styles.input}
+                keyboardType="number-pad"
+                maxLength={4}
+                editable={!saving}
+              />
+
+              <View style={styles.switchRow}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.switchTitle}>Active all day</Text>
+                  <Text style={styles.switchHint}>Turn off to only report arrivals during set hours</Text>
+                </View>
+                <Switch value={allDay} onValueChange={setAllDay} disabled={saving} />
+              </View>
+              {!allDay && (
+                <View style={styles.hoursRow}>
+                  <TextInput
+                    value={fromText}
+                    onChangeText={setFromText}
+                    placeholder="08:00"
+                    placeholderTextColor={colors.faint}
+                    style={[styles.input, styles.hoursInput]}
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={5}
+                    editable={!saving}
+                  />
+                  <Text style={styles.hoursDash}>to</Text>
+                  <TextInput
+                    value={toText}
+                    onChangeText={setToText}
+                    placeholder="15:30"
+                    placeholderTextColor={colors.faint}
+                    style={[styles.input, styles.hoursInput]}
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={5}
+                    editable={!saving}
+                  />
+                </View>
+              )}
+
+              <View style={styles.switchRow}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.switchTitle}>Safe zone</Text>
+                  <Text style={styles.switchHint}>A place where members are expected to be safe</Text>
+                </View>
+                <Switch
+                  value={isSafeZone}
+                  onValueChange={(v) => {
+                    setIsSafeZone(v);
+                    if (!v) setAutoCheckIn(false);
+                  }}
+                  disabled={saving}
+                />
+              </View>
+              {isSafeZone && (
+                <View style={styles.switchRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.switchTitle}>Arrival counts as check-in</Text>
+                    <Text style={styles.switchHint}>Sends "I'm OK" to the fleet and ends a safe-arrival timer</Text>
+                  </View>
+                  <Switch value={autoCheckIn} onValueChange={setAutoCheckIn} disabled={saving} />
+                </View>
+              )}
+
+              {!!error && <Text style={styles.error}>⚠ {error}</Text>}
+
+              <View style={styles.btnRow}>
+                {zone?.id ? (
+                  <TouchableOpacity style={[styles.btn, styles.btnDanger]} onPress={confirmDelete} disabled={saving} activeOpacity={0.85}>
+                    <Ionicons name="trash-outline" size={16} color={colors.red} />
+                    <Text style={styles.btnDangerText}>Delete</Text>
+                  </TouchableOpacity>
+                ) : (
+                  <TouchableOpacity style={[styles.btn, styles.btnGhost]} onPress={close} disabled={saving} activeOpacity={0.85}>
+                    <Text style={styles.btnGhostText}>Cancel</Text>
+                  </TouchableOpacity>
+                )}
+
+                <TouchableOpacity
+                  style={[styles.btn, styles.btnPrimary, saving && { opacity: 0.75 }]}
+                  onPress={save}
+                  disabled={saving}
+                  activeOpacity={0.9}
+                >
+                  {saving ? (
+                    <ActivityIndicator color={colors.bg} />
+                  ) : (
+                    <>
+                      <Ionicons name="checkmark" size={16} color={colors.bg} />
+                      <Text style={styles.btnPrimaryText}>Save</Text>
+                    </>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </KeyboardAvoidingView>
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(2, 6, 23, 0.72)",
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 18,
+  },
+  card: {
+    width: "100%",
+    maxWidth: 420,
+    maxHeight: "88%",
+    borderRadius: 18,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: 16,
+  },
+  headerRow: { flexDirection: "row", alignItems: "center", justifyContent: "space-between" },
+  titleRow: { flexDirection: "row", alignItems: "center", gap: 10 },
+  title: { color: colors.text, fontSize: 16, fontFamily: font.black, letterSpacing: 0.6 },
+  closeBtn: {
+    width: 34,
+    height: 34,
+    borderRadius: 12,
+    backgroundColor: "rgba(148, 163, 184, 0.08)",
+    borderWidth: 1,
+    borderColor: colors.border,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  label: {
+    color: colors.muted,
+    fontSize: 11,
+    fontFamily: font.black,
+    letterSpacing: 1,
+    marginTop: 14,
+  },
+  input: {
+    marginTop: 8,
+    backgroundColor: colors.bg,
+    borderRadius: 12,
+    paddingVertical: 11,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    color: colors.text,
+    fontFamily: font.semi,
+  },
+  chipRow: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginTop: 10 },
+  chip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 7,
+    paddingHorizontal: 12,
+    borderRadius: radius.pill,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.bg,
+  },
+  chipActive: { backgroundColor: colors.green, borderColor: colors.green },
+  chipText: { color: colors.muted, fontSize: 12, fontFamily: font.bold },
+  chipTextActive: { color: colors.bg },
+  locateBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 8,
+    alignSelf: "flex-start",
+    paddingVertical: 6,
+  },
+  locateBtnText: { color: colors.green, fontSize: 12, fontFamily: font.bold },
+  switchRow: { flexDirection: "row", alignItems: "center", gap: 12, marginTop: 14 },
+  switchTitle: { color: colors.text, fontSize: 13, fontFamily: font.bold },
+  switchHint: { color: colors.faint, fontSize: 11, fontFamily: font.med, marginTop: 2 },
+  hoursRow: { flexDirection: "row", alignItems: "center", gap: 10 },
+  hoursInput: { flex: 1, textAlign: "center" },
+  hoursDash: { color: colors.muted, fontFamily: font.bold, fontSize: 12, marginTop: 8 },
+  error: { color: "#fca5a5", marginTop: 12, fontSize: 12, fontFamily: font.bold },
+  btnRow: { flexDirection: "row", gap: 10, marginTop: 16 },
+  btn: {
+    flex: 1,
+    borderRadius: 14,
+    paddingVertical: 12,
+    alignItems: "center",
+    justifyContent: "center",
+    flexDirection: "row",
+    gap: 8,
+  },
+  btnGhost: {
+    backgroundColor: "rgba(148, 163, 184, 0.08)",
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  btnGhostText: { color: colors.text, fontFamily: font.black, letterSpacing: 0.6, fontSize: 12 },
+  btnDanger: {
+    backgroundColor: "rgba(239, 68, 68, 0.08)",
+    borderWidth: 1,
+    borderColor: colors.redBorder,
+  },
+  btnDangerText: { color: colors.red, fontFamily: font.black, letterSpacing: 0.6, fontSize: 12 },
+  btnPrimary: { backgroundColor: colors.green },
+  btnPrimaryText: { color: colors.bg, fontFamily: font.black, letterSpacing: 0.8, fontSize: 12 },
+});
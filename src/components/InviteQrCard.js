@@ -0,0 +1,71 @@
+// 📂 FILE: src/components/InviteQrCard.js
+// ✅ QR for an invite link (Fleet screen invite row, invite manager)
+// - Scanned with any phone camera it opens https://sentihnel.com/join?code=… → the app
+// - Scanned in the app's own Join / Switch Fleet scanner it fills in the code
+// Drawn with plain Views (src/utils/qrCode.js): one View per run of dark modules per row.
+
+import React, { useMemo } from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { colors, font } from "../theme";
+import { encodeQr } from "../utils/qrCode";
+import InviteLinks from "../services/InviteLinks";
+
+const QUIET_ZONE = 4; // modules of white margin the spec asks for
+
+function QrRows({ value, size }) {
+  const qr = useMemo(() => (value ? encodeQr(value) : null), [value]);
+  if (!qr) return null;
+
+  // Whole pixels per module — fractional widths leave hairline gaps on Android
+  const cell = Math.max(2, Math.floor(size / (qr.size + QUIET_ZONE * 2)));
+  const side = cell * (qr.size + QUIET_ZONE * 2);
+
+  return (
+    <View style={{ width: side, height: side, padding: cell * QUIET_ZONE, backgroundColor: "#FFFFFF" }}>
+      {qr.modules.map((row, y) => {
+        const runs = [];
+        for (let x = 0; x < row.length; ) {
+          const start = x;
+          while (x < row.length && row[x] === row[start]) x++;
+          runs.push({ dark: row[start], start, length: x - start });
+        }
+        return (
+          <View key={y} style={{ flexDirection: "row", height: cell }}>
+            {runs.map((run) => (
+              <View
+                key={run.start}
+                style={{ width: run.length * cell, height: cell, backgroundColor: run.dark ? colors.bg : "#FFFFFF" }}
+              />
+            ))}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+export default function InviteQrCard({ code, label, size = 220, style }) {
+  const url = InviteLinks.buildInviteUrl(code);
+  if (!url) return null;
+
+  return (
+    <View style={[styles.wrap, style]}>
+      <View style={styles.qrFrame}>
+        <QrRows value={url} size={size} />
+      </View>
+      <Text style={styles.code} selectable>{code}</Text>
+      {!!label && <Text style={styles.label}>{label}</Text>}
+      <Text style={styles.url} selectable>{url}</Text>
+      <Text style={styles.hint}>Scan with a phone camera or in SenTihNel → Join Fleet.</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrap: { alignItems: "center", marginTop: 12 },
+  qrFrame: { borderRadius: 12, overflow: "hidden" },
+  code: { color: colors.green, fontSize: 20, fontFamily: font.black, letterSpacing: 3, marginTop: 12 },
+  label: { color: colors.text, fontSize: 12, fontFamily: font.bold, marginTop: 2 },
+  url: { color: colors.muted, fontSize: 11, fontFamily: font.med, marginTop: 6 },
+  hint: { color: colors.faint, fontSize: 11, fontFamily: font.med, marginTop: 4, textAlign: "center" },
+});
@@ -0,0 +1,112 @@
+// 📂 FILE: src/components/InviteQrScanner.js
+// ✅ Scan an invite QR (login Join Fleet, Fleet screen Switch Fleet)
+// - Back camera, QR only; reports the first code that parses (InviteLinks.parseInviteCode)
+// - Asks for camera permission in place; sends the user to Settings once it was denied
+// Only mounted while scanning — the camera is released as soon as it unmounts.
+
+import React, { useRef, useState } from "react";
+import { View, Text, TouchableOpacity, ActivityIndicator, Linking, StyleSheet } from "react-native";
+import { CameraView, useCameraPermissions } from "expo-camera";
+import { Ionicons } from "@expo/vector-icons";
+import { colors, font } from "../theme";
+import InviteLinks from "../services/InviteLinks";
+
+const NOT_AN_INVITE_HINT_MS = 2500;
+
+export default function InviteQrScanner({ onScanned, onCancel, style }) {
+  const [permission, requestPermission] = useCameraPermissions();
+  const [hint, setHint] = useState("");
+
+  const doneRef = useRef(false);
+  const lastBadRef = useRef({ data: "", at: 0 });
+
+  const handleScanned = ({ data }) => {
+    if (doneRef.current) return;
+
+    const code = InviteLinks.parseInviteCode(data);
+    if (code) {
+      doneRef.current = true;
+      onScanned?.(code);
+      return;
+    }
+
+    // The same wrong QR keeps firing while it's in view
+    const now = Date.now();
+    if (lastBadRef.current.data === data && now - lastBadRef.current.at < NOT_AN_INVITE_HINT_MS) return;
+    lastBadRef.current = { data, at: now };
+    setHint("That QR code isn't a SenTihNel invite.");
+  };
+
+  const renderBody = () => {
+    if (!permission) return <ActivityIndicator color={colors.green} />;
+
+    if (!permission.granted) {
+      const canAsk = permission.canAskAgain !== false;
+      return (
+        <View style={styles.permissionBox}>
+          <Ionicons name="camera-outline" size={28} color={colors.muted} />
+          <Text style={styles.permissionText}>
+            {canAsk ? "Allow the camera to scan an invite QR code." : "Camera access is off for SenTihNel."}
+          </Text>
+          <TouchableOpacity
+            style={styles.permissionBtn}
+            onPress={() => (canAsk ? requestPermission() : Linking.openSettings().catch(() => {}))}
+          >
+            <Text style={styles.permissionBtnText}>{canAsk ? "Allow Camera" : "Open Settings"}</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <CameraView
+          style={StyleSheet.absoluteFill}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: ["qr"] }}
+          onBarcodeScanned={handleScanned}
+        />
+        <View style={styles.frame} pointerEvents="none" />
+      </>
+    );
+  };
+
+  return (
+    <View style={style}>
+      <View style={styles.viewport}>{renderBody()}</View>
+      <Text style={[styles.hint, !!hint && styles.hintWarn]}>{hint || "Point the camera at the invite QR code."}</Text>
+      <TouchableOpacity onPress={onCancel} style={styles.cancelBtn}>
+        <Ionicons name="keypad-outline" size={14} color={colors.muted} />
+        <Text style={styles.cancelText}>Type the code instead</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  viewport: {
+    height: 240,
+    borderRadius: 14,
+    overflow: "hidden",
+    backgroundColor: "#000",
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  frame: {
+    width: 170,
+    height: 170,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: colors.green,
+  },
+  permissionBox: { alignItems: "center", padding: 16, gap: 10 },
+  permissionText: { color: colors.muted, fontSize: 13, fontFamily: font.med, textAlign: "center" },
+  permissionBtn: { backgroundColor: colors.green, borderRadius: 12, paddingVertical: 9, paddingHorizontal: 16 },
+  permissionBtnText: { color: colors.bg, fontSize: 12, fontFamily: font.black, letterSpacing: 0.6 },
+  hint: { color: colors.faint, fontSize: 11, fontFamily: font.med, marginTop: 8, textAlign: "center" },
+  hintWarn: { color: colors.amber },
+  cancelBtn: { flexDirection: "row", alignItems: "center", justifyContent: "center", gap: 6, paddingVertical: 10 },
+  cancelText: { color: colors.muted, fontSize: 12, fontFamily: font.bold },
+});
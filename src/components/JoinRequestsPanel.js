@@ -0,0 +1,130 @@
+// 📂 FILE: src/components/JoinRequestsPanel.js
+// ✅ Join approval (owner / admins) — used by the invite manager and the Manager Dashboard
+// - "Approve new members" switch (groups.join_approval)
+// - Who is waiting, with the role / team their code gives them; Approve or Reject
+// Renders nothing for roles that can't approve.
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { View, Text, TouchableOpacity, ActivityIndicator, Alert, Switch, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { colors, font } from "../theme";
+import { ROLE_LABELS } from "../utils/fleetRoles";
+import FleetJoinRequests, { JOIN_REQUEST_ERROR_MESSAGES } from "../services/FleetJoinRequests";
+
+function formatRequestedAt(iso) {
+  if (!iso) return "";
+  try {
+    return new Date(iso).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+  } catch {
+    return "";
+  }
+}
+
+export default function JoinRequestsPanel({ groupId, visible = true, onChanged, style }) {
+  const [state, setState] = useState(null); // { approvalRequired, requests } | null = can't approve
+  const [busyId, setBusyId] = useState(null);
+
+  // Parents pass inline callbacks — keep them out of load's deps
+  const onChangedRef = useRef(onChanged);
+  onChangedRef.current = onChanged;
+
+  const load = useCallback(async () => {
+    if (!groupId) return;
+    const res = await FleetJoinRequests.getRequests(groupId);
+    setState(res.ok ? { approvalRequired: res.approvalRequired, requests: res.requests } : null);
+    if (res.ok) onChangedRef.current?.(res.requests.length);
+  }, [groupId]);
+
+  useEffect(() => {
+    if (visible) load();
+  }, [visible, load]);
+
+  if (!state) return null;
+
+  const toggleApproval = async (on) => {
+    setBusyId("toggle");
+    const res = await FleetJoinRequests.setApprovalRequired(groupId, on);
+    setBusyId(null);
+    if (!res.ok) {
+      Alert.alert("Join Approval", JOIN_REQUEST_ERROR_MESSAGES[res.error] || "Could not change the setting.");
+      return;
+    }
+    setState((s) => ({ ...s, approvalRequired: res.approvalRequired }));
+  };
+
+  const decide = async (request, approve) => {
+    setBusyId(request.id);
+    const res = await FleetJoinRequests.decide(request.id, approve);
+    setBusyId(null);
+    if (!res.ok) {
+      Alert.alert("Join Request", JOIN_REQUEST_ERROR_MESSAGES[res.error] || "Could not answer the request.");
+    }
+    load();
+  };
+
+  const confirmReject = (request) => {
+    Alert.alert("Reject request?", `${request.display_name || "This person"} won't join the fleet. They can ask again with a valid code.`, [
+      { text: "Cancel", style: "cancel" },
+      { text: "Reject", style: "destructive", onPress: () => decide(request, false) },
+    ]);
+  };
+
+  return (
+    <View style={style}>
+      <View style={styles.toggleRow}>
+        <View style={{ flex: 1, paddingRight: 12 }}>
+          <Text style={styles.toggleTitle}>Approve new members</Text>
+          <Text style={styles.hint}>
+            New joiners wait here — no location sharing and no SOS — until you approve them.
+          </Text>
+        </View>
+        <Switch
+          value={state.approvalRequired}
+          onValueChange={toggleApproval}
+          disabled={busyId === "toggle"}
+          trackColor={{ false: colors.border, true: colors.green }}
+        />
+      </View>
+
+      {state.requests.length === 0 ? (
+        state.approvalRequired && <Text style={styles.hint}>Nobody is waiting.</Text>
+      ) : (
+        state.requests.map((r) => (
+          <View key={r.id} style={styles.requestRow}>
+            <Ionicons name="hourglass-outline" size={14} color={colors.muted} />
+            <View style={{ flex: 1 }}>
+              <Text style={styles.requestTitle}>{r.display_name || "New member"}</Text>
+              <Text style={styles.requestMeta}>
+                {ROLE_LABELS[r.role] || "Member"}
+                {r.team_name ? ` · ${r.team_name}` : ""}
+                {r.label || r.code ? ` · ${r.label || r.code}` : ""} · {formatRequestedAt(r.requested_at)}
+              </Text>
+            </View>
+            {busyId === r.id ? (
+              <ActivityIndicator size="small" color={colors.green} />
+            ) : (
+              <>
+                <TouchableOpacity onPress={() => confirmReject(r)} style={styles.iconBtn} disabled={!!busyId}>
+                  <Ionicons name="close-circle-outline" size={22} color={colors.red} />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => decide(r, true)} style={styles.iconBtn} disabled={!!busyId}>
+                  <Ionicons name="checkmark-circle" size={22} color={colors.green} />
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        ))
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  toggleRow: { flexDirection: "row", alignItems: "center", marginTop: 10 },
+  toggleTitle: { color: colors.text, fontSize: 13, fontFamily: font.bold },
+  hint: { color: colors.faint, fontSize: 11, fontFamily: font.med, marginTop: 4 },
+  requestRow: { flexDirection: "row", alignItems: "center", gap: 10, marginTop: 10 },
+  requestTitle: { color: colors.text, fontSize: 13, fontFamily: font.bold },
+  requestMeta: { color: colors.faint, fontSize: 11, fontFamily: font.med, marginTop: 2 },
+  iconBtn: { padding: 4 },
+});
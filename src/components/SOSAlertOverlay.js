@@ -1,6 +1,9 @@
 // 📂 FILE: src/components/SOSAlertOverlay.js
 // Full-screen red flashing alert overlay for SOS emergencies
 // Works on both iOS and Android
+// severity "duress": the sender "cancelled" with their duress PIN — they are still in danger
+// trigger: what raised it (src/utils/sosTriggers) — "fall" / "crash" get a prominent badge,
+// everything else a small "Triggered by" line
 
 import React, { useEffect, useRef, useState } from "react";
 import {
@@ -12,6 +15,7 @@ import {
   StatusBar,
 } from "react-native";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { SOS_TRIGGERS, getSosTriggerLabel } from "../utils/sosTriggers";
 
 // ============================================
 // CONFIGURATION
@@ -33,7 +37,10 @@ export default function SOSAlertOverlay({
   visible,
   senderName,
   senderDeviceId,
+  severity = "normal",
+  trigger = null,
   onAcknowledge,
+  onRespond,
   onViewLocation,
   onDismiss,
 }) {
@@ -97,6 +104,13 @@ export default function SOSAlertOverlay({
 
   if (!visible) return null;
 
+  const isDuress = severity === "duress";
+  const detectedText =
+    trigger === SOS_TRIGGERS.CRASH ? "💥 CRASH DETECTED — no response" :
+    trigger === SOS_TRIGGERS.FALL ? "🤕 FALL DETECTED — no response" :
+    null;
+  const triggerLabel = detectedText ? null : getSosTriggerLabel(trigger);
+
   // Interpolate background color for flash effect
   const backgroundColor = isFlashing
     ? flashAnim.interpolate({
@@ -129,14 +143,27 @@ export default function SOSAlertOverlay({
       <Animated.Text
         style={[styles.title, { transform: [{ scale: pulseAnim }] }]}
       >
-        SOS ALERT
+        {isDuress ? "DURESS ALERT" : "SOS ALERT"}
       </Animated.Text>
 
       {/* Sender Info */}
       <Text style={styles.senderName}>
         {senderName || "Fleet Member"}
       </Text>
-      <Text style={styles.message}>needs immediate help!</Text>
+      <Text style={styles.message}>
+        {isDuress ? "was forced to cancel their SOS" : "needs immediate help!"}
+      </Text>
+      {!isDuress && !!detectedText && (
+        <Text style={styles.triggerBadge}>{detectedText}</Text>
+      )}
+      {!!triggerLabel && (
+        <Text style={styles.triggerSource}>Triggered by: {triggerLabel}</Text>
+      )}
+      {isDuress && (
+        <Text style={styles.duressWarning}>
+          Their phone looks normal but they are still in danger. Tracking continues — do not call or text them.
+        </Text>
+      )}
 
       {/* Device ID (smaller) */}
       {senderDeviceId && (
@@ -161,6 +188,20 @@ export default function SOSAlertOverlay({
           </TouchableOpacity>
         )}
 
+        {/* Respond Button — claims the incident and shares our live ETA with the sender */}
+        {onRespond && (
+          <TouchableOpacity
+            style={[styles.button, styles.respondButton]}
+            onPress={() => {
+              handleStopFlashing();
+              onRespond();
+            }}
+            activeOpacity={0.8}
+          >
+            <Text style={[styles.buttonText, styles.respondButtonText]}>🚗 I'm On My Way</Text>
+          </TouchableOpacity>
+        )}
+
         {/* Acknowledge Button */}
         <TouchableOpacity
           style={[styles.button, styles.acknowledgeButton]}
@@ -243,6 +284,38 @@ const styles = StyleSheet.create({
     textAlign: "center",
     marginBottom: 16,
   },
+  triggerBadge: {
+    fontSize: 15,
+    fontWeight: "800",
+    color: COLORS.white,
+    textAlign: "center",
+    letterSpacing: 0.5,
+    backgroundColor: "rgba(0,0,0,0.25)",
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    marginBottom: 16,
+  },
+  triggerSource: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "rgba(255,255,255,0.85)",
+    textAlign: "center",
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  duressWarning: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: COLORS.white,
+    textAlign: "center",
+    backgroundColor: "rgba(0,0,0,0.35)",
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginHorizontal: 24,
+    marginBottom: 16,
+  },
   deviceId: {
     fontSize: 14,
     color: "rgba(255,255,255,0.7)",
@@ -262,6 +335,12 @@ const styles = StyleSheet.create({
   locationButton: {
     backgroundColor: COLORS.white,
   },
+  respondButton: {
+    backgroundColor: "#1D4ED8",
+  },
+  respondButtonText: {
+    color: COLORS.white,
+  },
   acknowledgeButton: {
     backgroundColor: "#00AA00",
   },
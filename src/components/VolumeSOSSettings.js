@@ -0,0 +1,380 @@
+// 📂 FILE: src/components/VolumeSOSSettings.js
+// ✅ Volume-button SOS pattern (Settings → Protection)
+// - Turn the hardware trigger on/off and pick the press pattern (preset or custom up/down)
+// - Practice mode: press the buttons and watch the pattern fill in; a full match vibrates
+//   exactly like a real SOS but nothing is sent (VolumeSOSTrigger pauses the real trigger)
+
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  Platform,
+  Switch,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import VolumeSOSTrigger, {
+  VOLUME_KEYS,
+  PATTERN_PRESETS,
+  MIN_PATTERN_LENGTH,
+  MAX_PATTERN_LENGTH,
+} from "../services/VolumeSOSTrigger";
+import { colors, font, radius, space } from "../theme";
+
+const sameSequence = (a, b) => a.join(",") === b.join(",");
+
+function KeyIcon({ keyName, size = 18, color = colors.text }) {
+  return (
+    <Ionicons
+      name={keyName === VOLUME_KEYS.UP ? "arrow-up-circle" : "arrow-down-circle"}
+      size={size}
+      color={color}
+    />
+  );
+}
+
+export default function VolumeSOSSettings() {
+  const [loading, setLoading] = useState(true);
+  const [enabled, setEnabled] = useState(false);
+  const [sequence, setSequence] = useState([]);
+  const [saved, setSaved] = useState({ enabled: false, sequence: [] });
+  const [custom, setCustom] = useState(false);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [savedNote, setSavedNote] = useState("");
+
+  const [practicing, setPracticing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [practiceHits, setPracticeHits] = useState(0);
+
+  const available = VolumeSOSTrigger.isAvailable();
+
+  useEffect(() => {
+    let alive = true;
+    VolumeSOSTrigger.getConfig()
+      .then((c) => {
+        if (!alive) return;
+        setEnabled(c.enabled);
+        setSequence(c.sequence);
+        setSaved(c);
+        setCustom(!PATTERN_PRESETS.some((p) => sameSequence(p.sequence, c.sequence)));
+      })
+      .finally(() => alive && setLoading(false));
+    return () => {
+      alive = false;
+      VolumeSOSTrigger.stopPractice().catch(() => {});
+    };
+  }, []);
+
+  const isDirty = enabled !== saved.enabled || !sameSequence(sequence, saved.sequence);
+  const patternValid = sequence.length >= MIN_PATTERN_LENGTH && sequence.length <= MAX_PATTERN_LENGTH;
+
+  const pickPreset = (preset) => {
+    setCustom(false);
+    setSequence(preset.sequence);
+    setError("");
+  };
+
+  const startCustom = () => {
+    setCustom(true);
+    setSequence([]);
+    setError("");
+  };
+
+  const addKey = (key) => {
+    if (sequence.length >= MAX_PATTERN_LENGTH) return;
+    setSequence([...sequence, key]);
+    setError("");
+  };
+
+  const stopPractice = async () => {
+    setPracticing(false);
+    setProgress(0);
+    await VolumeSOSTrigger.stopPractice();
+  };
+
+  const startPractice = async () => {
+    if (!patternValid) {
+      setError(`Use at least ${MIN_PATTERN_LENGTH} presses.`);
+      return;
+    }
+    setError("");
+    setProgress(0);
+    setPracticeHits(0);
+    const ok = await VolumeSOSTrigger.startPractice(({ matched, done }) => {
+      if (done) {
+        setPracticeHits((n) => n + 1);
+        setProgress(0);
+        return;
+      }
+      setProgress(matched);
+    }, sequence);
+    if (!ok) {
+      setError("Volume buttons can't be read on this phone.");
+      return;
+    }
+    setPracticing(true);
+  };
+
+  const handleSave = async () => {
+    if (!patternValid) {
+      setError(`Use between ${MIN_PATTERN_LENGTH} and ${MAX_PATTERN_LENGTH} presses.`);
+      return;
+    }
+    if (practicing) await stopPractice();
+    setSaving(true);
+    const res = await VolumeSOSTrigger.saveConfig({ enabled, sequence });
+    setSaving(false);
+    if (!res.ok) {
+      setError("That pattern can't be used.");
+      return;
+    }
+    setSaved({ enabled, sequence: [...sequence] });
+    setSavedNote(enabled ? "Saved. The pattern is armed whenever SenTihNel is running." : "Saved. Volume-button SOS is off.");
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loading}>
+        <ActivityIndicator color={colors.green} />
+      </View>
+    );
+  }
+
+  if (!available) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.intro}>
+          Volume-button SOS needs an app update on this phone. Use the SOS button or your voice phrases meanwhile.
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.intro}>
+        Press the volume buttons in your secret pattern to send an SOS without looking at the screen.
+        You'll feel a short double vibration when it goes out.
+        {Platform.OS === "ios"
+          ? " On iPhone this works while SenTihNel is open."
+          : " Works while SenTihNel is open or its protection notification is showing."}
+      </Text>
+
+      {/* On / off */}
+      <View style={[styles.card, styles.toggleRow]}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.toggleLabel}>Volume-button SOS</Text>
+          <Text style={styles.toggleHint}>Needs your SOS PIN to be set</Text>
+        </View>
+        <Switch
+          value={enabled}
+          onValueChange={(v) => {
+            setEnabled(v);
+            setSavedNote("");
+          }}
+          trackColor={{ false: colors.border, true: colors.green }}
+        />
+      </View>
+
+      {/* Pattern */}
+      <Text style={styles.sectionLabel}>PATTERN</Text>
+      <View style={styles.card}>
+        <View style={styles.chipRow}>
+          {PATTERN_PRESETS.map((p) => {
+            const active = !custom && sameSequence(p.sequence, sequence);
+            return (
+              <TouchableOpacity
+                key={p.id}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => pickPreset(p)}
+                disabled={practicing}
+                activeOpacity={0.85}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>{p.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+          <TouchableOpacity
+            style={[styles.chip, custom && styles.chipActive]}
+            onPress={startCustom}
+            disabled={practicing}
+            activeOpacity={0.85}
+          >
+            <Text style={[styles.chipText, custom && styles.chipTextActive]}>Custom</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.sequenceRow}>
+          {sequence.length === 0 ? (
+            <Text style={styles.emptyText}>Tap Up / Down below to build your pattern.</Text>
+          ) : (
+            sequence.map((k, i) => (
+              <KeyIcon
+                key={`${k}-${i}`}
+                keyName={k}
+                size={26}
+                color={practicing && i < progress ? colors.green : colors.muted}
+              />
+            ))
+          )}
+        </View>
+
+        {custom && !practicing && (
+          <View style={styles.builderRow}>
+            <TouchableOpacity style={styles.builderBtn} onPress={() => addKey(VOLUME_KEYS.UP)} activeOpacity={0.85}>
+              <KeyIcon keyName={VOLUME_KEYS.UP} />
+              <Text style={styles.builderText}>Up</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.builderBtn} onPress={() => addKey(VOLUME_KEYS.DOWN)} activeOpacity={0.85}>
+              <KeyIcon keyName={VOLUME_KEYS.DOWN} />
+              <Text style={styles.builderText}>Down</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.builderBtn} onPress={() => setSequence([])} activeOpacity={0.85}>
+              <Ionicons name="backspace-outline" size={18} color={colors.text} />
+              <Text style={styles.builderText}>Clear</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <Text style={styles.helpText}>
+          {MIN_PATTERN_LENGTH}–{MAX_PATTERN_LENGTH} presses, each within about a second of the last. Mix up and down so
+          everyday volume changes can't set it off.
+        </Text>
+      </View>
+
+      {/* Practice */}
+      <Text style={styles.sectionLabel}>PRACTICE MODE</Text>
+      <View style={styles.card}>
+        <Text style={styles.helpText}>
+          Press your pattern on the volume buttons. No SOS is sent while practicing.
+        </Text>
+        {practicing && (
+          <Text style={styles.practiceStatus}>
+            {practiceHits > 0
+              ? `✓ Pattern recognised ${practiceHits}× — that vibration is your confirmation.`
+              : `${progress} / ${sequence.length} presses matched`}
+          </Text>
+        )}
+        <TouchableOpacity
+          style={[styles.testBtn, practicing && styles.testBtnActive]}
+          onPress={practicing ? stopPractice : startPractice}
+          activeOpacity={0.85}
+        >
+          <Ionicons
+            name={practicing ? "stop-circle-outline" : "hand-left-outline"}
+            size={18}
+            color={practicing ? colors.red : colors.text}
+          />
+          <Text style={[styles.testBtnText, practicing && { color: colors.red }]}>
+            {practicing ? "Stop Practice" : "Start Practice"}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {!!error && <Text style={styles.error}>⚠ {error}</Text>}
+      {!!savedNote && !isDirty && <Text style={styles.syncNote}>{savedNote}</Text>}
+
+      <TouchableOpacity
+        style={[styles.saveBtn, (!isDirty || saving || !patternValid) && { opacity: 0.5 }]}
+        onPress={handleSave}
+        disabled={!isDirty || saving || !patternValid}
+        activeOpacity={0.85}
+      >
+        {saving ? <ActivityIndicator color={colors.bg} /> : <Text style={styles.saveBtnText}>Save Pattern</Text>}
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loading: { padding: space.xl, alignItems: "center" },
+  container: { paddingBottom: space.lg },
+  intro: {
+    color: colors.muted,
+    fontSize: 13,
+    fontFamily: font.reg,
+    lineHeight: 19,
+    marginBottom: space.lg,
+  },
+  sectionLabel: {
+    color: colors.faint,
+    fontSize: 11,
+    fontFamily: font.bold,
+    letterSpacing: 1.2,
+    marginBottom: space.xs,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: radius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: space.md,
+    marginBottom: space.md,
+  },
+  toggleRow: { flexDirection: "row", alignItems: "center", gap: space.sm },
+  toggleLabel: { color: colors.text, fontSize: 15, fontFamily: font.med },
+  toggleHint: { color: colors.faint, fontSize: 12, fontFamily: font.reg, marginTop: 2 },
+  emptyText: { color: colors.muted, fontSize: 13, fontFamily: font.reg },
+  chipRow: { flexDirection: "row", flexWrap: "wrap", gap: space.xs },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: radius.pill,
+    borderWidth: 1,
+    borderColor: colors.borderHigh,
+    backgroundColor: colors.bg,
+  },
+  chipActive: { backgroundColor: colors.green, borderColor: colors.green },
+  chipText: { color: colors.muted, fontSize: 12, fontFamily: font.bold },
+  chipTextActive: { color: colors.bg },
+  sequenceRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 6,
+    minHeight: 44,
+    marginVertical: space.sm,
+  },
+  builderRow: { flexDirection: "row", gap: space.sm, marginBottom: space.sm },
+  builderBtn: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    paddingVertical: 10,
+    borderRadius: radius.sm,
+    backgroundColor: colors.surfaceHigh,
+    borderWidth: 1,
+    borderColor: colors.borderHigh,
+  },
+  builderText: { color: colors.text, fontSize: 13, fontFamily: font.bold },
+  helpText: { color: colors.faint, fontSize: 12, fontFamily: font.reg, lineHeight: 17, marginBottom: space.sm },
+  practiceStatus: { color: colors.text, fontSize: 13, fontFamily: font.med, marginBottom: space.sm },
+  testBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: space.xs,
+    marginTop: space.xs,
+    paddingVertical: 12,
+    borderRadius: radius.sm,
+    backgroundColor: colors.surfaceHigh,
+    borderWidth: 1,
+    borderColor: colors.borderHigh,
+  },
+  testBtnActive: { backgroundColor: colors.redDim, borderColor: colors.redBorder },
+  testBtnText: { color: colors.text, fontSize: 14, fontFamily: font.bold },
+  error: { color: "#fca5a5", fontSize: 12, fontFamily: font.bold, marginBottom: space.sm },
+  syncNote: { color: colors.muted, fontSize: 12, fontFamily: font.med, marginBottom: space.sm },
+  saveBtn: {
+    backgroundColor: colors.green,
+    borderRadius: radius.md,
+    paddingVertical: 14,
+    alignItems: "center",
+  },
+  saveBtnText: { color: colors.bg, fontSize: 15, fontFamily: font.black, letterSpacing: 0.4 },
+});
@@ -0,0 +1,587 @@
+// 📂 FILE: src/components/WakePhraseSettings.js
+// ✅ Voice trigger phrases (Settings → Protection)
+// - Record / remove the user's own covert SOS phrases and tune the fuzzy-match sensitivity
+// - Languages: pick the languages you speak (drives the recognition locale); each phrase
+//   is tagged with its language so accents and per-language tuning apply
+// - Test mode: listens without triggering SOS and shows the live match score per phrase,
+//   using the same matcher as WakeWordListener (which pauses while the test runs)
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  Platform,
+  PermissionsAndroid,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  ExpoSpeechRecognitionModule,
+  useSpeechRecognitionEvent,
+} from "expo-speech-recognition";
+import WakePhrases from "../services/WakePhrases";
+import {
+  LANGUAGE_PROFILES,
+  SUPPORTED_LANGUAGES,
+  MIN_FUZZY_THRESHOLD,
+  MAX_FUZZY_THRESHOLD,
+  MAX_WAKE_PHRASES,
+  cleanWakePhrase,
+  defaultPhrasesFor,
+  languageProfile,
+  scoreWakePhrase,
+  thresholdFor,
+} from "../utils/wakeMatch";
+import { colors, font, radius, space } from "../theme";
+
+const THRESHOLD_STEP = 0.05;
+const MIC_HANDOFF_MS = 400;
+
+const phraseKey = (p) => `${p.lang}:${p.phrase}`;
+
+function sensitivityLabel(threshold) {
+  if (threshold >= 0.85) return "Strict";
+  if (threshold <= 0.65) return "Lenient";
+  return "Balanced";
+}
+
+async function requestMicPermission() {
+  if (Platform.OS !== "android") return true;
+  try {
+    const granted = await PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.RECORD_AUDIO, {
+      title: "Microphone Access",
+      message: "Needed to test your voice trigger phrases",
+      buttonPositive: "OK",
+    });
+    return granted === PermissionsAndroid.RESULTS.GRANTED;
+  } catch {
+    return false;
+  }
+}
+
+export default function WakePhraseSettings() {
+  const [loading, setLoading] = useState(true);
+  const [phrases, setPhrases] = useState([]);
+  const [threshold, setThreshold] = useState(WakePhrases.getConfig().fuzzyThreshold);
+  const [languages, setLanguages] = useState(WakePhrases.getConfig().languages);
+  const [saved, setSaved] = useState({ phrases: [], threshold: null, languages: [] });
+  const [newPhrase, setNewPhrase] = useState("");
+  const [newPhraseLang, setNewPhraseLang] = useState(WakePhrases.getConfig().languages[0]);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [syncNote, setSyncNote] = useState("");
+
+  const [testing, setTesting] = useState(false);
+  const [transcript, setTranscript] = useState("");
+  const [testLang, setTestLang] = useState(WakePhrases.getConfig().languages[0]);
+  const [bestScores, setBestScores] = useState({}); // phraseKey -> best score this test
+  const testingRef = useRef(false);
+
+  useEffect(() => {
+    let alive = true;
+    WakePhrases.load()
+      .then(() => WakePhrases.sync())
+      .finally(() => {
+        if (!alive) return;
+        const current = WakePhrases.getCustomPhrases();
+        const { fuzzyThreshold: t, languages: langs } = WakePhrases.getConfig();
+        setPhrases(current);
+        setThreshold(t);
+        setLanguages(langs);
+        setNewPhraseLang(langs[0]);
+        setTestLang(langs[0]);
+        setSaved({ phrases: current, threshold: t, languages: langs });
+        setLoading(false);
+      });
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  // Phrases the test (and the listener, once saved) actually match against
+  const effectivePhrases = phrases.length ? phrases : defaultPhrasesFor(languages);
+
+  const isDirty =
+    threshold !== saved.threshold ||
+    languages.join(",") !== saved.languages.join(",") ||
+    phrases.map(phraseKey).join("|") !== saved.phrases.map(phraseKey).join("|");
+
+  const toggleLanguage = (lang) => {
+    setError("");
+    if (!languages.includes(lang)) {
+      setLanguages([...languages, lang]);
+      return;
+    }
+    if (languages.length === 1) {
+      setError("Keep at least one language.");
+      return;
+    }
+    if (phrases.some((p) => p.lang === lang)) {
+      setError(`Remove your ${languageProfile(lang).label} phrases first.`);
+      return;
+    }
+    const next = languages.filter((l) => l !== lang);
+    setLanguages(next);
+    if (newPhraseLang === lang) setNewPhraseLang(next[0]);
+    if (testLang === lang) setTestLang(next[0]);
+  };
+
+  const addPhrase = () => {
+    const cleaned = cleanWakePhrase(newPhrase);
+    if (!cleaned) {
+      setError("Use a full phrase of at least two words (single words trigger too easily).");
+      return;
+    }
+    if (phrases.some((p) => p.phrase === cleaned)) {
+      setError("That phrase is already on your list.");
+      return;
+    }
+    if (phrases.length >= MAX_WAKE_PHRASES) {
+      setError(`You can keep up to ${MAX_WAKE_PHRASES} phrases.`);
+      return;
+    }
+    const lang = languages.includes(newPhraseLang) ? newPhraseLang : languages[0];
+    setPhrases([...phrases, { phrase: cleaned, lang }]);
+    setNewPhrase("");
+    setError("");
+  };
+
+  const removePhrase = (phrase) => {
+    setPhrases(phrases.filter((p) => phraseKey(p) !== phraseKey(phrase)));
+  };
+
+  const stepThreshold = (dir) => {
+    const next = Math.round((threshold + dir * THRESHOLD_STEP) * 100) / 100;
+    setThreshold(Math.min(MAX_FUZZY_THRESHOLD, Math.max(MIN_FUZZY_THRESHOLD, next)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    const res = await WakePhrases.save({ phrases, fuzzyThreshold: threshold, languages });
+    setSaving(false);
+    if (!res.ok) {
+      setError("One of the phrases can't be used. Use full phrases of two words or more.");
+      return;
+    }
+    setSaved({ phrases: [...phrases], threshold, languages: [...languages] });
+    setSyncNote(res.synced ? "Saved and synced to your account." : "Saved on this phone — will sync when you're back online.");
+  };
+
+  // ---------------- Test mode ----------------
+
+  const stopTest = useCallback(async () => {
+    testingRef.current = false;
+    setTesting(false);
+    try {
+      await ExpoSpeechRecognitionModule.stop();
+    } catch {}
+    WakePhrases.setTestMode(false);
+  }, []);
+
+  const startTest = async () => {
+    setError("");
+    setTranscript("");
+    setBestScores({});
+
+    WakePhrases.setTestMode(true); // listener releases the mic first
+
+    const hasPerm = await requestMicPermission();
+    if (!hasPerm) {
+      WakePhrases.setTestMode(false);
+      setError("Microphone permission is needed to test phrases.");
+      return;
+    }
+
+    // Let the listener's session end first so its "end" event doesn't stop the test
+    try {
+      await ExpoSpeechRecognitionModule.stop();
+    } catch {}
+    await new Promise((r) => setTimeout(r, MIC_HANDOFF_MS));
+
+    try {
+      testingRef.current = true;
+      setTesting(true);
+      const langPhrases = effectivePhrases.filter((p) => p.lang === testLang);
+      await ExpoSpeechRecognitionModule.start({
+        lang: languageProfile(testLang).locale,
+        interimResults: true,
+        continuous: true,
+        maxAlternatives: 1,
+        addsPunctuation: false,
+        contextualStrings: (langPhrases.length ? langPhrases : effectivePhrases).map((p) => p.phrase),
+      });
+    } catch (e) {
+      setError("Speech recognition is unavailable right now.");
+      stopTest();
+    }
+  };
+
+  useSpeechRecognitionEvent("result", (event) => {
+    if (!testingRef.current) return;
+    const heard = event.results?.[0]?.transcript || "";
+    if (!heard) return;
+    setTranscript(heard);
+    setBestScores((prev) => {
+      const next = { ...prev };
+      for (const p of effectivePhrases) {
+        const score = scoreWakePhrase(heard, p.phrase, p.lang).score;
+        if (score > (next[phraseKey(p)] || 0)) next[phraseKey(p)] = score;
+      }
+      return next;
+    });
+  });
+
+  useSpeechRecognitionEvent("end", () => {
+    if (testingRef.current) stopTest();
+  });
+
+  useSpeechRecognitionEvent("error", () => {
+    if (testingRef.current) stopTest();
+  });
+
+  // Never leave the voice trigger paused
+  useEffect(() => {
+    return () => {
+      if (testingRef.current) stopTest();
+      else WakePhrases.setTestMode(false);
+    };
+  }, [stopTest]);
+
+  if (loading) {
+    return (
+      <View style={styles.loading}>
+        <ActivityIndicator color={colors.green} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.intro}>
+        Saying one of these phrases sends an SOS silently. Pick phrases you can say naturally in
+        conversation that nobody else knows. They sync to your account, never to your fleet.
+      </Text>
+
+      {/* Languages */}
+      <Text style={styles.sectionLabel}>LANGUAGES</Text>
+      <View style={styles.card}>
+        <View style={styles.chipRow}>
+          {SUPPORTED_LANGUAGES.map((lang) => {
+            const on = languages.includes(lang);
+            return (
+              <TouchableOpacity
+                key={lang}
+                style={[styles.chip, on && styles.chipActive]}
+                onPress={() => toggleLanguage(lang)}
+                disabled={testing}
+                activeOpacity={0.85}
+              >
+                {on && <Ionicons name="checkmark" size={14} color={colors.bg} />}
+                <Text style={[styles.chipText, on && styles.chipTextActive]}>{LANGUAGE_PROFILES[lang].label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        {languages.length > 1 && (
+          <Text style={[styles.helpText, { marginTop: space.sm, marginBottom: 0 }]}>
+            The phone listens in one language at a time and switches between them every few seconds.
+          </Text>
+        )}
+      </View>
+
+      {/* Phrase list */}
+      <Text style={styles.sectionLabel}>YOUR PHRASES</Text>
+      <View style={styles.card}>
+        {phrases.length === 0 ? (
+          <Text style={styles.emptyText}>
+            You're using the built-in phrases. Add your own to replace them.
+          </Text>
+        ) : (
+          phrases.map((p) => (
+            <View key={phraseKey(p)} style={styles.phraseRow}>
+              <Ionicons name="mic-outline" size={16} color={colors.muted} />
+              <Text style={styles.phraseText} numberOfLines={2}>"{p.phrase}"</Text>
+              <Text style={styles.langTag}>{p.lang.toUpperCase()}</Text>
+              <TouchableOpacity onPress={() => removePhrase(p)} disabled={testing} hitSlop={8}>
+                <Ionicons name="close-circle" size={18} color={colors.faint} />
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+
+        {languages.length > 1 && (
+          <View style={[styles.chipRow, { marginTop: space.sm }]}>
+            {languages.map((lang) => (
+              <TouchableOpacity
+                key={lang}
+                style={[styles.chipSmall, newPhraseLang === lang && styles.chipActive]}
+                onPress={() => setNewPhraseLang(lang)}
+                activeOpacity={0.85}
+              >
+                <Text style={[styles.chipText, newPhraseLang === lang && styles.chipTextActive]}>
+                  {LANGUAGE_PROFILES[lang].label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.addRow}>
+          <TextInput
+            value={newPhrase}
+            onChangeText={setNewPhrase}
+            placeholder="e.g. did you feed the cat"
+            placeholderTextColor={colors.faint}
+            style={styles.input}
+            autoCapitalize="none"
+            autoCorrect={false}
+            maxLength={80}
+            onSubmitEditing={addPhrase}
+            editable={!testing}
+          />
+          <TouchableOpacity style={styles.addBtn} onPress={addPhrase} disabled={testing} activeOpacity={0.85}>
+            <Ionicons name="add" size={20} color={colors.bg} />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Sensitivity */}
+      <Text style={styles.sectionLabel}>MATCH SENSITIVITY</Text>
+      <View style={[styles.card, styles.thresholdRow]}>
+        <TouchableOpacity
+          style={styles.stepBtn}
+          onPress={() => stepThreshold(-1)}
+          disabled={threshold <= MIN_FUZZY_THRESHOLD}
+        >
+          <Ionicons name="remove" size={18} color={colors.text} />
+        </TouchableOpacity>
+        <View style={{ flex: 1, alignItems: "center" }}>
+          <Text style={styles.thresholdValue}>{Math.round(threshold * 100)}%</Text>
+          <Text style={styles.thresholdHint}>{sensitivityLabel(threshold)} match</Text>
+        </View>
+        <TouchableOpacity
+          style={styles.stepBtn}
+          onPress={() => stepThreshold(1)}
+          disabled={threshold >= MAX_FUZZY_THRESHOLD}
+        >
+          <Ionicons name="add" size={18} color={colors.text} />
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.helpText}>
+        Lower triggers on looser matches (more false alarms); higher needs the phrase almost word for word.
+      </Text>
+
+      {/* Test mode */}
+      <Text style={styles.sectionLabel}>TEST MODE</Text>
+      <View style={styles.card}>
+        <Text style={styles.helpText}>
+          Say your phrases out loud. No SOS is sent while testing.
+        </Text>
+
+        {languages.length > 1 && (
+          <View style={[styles.chipRow, { marginBottom: space.sm }]}>
+            {languages.map((lang) => (
+              <TouchableOpacity
+                key={lang}
+                style={[styles.chipSmall, testLang === lang && styles.chipActive]}
+                onPress={() => setTestLang(lang)}
+                disabled={testing}
+                activeOpacity={0.85}
+              >
+                <Text style={[styles.chipText, testLang === lang && styles.chipTextActive]}>
+                  Listen in {LANGUAGE_PROFILES[lang].label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {!!transcript && (
+          <Text style={styles.transcript} numberOfLines={3}>Heard: "{transcript}"</Text>
+        )}
+
+        {effectivePhrases.map((p) => {
+          const best = bestScores[phraseKey(p)] || 0;
+          const needed = thresholdFor(p.lang, threshold);
+          const hit = best >= needed;
+          return (
+            <View key={phraseKey(p)} style={styles.scoreRow}>
+              <View style={styles.scoreHeader}>
+                <Text style={styles.scorePhrase} numberOfLines={1}>
+                  {p.phrase} <Text style={styles.langTag}>{p.lang.toUpperCase()}</Text>
+                </Text>
+                <Text style={[styles.scoreValue, hit && { color: colors.green }]}>
+                  {testing || best ? `${Math.round(best * 100)}%` : "—"}
+                  {hit ? " ✓" : ""}
+                </Text>
+              </View>
+              <View style={styles.scoreTrack}>
+                <View style={[styles.scoreFill, { width: `${Math.round(best * 100)}%` }, hit && styles.scoreFillHit]} />
+                <View style={[styles.scoreMarker, { left: `${Math.round(needed * 100)}%` }]} />
+              </View>
+            </View>
+          );
+        })}
+
+        <TouchableOpacity
+          style={[styles.testBtn, testing && styles.testBtnActive]}
+          onPress={testing ? stopTest : startTest}
+          activeOpacity={0.85}
+        >
+          <Ionicons name={testing ? "stop-circle-outline" : "mic-outline"} size={18} color={testing ? colors.red : colors.text} />
+          <Text style={[styles.testBtnText, testing && { color: colors.red }]}>
+            {testing ? "Stop Test" : "Start Test"}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {!!error && <Text style={styles.error}>⚠ {error}</Text>}
+      {!!syncNote && !isDirty && <Text style={styles.syncNote}>{syncNote}</Text>}
+
+      <TouchableOpacity
+        style={[styles.saveBtn, (!isDirty || saving || testing) && { opacity: 0.5 }]}
+        onPress={handleSave}
+        disabled={!isDirty || saving || testing}
+        activeOpacity={0.85}
+      >
+        {saving ? <ActivityIndicator color={colors.bg} /> : <Text style={styles.saveBtnText}>Save Phrases</Text>}
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loading: { padding: space.xl, alignItems: "center" },
+  container: { paddingBottom: space.lg },
+  intro: {
+    color: colors.muted,
+    fontSize: 13,
+    fontFamily: font.reg,
+    lineHeight: 19,
+    marginBottom: space.lg,
+  },
+  sectionLabel: {
+    color: colors.faint,
+    fontSize: 11,
+    fontFamily: font.bold,
+    letterSpacing: 1.2,
+    marginBottom: space.xs,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: radius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: space.md,
+    marginBottom: space.md,
+  },
+  emptyText: { color: colors.muted, fontSize: 13, fontFamily: font.reg, marginBottom: space.sm },
+  phraseRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: space.sm,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  phraseText: { flex: 1, color: colors.text, fontSize: 14, fontFamily: font.med },
+  langTag: { color: colors.faint, fontSize: 10, fontFamily: font.black, letterSpacing: 0.8 },
+  chipRow: { flexDirection: "row", flexWrap: "wrap", gap: space.xs },
+  chip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: radius.pill,
+    borderWidth: 1,
+    borderColor: colors.borderHigh,
+    backgroundColor: colors.bg,
+  },
+  chipSmall: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+    borderRadius: radius.pill,
+    borderWidth: 1,
+    borderColor: colors.borderHigh,
+    backgroundColor: colors.bg,
+  },
+  chipActive: { backgroundColor: colors.green, borderColor: colors.green },
+  chipText: { color: colors.muted, fontSize: 12, fontFamily: font.bold },
+  chipTextActive: { color: colors.bg },
+  addRow: { flexDirection: "row", alignItems: "center", gap: space.sm, marginTop: space.sm },
+  input: {
+    flex: 1,
+    backgroundColor: colors.bg,
+    borderRadius: radius.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    color: colors.text,
+    fontFamily: font.med,
+  },
+  addBtn: {
+    width: 42,
+    height: 42,
+    borderRadius: radius.sm,
+    backgroundColor: colors.green,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  thresholdRow: { flexDirection: "row", alignItems: "center", marginBottom: space.xs },
+  stepBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: radius.sm,
+    backgroundColor: colors.surfaceHigh,
+    borderWidth: 1,
+    borderColor: colors.borderHigh,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  thresholdValue: { color: colors.text, fontSize: 22, fontFamily: font.black },
+  thresholdHint: { color: colors.muted, fontSize: 12, fontFamily: font.med, marginTop: 2 },
+  helpText: { color: colors.faint, fontSize: 12, fontFamily: font.reg, lineHeight: 17, marginBottom: space.md },
+  transcript: { color: colors.text, fontSize: 13, fontFamily: font.med, marginBottom: space.sm },
+  scoreRow: { marginBottom: space.sm },
+  scoreHeader: { flexDirection: "row", justifyContent: "space-between", marginBottom: 4 },
+  scorePhrase: { flex: 1, color: colors.muted, fontSize: 12, fontFamily: font.med, marginRight: space.sm },
+  scoreValue: { color: colors.muted, fontSize: 12, fontFamily: font.bold },
+  scoreTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.border,
+    overflow: "hidden",
+  },
+  scoreFill: { height: 6, backgroundColor: colors.amber },
+  scoreFillHit: { backgroundColor: colors.green },
+  scoreMarker: { position: "absolute", top: 0, bottom: 0, width: 2, backgroundColor: colors.text },
+  testBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: space.xs,
+    marginTop: space.sm,
+    paddingVertical: 12,
+    borderRadius: radius.sm,
+    backgroundColor: colors.surfaceHigh,
+    borderWidth: 1,
+    borderColor: colors.borderHigh,
+  },
+  testBtnActive: { backgroundColor: colors.redDim, borderColor: colors.redBorder },
+  testBtnText: { color: colors.text, fontSize: 14, fontFamily: font.bold },
+  error: { color: "#fca5a5", fontSize: 12, fontFamily: font.bold, marginBottom: space.sm },
+  syncNote: { color: colors.muted, fontSize: 12, fontFamily: font.med, marginBottom: space.sm },
+  saveBtn: {
+    backgroundColor: colors.green,
+    borderRadius: radius.md,
+    paddingVertical: 14,
+    alignItems: "center",
+  },
+  saveBtnText: { color: colors.bg, fontSize: 15, fontFamily: font.black, letterSpacing: 0.4 },
+});
@@ -5,186 +5,22 @@ import {
   ExpoSpeechRecognitionModule,
   useSpeechRecognitionEvent,
 } from "expo-speech-recognition";
+import WakePhrases from "../services/WakePhrases";
+import { detectWakePhrase, languageProfile } from "../utils/wakeMatch";
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
-// Wake phrases to detect (lowercase for matching)
-// IMPORTANT: Only full phrases trigger - single words like "sick" or "bathroom" do NOT trigger
-const WAKE_PHRASES = [
-  "i'm feeling sick",
-  "where's the bathroom",
-  "please stop",
-  "it might rain today",
-];
-
-// Fuzzy matching threshold (0-1, lower = more strict)
-const FUZZY_THRESHOLD = 0.75;
+// Wake phrases + fuzzy threshold are per user (WakePhrases service, synced via Supabase);
+// matching lives in utils/wakeMatch.js so the settings test mode scores exactly the same way.
+// Recognition locale follows the user's languages. A recognizer session only runs one
+// locale, so with several languages each restart switches to the next one; phrases
+// from every language are matched against every transcript.
 
 // Restart delay after recognition ends (ms)
 const RESTART_DELAY = 300;
 
-// ============================================
-// FUZZY MATCHING UTILITIES
-// ============================================
-
-/**
- * Calculate Levenshtein distance between two strings
- */
-function levenshteinDistance(str1, str2) {
-  const m = str1.length;
-  const n = str2.length;
-
-  // Create distance matrix
-  const dp = Array(m + 1)
-    .fill(null)
-    .map(() => Array(n + 1).fill(0));
-
-  // Initialize base cases
-  for (let i = 0; i <= m; i++) dp[i][0] = i;
-  for (let j = 0; j <= n; j++) dp[0][j] = j;
-
-  // Fill the matrix
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      if (str1[i - 1] === str2[j - 1]) {
-        dp[i][j] = dp[i - 1][j - 1];
-      } else {
-        dp[i][j] = 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
-      }
-    }
-  }
-
-  return dp[m][n];
-}
-
-/**
- * Calculate similarity score between two strings (0-1)
- */
-function similarity(str1, str2) {
-  const s1 = str1.toLowerCase().trim();
-  const s2 = str2.toLowerCase().trim();
-
-  if (s1 === s2) return 1;
-  if (s1.length === 0 || s2.length === 0) return 0;
-
-  const distance = levenshteinDistance(s1, s2);
-  const maxLen = Math.max(s1.length, s2.length);
-
-  return 1 - distance / maxLen;
-}
-
-/**
- * Extract sliding window phrases of a given word count from transcript
- */
-function extractPhrases(words, wordCount) {
-  const phrases = [];
-  for (let i = 0; i <= words.length - wordCount; i++) {
-    phrases.push(words.slice(i, i + wordCount).join(" "));
-  }
-  return phrases;
-}
-
-/**
- * Check if transcript contains any wake phrase (exact or fuzzy match)
- * IMPORTANT: Only FULL phrases trigger - single words do NOT trigger
- * Returns the matched wake phrase or null
- */
-function detectWakePhrase(transcript) {
-  // Normalize: lowercase, remove punctuation, collapse whitespace
-  const normalized = transcript
-    .toLowerCase()
-    .replace(/['']/g, "'") // normalize apostrophes
-    .replace(/[^\w\s']/g, " ") // remove punctuation except apostrophes
-    .replace(/\s+/g, " ")
-    .trim();
-
-  // First, check for exact substring matches of full phrases
-  for (const wakePhrase of WAKE_PHRASES) {
-    // Also check without apostrophes for "i'm" -> "im", "where's" -> "wheres"
-    const phraseNoApostrophe = wakePhrase.replace(/'/g, "");
-    if (normalized.includes(wakePhrase) || normalized.includes(phraseNoApostrophe)) {
-      console.log(`✅ Exact phrase match: "${wakePhrase}"`);
-      return wakePhrase;
-    }
-  }
-
-  // Check phonetic/common mishearings of FULL phrases only
-  const phoneticMappings = {
-    "i'm feeling sick": [
-      "im feeling sick",
-      "i am feeling sick",
-      "i'm feeling sic",
-      "i feel sick",
-      "i'm feeling ill",
-      "i'm feeling seek",
-    ],
-    "where's the bathroom": [
-      "wheres the bathroom",
-      "where is the bathroom",
-      "where's the restroom",
-      "where is the restroom",
-      "where's the bath room",
-      "where's a bathroom",
-      "where is a bathroom",
-    ],
-    "please stop": [
-      "please top",
-      "pleas stop",
-      "please stap",
-      "please stopp",
-    ],
-    "it might rain today": [
-      "it might rain to day",
-      "it may rain today",
-      "it might rain 2day",
-      "it might reign today",
-      "it might rain toda",
-    ],
-  };
-
-  for (const [wakePhrase, variants] of Object.entries(phoneticMappings)) {
-    for (const variant of variants) {
-      if (normalized.includes(variant)) {
-        console.log(`🔍 Phonetic phrase match: "${variant}" -> "${wakePhrase}"`);
-        return wakePhrase;
-      }
-    }
-  }
-
-  // Fuzzy match full phrases only (no single-word matching!)
-  // Extract words from transcript
-  const words = normalized.split(/\s+/).filter((w) => w.length > 0);
-
-  for (const wakePhrase of WAKE_PHRASES) {
-    const phraseWords = wakePhrase.replace(/'/g, "").split(/\s+/);
-    const phraseWordCount = phraseWords.length;
-
-    // Only check phrases with the same word count (or close to it: -1 to +1)
-    for (let windowSize = phraseWordCount - 1; windowSize <= phraseWordCount + 1; windowSize++) {
-      if (windowSize < 2) continue; // Never match single words
-
-      const candidatePhrases = extractPhrases(words, windowSize);
-
-      for (const candidate of candidatePhrases) {
-        // Compare against phrase without apostrophes for fuzzy matching
-        const phraseNoApostrophe = wakePhrase.replace(/'/g, "");
-        const score = similarity(candidate, phraseNoApostrophe);
-
-        if (score >= FUZZY_THRESHOLD) {
-          console.log(
-            `🔍 Fuzzy phrase match: "${candidate}" ~ "${wakePhrase}" (score: ${score.toFixed(2)})`
-          );
-          return wakePhrase;
-        }
-      }
-    }
-  }
-
-  return null;
-}
-
 // ============================================
 // MAIN COMPONENT
 // ============================================
@@ -195,6 +31,8 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
   const mountedRef = useRef(true);
   const restartTimeoutRef = useRef(null);
   const lastTriggerTimeRef = useRef(0);
+  const configRef = useRef(WakePhrases.getConfig());
+  const languageIndexRef = useRef(0);
 
   // Debounce triggers to prevent rapid-fire activations
   const TRIGGER_DEBOUNCE_MS = 3000;
@@ -266,6 +104,12 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
     if (!mountedRef.current) return;
     if (isListeningRef.current || isStartingRef.current) return;
 
+    // Phrase test mode (Settings) owns the microphone until it finishes
+    if (WakePhrases.isTestMode()) {
+      safeStatus("Paused (phrase test)");
+      return;
+    }
+
     isStartingRef.current = true;
     clearRestartTimeout();
 
@@ -289,14 +133,19 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
 
       safeStatus("Starting...");
 
+      // Locale for this session (rotates between the user's languages)
+      const { languages, phrases } = configRef.current;
+      const lang = languages[languageIndexRef.current % languages.length];
+      const sessionPhrases = phrases.filter((p) => p.lang === lang);
+
       // Base recognition options
       const baseOptions = {
-        lang: "en-US",
+        lang: languageProfile(lang).locale,
         interimResults: true,
         continuous: true,
         maxAlternatives: 3,
         addsPunctuation: false,
-        contextualStrings: WAKE_PHRASES,
+        contextualStrings: (sessionPhrases.length ? sessionPhrases : phrases).map((p) => p.phrase),
       };
 
       // Try on-device recognition first, fall back to online if unavailable
@@ -309,7 +158,7 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
           requiresOnDeviceRecognition: true,
         });
         started = true;
-        console.log("🎤 Speech recognition started (on-device)");
+        console.log(`🎤 Speech recognition started (on-device, ${baseOptions.lang})`);
       } catch {
         // On-device not available, will try online
       }
@@ -322,7 +171,7 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
             requiresOnDeviceRecognition: false,
           });
           started = true;
-          console.log("🎤 Speech recognition started (online)");
+          console.log(`🎤 Speech recognition started (online, ${baseOptions.lang})`);
         } catch {
           // Online also failed, will be handled below
         }
@@ -362,6 +211,8 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
   // Handle speech recognition results
   useSpeechRecognitionEvent("result", (event) => {
     if (!mountedRef.current) return;
+    // Phrase test results must never fire a real SOS
+    if (WakePhrases.isTestMode()) return;
 
     const results = event.results || [];
 
@@ -371,9 +222,11 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
       if (transcript.length > 0) {
         console.log(`📝 Heard: "${transcript}" (final: ${result.isFinal})`);
 
-        const matchedPhrase = detectWakePhrase(transcript);
-        if (matchedPhrase) {
-          safeTrigger(matchedPhrase);
+        const { phrases, fuzzyThreshold } = configRef.current;
+        const match = detectWakePhrase(transcript, phrases, fuzzyThreshold);
+        if (match) {
+          console.log(`🔍 Wake phrase match (${match.lang}, ${match.how}, score: ${match.score.toFixed(2)})`);
+          safeTrigger(match.phrase);
           return;
         }
       }
@@ -382,6 +235,7 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
 
   // Handle recognition start
   useSpeechRecognitionEvent("start", () => {
+    if (WakePhrases.isTestMode()) return;
     console.log("🎤 Recognition started event");
     isListeningRef.current = true;
     safeStatus("Listening...");
@@ -392,6 +246,9 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
     console.log("🔚 Recognition ended");
     isListeningRef.current = false;
 
+    // Next session listens in the next language
+    if (configRef.current.languages.length > 1) languageIndexRef.current += 1;
+
     // Schedule restart for continuous listening
     if (mountedRef.current) {
       scheduleRestart();
@@ -424,6 +281,36 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
     // Start listening on mount
     startListening();
 
+    // Follow the user's phrases: restart so the recognizer gets the new contextual
+    // strings, and step aside while the settings screen runs a phrase test
+    WakePhrases.load().catch(() => {});
+    let wasTestMode = WakePhrases.isTestMode();
+    const unsubscribePhrases = WakePhrases.subscribe((config) => {
+      const prev = configRef.current;
+      configRef.current = config;
+
+      const testMode = WakePhrases.isTestMode();
+      if (testMode !== wasTestMode) {
+        wasTestMode = testMode;
+        if (testMode) {
+          stopListening();
+          safeStatus("Paused (phrase test)");
+        } else {
+          startListening();
+        }
+        return;
+      }
+
+      const key = (c) => `${c.languages.join(",")}#${c.phrases.map((p) => `${p.lang}:${p.phrase}`).join("|")}`;
+      const changed = key(prev) !== key(config);
+      if (changed && isListeningRef.current) {
+        // "end" event schedules the restart with the new phrases
+        try {
+          ExpoSpeechRecognitionModule.stop();
+        } catch {}
+      }
+    });
+
     // Handle app state changes
     const appStateSubscription = AppState.addEventListener(
       "change",
@@ -442,9 +329,10 @@ export default function WakeWordListener({ onTrigger, onStatus }) {
       mountedRef.current = false;
       clearRestartTimeout();
       appStateSubscription.remove();
+      unsubscribePhrases();
       stopListening();
     };
-  }, [startListening, stopListening, clearRestartTimeout]);
+  }, [startListening, stopListening, clearRestartTimeout, safeStatus]);
 
   return null;
 }
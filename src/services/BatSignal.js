@@ -6,7 +6,8 @@
 //    to build the dashboard link + broadcast.
 // 2) ✅ Avoids bad “0,0” links: If we don’t have coords yet, we send a link with only ?id=DEVICE (no lat/lng).
 // 3) ✅ Fleet-wide in-app alert payload improved: Broadcast includes richer payload.
-// 4) ✅ SMS left intact but disabled by default.
+// 4) ✅ Emergency contacts (SMS / webhook via ContactDelivery) are not alerted at SOS
+//    time by default — the escalation chain reaches them when the fleets don't answer.
 //
 // ✅ Phase 6: Cloud Recording (Agora → S3) start/stop (backup, best-effort)
 // - When SOS triggers → call Edge Function: agora-recording-start (ONLY on SOS activation)
@@ -19,27 +20,50 @@
 // - Logs cloud recording attempts so you can see what’s happening
 // - Stores resourceId + sid on start and includes them on stop (more reliable)
 // - Adds timeouts so cancel never hangs UI
+//
+// ✅ Duress PIN: sendDuressSignal() is what the lock screen calls instead of cancelBatSignal()
+// when the duress PIN is entered — SOS, tracking and streaming keep running, the incident is
+// escalated and the fleet gets a "sos_duress" alert. The device UI behaves as if cancelled.
+//
+// ✅ Escalation: when nobody acknowledges, SOSEscalation walks the tiers registered below —
+// the user's other fleet(s), then the user's emergency contacts (ContactDelivery). Contacts who
+// were alerted get a "cancelled" message when the SOS is cancelled. Only contacts who
+// confirmed the opt-in invite are ever messaged.
+//
+// ✅ Team routing: when the sender is on a work-fleet team, opening the incident returns the
+// team's on-shift supervisors and a window; the broadcast carries it as `route` so everyone
+// else holds the alarm until the window runs out (SOSAlertManager).
+//
+// ✅ Last gasp: sendLastGasp() (called by BatteryGuard at critical battery) sends a final
+// high-accuracy fix + battery level to the fleet ("battery_critical" on fleet:{groupId}),
+// so a member going dark reads as "battery died here", not as danger.
 
 import * as Location from "expo-location";
 import { Vibration } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { supabase, SUPABASE_URL, SUPABASE_KEY, SUPABASE_ANON_KEY } from "../lib/supabase";
 import { getDeviceId } from "./Identity";
-import { setSOSActive, clearSOS, forceOneShotSync, stopLiveTracking } from "./LiveTracker";
+import { setSOSActive, clearSOS, forceOneShotSync, stopLiveTracking, getSOSSessionId, isSOSDrill } from "./LiveTracker";
+import SOSOutbox, { OUTBOX_KINDS, isNetworkError } from "./SOSOutbox";
+import SOSIncidents from "./SOSIncidents";
+import SOSDrill, { DRILL_EVENT } from "./SOSDrill";
+import SOSEscalation, { ESCALATION_TIER } from "./SOSEscalation";
+import ContactDelivery from "./ContactDelivery";
+import EmergencyContacts from "./EmergencyContacts";
+import { SOS_TRIGGERS, normalizeSosTrigger, getAutoTriggerText } from "../utils/sosTriggers";
 
 // 🔴 CONFIGURATION
 const GUARDIAN_SITE = "https://sentihnel.com";
-const CLOUD_ROBOT_URL = `${GUARDIAN_SITE}/.netlify/functions/send-sos`;
-
-// ✅ Phase 5: Prefer fleet notifications over SMS for now
-const ENABLE_SMS = false;
 
-// 🔴 TEST NUMBER (optional) - kept intact
-const GUARDIAN_PHONE_NUMBER = "+14708123029";
+// ✅ Phase 5: Prefer fleet notifications — emergency contacts hear about it only through
+// the escalation chain (true = also alert them the moment the SOS goes out)
+const ALERT_CONTACTS_ON_SOS = false;
 
 // Storage
 const STORAGE_KEY_GROUP_ID = "sentinel_group_id";
+const STORAGE_KEY_SOS = "sentinel_sos_active";
 const STORAGE_KEY_DEVICE_NAME = "sentinel_device_display_name";
+const STORAGE_KEY_DURESS = "sentinel_sos_duress";
 
 // ✅ Cloud Recording Edge Functions (Supabase)
 const REC_START_FN = "agora-recording-start";
@@ -73,6 +97,17 @@ const FN_TIMEOUT_MS = 12000;
 // Timer ref for delayed OFFLINE RPC retry (cleared if cancel runs again)
 let offlineRetryTimer = null;
 
+// ✅ Offline outbox: how long a new SOS/cancel/check-in may wait for queued backlog to drain
+// before it is queued behind it instead (keeps strict ordering without blocking SOS for long)
+const OUTBOX_DRAIN_TIMEOUT_MS = 6000;
+
+// ✅ Offline outbox: realtime-only deliveries give up after this many replays
+// (the DB row replayed by LiveTracker still carries the state, so the queue must not jam)
+const OUTBOX_BROADCAST_MAX_ATTEMPTS = 8;
+
+// ✅ Discreet tactile confirmation on SOS (also used by trigger practice modes)
+export const SOS_CONFIRM_VIBRATION = [0, 50, 100, 50];
+
 // ✅ Debug logs (dev only)
 const DEBUG_CLOUDREC = !!__DEV__;
 
@@ -185,10 +220,10 @@ async function getAllMyGroupIdsSafe() {
   }
 }
 
-async function safeSetSOSActive() {
+async function safeSetSOSActive(trigger = null, drill = false) {
   // Some builds had setSOSActive(true), some had setSOSActive() — support both safely.
   try {
-    await setSOSActive(true);
+    await setSOSActive(true, { trigger, drill });
     return;
   } catch {}
   try {
@@ -196,10 +231,12 @@ async function safeSetSOSActive() {
   } catch {}
 }
 
-async function safeForceSOSSync({ lat, lng, accuracy } = {}) {
+// Drills sync as ACTIVE — an "SOS" row fires notify_fleet_sos and the receivers' DB watchers
+async function safeForceSOSSync({ lat, lng, accuracy, drill = false } = {}) {
+  const status = drill ? "ACTIVE" : "SOS";
   try {
     await forceOneShotSync({
-      status: "SOS",
+      status,
       coords:
         Number.isFinite(lat) && Number.isFinite(lng)
           ? { latitude: lat, longitude: lng, accuracy: accuracy ?? null }
@@ -209,7 +246,7 @@ async function safeForceSOSSync({ lat, lng, accuracy } = {}) {
   } catch {}
 
   try {
-    await forceOneShotSync({ status: "SOS" });
+    await forceOneShotSync({ status });
     return;
   } catch {}
 
@@ -270,23 +307,6 @@ async function getFastThenRefineLocation() {
   }
 }
 
-async function postWithTimeout(url, bodyObj, timeoutMs = 8000) {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const res = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(bodyObj),
-      signal: controller.signal,
-    });
-    return res;
-  } finally {
-    clearTimeout(t);
-  }
-}
-
 function formatFnError(err) {
   try {
     if (!err) return { message: "Unknown error" };
@@ -606,7 +626,7 @@ async function tryStopCloudRecording({ deviceId, channel }) {
  * ✅ Trigger push notifications via Edge Function (fallback for when pg_net isn't available)
  * This is fire-and-forget to avoid blocking SOS activation
  */
-async function triggerPushNotifications({ deviceId, groupId, displayName, lat, lng }) {
+async function triggerPushNotifications({ deviceId, groupId, displayName, lat, lng, timestamp, incidentId, trigger, drill = false }) {
   try {
     if (!deviceId || !groupId) return;
 
@@ -620,7 +640,13 @@ async function triggerPushNotifications({ deviceId, groupId, displayName, lat, l
           group_id: groupId,
           latitude: lat,
           longitude: lng,
-          timestamp: new Date().toISOString(),
+          timestamp: new Date(timestamp || Date.now()).toISOString(),
+          incident_id: incidentId || null,
+          trigger: trigger || null,
+          // send-sos-notifications: silent data push on channel "sos_drill" (never an SOS push)
+          type: drill ? DRILL_EVENT : undefined,
+          drill: drill || undefined,
+          drill_id: drill ? incidentId || null : undefined,
         },
       },
       FN_TIMEOUT_MS
@@ -644,7 +670,7 @@ async function triggerPushNotifications({ deviceId, groupId, displayName, lat, l
  * ✅ Trigger CANCEL push notification via Edge Function
  * So users with app in background know the SOS has been resolved
  */
-async function triggerCancelPushNotification({ deviceId, groupId, displayName }) {
+async function triggerCancelPushNotification({ deviceId, groupId, displayName, timestamp }) {
   try {
     if (!deviceId || !groupId) return;
 
@@ -657,7 +683,7 @@ async function triggerCancelPushNotification({ deviceId, groupId, displayName })
           group_id: groupId,
           latitude: null,
           longitude: null,
-          timestamp: new Date().toISOString(),
+          timestamp: new Date(timestamp || Date.now()).toISOString(),
           type: "sos_cancel",
         },
       },
@@ -678,6 +704,45 @@ async function triggerCancelPushNotification({ deviceId, groupId, displayName })
   }
 }
 
+/**
+ * ✅ Trigger DURESS push notification via Edge Function
+ * The DB trigger only fires on the SOS status change, which already happened
+ */
+async function triggerDuressPushNotification({ deviceId, groupId, displayName, lat, lng, timestamp, incidentId }) {
+  try {
+    if (!deviceId || !groupId) return;
+
+    invokeFunctionWithTimeout(
+      SOS_NOTIFY_FN,
+      {
+        payload: {
+          device_id: deviceId,
+          display_name: displayName || null,
+          group_id: groupId,
+          latitude: Number.isFinite(lat) ? lat : null,
+          longitude: Number.isFinite(lng) ? lng : null,
+          timestamp: new Date(timestamp || Date.now()).toISOString(),
+          incident_id: incidentId || null,
+          type: "sos_duress",
+        },
+      },
+      FN_TIMEOUT_MS
+    )
+      .then((out) => {
+        if (out.ok) {
+          console.log("✅ Duress push notification sent via Edge Function");
+        } else {
+          console.log("⚠️ Duress push notification failed (non-blocking):", out.error?.message);
+        }
+      })
+      .catch((e) => {
+        console.log("⚠️ Duress push notification exception (non-blocking):", e?.message);
+      });
+  } catch (e) {
+    console.log("⚠️ Duress push notification error (non-blocking):", e?.message);
+  }
+}
+
 // ✅ Start cloud recording ONCE per SOS activation, retrying (best-effort)
 async function safeStartCloudRecordingOnce(deviceId) {
   try {
@@ -708,131 +773,442 @@ async function safeStartCloudRecordingOnce(deviceId) {
   } catch {}
 }
 
-/**
- * ✅ Fleet-wide realtime broadcast.
- * NOTE: This is NOT push notifications. It will reach anyone currently online in the app.
- */
-async function tryBroadcastSOS({ groupId, deviceId, displayName, link, lat, lng }) {
-  if (!groupId) return false;
-
+// Short-lived realtime channel: subscribe (2.5 s max), send one broadcast, leave.
+// → true when the broadcast went out
+async function sendChannelBroadcast(channelName, event, payload) {
+  const ch = supabase.channel(channelName);
   try {
-    // ✅ FIX #1: Use sos: channel to match SOSAlertManager listener
-    const ch = supabase.channel(`sos:${groupId}`);
-
     const subscribed = await new Promise((resolve) => {
-      let done = false;
-      const timer = setTimeout(() => {
-        if (!done) resolve(false);
-      }, 2500);
+      const timer = setTimeout(() => resolve(false), 2500);
 
       ch.subscribe((status) => {
         if (status === "SUBSCRIBED") {
-          done = true;
           clearTimeout(timer);
           resolve(true);
         }
         if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
-          done = true;
           clearTimeout(timer);
           resolve(false);
         }
       });
     });
+    if (!subscribed) return false;
 
-    if (!subscribed) {
-      try {
-        await supabase.removeChannel(ch);
-      } catch {}
-      return false;
-    }
-
-    const sosId = `SOS_${deviceId}_${Date.now()}`;
-
-    // ✅ FIX: Field names must match what SOSAlertManager expects
-    // SOSAlertManager looks for: device_id, display_name, latitude, longitude, timestamp
-    const payload = {
-      kind: "SOS",
-      sos_id: sosId,
-      device_id: deviceId,
-      display_name: displayName || null, // Sender's display name for immediate use
-      group_id: groupId,
-      latitude: Number.isFinite(lat) ? lat : null,
-      longitude: Number.isFinite(lng) ? lng : null,
-      link,
-      title: "🚨 SOS ALERT",
-      body: `${displayName || "A fleet member"} triggered SOS. Tap to open Fleet Manager.`,
-      timestamp: Date.now(),
-    };
-
-    const out = await ch.send({ type: "broadcast", event: "sos", payload });
-
-    try {
-      await supabase.removeChannel(ch);
-    } catch {}
-
+    const out = await ch.send({ type: "broadcast", event, payload });
     return !!out && (!out.status || out.status === "ok");
   } catch {
     return false;
+  } finally {
+    try {
+      await supabase.removeChannel(ch);
+    } catch {}
   }
 }
 
-async function tryBroadcastCancel({ groupId, deviceId, displayName }) {
+/**
+ * ✅ Fleet-wide realtime broadcast.
+ * NOTE: This is NOT push notifications. It will reach anyone currently online in the app.
+ */
+async function tryBroadcastSOS({ groupId, deviceId, displayName, link, lat, lng, timestamp, incidentId, trigger, drill = false, escalated = false, route = null }) {
   if (!groupId) return false;
 
-  try {
-    // ✅ FIX #1: Use sos: channel to match SOSAlertManager listener
-    const ch = supabase.channel(`sos:${groupId}`);
+  // ✅ Outbox replays pass the ORIGINAL trigger time
+  const sentAt = Number.isFinite(timestamp) ? timestamp : Date.now();
+  const sosId = `SOS_${deviceId}_${sentAt}`;
+
+  // ✅ FIX: Field names must match what SOSAlertManager expects
+  // SOSAlertManager looks for: device_id, display_name, latitude, longitude, timestamp
+  // Automatic triggers (fall, missed check-in) say why it fired — nobody pressed anything
+  const autoText = getAutoTriggerText(trigger);
+
+  const payload = {
+    kind: "SOS",
+    sos_id: sosId,
+    incident_id: incidentId || null, // ✅ sos_incidents.id (lets receivers ack the right incident)
+    device_id: deviceId,
+    display_name: displayName || null, // Sender's display name for immediate use
+    group_id: groupId,
+    latitude: Number.isFinite(lat) ? lat : null,
+    longitude: Number.isFinite(lng) ? lng : null,
+    link,
+    trigger: trigger || null,
+    ...(drill ? { drill: true, drill_id: incidentId || sosId } : {}),
+    // Escalated from the sender's own fleet: their row in THIS fleet never says "SOS",
+    // so receivers follow the incident record instead (SOSAlertManager)
+    ...(escalated ? { escalated: true } : {}),
+    // Team routing: only these users alarm until `until`; everyone else holds (SOSAlertManager)
+    ...(route?.userIds?.length ? { route: { user_ids: route.userIds, until: route.until } } : {}),
+    title: drill ? "🧪 SOS DRILL" : escalated ? "🚨 SOS ALERT — ESCALATED" : "🚨 SOS ALERT",
+    body: drill
+      ? `${displayName || "A fleet member"} is running an SOS drill. No action needed.`
+      : escalated
+      ? `${displayName || "A fleet member"} triggered SOS and nobody in their main fleet has responded yet.`
+      : autoText
+      ? `${displayName || "A fleet member"}: ${autoText}. Tap to open Fleet Manager.`
+      : `${displayName || "A fleet member"} triggered SOS. Tap to open Fleet Manager.`,
+    timestamp: sentAt,
+  };
+
+  // sos: channel to match the SOSAlertManager listener.
+  // Drills go out on their own event — clients that predate drills never see an "sos"
+  return sendChannelBroadcast(`sos:${groupId}`, drill ? DRILL_EVENT : "sos", payload);
+}
 
-    const subscribed = await new Promise((resolve) => {
-      let done = false;
-      const timer = setTimeout(() => {
-        if (!done) resolve(false);
-      }, 2500);
+async function tryBroadcastCancel({ groupId, deviceId, displayName, timestamp, incidentId }) {
+  if (!groupId) return false;
 
-      ch.subscribe((status) => {
-        if (status === "SUBSCRIBED") {
-          done = true;
-          clearTimeout(timer);
-          resolve(true);
-        }
-        if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
-          done = true;
-          clearTimeout(timer);
-          resolve(false);
-        }
-      });
-    });
+  // ✅ FIX: Field names must match what SOSAlertManager expects
+  const payload = {
+    kind: "SOS_CANCEL",
+    incident_id: incidentId || null,
+    device_id: deviceId,
+    display_name: displayName || null,
+    group_id: groupId,
+    title: "✅ SOS CANCELED",
+    body: `${displayName || "Fleet member"}'s emergency has been resolved.`,
+    timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+  };
+
+  // sos: channel to match the SOSAlertManager listener
+  return sendChannelBroadcast(`sos:${groupId}`, "sos_cancel", payload);
+}
 
-    if (!subscribed) {
-      try {
-        await supabase.removeChannel(ch);
-      } catch {}
-      return false;
-    }
+// ✅ Duress realtime broadcast (sos: channel). Split out so the outbox can replay it.
+async function tryBroadcastDuress({ groupId, deviceId, displayName, lat, lng, timestamp, incidentId }) {
+  if (!groupId) return false;
 
-    // ✅ FIX: Field names must match what SOSAlertManager expects
-    const payload = {
-      kind: "SOS_CANCEL",
-      device_id: deviceId,
-      display_name: displayName || null,
-      group_id: groupId,
-      title: "✅ SOS CANCELED",
-      body: `${displayName || "Fleet member"}'s emergency has been resolved.`,
-      timestamp: Date.now(),
-    };
+  const payload = {
+    kind: "SOS_DURESS",
+    severity: "duress",
+    incident_id: incidentId || null,
+    device_id: deviceId,
+    display_name: displayName || null,
+    group_id: groupId,
+    latitude: Number.isFinite(lat) ? lat : null,
+    longitude: Number.isFinite(lng) ? lng : null,
+    title: "🚨 DURESS ALERT",
+    body: `${displayName || "A fleet member"} was forced to cancel their SOS. They are still in danger — do not call them.`,
+    timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+  };
+
+  return sendChannelBroadcast(`sos:${groupId}`, "sos_duress", payload);
+}
+
+// ✅ Check-in realtime broadcast (fleet: channel). Split out so the outbox can replay it.
+async function tryBroadcastCheckIn({ groupId, deviceId, displayName, lat, lng, timestamp }) {
+  if (!groupId) return false;
+
+  const payload = {
+    kind: "CHECK_IN",
+    device_id: deviceId,
+    display_name: displayName || null,
+    group_id: groupId,
+    latitude: Number.isFinite(lat) ? lat : null,
+    longitude: Number.isFinite(lng) ? lng : null,
+    title: "✅ Check-In",
+    body: `${displayName || "A fleet member"} checked in: I'm OK`,
+    timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+  };
+
+  return sendChannelBroadcast(`fleet:${groupId}`, "check_in", payload);
+}
 
-    const out = await ch.send({ type: "broadcast", event: "sos_cancel", payload });
+// ✅ Check-in push + DB history (fire-and-forget, uses the ORIGINAL check-in time)
+function recordCheckIn({ groupId, deviceId, displayName, lat, lng, timestamp }) {
+  const iso = new Date(timestamp || Date.now()).toISOString();
 
+  // ✅ Fix 1: Fire-and-forget push notification so fleet with app closed also gets it
+  invokeFunctionWithTimeout(
+    SOS_NOTIFY_FN,
+    {
+      payload: {
+        device_id: deviceId,
+        display_name: displayName || null,
+        group_id: groupId,
+        latitude: Number.isFinite(lat) ? lat : null,
+        longitude: Number.isFinite(lng) ? lng : null,
+        timestamp: iso,
+        type: "check_in",
+        title: "✅ Check-In",
+        body: `${displayName || "A fleet member"} checked in: I'm OK`,
+      },
+    },
+    FN_TIMEOUT_MS
+  )
+    .then((r) => {
+      if (r.ok) console.log("✅ CHECK-IN: Push notification sent");
+      else console.log("⚠️ CHECK-IN: Push notification failed (non-blocking):", r.error?.message);
+    })
+    .catch((e) => console.log("⚠️ CHECK-IN: Push exception (non-blocking):", e?.message));
+
+  // ✅ Fix 2: Record check-in in DB so fleet can see history
+  supabase
+    .rpc("upsert_tracking_session", {
+      p_device_id: deviceId,
+      p_group_id: groupId,
+      p_data: {
+        status: "CHECK_IN",
+        last_check_in: iso,
+        last_updated: iso,
+      },
+    })
+    .then(({ error }) => {
+      if (error) console.log("⚠️ CHECK-IN: DB record failed (non-blocking):", error.message);
+      else console.log("✅ CHECK-IN: DB record saved");
+    })
+    .catch((e) => console.log("⚠️ CHECK-IN: DB exception (non-blocking):", e?.message));
+}
+
+// ✅ Last gasp broadcast (fleet: channel), sent like check-ins
+async function tryBroadcastBatteryCritical({
+  groupId,
+  deviceId,
+  displayName,
+  lat,
+  lng,
+  accuracyM,
+  batteryPercent,
+  sosActive,
+  incidentId,
+  timestamp,
+}) {
+  if (!groupId) return false;
+
+  const payload = {
+    kind: "BATTERY_CRITICAL",
+    device_id: deviceId,
+    display_name: displayName || null,
+    group_id: groupId,
+    latitude: Number.isFinite(lat) ? lat : null,
+    longitude: Number.isFinite(lng) ? lng : null,
+    gps_accuracy_m: Number.isFinite(accuracyM) ? Math.round(accuracyM) : null,
+    battery_level: Number.isFinite(batteryPercent) ? batteryPercent : null,
+    sos_active: sosActive === true,
+    incident_id: incidentId || null,
+    title: sosActive ? "🪫 SOS Phone Dying" : "🪫 Battery Critical",
+    body: lastGaspBody({ displayName, batteryPercent, sosActive }),
+    timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+  };
+
+  return sendChannelBroadcast(`fleet:${groupId}`, "battery_critical", payload);
+}
+
+function lastGaspBody({ displayName, batteryPercent, sosActive }) {
+  const who = displayName || "A fleet member";
+  const pct = Number.isFinite(batteryPercent) ? ` (${batteryPercent}%)` : "";
+  return sosActive
+    ? `${who}'s phone is about to die during SOS${pct}. Last position attached.`
+    : `${who}'s phone is about to die${pct}. They may go offline.`;
+}
+
+// ✅ Last gasp push (fire-and-forget) so fleet with the app closed also knows
+function triggerBatteryCriticalPush({ groupId, deviceId, displayName, lat, lng, batteryPercent, sosActive, incidentId, timestamp }) {
+  if (!deviceId || !groupId) return;
+
+  invokeFunctionWithTimeout(
+    SOS_NOTIFY_FN,
+    {
+      payload: {
+        device_id: deviceId,
+        display_name: displayName || null,
+        group_id: groupId,
+        latitude: Number.isFinite(lat) ? lat : null,
+        longitude: Number.isFinite(lng) ? lng : null,
+        battery_level: Number.isFinite(batteryPercent) ? batteryPercent : null,
+        incident_id: incidentId || null,
+        timestamp: new Date(timestamp || Date.now()).toISOString(),
+        type: "battery_critical",
+        title: sosActive ? "🪫 SOS Phone Dying" : "🪫 Battery Critical",
+        body: lastGaspBody({ displayName, batteryPercent, sosActive }),
+      },
+    },
+    FN_TIMEOUT_MS
+  )
+    .then((r) => {
+      if (r.ok) console.log("✅ LAST GASP: Push notification sent");
+      else console.log("⚠️ LAST GASP: Push notification failed (non-blocking):", r.error?.message);
+    })
+    .catch((e) => console.log("⚠️ LAST GASP: Push exception (non-blocking):", e?.message));
+}
+
+// ✅ Best fix we can get quickly — the device may shut down any moment
+async function getLastGaspFix(timeoutMs = 10000) {
+  let t;
+  try {
+    return await Promise.race([
+      Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Highest }),
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error("last_gasp_fix_timeout")), timeoutMs);
+      }),
+    ]);
+  } catch {
     try {
-      await supabase.removeChannel(ch);
-    } catch {}
+      return await Location.getLastKnownPositionAsync({});
+    } catch {
+      return null;
+    }
+  } finally {
+    clearTimeout(t);
+  }
+}
 
-    return !!out && (!out.status || out.status === "ok");
+// ✅ OFFLINE status write for a cancel (original cancel time when replayed)
+async function tryMarkOffline({ deviceId, groupId, timestamp, timeoutMs = CANCEL_TIMEOUT_MS }) {
+  if (!deviceId || !groupId) return { ok: true };
+
+  try {
+    const { error } = await withTimeout(
+      supabase.rpc("upsert_tracking_session", {
+        p_device_id: deviceId,
+        p_group_id: groupId,
+        p_data: {
+          status: "OFFLINE",
+          last_updated: new Date(timestamp || Date.now()).toISOString(),
+        },
+      }),
+      timeoutMs,
+      "rpc_offline_timeout"
+    );
+    if (error) return { ok: false, retryable: isNetworkError(error), error };
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, retryable: true, error: e };
+  }
+}
+
+// ============================================
+// 📮 OFFLINE OUTBOX
+// ============================================
+
+/**
+ * ✅ Strict ordering: if older events are still queued, give them a short chance to
+ * drain first. Returns true when it's safe to send live, false → queue behind them.
+ * `alertsOnly` (SOS / cancel / duress): only older alert entries are waited for — queued
+ * location fixes and check-ins are replayed after the alert goes out.
+ */
+async function drainOutboxFirst(label, { alertsOnly = false } = {}) {
+  try {
+    if (!(await SOSOutbox.hasPending({ alertsOnly }))) return true;
+    await withTimeout(SOSOutbox.flush(label, { alertsOnly }), OUTBOX_DRAIN_TIMEOUT_MS, "outbox_drain_timeout");
+  } catch {}
+  return !(await SOSOutbox.hasPending({ alertsOnly }));
+}
+
+function gaveUpOnBroadcast(entry, label) {
+  if ((entry?.attempts || 0) + 1 < OUTBOX_BROADCAST_MAX_ATTEMPTS) return false;
+  console.log(`⚠️ OUTBOX: ${label} broadcast still failing after ${OUTBOX_BROADCAST_MAX_ATTEMPTS} replays — dropping`);
+  return true;
+}
+
+SOSOutbox.registerHandler(OUTBOX_KINDS.SOS, async (entry) => {
+  const d = entry?.data || {};
+  if (!d.deviceId || !d.groupId) return true;
+
+  const ok = await tryBroadcastSOS({ ...d, timestamp: entry.timestamp });
+  if (ok) console.log("✅ OUTBOX: SOS broadcast replayed to fleet:", d.groupId?.slice(0, 8));
+  return ok || gaveUpOnBroadcast(entry, "SOS");
+});
+
+SOSOutbox.registerHandler(OUTBOX_KINDS.CHECK_IN, async (entry) => {
+  const d = entry?.data || {};
+  if (!d.deviceId || !d.groupId) return true;
+
+  const ok = await tryBroadcastCheckIn({ ...d, timestamp: entry.timestamp });
+  if (ok) recordCheckIn({ ...d, timestamp: entry.timestamp });
+  return ok || gaveUpOnBroadcast(entry, "check-in");
+});
+
+SOSOutbox.registerHandler(OUTBOX_KINDS.CANCEL, async (entry) => {
+  const d = entry?.data || {};
+  if (!d.deviceId || !d.groupId) return true;
+
+  // DB first: this is what the fleet screens and notify_fleet_sos read
+  const offline = await tryMarkOffline({ ...d, timestamp: entry.timestamp });
+  if (!offline.ok && offline.retryable) return false;
+
+  const ok = await tryBroadcastCancel({ ...d, timestamp: entry.timestamp });
+  if (ok) triggerCancelPushNotification({ ...d, timestamp: entry.timestamp });
+  return ok || gaveUpOnBroadcast(entry, "cancel");
+});
+
+SOSOutbox.registerHandler(OUTBOX_KINDS.DURESS, async (entry) => {
+  const d = entry?.data || {};
+  if (!d.deviceId || !d.groupId) return true;
+
+  const ok = await tryBroadcastDuress({ ...d, timestamp: entry.timestamp });
+  if (ok) triggerDuressPushNotification({ ...d, timestamp: entry.timestamp });
+  return ok || gaveUpOnBroadcast(entry, "duress");
+});
+
+SOSOutbox.registerHandler(OUTBOX_KINDS.BATTERY_CRITICAL, async (entry) => {
+  const d = entry?.data || {};
+  if (!d.deviceId || !d.groupId) return true;
+
+  const ok = await tryBroadcastBatteryCritical({ ...d, timestamp: entry.timestamp });
+  if (ok) triggerBatteryCriticalPush({ ...d, timestamp: entry.timestamp });
+  return ok || gaveUpOnBroadcast(entry, "battery critical");
+});
+
+// ============================================
+// ESCALATION TIERS (SOSEscalation — nobody acknowledged in time)
+// ============================================
+
+// Opted-in contacts from the local cache (no round trip needed mid-SOS)
+async function getConfirmedContacts() {
+  try {
+    await EmergencyContacts.load();
+  } catch {}
+  return EmergencyContacts.getDeliverableContacts();
+}
+
+// Fresh position for a late tier (the SOS fix may be minutes old by now)
+async function getEscalationFix() {
+  try {
+    const last = await Location.getLastKnownPositionAsync({});
+    return { lat: safeNum(last?.coords?.latitude, null), lng: safeNum(last?.coords?.longitude, null) };
   } catch {
-    return false;
+    return { lat: null, lng: null };
   }
 }
 
+SOSEscalation.registerTierHandler(ESCALATION_TIER.OTHER_FLEETS, async (ctx, { announce }) => {
+  const others = (await getAllMyGroupIdsSafe()).filter((gid) => gid && gid !== ctx.groupId);
+  if (others.length === 0) return { ok: false, detail: "no_other_fleet" };
+
+  await announce(others);
+
+  const { lat, lng } = await getEscalationFix();
+  const link = buildLink(ctx.deviceId, lat, lng);
+  const at = Date.now();
+
+  let delivered = 0;
+  for (const gid of others) {
+    const args = { groupId: gid, deviceId: ctx.deviceId, displayName: ctx.displayName, link, lat, lng, incidentId: ctx.incidentId, trigger: ctx.trigger, escalated: true };
+    const ok = await tryBroadcastSOS({ ...args, timestamp: at });
+    // No DB trigger in these fleets (the tracking row is in the current one) → push directly
+    triggerPushNotifications({ ...args, timestamp: at });
+    if (ok) delivered += 1;
+    else await SOSOutbox.enqueue(OUTBOX_KINDS.SOS, args, at);
+  }
+
+  console.log(`🚨 ESCALATION: other fleets alerted live: ${delivered}/${others.length}`);
+  return { ok: delivered > 0, detail: `${delivered}/${others.length} fleet(s) live`, groupIds: others };
+});
+
+SOSEscalation.registerTierHandler(ESCALATION_TIER.CONTACTS, async (ctx) => {
+  const { lat, lng } = await getEscalationFix();
+  const res = await ContactDelivery.alertContacts({
+    contacts: await getConfirmedContacts(),
+    incidentId: ctx.incidentId,
+    deviceId: ctx.deviceId,
+    groupId: ctx.groupId,
+    displayName: ctx.displayName,
+    link: buildLink(ctx.deviceId, lat, lng),
+    reason: "no_acknowledgement",
+  });
+  return { ok: res.ok, detail: res.detail };
+});
+
 // ✅ Optional: call this once at app start if you want
 export const registerForBatSignal = async () => {
   try {
@@ -847,18 +1223,43 @@ export const registerForBatSignal = async () => {
  * ✅ sendBatSignal(deviceId)
  * Backwards compatible:
  * - sendBatSignal("Device-XXXX")
- * - sendBatSignal({ deviceId, guardianNumber })
+ * - sendBatSignal({ deviceId, guardianNumber }) → guardianNumber is ignored: only emergency contacts
+ *   who confirmed (EmergencyContacts) are ever texted
+ * - sendBatSignal({ silent: true }) → no vibration (duress escalation)
+ * - sendBatSignal({ trigger: "voice", triggerDetail: phrase }) → what raised it (src/utils/sosTriggers),
+ *   carried to the broadcast, push, tracking_sessions and the incident record
+ * - sendBatSignal({ drill: true }) → SOS drill: real pipeline, silent on receivers, no incident
+ *   (see SOSDrill for the delivery report)
  */
 export const sendBatSignal = async (arg) => {
   console.log("🦇 BAT SIGNAL: ACTIVATING SILENT MODE...");
 
+  // ✅ Offline outbox: the ORIGINAL trigger time travels with every queued replay
+  const sosAt = Date.now();
+
+  const trigger = typeof arg === "object" ? normalizeSosTrigger(arg?.trigger) : null;
+  const triggerDetail =
+    typeof arg === "object" && arg?.triggerDetail ? String(arg.triggerDetail).slice(0, 120) : null;
+
+  const drill = typeof arg === "object" && arg?.drill === true;
+  if (drill) console.log("🧪 BAT SIGNAL: DRILL — fleet gets a silent test banner, no alarm");
+
+  // A real SOS during a drill ends the drill (setSOSActive starts a fresh, non-drill session)
+  const endsDrill = !drill && (await isSOSDrill());
+
   // Always flip SOS first (never block SOS on network)
-  await safeSetSOSActive();
+  await safeSetSOSActive(trigger, drill);
+  if (endsDrill) SOSDrill.endDrill().catch(() => {});
+
+  // ✅ Incident id = SOS session id (created by setSOSActive, shared with the breadcrumb trail)
+  const incidentId = await getSOSSessionId();
 
   // Discreet tactile confirmation
-  try {
-    Vibration.vibrate([0, 50, 100, 50]);
-  } catch {}
+  if (!(typeof arg === "object" && arg?.silent)) {
+    try {
+      Vibration.vibrate(SOS_CONFIRM_VIBRATION);
+    } catch {}
+  }
 
   // Resolve deviceId
   const deviceId =
@@ -869,13 +1270,7 @@ export const sendBatSignal = async (arg) => {
       : await getDeviceId();
 
   // Cloud recording auto-start ONLY on SOS activation (backup)
-  safeStartCloudRecordingOnce(deviceId);
-
-  // Resolve guardian number (kept intact even though we're not using SMS by default)
-  const guardianNumber =
-    typeof arg === "object" && arg?.guardianNumber
-      ? String(arg.guardianNumber)
-      : GUARDIAN_PHONE_NUMBER;
+  if (!drill) safeStartCloudRecordingOnce(deviceId);
 
   const currentGroupId = await getGroupId();
   const displayName = await getDisplayName();
@@ -896,56 +1291,78 @@ export const sendBatSignal = async (arg) => {
   const fullLink = buildLink(deviceId, fastLat, fastLng);
   console.log("🔗 SOS LINK:", fullLink);
 
+  // ✅ Offline outbox: send live only when online AND no older alert is still queued
+  // (otherwise a stale queued cancel could replay AFTER this SOS and silence it;
+  // queued location fixes don't hold it up — they replay after it)
+  // (drills don't wait for the backlog — they are never queued)
+  const online = await SOSOutbox.isOnline();
+  const sendLive = online && (drill || (await drainOutboxFirst("before_sos", { alertsOnly: true })));
+
+  // ✅ Drill: start the delivery report before anyone can answer
+  if (drill && incidentId && currentGroupId) {
+    await SOSDrill.beginDrill({ drillId: incidentId, groupId: currentGroupId, deviceId });
+  }
+
+  // ✅ Incident record: opened before the fleet hears about it (queued in order when offline)
+  let route = null;
+  if (incidentId && currentGroupId && !drill) {
+    const opened = await SOSIncidents.openIncident({
+      incidentId,
+      deviceId,
+      groupId: currentGroupId,
+      displayName,
+      startedAt: sosAt,
+      trigger,
+      triggerDetail,
+    });
+    route = opened?.route || null;
+    if (route) console.log(`👷 SOS routed to ${route.userIds.length} on-shift supervisor(s) first`);
+  }
+
   // Force immediate SOS sync using last-known coords if we have them
-  await safeForceSOSSync({ lat: fastLat, lng: fastLng, accuracy: fastAcc });
+  // (after the incident exists, so the push trigger and DB watchers can read its team route)
+  await safeForceSOSSync({ lat: fastLat, lng: fastLng, accuracy: fastAcc, drill });
 
   // ✅ Fleet-wide in-app alert — broadcast ONLY to sender's current fleet
   let anyBroadcastOk = false;
   for (const gid of targets) {
-    const broadcastArgs = { groupId: gid, deviceId, displayName, link: fullLink, lat: fastLat, lng: fastLng };
-    const ok = await tryBroadcastSOS(broadcastArgs);
+    const broadcastArgs = { groupId: gid, deviceId, displayName, link: fullLink, lat: fastLat, lng: fastLng, incidentId, trigger, drill, route };
+    const ok = sendLive && (await tryBroadcastSOS({ ...broadcastArgs, timestamp: sosAt }));
+    if (drill) SOSDrill.markBroadcast(ok);
     if (ok) {
       console.log("✅ SOS broadcast delivered to fleet:", gid?.slice(0, 8));
       anyBroadcastOk = true;
+    } else if (!drill) {
+      // ✅ Replaces the old 3x background retry: the outbox keeps it until it's delivered
+      await SOSOutbox.enqueue(OUTBOX_KINDS.SOS, broadcastArgs, sosAt);
     }
   }
 
-  if (!anyBroadcastOk) {
-    // All broadcasts failed — retry in background
-    console.log("⚠️ SOS broadcast failed for all fleets — scheduling retries in background");
-    (async () => {
-      for (let retry = 1; retry <= 3; retry++) {
-        await sleep(5000);
-        // ✅ FIX (Bug 7): Abort retries if SOS was already cancelled
-        try {
-          const sosFlag = await AsyncStorage.getItem("sentinel_sos_active");
-          if (sosFlag !== "1") {
-            console.log("⚠️ SOS broadcast retry aborted — SOS was cancelled");
-            return;
-          }
-        } catch {}
-        let retrySucceeded = false;
-        for (const gid of targets) {
-          try {
-            const ok = await tryBroadcastSOS({ groupId: gid, deviceId, displayName, link: fullLink, lat: fastLat, lng: fastLng });
-            if (ok) {
-              console.log(`✅ SOS broadcast retry #${retry} succeeded for fleet:`, gid?.slice(0, 8));
-              retrySucceeded = true;
-            }
-          } catch {}
-        }
-        // ✅ H3: Stop retrying once at least one broadcast succeeds
-        if (retrySucceeded) return;
-      }
-    })();
+  if (!anyBroadcastOk && targets.length > 0 && !drill) {
+    console.log("📮 SOS broadcast queued — will replay in order once the network is back");
+  }
+
+  // ✅ Escalation chain: other fleet(s), then emergency contacts if nobody acknowledges
+  if (incidentId && currentGroupId && !drill) {
+    SOSEscalation.start(incidentId, {
+      deviceId,
+      groupId: currentGroupId,
+      displayName,
+      trigger,
+      fleetNotified: anyBroadcastOk,
+      routeUntil: route?.until,
+    }).catch(() => {});
   }
 
   // ✅ FIX (Bug 2): Trigger push notifications only for NON-CURRENT fleets.
   // The current fleet gets push via DB trigger on tracking_sessions (notify_fleet_sos),
   // so sending here too would cause double notifications.
+  // Drills never reach that DB trigger (row stays ACTIVE), so they always call the function.
   for (const gid of targets) {
-    if (gid === currentGroupId) continue; // DB trigger handles current group
-    triggerPushNotifications({ deviceId, groupId: gid, displayName, lat: fastLat, lng: fastLng });
+    if (gid === currentGroupId && !drill) continue; // DB trigger handles current group
+    if (drill && !sendLive) continue;
+    triggerPushNotifications({ deviceId, groupId: gid, displayName, lat: fastLat, lng: fastLng, timestamp: sosAt, incidentId, trigger, drill });
+    if (drill) SOSDrill.markPushSent();
   }
 
   // ✅ If we got a refined current GPS fix, sync again (best-effort upgrade)
@@ -960,45 +1377,20 @@ export const sendBatSignal = async (arg) => {
 
   if (refinedLooksBetter) {
     console.log("📍 Refined GPS acquired, syncing improved coordinates...");
-    await safeForceSOSSync({ lat: refLat, lng: refLng, accuracy: refAcc });
+    await safeForceSOSSync({ lat: refLat, lng: refLng, accuracy: refAcc, drill });
   }
 
-  // ✅ SMS path kept intact but disabled by default
-  if (ENABLE_SMS) {
-    try {
-      const res = await postWithTimeout(
-        CLOUD_ROBOT_URL,
-        {
-          guardianNumber,
-          messageLink: fullLink,
-          deviceId,
-          groupId,
-        },
-        8000
-      );
-
-      const contentType = res.headers?.get?.("content-type") || "";
-      const isJson = contentType.includes("application/json");
-
-      if (res.ok && isJson) {
-        console.log("✅ SILENT SMS REQUEST ACCEPTED");
-        return true;
-      }
-
-      console.log(
-        "⚠️ Cloud Robot not ready (SMS not sent). Status:",
-        res.status,
-        "Type:",
-        contentType
-      );
-      console.log("⚠️ USE THIS LINK MANUALLY:", fullLink);
-      return true;
-    } catch (e) {
-      const msg = e?.name === "AbortError" ? "Request timed out" : e?.message || String(e);
-      console.log("⚠️ Cloud Robot network error (SMS not sent):", msg);
-      console.log("⚠️ USE THIS LINK MANUALLY:", fullLink);
-      return true;
-    }
+  // ✅ Emergency contacts right away (off by default — the escalation chain reaches them)
+  if (ALERT_CONTACTS_ON_SOS && !drill && incidentId) {
+    await ContactDelivery.alertContacts({
+      contacts: await getConfirmedContacts(),
+      incidentId,
+      deviceId,
+      groupId: currentGroupId,
+      displayName,
+      link: fullLink,
+      at: sosAt,
+    });
   }
 
   return true;
@@ -1011,6 +1403,9 @@ export const sendBatSignal = async (arg) => {
 export const sendCheckIn = async () => {
   console.log("✅ CHECK-IN: Sending 'I'm OK' to fleet...");
 
+  // ✅ Offline outbox: capture the ORIGINAL check-in time up front
+  const checkInAt = Date.now();
+
   try {
     const deviceId = await getDeviceId();
     const groupId = await getGroupId();
@@ -1026,103 +1421,172 @@ export const sendCheckIn = async () => {
     const lat = safeNum(fast?.coords?.latitude, null);
     const lng = safeNum(fast?.coords?.longitude, null);
 
+    const checkIn = { groupId, deviceId, displayName, lat, lng };
+
+    // ✅ Offline (or older events still queued) → queue it; it replays in order on reconnect
+    const online = await SOSOutbox.isOnline();
+    if (!online || !(await drainOutboxFirst("before_check_in"))) {
+      await SOSOutbox.enqueue(OUTBOX_KINDS.CHECK_IN, checkIn, checkInAt);
+      console.log("📮 CHECK-IN: Offline — queued for delivery after reconnect");
+      return true;
+    }
+
     // Broadcast check-in to fleet
-    const ch = supabase.channel(`fleet:${groupId}`);
+    const success = await tryBroadcastCheckIn({ ...checkIn, timestamp: checkInAt });
+    if (success) {
+      console.log("✅ CHECK-IN: Broadcast delivered");
+      recordCheckIn({ ...checkIn, timestamp: checkInAt });
+      return true;
+    }
 
-    const subscribed = await new Promise((resolve) => {
-      let done = false;
-      const timer = setTimeout(() => {
-        if (!done) resolve(false);
-      }, 2500);
+    // ✅ Broadcast failed while "online" (dead zone / realtime unreachable) → queue, don't drop
+    await SOSOutbox.enqueue(OUTBOX_KINDS.CHECK_IN, checkIn, checkInAt);
+    console.log("📮 CHECK-IN: Broadcast failed — queued for retry");
+    return true;
+  } catch (e) {
+    console.log("⚠️ CHECK-IN error:", e?.message || e);
+    return false;
+  }
+};
 
-      ch.subscribe((status) => {
-        if (status === "SUBSCRIBED") {
-          done = true;
-          clearTimeout(timer);
-          resolve(true);
-        }
-        if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
-          done = true;
-          clearTimeout(timer);
-          resolve(false);
-        }
-      });
-    });
+/**
+ * ✅ DURESS: the duress PIN was entered. Looks like a cancel on this device, but:
+ * - SOS stays active (background tracker keeps reporting SOS, StealthStreamer keeps running)
+ * - the incident is escalated to severity "duress" (stays open)
+ * - the fleet gets a higher-severity "sos_duress" alert + push
+ * Not in SOS yet (e.g. safe-arrival timer PIN) → a silent SOS is started first.
+ * Only the real PIN (cancelBatSignal) ends it.
+ */
+export const sendDuressSignal = async () => {
+  // A drill must never become a real alert — the duress PIN just ends it
+  if (await isSOSDrill()) {
+    console.log("🧪 DURESS: PIN entered during a drill — ending the drill");
+    return cancelBatSignal();
+  }
 
-    if (!subscribed) {
-      try {
-        await supabase.removeChannel(ch);
-      } catch {}
+  console.log("🟠 DURESS: PIN entered — escalating silently, SOS stays active");
+
+  const duressAt = Date.now();
+
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_DURESS, "1");
+  } catch {}
+
+  let incidentId = await getSOSSessionId();
+  if (!incidentId) {
+    try {
+      await sendBatSignal({ silent: true, trigger: SOS_TRIGGERS.DURESS });
+    } catch (e) {
+      console.log("⚠️ DURESS: silent SOS failed:", e?.message || e);
+    }
+    incidentId = await getSOSSessionId();
+  }
+
+  // Re-assert the SOS flag in case anything flipped it during the fake "cancel"
+  await safeSetSOSActive();
+
+  let deviceId, groupId, displayName;
+  try {
+    deviceId = await getDeviceId();
+    groupId = await getGroupId();
+    displayName = await getDisplayName();
+  } catch {}
+
+  if (!deviceId || !groupId) {
+    console.log("⚠️ DURESS: No device or group context");
+    return false;
+  }
+
+  const { fast } = await getFastThenRefineLocation();
+  const lat = safeNum(fast?.coords?.latitude, null);
+  const lng = safeNum(fast?.coords?.longitude, null);
+
+  if (incidentId) {
+    await SOSIncidents.escalateIncident({ incidentId, at: duressAt });
+  }
+
+  const duress = { groupId, deviceId, displayName, lat, lng, incidentId };
+
+  const online = await SOSOutbox.isOnline();
+  const sendLive = online && (await drainOutboxFirst("before_duress", { alertsOnly: true }));
+  const ok = sendLive && (await tryBroadcastDuress({ ...duress, timestamp: duressAt }));
+
+  if (ok) {
+    console.log("✅ DURESS alert delivered to fleet:", groupId?.slice(0, 8));
+    triggerDuressPushNotification({ ...duress, timestamp: duressAt });
+  } else {
+    await SOSOutbox.enqueue(OUTBOX_KINDS.DURESS, duress, duressAt);
+    console.log("📮 DURESS alert queued — will replay in order once the network is back");
+  }
+
+  return true;
+};
+
+/**
+ * ✅ LAST GASP: battery is about to run out.
+ * Sends a final high-accuracy fix + battery level to tracking_sessions and to the fleet
+ * ("battery_critical" broadcast + push), flagged with the SOS incident when one is active.
+ */
+export const sendLastGasp = async ({ batteryPercent = null } = {}) => {
+  const gaspAt = Date.now();
+  console.log(`🪫 LAST GASP: battery ${batteryPercent ?? "?"}% — sending final position to fleet`);
+
+  try {
+    const deviceId = await getDeviceId();
+    const groupId = await getGroupId();
+    const displayName = await getDisplayName();
+
+    if (!deviceId || !groupId) {
+      console.log("⚠️ LAST GASP: No device or group context");
       return false;
     }
 
-    const payload = {
-      kind: "CHECK_IN",
-      device_id: deviceId,
-      display_name: displayName || null,
-      group_id: groupId,
-      latitude: Number.isFinite(lat) ? lat : null,
-      longitude: Number.isFinite(lng) ? lng : null,
-      title: "✅ Check-In",
-      body: `${displayName || "A fleet member"} checked in: I'm OK`,
-      timestamp: Date.now(),
-    };
+    const fix = await getLastGaspFix();
+    const lat = safeNum(fix?.coords?.latitude, null);
+    const lng = safeNum(fix?.coords?.longitude, null);
+    const accuracyM = safeNum(fix?.coords?.accuracy, null);
 
-    const out = await ch.send({ type: "broadcast", event: "check_in", payload });
+    // Final fix + battery on the live row (keeps the SOS status during an SOS)
+    if (fix) await forceOneShotSync({ location: fix });
 
+    let sosActive = false;
     try {
-      await supabase.removeChannel(ch);
+      sosActive = (await AsyncStorage.getItem(STORAGE_KEY_SOS)) === "1";
     } catch {}
+    const incidentId = sosActive ? await getSOSSessionId() : null;
 
-    const success = !!out && (!out.status || out.status === "ok");
-    if (success) {
-      console.log("✅ CHECK-IN: Broadcast delivered");
+    const gasp = { groupId, deviceId, displayName, lat, lng, accuracyM, batteryPercent, sosActive, incidentId };
 
-      // ✅ Fix 1: Fire-and-forget push notification so fleet with app closed also gets it
-      invokeFunctionWithTimeout(
-        SOS_NOTIFY_FN,
-        {
-          payload: {
-            device_id: deviceId,
-            display_name: displayName || null,
-            group_id: groupId,
-            latitude: Number.isFinite(lat) ? lat : null,
-            longitude: Number.isFinite(lng) ? lng : null,
-            timestamp: new Date().toISOString(),
-            type: "check_in",
-            title: "✅ Check-In",
-            body: `${displayName || "A fleet member"} checked in: I'm OK`,
-          },
-        },
-        FN_TIMEOUT_MS
-      )
-        .then((r) => {
-          if (r.ok) console.log("✅ CHECK-IN: Push notification sent");
-          else console.log("⚠️ CHECK-IN: Push notification failed (non-blocking):", r.error?.message);
-        })
-        .catch((e) => console.log("⚠️ CHECK-IN: Push exception (non-blocking):", e?.message));
-
-      // ✅ Fix 2: Record check-in in DB so fleet can see history
-      supabase
-        .rpc("upsert_tracking_session", {
-          p_device_id: deviceId,
-          p_group_id: groupId,
-          p_data: {
-            status: "CHECK_IN",
-            last_check_in: new Date().toISOString(),
-            last_updated: new Date().toISOString(),
-          },
-        })
-        .then(({ error }) => {
-          if (error) console.log("⚠️ CHECK-IN: DB record failed (non-blocking):", error.message);
-          else console.log("✅ CHECK-IN: DB record saved");
-        })
-        .catch((e) => console.log("⚠️ CHECK-IN: DB exception (non-blocking):", e?.message));
+    const online = await SOSOutbox.isOnline();
+    if (!online || !(await drainOutboxFirst("before_last_gasp"))) {
+      await SOSOutbox.enqueue(OUTBOX_KINDS.BATTERY_CRITICAL, gasp, gaspAt);
+      console.log("📮 LAST GASP: Offline — queued for delivery after reconnect");
+      return true;
+    }
+
+    const success = await tryBroadcastBatteryCritical({ ...gasp, timestamp: gaspAt });
+    if (success) {
+      console.log("✅ LAST GASP: Broadcast delivered");
+      triggerBatteryCriticalPush({ ...gasp, timestamp: gaspAt });
+      return true;
     }
 
-    return success;
+    await SOSOutbox.enqueue(OUTBOX_KINDS.BATTERY_CRITICAL, gasp, gaspAt);
+    console.log("📮 LAST GASP: Broadcast failed — queued for retry");
+    return true;
   } catch (e) {
-    console.log("⚠️ CHECK-IN error:", e?.message || e);
+    console.log("⚠️ LAST GASP error:", e?.message || e);
+    return false;
+  }
+};
+
+/**
+ * ✅ True while a duress "cancel" is in effect (SOS secretly still active).
+ */
+export const isDuressActive = async () => {
+  try {
+    return (await AsyncStorage.getItem(STORAGE_KEY_DURESS)) === "1";
+  } catch {
     return false;
   }
 };
@@ -1135,6 +1599,25 @@ export const sendCheckIn = async () => {
 export const cancelBatSignal = async () => {
   console.log("🟢 SOS CANCEL: Restoring privacy (stopping all sharing)...");
 
+  // ✅ Offline outbox: the ORIGINAL cancel time travels with a queued replay
+  const cancelAt = Date.now();
+
+  // Real PIN ends a duress "cancel" too
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY_DURESS);
+  } catch {}
+
+  // ✅ Incident id must be read BEFORE clearSOS() (which ends the SOS session)
+  let incidentId = null;
+  try {
+    incidentId = await getSOSSessionId();
+  } catch {}
+
+  // ✅ Drill: the fleet never alarmed, so nothing to cancel for them (no broadcast / push /
+  // incident) — local privacy restoration below still runs exactly like a real cancel
+  const drill = await isSOSDrill();
+  if (drill) SOSDrill.endDrill().catch(() => {});
+
   // ✅ Step 0a: Clear SOS flag IMMEDIATELY (before any DB writes or broadcasts).
   // This is critical: the background tracker reads this flag on every sync.
   // If we clear it AFTER the OFFLINE RPC, a background sync can race and
@@ -1154,12 +1637,28 @@ export const cancelBatSignal = async () => {
   } catch {}
 
   // ✅ FIX (Step 3): Only cancel in sender's CURRENT fleet (matches SOS broadcast fix)
-  const cancelTargets = currentGroupId ? [currentGroupId] : [];
+  // ...plus any fleet the escalation chain alerted
+  const escalatedGroupIds = await SOSEscalation.stop().catch(() => []);
+  const cancelTargets = Array.from(
+    new Set([...(currentGroupId ? [currentGroupId] : []), ...escalatedGroupIds])
+  );
+
+  // ✅ Offline outbox: if the fleet is unreachable (or older alerts are still queued),
+  // queue the cancel so it replays AFTER the SOS it closes — never before it.
+  // Local privacy restoration below (stop GPS, stop recording) still runs immediately.
+  const online = await SOSOutbox.isOnline();
+  const sendLive = online && (drill || (await drainOutboxFirst("before_cancel", { alertsOnly: true })));
+  if (!sendLive && deviceId && !drill) {
+    for (const gid of cancelTargets) {
+      await SOSOutbox.enqueue(OUTBOX_KINDS.CANCEL, { deviceId, groupId: gid, displayName, incidentId }, cancelAt);
+    }
+    console.log("📮 SOS cancel queued — will replay in order once the network is back");
+  }
 
   // ✅ Step 1a: Quick OFFLINE RPC — so DB is updated before fleet re-fetches
   // Short timeout (1.5s) so it doesn't delay the broadcast. If it fails, Step 3 retries.
   try {
-    if (deviceId && currentGroupId) {
+    if (sendLive && deviceId && currentGroupId) {
       const { error } = await withTimeout(
         supabase.rpc("upsert_tracking_session", {
           p_device_id: deviceId,
@@ -1181,25 +1680,31 @@ export const cancelBatSignal = async () => {
 
   // ✅ Step 1b: BROADCAST CANCEL to ALL fleets — stops alarms on other devices
   for (const gid of cancelTargets) {
+    if (!sendLive || !deviceId || drill) break;
+
+    let ok = false;
     try {
-      if (deviceId) {
-        const ok = await withTimeout(
-          tryBroadcastCancel({ groupId: gid, deviceId, displayName }),
-          3000,
-          "broadcast_cancel_timeout"
-        );
-        if (ok) console.log("✅ SOS cancel broadcast delivered to fleet:", gid?.slice(0, 8));
-      }
+      ok = await withTimeout(
+        tryBroadcastCancel({ groupId: gid, deviceId, displayName, timestamp: cancelAt, incidentId }),
+        3000,
+        "broadcast_cancel_timeout"
+      );
+      if (ok) console.log("✅ SOS cancel broadcast delivered to fleet:", gid?.slice(0, 8));
     } catch (e) {
       console.log("⚠️ Broadcast cancel failed for fleet:", gid?.slice(0, 8), e?.message || e);
     }
+
+    // ✅ Don't leave the fleet alarming: queue the cancel until it gets through
+    if (!ok) {
+      await SOSOutbox.enqueue(OUTBOX_KINDS.CANCEL, { deviceId, groupId: gid, displayName, incidentId }, cancelAt);
+    }
   }
 
-  // ✅ Step 2: Send CANCEL push notification to ALL fleets
+  // ✅ Step 2: Send CANCEL push notification to ALL fleets (queued cancels push on replay)
   for (const gid of cancelTargets) {
     try {
-      if (deviceId) {
-        triggerCancelPushNotification({ deviceId, groupId: gid, displayName });
+      if (sendLive && deviceId && !drill) {
+        triggerCancelPushNotification({ deviceId, groupId: gid, displayName, timestamp: cancelAt });
       }
     } catch {}
   }
@@ -1218,6 +1723,20 @@ export const cancelBatSignal = async () => {
         } catch {}
       }),
 
+    // ✅ Close the incident record (queued behind the cancel when offline)
+    (async () => {
+      try {
+        if (incidentId && !drill) await SOSIncidents.resolveIncident({ incidentId, endedAt: cancelAt });
+      } catch {}
+    })(),
+
+    // ✅ Emergency contacts who were alerted get the "cancelled" message (queued when offline)
+    (async () => {
+      try {
+        if (!drill) await ContactDelivery.sendCancel({ incidentId, displayName, at: cancelAt });
+      } catch {}
+    })(),
+
     // Stop cloud recording (best-effort)
     (async () => {
       try {
@@ -1232,7 +1751,7 @@ export const cancelBatSignal = async () => {
     // ✅ Force DB status to OFFLINE via RPC (reliable backup — direct upsert may fail due to RLS)
     (async () => {
       try {
-        if (deviceId && currentGroupId) {
+        if (sendLive && deviceId && currentGroupId) {
           const { error } = await withTimeout(
             supabase.rpc("upsert_tracking_session", {
               p_device_id: deviceId,
@@ -1263,7 +1782,7 @@ export const cancelBatSignal = async () => {
     clearTimeout(offlineRetryTimer);
     offlineRetryTimer = null;
   }
-  if (deviceId && currentGroupId) {
+  if (sendLive && deviceId && currentGroupId) {
     offlineRetryTimer = setTimeout(async () => {
       offlineRetryTimer = null;
       try {
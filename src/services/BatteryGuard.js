@@ -0,0 +1,185 @@
+// 📂 FILE: src/services/BatteryGuard.js
+// ✅ Battery-critical "last gasp"
+//
+// What it does:
+// 1) ✅ Watches this device's battery (level / charging listeners while the app runs, plus
+//    LiveTracker's background location task when it doesn't).
+// 2) ✅ At a critical level it calls BatSignal.sendLastGasp() ONCE per discharge: final
+//    high-accuracy fix + battery level + "battery_critical" to the fleet.
+// 3) ✅ During an SOS the threshold is higher (GPS + streaming drain fast), and a last gasp
+//    already sent outside SOS is sent again flagged with the incident.
+// 4) ✅ Charging or climbing back above the re-arm level re-arms it.
+
+import * as Battery from "expo-battery";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { addBackgroundTickListener } from "./LiveTracker";
+import { sendLastGasp } from "./BatSignal";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORAGE_KEY_STATE = "sentinel_last_gasp_state";
+const STORAGE_KEY_SOS = "sentinel_sos_active";
+
+export const LAST_GASP_PERCENT = 5;
+export const LAST_GASP_PERCENT_SOS = 10;
+
+// Must climb back above this (or charge) before another last gasp can fire
+const REARM_PERCENT = 15;
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let state = null; // { sentAt, level, sos } | { sentAt: null }
+let started = false;
+let isChecking = false;
+let subscriptions = [];
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function loadState() {
+  if (state) return state;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_STATE);
+    state = raw ? JSON.parse(raw) : { sentAt: null };
+  } catch {
+    state = { sentAt: null };
+  }
+  return state;
+}
+
+async function persistState() {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_STATE, JSON.stringify(state));
+  } catch {}
+}
+
+async function readBattery() {
+  let percent = null;
+  let charging = false;
+  try {
+    const level = await Battery.getBatteryLevelAsync();
+    if (typeof level === "number" && level >= 0) percent = Math.round(level * 100);
+  } catch {}
+  try {
+    const s = await Battery.getBatteryStateAsync();
+    charging = s === Battery.BatteryState.CHARGING || s === Battery.BatteryState.FULL;
+  } catch {}
+  return { percent, charging };
+}
+
+async function isSOSActive() {
+  try {
+    return (await AsyncStorage.getItem(STORAGE_KEY_SOS)) === "1";
+  } catch {
+    return false;
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Check the battery and send the last gasp if it just went critical. Never throws.
+ */
+async function check(reason = "manual") {
+  if (isChecking) return false;
+  isChecking = true;
+
+  try {
+    const { percent, charging } = await readBattery();
+    if (percent == null) return false;
+
+    await loadState();
+
+    // Re-arm once the phone is charging or has recovered
+    if (charging || percent > REARM_PERCENT) {
+      if (state.sentAt) {
+        state = { sentAt: null };
+        await persistState();
+      }
+      return false;
+    }
+
+    const sosOn = await isSOSActive();
+    const threshold = sosOn ? LAST_GASP_PERCENT_SOS : LAST_GASP_PERCENT;
+    if (percent > threshold) return false;
+
+    // One per discharge — unless an SOS started after an everyday last gasp
+    if (state.sentAt && (state.sos || !sosOn)) return false;
+
+    console.log(`🪫 BATTERY GUARD: ${percent}% (${reason}${sosOn ? ", SOS" : ""})`);
+
+    // Only a last gasp that went out (or was queued) counts — otherwise the next check retries
+    const sent = await sendLastGasp({ batteryPercent: percent });
+    if (!sent) return false;
+
+    state = { sentAt: Date.now(), level: percent, sos: sosOn };
+    await persistState();
+    return true;
+  } catch (e) {
+    console.log("⚠️ BATTERY GUARD: check failed (non-blocking):", e?.message || e);
+    return false;
+  } finally {
+    isChecking = false;
+  }
+}
+
+/**
+ * Call on app start — listens for battery changes while the app is running.
+ */
+async function start() {
+  if (started) return;
+  started = true;
+
+  try {
+    subscriptions = [
+      Battery.addBatteryLevelListener(() => check("battery_level").catch(() => {})),
+      Battery.addBatteryStateListener(() => check("battery_state").catch(() => {})),
+    ];
+  } catch {
+    subscriptions = [];
+  }
+
+  await check("start");
+}
+
+/**
+ * Stop listening and forget the last-gasp state (logout).
+ */
+async function reset() {
+  for (const sub of subscriptions) {
+    try {
+      sub?.remove();
+    } catch {}
+  }
+  subscriptions = [];
+  started = false;
+  state = null;
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY_STATE);
+  } catch {}
+}
+
+// ============================================
+// BACKGROUND HOOKS
+// ============================================
+
+addBackgroundTickListener(() => check("location_task"));
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const BatteryGuard = {
+  start,
+  check,
+  reset,
+};
+
+export default BatteryGuard;
@@ -0,0 +1,429 @@
+// 📂 FILE: src/services/ContactDelivery.js
+// ✅ Delivers SOS / cancel / opt-in invite messages to emergency contacts through pluggable providers
+//
+// What it does:
+// 1) ✅ Provider interface — every channel is an object:
+//      { id, channel, canSend(contact) → bool, send({ contact, message, kind, link, meta }) → { ok, detail, retry? } }
+//    Built in: SMS (the Cloud Robot — BatSignal's old ENABLE_SMS / CLOUD_ROBOT_URL path, now
+//    sent with the user's Supabase session so the function can refuse anonymous callers) and
+//    webhook (off until a URL is set). No email channel until a send function for it ships.
+// 2) ✅ Each contact gets the message in their language on every channel they have; a contact
+//    counts as reached when any channel accepted it. SOS messages carry the same buildLink
+//    dashboard link the fleet gets (BatSignal passes it in).
+// 3) ✅ Network failures are queued in the SOS outbox (OUTBOX_KINDS.CONTACT_ALERT) and replayed
+//    in order, so a cancel can never reach a contact before the SOS it closes.
+// 4) ✅ Remembers who was alerted for the current incident, so the cancel goes to exactly
+//    those people — and nobody who never heard about the SOS.
+// 5) ✅ Opt-in: SOS / cancel messages only go to the contacts handed in (BatSignal passes the
+//    "confirmed" ones); sendInvite() asks the Cloud Robot to text a new contact the opt-in
+//    link + reply code — the server issues both, the app never sees them.
+// 6) ✅ Mock provider for local testing: nothing leaves the phone, messages are logged and
+//    kept in memory (USE_MOCK_PROVIDERS, or useMockProvider() from a dev screen).
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "../lib/supabase";
+import SOSOutbox, { OUTBOX_KINDS, isNetworkError } from "./SOSOutbox";
+import { CONTACT_MESSAGE_KIND, buildContactMessage } from "../utils/contactMessages";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const GUARDIAN_SITE = "https://sentihnel.com";
+const CLOUD_ROBOT_URL = `${GUARDIAN_SITE}/.netlify/functions/send-sos`;
+const CONTACT_INVITE_URL = `${GUARDIAN_SITE}/.netlify/functions/send-contact-invite`;
+
+// Contact texts go through the Cloud Robot (moved here from BatSignal)
+const ENABLE_SMS = true;
+
+// Optional: a dispatch desk / automation endpoint that gets every contact message as JSON.
+// null = webhook channel off.
+const CONTACT_WEBHOOK_URL = null;
+
+// Flip for local testing: every channel goes to the in-memory mock provider
+const USE_MOCK_PROVIDERS = false;
+
+const SEND_TIMEOUT_MS = 8000;
+
+const STORAGE_KEY_ALERTED = "sentinel_contacts_alerted";
+
+// Cloud Robot invite refusals (issue_emergency_contact_invite) → EmergencyContacts errors
+const INVITE_HTTP_ERRORS = {
+  http_404: "not_found",
+  http_409: "not_pending",
+  http_429: "too_soon",
+};
+
+export const CONTACT_CHANNEL = {
+  SMS: "sms",
+  WEBHOOK: "webhook",
+};
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+async function postJson(url, body, headers = {}) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+  try {
+    return await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Shared HTTP handling: 2xx → ok, 5xx / network → retry later, anything else → give up
+async function postToProvider(url, body, headers) {
+  try {
+    const res = await postJson(url, body, headers);
+    if (res.ok) return { ok: true, detail: `http_${res.status}` };
+    return { ok: false, detail: `http_${res.status}`, retry: res.status >= 500 };
+  } catch (e) {
+    const msg = e?.name === "AbortError" ? "timeout" : e?.message || String(e);
+    return { ok: false, detail: String(msg).slice(0, 80), retry: isNetworkError(msg) };
+  }
+}
+
+// The signed-in user's access token — the Cloud Robot only sends for a valid Supabase session
+async function getAuthHeaders() {
+  try {
+    const { data } = await supabase.auth.getSession();
+    const token = data?.session?.access_token;
+    return token ? { Authorization: `Bearer ${token}` } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function createSmsProvider(url = CLOUD_ROBOT_URL) {
+  return {
+    id: "cloud_robot_sms",
+    channel: CONTACT_CHANNEL.SMS,
+    canSend: (contact) => ENABLE_SMS && !!contact?.phone,
+    send: async ({ contact, message, kind, link, meta }) => {
+      const auth = await getAuthHeaders();
+      // No session (signed out / not restored yet) → keep it queued until there is one
+      if (!auth) return { ok: false, detail: "no_session", retry: true };
+
+      return postToProvider(url, {
+        // guardianNumber / messageLink: the Cloud Robot's original fields
+        guardianNumber: contact.phone,
+        messageLink: link,
+        message: message.text,
+        language: contact.language,
+        kind,
+        deviceId: meta.deviceId,
+        groupId: meta.groupId,
+        ...(meta.reason ? { reason: meta.reason } : {}),
+      }, auth);
+    },
+  };
+}
+
+export function createWebhookProvider(url = CONTACT_WEBHOOK_URL) {
+  return {
+    id: "webhook",
+    channel: CONTACT_CHANNEL.WEBHOOK,
+    canSend: () => !!url,
+    send: ({ contact, message, kind, link, meta }) =>
+      postToProvider(url, {
+        event: `contact_${kind}`,
+        contact: {
+          name: contact.name,
+          phone: contact.phone,
+          email: contact.email,
+          relationship: contact.relationship,
+          language: contact.language,
+        },
+        subject: message.subject,
+        text: message.text,
+        link,
+        device_id: meta.deviceId,
+        group_id: meta.groupId,
+        incident_id: meta.incidentId,
+        reason: meta.reason || null,
+        at: meta.at,
+      }),
+  };
+}
+
+/**
+ * Local mock: records every message instead of sending it.
+ * mock.sent → [{ channel, kind, to, subject, text, link, at }]; `fail` simulates an outage.
+ */
+export function createMockProvider({ fail = false } = {}) {
+  const sent = [];
+  return {
+    id: "mock",
+    channel: "mock",
+    sent,
+    fail,
+    clear: () => sent.splice(0, sent.length),
+    canSend: (contact) => !!contact?.phone,
+    send: async function ({ contact, message, kind, link, meta }) {
+      if (this.fail) return { ok: false, detail: "mock_failure", retry: true };
+      const record = {
+        channel: CONTACT_CHANNEL.SMS,
+        kind,
+        to: contact.phone,
+        subject: message.subject,
+        text: message.text,
+        link,
+        at: meta.at,
+      };
+      sent.push(record);
+      console.log("🧪 CONTACT MOCK:", record.channel, "→", record.to, "|", record.text);
+      return { ok: true, detail: "mock" };
+    },
+  };
+}
+
+function defaultProviders() {
+  if (USE_MOCK_PROVIDERS) return [createMockProvider()];
+  return [createSmsProvider(), createWebhookProvider()];
+}
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let providers = defaultProviders();
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function loadAlerted() {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_ALERTED);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed?.incidentId && Array.isArray(parsed.contacts) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveAlerted(value) {
+  try {
+    if (value) await AsyncStorage.setItem(STORAGE_KEY_ALERTED, JSON.stringify(value));
+    else await AsyncStorage.removeItem(STORAGE_KEY_ALERTED);
+  } catch {}
+}
+
+/**
+ * Send one message to each contact on every channel they can take.
+ * → { reached, total, results: [{ contactId, channel, ok, detail }], retry: [contact] }
+ */
+async function deliver(contacts, { kind, link, displayName, at, meta }) {
+  const results = [];
+  const retry = [];
+  let reached = 0;
+
+  for (const contact of contacts) {
+    const message = buildContactMessage({
+      kind,
+      displayName,
+      link,
+      at,
+      language: contact.language,
+    });
+    const usable = providers.filter((p) => {
+      try {
+        return p.canSend(contact);
+      } catch {
+        return false;
+      }
+    });
+
+    let contactOk = false;
+    let contactRetry = false;
+    for (const provider of usable) {
+      let res;
+      try {
+        res = (await provider.send({ contact, message, kind, link, meta: { ...meta, at } })) || {};
+      } catch (e) {
+        res = { ok: false, detail: String(e?.message || e).slice(0, 80), retry: isNetworkError(e) };
+      }
+      results.push({ contactId: contact.id, channel: provider.channel, ok: !!res.ok, detail: res.detail || null });
+      if (res.ok) contactOk = true;
+      else if (res.retry) contactRetry = true;
+    }
+
+    if (contactOk) reached += 1;
+    // Only the contacts nobody reached are retried (no double texts)
+    else if (contactRetry) retry.push(contact);
+  }
+
+  return { reached, total: contacts.length, results, retry };
+}
+
+async function deliverOrQueue(contacts, args) {
+  const res = await deliver(contacts, args);
+  if (res.retry.length > 0) {
+    await SOSOutbox.enqueue(
+      OUTBOX_KINDS.CONTACT_ALERT,
+      { contacts: res.retry, kind: args.kind, link: args.link, displayName: args.displayName, meta: args.meta },
+      args.at
+    );
+  }
+  console.log(`📨 CONTACTS (${args.kind}): reached ${res.reached}/${res.total}${res.retry.length ? `, ${res.retry.length} queued` : ""}`);
+  return res;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * SOS → the given (confirmed) emergency contacts (BatSignal: the escalation "contacts" tier,
+ * or immediately when configured). link = the fleet's buildLink dashboard link.
+ * → { ok, reached, total, detail }
+ */
+async function alertContacts({ contacts: confirmed = [], incidentId, deviceId, groupId, displayName, link, reason = null, at = Date.now() }) {
+  const contacts = Array.isArray(confirmed) ? confirmed : [];
+  if (contacts.length === 0) return { ok: false, reached: 0, total: 0, detail: "no_confirmed_contacts" };
+
+  // Remember them before sending: a cancel during delivery must still reach them
+  const previous = await loadAlerted();
+  const known = previous?.incidentId === incidentId ? previous.contacts : [];
+  const merged = [...known, ...contacts.filter((c) => !known.some((k) => k.id === c.id))];
+  await saveAlerted({ incidentId, deviceId, groupId, displayName, contacts: merged });
+
+  const res = await deliverOrQueue(contacts, {
+    kind: CONTACT_MESSAGE_KIND.SOS,
+    link,
+    displayName,
+    at,
+    meta: { incidentId, deviceId, groupId, reason },
+  });
+
+  const queued = res.retry.length;
+  return {
+    ok: res.reached > 0,
+    reached: res.reached,
+    total: res.total,
+    detail: `${res.reached}/${res.total} contact(s)${queued ? `, ${queued} queued` : ""}`,
+  };
+}
+
+/**
+ * SOS cancelled → "cancelled" message to the contacts who were alerted for this incident.
+ * No-op when the SOS never reached the contacts.
+ */
+async function sendCancel({ incidentId, displayName = null, at = Date.now() }) {
+  const alerted = await loadAlerted();
+  if (!alerted) return { ok: true, reached: 0, total: 0 };
+  // Another incident's contacts stay remembered — its own cancel still has to reach them
+  if (incidentId && alerted.incidentId !== incidentId) return { ok: true, reached: 0, total: 0 };
+  await saveAlerted(null);
+
+  const res = await deliverOrQueue(alerted.contacts, {
+    kind: CONTACT_MESSAGE_KIND.CANCEL,
+    link: null,
+    displayName: displayName || alerted.displayName,
+    at,
+    meta: { incidentId: alerted.incidentId, deviceId: alerted.deviceId, groupId: alerted.groupId },
+  });
+  return { ok: res.reached > 0 || res.retry.length > 0, reached: res.reached, total: res.total };
+}
+
+/**
+ * Opt-in invite to one pending contact. The Cloud Robot checks the session, has the server
+ * issue a fresh link + reply code (issue_emergency_contact_invite), fills them into this
+ * text and sends it. Not queued — the settings screen shows the result and the user can resend.
+ * → { ok, channels: ["sms"] } | { ok: false, error: "offline" | "too_soon" | "not_pending" | ... }
+ */
+async function sendInvite(contact, { ownerName = null } = {}) {
+  if (!contact?.id || !contact.phone) return { ok: false, error: "missing_phone" };
+  const message = buildContactMessage({ kind: CONTACT_MESSAGE_KIND.INVITE, displayName: ownerName, language: contact.language });
+
+  const mock = providers.find((p) => p.id === "mock");
+  if (mock) {
+    const res = await mock.send({ contact, message, kind: CONTACT_MESSAGE_KIND.INVITE, link: null, meta: { at: Date.now() } });
+    return res.ok ? { ok: true, channels: [CONTACT_CHANNEL.SMS] } : { ok: false, error: "offline" };
+  }
+
+  const auth = await getAuthHeaders();
+  if (!auth) return { ok: false, error: "offline" };
+
+  const res = await postToProvider(CONTACT_INVITE_URL, { contactId: contact.id, message: message.text, language: contact.language }, auth);
+  if (res.ok) return { ok: true, channels: [CONTACT_CHANNEL.SMS] };
+  return { ok: false, error: INVITE_HTTP_ERRORS[res.detail] || (res.retry ? "offline" : "not_delivered") };
+}
+
+/**
+ * Replace the provider list (tests / a different SMS vendor). Each provider follows the
+ * interface at the top of this file.
+ */
+function setProviders(list) {
+  providers = (Array.isArray(list) ? list : []).filter((p) => p && typeof p.send === "function" && typeof p.canSend === "function");
+}
+
+/**
+ * Route everything to a fresh mock provider and return it (inspect mock.sent).
+ */
+function useMockProvider(options) {
+  const mock = createMockProvider(options);
+  providers = [mock];
+  return mock;
+}
+
+function resetProviders() {
+  providers = defaultProviders();
+}
+
+function getProviders() {
+  return providers.map((p) => ({ id: p.id, channel: p.channel }));
+}
+
+/**
+ * Forget which contacts were alerted (logout).
+ */
+async function reset() {
+  await saveAlerted(null);
+}
+
+// ============================================
+// OUTBOX REPLAY
+// ============================================
+
+SOSOutbox.registerHandler(OUTBOX_KINDS.CONTACT_ALERT, async (entry) => {
+  const d = entry?.data || {};
+  if (!Array.isArray(d.contacts) || d.contacts.length === 0 || !d.kind) return true;
+
+  const res = await deliver(d.contacts, {
+    kind: d.kind,
+    link: d.link || null,
+    displayName: d.displayName,
+    at: entry.timestamp,
+    meta: d.meta || {},
+  });
+  if (res.retry.length === 0) return true;
+
+  // Keep only the contacts still waiting, so a partial replay never double-texts anyone
+  d.contacts = res.retry;
+  return false;
+});
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const ContactDelivery = {
+  alertContacts,
+  sendCancel,
+  sendInvite,
+  setProviders,
+  useMockProvider,
+  resetProviders,
+  getProviders,
+  reset,
+};
+
+export default ContactDelivery;
@@ -0,0 +1,419 @@
+// 📂 FILE: src/services/EmergencyContacts.js
+// ✅ Per-user emergency contacts (people outside the fleet)
+//
+// What it does:
+// 1) ✅ Keeps the user's contacts — name, phone, email, relationship, language — in a
+//    user-scoped local cache, so an SOS can reach them with no round trip (and offline,
+//    through the outbox).
+// 2) ✅ Syncs with Supabase (get_emergency_contacts / set_emergency_contacts) so the list
+//    follows the user to other devices. Local edits made offline are pushed on the next sync.
+// 3) ✅ Validates before saving: a name plus an international phone number (messages go out by
+//    text; an email is kept with the contact but not sent to yet).
+// 4) ✅ Opt-in: every new contact (or changed number / email) is "pending" until they agree
+//    through the invite link or an SMS reply code. Only "confirmed" contacts are ever sent an
+//    SOS (getDeliverableContacts) — a mistyped number gets one invite, never an alarm.
+//    Status comes from the server only; invites go out once the contact is on the server, and
+//    the Cloud Robot builds them there (the owner never sees the link or reply code).
+//
+// Sending is ContactDelivery's job (SMS / webhook providers) — this module owns the
+// list and decides when an invite is due.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "../lib/supabase";
+import ContactDelivery from "./ContactDelivery";
+import {
+  CONTACT_STATUS,
+  MAX_EMERGENCY_CONTACTS,
+  cleanEmail,
+  cleanPhone,
+  normalizeContactLanguage,
+} from "../utils/contactMessages";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RPC_GET = "get_emergency_contacts";
+const RPC_SET = "set_emergency_contacts";
+
+const RPC_TIMEOUT_MS = 5000;
+
+// Matches the server's resend limit (issue_emergency_contact_invite)
+export const INVITE_RESEND_MS = 10 * 60 * 1000;
+
+const STORAGE_KEY_DEVICE_NAME = "sentinel_device_display_name";
+
+// User-scoped so a shared phone never hands one account's contacts to the next
+const storageKey = (userId) => (userId ? `sentinel_emergency_contacts:${userId}` : "sentinel_emergency_contacts");
+
+const EMPTY_STATE = {
+  contacts: [], // [{ id, name, phone, email, relationship, language, status, invitedAt, respondedAt }]
+  dirty: false,
+};
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let userId = null;
+let state = { ...EMPTY_STATE };
+let loadPromise = null;
+let isSyncing = false;
+const listeners = new Set();
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function withTimeout(promise, timeoutMs, label = "timeout") {
+  let t;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error(label)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function makeContactId() {
+  return `ct_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+const STATUSES = Object.values(CONTACT_STATUS);
+
+const toMs = (v) => {
+  const t = v == null ? NaN : typeof v === "number" ? v : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+};
+
+/**
+ * One contact → cleaned copy, or { error } when it can't be saved.
+ * Opt-in fields are carried over as-is (they only ever come from the server).
+ */
+function sanitizeContact(c) {
+  const name = String(c?.name || "").trim().slice(0, 60);
+  if (!name) return { error: "missing_name" };
+
+  const rawPhone = String(c?.phone || "").trim();
+  const rawEmail = String(c?.email || "").trim();
+  const phone = cleanPhone(rawPhone);
+  const email = cleanEmail(rawEmail);
+  if (rawPhone && !phone) return { error: "invalid_phone" };
+  if (rawEmail && !email) return { error: "invalid_email" };
+  if (!phone) return { error: "missing_phone" };
+
+  return {
+    contact: {
+      id: typeof c?.id === "string" && c.id.length >= 4 ? c.id.slice(0, 40) : makeContactId(),
+      name,
+      phone,
+      email,
+      relationship: String(c?.relationship || "").trim().slice(0, 40) || null,
+      language: normalizeContactLanguage(c?.language),
+      status: STATUSES.includes(c?.status) ? c.status : CONTACT_STATUS.PENDING,
+      invitedAt: toMs(c?.invitedAt),
+      respondedAt: toMs(c?.respondedAt),
+    },
+  };
+}
+
+// Server row (snake_case) → local shape
+function fromServer(row) {
+  return {
+    id: row?.id,
+    name: row?.name,
+    phone: row?.phone,
+    email: row?.email,
+    relationship: row?.relationship,
+    language: row?.language,
+    status: row?.status,
+    invitedAt: row?.invited_at,
+    respondedAt: row?.responded_at,
+  };
+}
+
+// Cached / server lists: keep what is valid, drop the rest
+function sanitizeList(list) {
+  const out = [];
+  for (const c of Array.isArray(list) ? list : []) {
+    const { contact } = sanitizeContact(c);
+    if (contact && !out.some((x) => x.id === contact.id)) out.push(contact);
+  }
+  return out.slice(0, MAX_EMERGENCY_CONTACTS);
+}
+
+async function resolveUserId() {
+  try {
+    const { data } = await supabase.auth.getUser();
+    return data?.user?.id || null;
+  } catch {
+    return null;
+  }
+}
+
+async function persist() {
+  try {
+    await AsyncStorage.setItem(storageKey(userId), JSON.stringify(state));
+  } catch (e) {
+    console.log("⚠️ EMERGENCY CONTACTS: persist failed (non-fatal):", e?.message || e);
+  }
+}
+
+function notify() {
+  const snapshot = getContacts();
+  for (const fn of listeners) {
+    try {
+      fn(snapshot);
+    } catch {}
+  }
+}
+
+async function getOwnerName() {
+  try {
+    const name = await AsyncStorage.getItem(STORAGE_KEY_DEVICE_NAME);
+    return name ? String(name).slice(0, 60) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function pushToServer() {
+  // Only the editable fields — status / token / code are the server's
+  const contacts = state.contacts.map(({ id, name, phone, email, relationship, language }) => ({
+    id,
+    name,
+    phone,
+    email,
+    relationship,
+    language,
+  }));
+  const { data, error } = await withTimeout(
+    supabase.rpc(RPC_SET, { p_contacts: contacts, p_owner_name: await getOwnerName() }),
+    RPC_TIMEOUT_MS,
+    "emergency_contacts_push_timeout"
+  );
+  if (error) throw error;
+  if (data?.ok === false) throw new Error(data.error || "set_emergency_contacts_failed");
+}
+
+async function pullFromServer() {
+  const { data, error } = await withTimeout(supabase.rpc(RPC_GET), RPC_TIMEOUT_MS, "emergency_contacts_pull_timeout");
+  if (error) throw error;
+  if (!data?.ok) return false;
+
+  state = { contacts: sanitizeList((Array.isArray(data.contacts) ? data.contacts : []).map(fromServer)), dirty: false };
+  return true;
+}
+
+/**
+ * Invite one pending contact (already on the server). ContactDelivery hands it to the
+ * Cloud Robot, which issues the link + reply code and enforces the resend limit.
+ * → { ok, error?, channels? }
+ */
+async function inviteContact(contact) {
+  if (contact.status !== CONTACT_STATUS.PENDING) return { ok: false, error: "not_pending" };
+
+  const res = await ContactDelivery.sendInvite(contact, { ownerName: await getOwnerName() });
+  console.log(`📨 EMERGENCY CONTACTS: invite to ${contact.name} ${res.ok ? `sent (${res.channels.join(", ")})` : `not sent (${res.error})`}`);
+  if (!res.ok) return { ok: false, error: res.error };
+
+  const invitedAt = Date.now();
+  state.contacts = state.contacts.map((c) => (c.id === contact.id ? { ...c, invitedAt } : c));
+  await persist();
+  notify();
+  return { ok: true, channels: res.channels };
+}
+
+// New / changed contacts (just read back from the server), never invited yet
+async function sendDueInvites() {
+  for (const c of state.contacts) {
+    if (c.status !== CONTACT_STATUS.PENDING || c.invitedAt) continue;
+    try {
+      await inviteContact(c);
+    } catch (e) {
+      console.log("🟡 EMERGENCY CONTACTS: invite failed (will retry on next sync):", e?.message || e);
+    }
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * → [{ id, name, phone, email, relationship, language, status, invitedAt, respondedAt, ... }]
+ */
+function getContacts() {
+  return state.contacts.map((c) => ({ ...c }));
+}
+
+/**
+ * Contacts an SOS may be sent to: only those who agreed.
+ */
+function getDeliverableContacts() {
+  return state.contacts.filter((c) => c.status === CONTACT_STATUS.CONFIRMED).map((c) => ({ ...c }));
+}
+
+/**
+ * Load the cached contacts for the signed-in user, then sync in the background.
+ */
+async function load() {
+  if (loadPromise) return loadPromise;
+
+  loadPromise = (async () => {
+    userId = await resolveUserId();
+    try {
+      const raw = await AsyncStorage.getItem(storageKey(userId));
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed) state = { contacts: sanitizeList(parsed.contacts), dirty: parsed.dirty === true };
+    } catch {}
+    notify();
+
+    sync().catch(() => {});
+    return getContacts();
+  })();
+
+  return loadPromise;
+}
+
+/**
+ * Push unsynced local edits, otherwise adopt the server copy. Never throws.
+ */
+async function sync() {
+  if (isSyncing || !userId) return false;
+  isSyncing = true;
+
+  try {
+    if (state.dirty) {
+      await pushToServer();
+      state.dirty = false;
+      await persist();
+      console.log("✅ EMERGENCY CONTACTS: local changes synced");
+    }
+
+    // Always read back: opt-in status only exists server-side
+    if (await pullFromServer()) {
+      await persist();
+      notify();
+      await sendDueInvites();
+    }
+    return true;
+  } catch (e) {
+    console.log("🟡 EMERGENCY CONTACTS: sync failed (using local copy):", e?.message || e);
+    return false;
+  } finally {
+    isSyncing = false;
+  }
+}
+
+/**
+ * Add or update one contact (matched by id). Saved locally first; `synced` says whether
+ * the server copy is up to date yet (otherwise it is pushed on the next sync).
+ * → { ok, contact, synced } | { ok: false, error }
+ */
+async function saveContact(input) {
+  await load();
+
+  const { contact, error } = sanitizeContact(input);
+  if (error) return { ok: false, error };
+
+  const existing = state.contacts.find((c) => c.id === contact.id);
+  const exists = !!existing;
+  if (!exists && state.contacts.length >= MAX_EMERGENCY_CONTACTS) {
+    return { ok: false, error: "too_many_contacts" };
+  }
+
+  // Opt-in is tied to the number / email: a new or changed one must agree again
+  const sameChannels = existing && existing.phone === contact.phone && existing.email === contact.email;
+  Object.assign(
+    contact,
+    sameChannels
+      ? {
+          status: existing.status,
+          invitedAt: existing.invitedAt,
+          respondedAt: existing.respondedAt,
+        }
+      : { status: CONTACT_STATUS.PENDING, invitedAt: null, respondedAt: null }
+  );
+
+  state = {
+    contacts: exists ? state.contacts.map((c) => (c.id === contact.id ? contact : c)) : [...state.contacts, contact],
+    dirty: true,
+  };
+  await persist();
+  notify();
+
+  const synced = await sync();
+  return { ok: true, contact: { ...contact }, synced };
+}
+
+async function removeContact(id) {
+  await load();
+  if (!state.contacts.some((c) => c.id === id)) return { ok: true, synced: true };
+
+  state = { contacts: state.contacts.filter((c) => c.id !== id), dirty: true };
+  await persist();
+  notify();
+
+  const synced = await sync();
+  return { ok: true, synced };
+}
+
+/**
+ * Send the invite again (user tapped "Resend"). Limited to one per INVITE_RESEND_MS.
+ * → { ok, error? }
+ */
+async function resendInvite(id) {
+  await load();
+  const contact = state.contacts.find((c) => c.id === id);
+  if (!contact) return { ok: false, error: "not_found" };
+  if (contact.invitedAt && Date.now() - contact.invitedAt < INVITE_RESEND_MS) return { ok: false, error: "too_soon" };
+  if (state.dirty) {
+    // Not on the server yet (saved offline) — the sync pushes it and sends a first invite
+    if (!(await sync())) return { ok: false, error: "offline" };
+    const synced = state.contacts.find((c) => c.id === id);
+    if (!synced) return { ok: false, error: "not_found" };
+    if (synced.invitedAt && synced.invitedAt !== contact.invitedAt) return { ok: true };
+    return await inviteContact(synced);
+  }
+  return await inviteContact(contact);
+}
+
+function subscribe(fn) {
+  if (typeof fn !== "function") return () => {};
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Forget the signed-in user's contacts in memory (logout). The user-scoped cache stays
+ * so the list is back immediately on their next sign-in.
+ */
+function reset() {
+  userId = null;
+  state = { ...EMPTY_STATE };
+  loadPromise = null;
+  notify();
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const EmergencyContacts = {
+  load,
+  sync,
+  getContacts,
+  getDeliverableContacts,
+  saveContact,
+  removeContact,
+  resendInvite,
+  subscribe,
+  reset,
+};
+
+export default EmergencyContacts;
@@ -0,0 +1,264 @@
+// 📂 FILE: src/services/FallDetector.js
+// ✅ Fall / crash detection (accelerometer)
+//
+// What it does:
+// 1) ✅ Samples the accelerometer while the app runs (the foreground service keeps it
+//    running with the screen off on Android).
+// 2) ✅ A hard impact followed by stillness = someone went down and isn't getting up.
+//    Peak ≥ CRASH_G reads as a car crash, otherwise a fall.
+// 3) ✅ Detection opens a countdown (home screen overlay, loud alarm). If nobody stops it
+//    with the SOS PIN, the SOS handler runs with trigger "fall" / "crash".
+// 4) ✅ On/off per device (sentinel_fall_detection_enabled), on by default.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { sendBatSignal } from "./BatSignal";
+import { SOS_TRIGGERS } from "../utils/sosTriggers";
+
+let Accelerometer = null;
+try {
+  Accelerometer = require("expo-sensors").Accelerometer;
+} catch {}
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORAGE_KEY_ENABLED = "sentinel_fall_detection_enabled";
+
+export const FALL_TRIGGERS = {
+  FALL: SOS_TRIGGERS.FALL,
+  CRASH: SOS_TRIGGERS.CRASH,
+};
+
+export const COUNTDOWN_SECONDS = 30;
+
+const SAMPLE_INTERVAL_MS = 40; // 25 Hz — impact spikes last ~50–100 ms
+
+const IMPACT_G = 2.5; // hard fall onto the ground
+const CRASH_G = 4.0; // vehicle collision
+const SETTLE_MS = 1500; // bouncing / tumbling after the impact
+const STILL_MS = 3000; // must then lie still this long
+const STILL_TOLERANCE_G = 0.2; // |magnitude - 1g| while lying still
+const GIVE_UP_MS = 12_000; // kept moving → walked it off
+const COOLDOWN_MS = 30_000; // after a dismissed countdown
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let subscription = null;
+let sosHandler = null;
+let enabled = null; // null = not loaded yet
+let impact = null; // { at, peak, stillSince }
+let countdown = null; // { trigger, startedAt, deadline }
+let countdownTimer = null;
+let cooldownUntil = 0;
+const listeners = new Set();
+
+// ============================================
+// HELPERS
+// ============================================
+
+function notify() {
+  const snapshot = getCountdown();
+  for (const fn of listeners) {
+    try {
+      fn(snapshot);
+    } catch {}
+  }
+}
+
+async function loadEnabled() {
+  if (enabled != null) return enabled;
+  try {
+    enabled = (await AsyncStorage.getItem(STORAGE_KEY_ENABLED)) !== "0";
+  } catch {
+    enabled = true;
+  }
+  return enabled;
+}
+
+function startCountdown(trigger) {
+  stopSensor();
+  impact = null;
+
+  const startedAt = Date.now();
+  countdown = { trigger, startedAt, deadline: startedAt + COUNTDOWN_SECONDS * 1000 };
+  console.log(`🤕 FALL DETECTOR: ${trigger} detected — SOS in ${COUNTDOWN_SECONDS}s unless dismissed`);
+
+  clearTimeout(countdownTimer);
+  countdownTimer = setTimeout(() => expire().catch(() => {}), COUNTDOWN_SECONDS * 1000);
+  notify();
+}
+
+function handleSample({ x, y, z }) {
+  if (countdown) return;
+
+  const now = Date.now();
+  if (now < cooldownUntil) return;
+
+  const g = Math.sqrt(x * x + y * y + z * z);
+
+  if (!impact) {
+    if (g >= IMPACT_G) impact = { at: now, peak: g, stillSince: null };
+    return;
+  }
+
+  if (g > impact.peak) impact.peak = g;
+  const sinceImpact = now - impact.at;
+  if (sinceImpact < SETTLE_MS) return;
+
+  if (Math.abs(g - 1) <= STILL_TOLERANCE_G) {
+    if (!impact.stillSince) impact.stillSince = now;
+    if (now - impact.stillSince >= STILL_MS) {
+      startCountdown(impact.peak >= CRASH_G ? FALL_TRIGGERS.CRASH : FALL_TRIGGERS.FALL);
+    }
+    return;
+  }
+
+  // Moving again: a new hard hit restarts the window, otherwise keep waiting for stillness
+  if (g >= IMPACT_G) {
+    impact = { at: now, peak: Math.max(g, impact.peak), stillSince: null };
+  } else if (sinceImpact > GIVE_UP_MS) {
+    impact = null;
+  } else {
+    impact.stillSince = null;
+  }
+}
+
+function startSensor() {
+  if (subscription || !Accelerometer || !sosHandler || countdown || enabled === false) return;
+  try {
+    Accelerometer.setUpdateInterval(SAMPLE_INTERVAL_MS);
+    subscription = Accelerometer.addListener(handleSample);
+  } catch (e) {
+    console.log("⚠️ FALL DETECTOR: accelerometer unavailable:", e?.message || e);
+    subscription = null;
+  }
+}
+
+function stopSensor() {
+  try {
+    subscription?.remove();
+  } catch {}
+  subscription = null;
+  impact = null;
+}
+
+// Countdown ran out — raise the SOS
+async function expire() {
+  const trigger = countdown?.trigger || FALL_TRIGGERS.FALL;
+  clearTimeout(countdownTimer);
+  countdownTimer = null;
+  countdown = null;
+  cooldownUntil = Date.now() + COOLDOWN_MS;
+  notify();
+
+  console.log(`🚨 FALL DETECTOR: countdown expired — sending SOS (trigger: ${trigger})`);
+  try {
+    if (sosHandler) await sosHandler({ trigger });
+    else await sendBatSignal({ trigger });
+  } catch (e) {
+    console.log("⚠️ FALL DETECTOR: SOS failed:", e?.message || e);
+  }
+
+  startSensor();
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Start watching. `onSOS({ trigger })` raises the SOS when a countdown runs out
+ * (the home screen passes its own trigger so the lock screen comes up).
+ */
+async function start(onSOS) {
+  sosHandler = typeof onSOS === "function" ? onSOS : null;
+  if (!Accelerometer) {
+    console.log("🟡 FALL DETECTOR: expo-sensors not available in this build");
+    return false;
+  }
+  if (!(await loadEnabled())) return false;
+
+  startSensor();
+  return !!subscription;
+}
+
+/**
+ * Stop watching (a running countdown is left alone).
+ */
+function stop() {
+  stopSensor();
+  sosHandler = null;
+}
+
+/**
+ * The user is OK (PIN entered) — cancel the countdown.
+ */
+function dismiss() {
+  if (!countdown) return;
+  console.log("✅ FALL DETECTOR: countdown dismissed");
+  clearTimeout(countdownTimer);
+  countdownTimer = null;
+  countdown = null;
+  cooldownUntil = Date.now() + COOLDOWN_MS;
+  notify();
+  startSensor();
+}
+
+/**
+ * Skip the rest of the countdown and send the SOS now.
+ */
+async function sendNow() {
+  if (!countdown) return;
+  await expire();
+}
+
+/**
+ * Running countdown → { trigger, startedAt, deadline }, or null.
+ */
+function getCountdown() {
+  return countdown ? { ...countdown } : null;
+}
+
+async function isEnabled() {
+  return loadEnabled();
+}
+
+async function setEnabled(on) {
+  enabled = !!on;
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_ENABLED, enabled ? "1" : "0");
+  } catch {}
+  if (enabled) startSensor();
+  else stopSensor();
+}
+
+function isAvailable() {
+  return !!Accelerometer;
+}
+
+function subscribe(fn) {
+  if (typeof fn !== "function") return () => {};
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const FallDetector = {
+  start,
+  stop,
+  dismiss,
+  sendNow,
+  getCountdown,
+  isEnabled,
+  setEnabled,
+  isAvailable,
+  subscribe,
+};
+
+export default FallDetector;
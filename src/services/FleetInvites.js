@@ -0,0 +1,255 @@
+// 📂 FILE: src/services/FleetInvites.js
+// ✅ Fleet invite codes (supabase/fleet_invites.sql)
+//
+// What it does:
+// 1) ✅ lookup / join: resolve and redeem any invite code — the fleet's primary code or an
+//    extra one (expiry, usage limit, role / team preset). Used by the login screen and
+//    Switch Fleet; falls back to the original RPCs on a database without fleet_invites.sql.
+// 2) ✅ getCodes: the fleet's codes and who joined with which code (needs 'invite').
+// 3) ✅ createCode / revokeCode / rotatePrimaryCode for the invite manager.
+//
+// The server decides which presets the caller may hand out (preset_roles / locked_team_id);
+// this file only carries them to the UI.
+
+import { supabase } from "../lib/supabase";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RPC_RESOLVE = "resolve_fleet_invite_code";
+const RPC_REDEEM = "redeem_fleet_invite_code";
+const RPC_GET_CODES = "get_fleet_invite_codes";
+const RPC_CREATE = "create_fleet_invite_code";
+const RPC_REVOKE = "revoke_fleet_invite_code";
+const RPC_ROTATE = "rotate_fleet_invite_code";
+
+// Before fleet_invites.sql
+const RPC_LEGACY_GET_GROUP_ID = "get_group_id_by_invite_code";
+const RPC_LEGACY_JOIN = "join_group_with_invite_code";
+
+const RPC_TIMEOUT_MS = 6000;
+
+// Choices offered when creating a code (null = no limit)
+export const MAX_USES_OPTIONS = [1, 5, 25, null];
+export const EXPIRY_OPTIONS_HOURS = [1, 24, 24 * 7, 24 * 30, null];
+
+export const INVITE_ERROR_MESSAGES = {
+  invalid_code: "That invite code does not exist.",
+  revoked: "This invite code has been revoked. Ask the fleet for a new one.",
+  expired: "This invite code has expired. Ask the fleet for a new one.",
+  used_up: "This invite code has already been used the maximum number of times.",
+  blocked: "You have been blocked from this fleet.",
+  not_permitted: "You don't have permission to manage invites in this fleet.",
+  role_not_allowed: "You can't hand out that role.",
+  team_not_found: "That team no longer exists.",
+  invite_not_found: "This code no longer exists.",
+  invalid_label: "Labels can be up to 40 characters.",
+  invalid_max_uses: "Pick between 1 and 1000 uses.",
+  invalid_expiry: "Codes can last up to 90 days.",
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function withTimeout(promise, timeoutMs, label = "timeout") {
+  let t;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error(label)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// → { ok, data?, error? } (error = the RPC's error code or the transport message)
+async function callRpc(fnName, params) {
+  try {
+    const { data, error } = await withTimeout(supabase.rpc(fnName, params), RPC_TIMEOUT_MS, `${fnName}_timeout`);
+    if (error) throw error;
+    if (!data?.ok) return { ok: false, error: data?.error || `${fnName}_failed` };
+    return { ok: true, data };
+  } catch (e) {
+    return { ok: false, error: e?.message || `${fnName}_failed`, missing: isMissingRpc(e) };
+  }
+}
+
+// PostgREST: the function isn't in the schema cache (fleet_invites.sql not run yet)
+function isMissingRpc(error) {
+  const msg = String(error?.message || "").toLowerCase();
+  return error?.code === "PGRST202" || msg.includes("could not find the function");
+}
+
+// ✅ match Phase 2 SQL normalization (strip non-alphanumeric)
+function normalizeInviteCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+function extractGroupId(data) {
+  if (!data) return null;
+  if (typeof data === "string") return data;
+  const row = Array.isArray(data) ? data[0] : data;
+  if (typeof row === "string") return row;
+  return row?.group_id || row?.id || null;
+}
+
+/**
+ * "Expires in 3d" / "Expired" / "Revoked" / "2 of 5 used" — one line for a code's state
+ */
+export function describeInviteStatus(invite, now = Date.now()) {
+  if (!invite) return "";
+  if (invite.status === "revoked") return "Revoked";
+  if (invite.status === "used_up") return `Used up (${invite.use_count}/${invite.max_uses})`;
+
+  const expiresMs = invite.expires_at ? new Date(invite.expires_at).getTime() : null;
+  if (invite.status === "expired" || (expiresMs && expiresMs <= now)) return "Expired";
+
+  const uses = invite.max_uses ? `${invite.use_count}/${invite.max_uses} used` : `${invite.use_count} used`;
+  if (!expiresMs) return `${uses} · no expiry`;
+
+  const hours = Math.max(1, Math.round((expiresMs - now) / 3600000));
+  const left = hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+  return `${uses} · expires in ${left}`;
+}
+
+export function formatExpiryOption(hours) {
+  if (!hours) return "Never";
+  return hours < 24 ? `${hours}h` : `${hours / 24}d`;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Which fleet a code joins → { ok, groupId, fleetType?, role?, teamName? } |
+ * { ok: false, error, message } (error: invalid_code / revoked / expired / used_up / blocked / ...)
+ */
+async function lookup(inviteCode) {
+  const clean = normalizeInviteCode(inviteCode);
+  if (!clean) return { ok: false, error: "invalid_code", message: INVITE_ERROR_MESSAGES.invalid_code };
+
+  const res = await callRpc(RPC_RESOLVE, { p_invite_code: clean });
+  if (res.ok) {
+    return {
+      ok: true,
+      groupId: String(res.data.group_id),
+      fleetType: res.data.fleet_type || null,
+      role: res.data.role || "member",
+      teamName: res.data.team_name || null,
+    };
+  }
+
+  if (res.missing) {
+    try {
+      const { data, error } = await supabase.rpc(RPC_LEGACY_GET_GROUP_ID, { p_invite_code: clean });
+      if (error) throw error;
+      const gid = extractGroupId(data);
+      if (gid) return { ok: true, groupId: String(gid) };
+    } catch (e) {
+      console.log("🟡 INVITES: legacy lookup failed:", e?.message || e);
+    }
+    return { ok: false, error: "invalid_code", message: INVITE_ERROR_MESSAGES.invalid_code };
+  }
+
+  return {
+    ok: false,
+    error: res.error,
+    message: INVITE_ERROR_MESSAGES[res.error] || INVITE_ERROR_MESSAGES.invalid_code,
+  };
+}
+
+/**
+ * Join a fleet with a code. Same shape as supabase.rpc → { data, error }; data is
+ * { success, group_id, role, team_id } or { success: false, error } like the original join RPC.
+ */
+async function join(inviteCode, fleetType) {
+  const clean = normalizeInviteCode(inviteCode);
+  if (!clean) return { data: null, error: new Error("Missing invite code") };
+
+  const redeemed = await supabase.rpc(RPC_REDEEM, { p_invite_code: clean, p_fleet_type: fleetType || null });
+  if (!redeemed.error || !isMissingRpc(redeemed.error)) return redeemed;
+
+  // Database without fleet_invites.sql: 2-arg → 1-arg join
+  const twoArg = await supabase.rpc(RPC_LEGACY_JOIN, { p_invite_code: clean, p_fleet_type: fleetType });
+  if (!twoArg.error) return twoArg;
+
+  const oneArg = await supabase.rpc(RPC_LEGACY_JOIN, { p_invite_code: clean });
+  if (!oneArg.error) return oneArg;
+
+  return { data: null, error: twoArg.error || oneArg.error };
+}
+
+/**
+ * Codes and recent joins → { ok, primaryCode, canRotate, presetRoles, lockedTeamId, teams,
+ * codes, redemptions, fleetType }
+ */
+async function getCodes(groupId) {
+  if (!groupId) return { ok: false, error: "not_permitted" };
+  const res = await callRpc(RPC_GET_CODES, { p_group_id: groupId });
+  if (!res.ok) return res;
+  const d = res.data;
+  return {
+    ok: true,
+    fleetType: d.fleet_type === "work" ? "work" : "family",
+    primaryCode: d.primary_code || null,
+    canRotate: d.can_rotate === true,
+    presetRoles: Array.isArray(d.preset_roles) ? d.preset_roles : [],
+    lockedTeamId: d.locked_team_id || null,
+    teams: Array.isArray(d.teams) ? d.teams : [],
+    codes: Array.isArray(d.codes) ? d.codes : [],
+    redemptions: Array.isArray(d.redemptions) ? d.redemptions : [],
+  };
+}
+
+/**
+ * New code → { ok, id?, code?, expiresAt?, error? }. maxUses / expiresInHours null = no limit.
+ */
+async function createCode(groupId, { label = "", role = "member", teamId = null, maxUses = null, expiresInHours = null } = {}) {
+  const res = await callRpc(RPC_CREATE, {
+    p_group_id: groupId,
+    p_label: String(label || "").trim() || null,
+    p_role: role,
+    p_team_id: teamId,
+    p_max_uses: maxUses,
+    p_expires_in_hours: expiresInHours,
+  });
+  return res.ok ? { ok: true, id: res.data.id, code: res.data.code, expiresAt: res.data.expires_at } : res;
+}
+
+async function revokeCode(inviteId) {
+  const res = await callRpc(RPC_REVOKE, { p_invite_id: inviteId });
+  return res.ok ? { ok: true } : res;
+}
+
+/**
+ * Replace the fleet's primary code (owner / admins) → { ok, code? }
+ */
+async function rotatePrimaryCode(groupId) {
+  const res = await callRpc(RPC_ROTATE, { p_group_id: groupId });
+  return res.ok ? { ok: true, code: res.data.code } : res;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const FleetInvites = {
+  lookup,
+  join,
+  getCodes,
+  createCode,
+  revokeCode,
+  rotatePrimaryCode,
+  normalizeInviteCode,
+};
+
+export default FleetInvites;
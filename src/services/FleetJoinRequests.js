@@ -0,0 +1,183 @@
+// 📂 FILE: src/services/FleetJoinRequests.js
+// ✅ Join approval queue (supabase/fleet_invites.sql)
+//
+// What it does:
+// 1) ✅ Owner / admins: turn approval on for a fleet, list who is waiting, approve or reject.
+// 2) ✅ The joiner: remember a request that is waiting (per user, on this phone), hand the
+//    server a push token for the "approved" notification, and check where it stands.
+//
+// A waiting joiner is NOT a member: the device stays in its current fleet (or none) until the
+// request is approved, so nothing is shared and no SOS is seen in the new fleet.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "../lib/supabase";
+import NotificationService from "./NotificationService";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RPC_GET_REQUESTS = "get_fleet_join_requests";
+const RPC_SET_APPROVAL = "set_fleet_join_approval";
+const RPC_DECIDE = "decide_fleet_join_request";
+const RPC_GET_MINE = "get_my_fleet_join_request";
+const RPC_SET_PUSH_TOKEN = "set_my_fleet_join_push_token";
+
+const STORAGE_KEY_PENDING = "sentinel_pending_join_request"; // { userId, groupId, code, fleetType, requestedAt }
+
+const RPC_TIMEOUT_MS = 6000;
+
+export const JOIN_REQUEST_ERROR_MESSAGES = {
+  not_permitted: "Only the fleet owner and admins can approve new members.",
+  request_not_found: "This request no longer exists.",
+  already_decided: "Someone already answered this request.",
+  owner_only: "This request would make them an Admin — only the fleet owner can approve it.",
+  blocked: "This person is blocked from the fleet. Unblock them first.",
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function withTimeout(promise, timeoutMs, label = "timeout") {
+  let t;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error(label)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// → { ok, data?, error? } (error = the RPC's error code or the transport message)
+async function callRpc(fnName, params) {
+  try {
+    const { data, error } = await withTimeout(supabase.rpc(fnName, params), RPC_TIMEOUT_MS, `${fnName}_timeout`);
+    if (error) throw error;
+    if (!data?.ok) return { ok: false, error: data?.error || `${fnName}_failed` };
+    return { ok: true, data };
+  } catch (e) {
+    return { ok: false, error: e?.message || `${fnName}_failed` };
+  }
+}
+
+async function resolveUserId() {
+  try {
+    const { data } = await supabase.auth.getUser();
+    return data?.user?.id || null;
+  } catch {
+    return null;
+  }
+}
+
+// ============================================
+// PUBLIC API — owner / admins
+// ============================================
+
+/**
+ * → { ok, approvalRequired, requests: [{ id, user_id, display_name, role, team_name, code, label, requested_at }] }
+ */
+async function getRequests(groupId) {
+  if (!groupId) return { ok: false, error: "not_permitted", requests: [] };
+  const res = await callRpc(RPC_GET_REQUESTS, { p_group_id: groupId });
+  if (!res.ok) return { ...res, requests: [] };
+  return {
+    ok: true,
+    approvalRequired: res.data.approval_required === true,
+    requests: Array.isArray(res.data.requests) ? res.data.requests : [],
+  };
+}
+
+async function setApprovalRequired(groupId, required) {
+  const res = await callRpc(RPC_SET_APPROVAL, { p_group_id: groupId, p_required: !!required });
+  return res.ok ? { ok: true, approvalRequired: res.data.approval_required === true } : res;
+}
+
+/**
+ * Approve (they become a member and get a push) or reject → { ok, status?, error? }
+ */
+async function decide(requestId, approve) {
+  const res = await callRpc(RPC_DECIDE, { p_request_id: requestId, p_approve: !!approve });
+  return res.ok ? { ok: true, status: res.data.status } : res;
+}
+
+// ============================================
+// PUBLIC API — the joiner
+// ============================================
+
+/**
+ * The server queued our join: keep it (so the app can finish linking once approved) and
+ * give the server a push token for the approval notification.
+ */
+async function rememberPending({ groupId, code, fleetType }) {
+  if (!groupId) return;
+  const userId = await resolveUserId();
+  try {
+    await AsyncStorage.setItem(
+      STORAGE_KEY_PENDING,
+      JSON.stringify({ userId, groupId: String(groupId), code: code || null, fleetType: fleetType || null, requestedAt: Date.now() })
+    );
+  } catch {}
+
+  try {
+    const token = await NotificationService.registerForPushNotifications();
+    if (token) await callRpc(RPC_SET_PUSH_TOKEN, { p_group_id: groupId, p_push_token: token });
+  } catch (e) {
+    console.log("🟡 JOIN REQUEST: push token not attached:", e?.message || e);
+  }
+}
+
+/**
+ * The signed-in user's remembered request, or null.
+ */
+async function getPending() {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_PENDING);
+    const pending = raw ? JSON.parse(raw) : null;
+    if (!pending?.groupId) return null;
+    const userId = await resolveUserId();
+    return pending.userId && userId && pending.userId !== userId ? null : pending;
+  } catch {
+    return null;
+  }
+}
+
+async function forgetPending() {
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY_PENDING);
+  } catch {}
+}
+
+/**
+ * Where the remembered request stands → { pending, status: "pending" | "approved" | "rejected" | null }
+ * (approved also when they are already a member). null when nothing is remembered.
+ */
+async function checkPending() {
+  const pending = await getPending();
+  if (!pending) return null;
+
+  const res = await callRpc(RPC_GET_MINE, { p_group_id: pending.groupId });
+  if (!res.ok) return { pending, status: "pending" }; // offline: ask again later
+  const status = res.data.is_member ? "approved" : res.data.status || null;
+  return { pending, status };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const FleetJoinRequests = {
+  getRequests,
+  setApprovalRequired,
+  decide,
+  rememberPending,
+  getPending,
+  forgetPending,
+  checkPending,
+};
+
+export default FleetJoinRequests;
@@ -0,0 +1,219 @@
+// 📂 FILE: src/services/FleetRoles.js
+// ✅ The signed-in user's role in each fleet (owner / admin / supervisor / responder / member)
+//
+// What it does:
+// 1) ✅ get_my_fleet_role per fleet → { role, fleetType, permissions, teamId, shiftId, onShift,
+//    shareOffShift, inviteCode },
+//    kept in a user-scoped cache so SOSAlertManager and the Fleet screen know the role offline.
+// 2) ✅ can(groupId, permission): what the UI may offer. The server enforces the same matrix
+//    (supabase/fleet_roles.sql) — this only decides what to show.
+// 3) ✅ setMemberRole: owner / admins change someone's role (set_fleet_member_role).
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "../lib/supabase";
+import { normalizeRole, permissionsFor } from "../utils/fleetRoles";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RPC_GET_ROLE = "get_my_fleet_role";
+const RPC_SET_ROLE = "set_fleet_member_role";
+
+const RPC_TIMEOUT_MS = 5000;
+
+// User-scoped so a shared phone never hands one account's roles to the next
+const storageKey = (userId) => (userId ? `sentinel_fleet_roles:${userId}` : "sentinel_fleet_roles");
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let userId = null;
+let accessByGroup = {}; // { [groupId]: { role, fleetType, permissions, teamId, shiftId, onShift, shareOffShift, inviteCode, fetchedAt } }
+let loadPromise = null;
+const listeners = new Set();
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function withTimeout(promise, timeoutMs, label = "timeout") {
+  let t;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error(label)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function resolveUserId() {
+  try {
+    const { data } = await supabase.auth.getUser();
+    return data?.user?.id || null;
+  } catch {
+    return null;
+  }
+}
+
+async function persist() {
+  try {
+    await AsyncStorage.setItem(storageKey(userId), JSON.stringify(accessByGroup));
+  } catch (e) {
+    console.log("⚠️ FLEET ROLES: persist failed (non-fatal):", e?.message || e);
+  }
+}
+
+function notify() {
+  for (const fn of listeners) {
+    try {
+      fn({ ...accessByGroup });
+    } catch {}
+  }
+}
+
+function fromServer(data) {
+  const fleetType = data.fleet_type === "work" ? "work" : "family";
+  const role = normalizeRole(data.role);
+  return {
+    role,
+    fleetType,
+    permissions: Array.isArray(data.permissions) ? data.permissions : permissionsFor(role, fleetType),
+    teamId: data.team_id || null,
+    shiftId: data.shift_id || null,
+    onShift: data.on_shift !== false,
+    shareOffShift: data.share_off_shift === true,
+    inviteCode: data.invite_code || null,
+    fetchedAt: Date.now(),
+  };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Load the cached roles for the signed-in user.
+ */
+async function load() {
+  if (loadPromise) return loadPromise;
+
+  loadPromise = (async () => {
+    userId = await resolveUserId();
+    try {
+      const raw = await AsyncStorage.getItem(storageKey(userId));
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed && typeof parsed === "object") accessByGroup = parsed;
+    } catch {}
+    notify();
+    return { ...accessByGroup };
+  })();
+
+  return loadPromise;
+}
+
+/**
+ * Fetch the user's role in one fleet. Falls back to the cached copy when offline;
+ * null when the user isn't a member (or nothing is known yet).
+ */
+async function refresh(groupId) {
+  if (!groupId) return null;
+  await load();
+  const gid = String(groupId);
+
+  try {
+    const { data, error } = await withTimeout(
+      supabase.rpc(RPC_GET_ROLE, { p_group_id: gid }),
+      RPC_TIMEOUT_MS,
+      "fleet_role_timeout"
+    );
+    if (error) throw error;
+
+    if (data?.ok) {
+      accessByGroup = { ...accessByGroup, [gid]: fromServer(data) };
+    } else {
+      const { [gid]: _gone, ...rest } = accessByGroup;
+      accessByGroup = rest;
+    }
+    await persist();
+    notify();
+  } catch (e) {
+    console.log("🟡 FLEET ROLES: refresh failed (using cached role):", e?.message || e);
+  }
+
+  return getAccess(gid);
+}
+
+function getAccess(groupId) {
+  const a = groupId ? accessByGroup[String(groupId)] : null;
+  return a ? { ...a, permissions: [...a.permissions] } : null;
+}
+
+function getRole(groupId) {
+  return getAccess(groupId)?.role || null;
+}
+
+/**
+ * Does the user's role in this fleet grant `permission`? `fallback` when the role
+ * isn't known yet (never fetched and offline).
+ */
+function can(groupId, permission, fallback = false) {
+  const a = getAccess(groupId);
+  if (!a) return fallback;
+  return a.permissions.includes(permission);
+}
+
+/**
+ * Change a member's role → { ok, error? } (not_permitted / own_role / invalid_role / ...)
+ */
+async function setMemberRole(groupId, memberUserId, role) {
+  try {
+    const { data, error } = await withTimeout(
+      supabase.rpc(RPC_SET_ROLE, { p_group_id: groupId, p_user_id: memberUserId, p_role: role }),
+      RPC_TIMEOUT_MS,
+      "set_fleet_role_timeout"
+    );
+    if (error) throw error;
+    return data?.ok ? { ok: true } : { ok: false, error: data?.error || "set_role_failed" };
+  } catch (e) {
+    return { ok: false, error: e?.message || "set_role_failed" };
+  }
+}
+
+function subscribe(fn) {
+  if (typeof fn !== "function") return () => {};
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Forget the signed-in user's roles in memory (logout). The user-scoped cache stays.
+ */
+function reset() {
+  userId = null;
+  accessByGroup = {};
+  loadPromise = null;
+  notify();
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const FleetRoles = {
+  load,
+  refresh,
+  getAccess,
+  getRole,
+  can,
+  setMemberRole,
+  subscribe,
+  reset,
+};
+
+export default FleetRoles;
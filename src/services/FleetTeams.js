@@ -0,0 +1,200 @@
+// 📂 FILE: src/services/FleetTeams.js
+// ✅ Teams and shifts inside a work fleet (supabase/fleet_teams.sql)
+//
+// What it does:
+// 1) ✅ getTeams: teams with their supervisors (on shift or not), member count and shifts.
+// 2) ✅ Owner / admins ('manage_teams'): create / rename / delete teams and shifts, and put
+//    a member on a team and shift.
+// 3) ✅ setOffShiftSharing: a member's own opt-in to stay visible while off shift
+//    (off-shift members are private by default).
+// 4) ✅ Shift display helpers (days + hours) shared by the dashboard and the editor.
+//
+// Online only — nothing here is needed during an SOS (routing is decided server-side
+// when the incident is opened).
+
+import { supabase } from "../lib/supabase";
+import FleetRoles from "./FleetRoles";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RPC_GET_TEAMS = "get_fleet_teams";
+const RPC_UPSERT_TEAM = "upsert_fleet_team";
+const RPC_DELETE_TEAM = "delete_fleet_team";
+const RPC_UPSERT_SHIFT = "upsert_fleet_shift";
+const RPC_DELETE_SHIFT = "delete_fleet_shift";
+const RPC_ASSIGN = "set_fleet_member_assignment";
+const RPC_OFF_SHIFT_SHARING = "set_my_off_shift_sharing";
+
+const RPC_TIMEOUT_MS = 6000;
+
+// Seconds the team's on-shift supervisors get before the whole fleet is alarmed (0 = off)
+export const SUPERVISOR_WINDOW_OPTIONS_SEC = [0, 30, 60, 120, 300];
+export const DEFAULT_SUPERVISOR_WINDOW_SEC = 60;
+
+// 0 = Sunday (Postgres extract(dow))
+export const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+export const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function withTimeout(promise, timeoutMs, label = "timeout") {
+  let t;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error(label)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// → { ok, data?, error? } (error = the RPC's error code or the transport message)
+async function callRpc(fnName, params) {
+  try {
+    const { data, error } = await withTimeout(supabase.rpc(fnName, params), RPC_TIMEOUT_MS, `${fnName}_timeout`);
+    if (error) throw error;
+    if (!data?.ok) return { ok: false, error: data?.error || `${fnName}_failed` };
+    return { ok: true, data };
+  } catch (e) {
+    return { ok: false, error: e?.message || `${fnName}_failed` };
+  }
+}
+
+export function formatClock(min) {
+  if (!Number.isFinite(min)) return "";
+  return `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+}
+
+// [1,2,3,4,5] → "Mon–Fri", [0,6] → "Sun, Sat", all seven → "Every day"
+export function formatDays(days) {
+  const list = Array.from(new Set((Array.isArray(days) ? days : []).map(Number)))
+    .filter((d) => d >= 0 && d <= 6)
+    .sort((a, b) => a - b);
+  if (list.length === 7) return "Every day";
+  if (list.length === 0) return "No days";
+  const contiguous = list.length > 2 && list.every((d, i) => i === 0 || d === list[i - 1] + 1);
+  if (contiguous) return `${DAY_LABELS[list[0]]}–${DAY_LABELS[list[list.length - 1]]}`;
+  return list.map((d) => DAY_LABELS[d]).join(", ");
+}
+
+// "Mon–Fri 07:00–15:00" / "Every day (24h)"
+export function formatShiftHours(shift) {
+  if (!shift) return "";
+  const hours =
+    shift.start_min === shift.end_min
+      ? "(24h)"
+      : `${formatClock(shift.start_min)}–${formatClock(shift.end_min)}`;
+  return `${formatDays(shift.days)} ${hours}`;
+}
+
+export function deviceTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch {
+    return "UTC";
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Teams of a fleet → { ok, teams, canManage } (teams: [{ id, name, supervisor_window_sec,
+ * member_count, supervisors: [{ user_id, display_name, on_shift }], shifts: [...] }])
+ */
+async function getTeams(groupId) {
+  if (!groupId) return { ok: false, teams: [], canManage: false };
+  const res = await callRpc(RPC_GET_TEAMS, { p_group_id: groupId });
+  if (!res.ok) return { ok: false, error: res.error, teams: [], canManage: false };
+  return {
+    ok: true,
+    teams: Array.isArray(res.data.teams) ? res.data.teams : [],
+    canManage: res.data.can_manage === true,
+  };
+}
+
+/**
+ * Create (no id) or update a team → { ok, teamId?, error? }
+ */
+async function saveTeam(groupId, { id = null, name, supervisorWindowSec = DEFAULT_SUPERVISOR_WINDOW_SEC }) {
+  const res = await callRpc(RPC_UPSERT_TEAM, {
+    p_group_id: groupId,
+    p_name: String(name || "").trim(),
+    p_supervisor_window_sec: supervisorWindowSec,
+    p_id: id,
+  });
+  return res.ok ? { ok: true, teamId: res.data.team_id } : res;
+}
+
+async function deleteTeam(teamId) {
+  const res = await callRpc(RPC_DELETE_TEAM, { p_team_id: teamId });
+  return res.ok ? { ok: true } : res;
+}
+
+/**
+ * Create (no id) or update a shift → { ok, shiftId?, error? }
+ * days: 0 = Sunday … 6 = Saturday; startMin / endMin: minutes after midnight in `timezone`.
+ */
+async function saveShift(teamId, { id = null, name, days = WEEKDAYS, startMin, endMin, timezone = deviceTimezone() }) {
+  const res = await callRpc(RPC_UPSERT_SHIFT, {
+    p_team_id: teamId,
+    p_name: String(name || "").trim(),
+    p_days: days,
+    p_start_min: startMin,
+    p_end_min: endMin,
+    p_timezone: timezone,
+    p_id: id,
+  });
+  return res.ok ? { ok: true, shiftId: res.data.shift_id } : res;
+}
+
+async function deleteShift(shiftId) {
+  const res = await callRpc(RPC_DELETE_SHIFT, { p_shift_id: shiftId });
+  return res.ok ? { ok: true } : res;
+}
+
+/**
+ * Put a member on a team and (optionally) one of its shifts. teamId null clears both.
+ */
+async function assignMember(groupId, memberUserId, { teamId = null, shiftId = null } = {}) {
+  const res = await callRpc(RPC_ASSIGN, {
+    p_group_id: groupId,
+    p_user_id: memberUserId,
+    p_team_id: teamId,
+    p_shift_id: teamId ? shiftId : null,
+  });
+  return res.ok ? { ok: true } : res;
+}
+
+/**
+ * The signed-in member's own choice: stay visible to the fleet while off shift.
+ */
+async function setOffShiftSharing(groupId, share) {
+  const res = await callRpc(RPC_OFF_SHIFT_SHARING, { p_group_id: groupId, p_share: !!share });
+  if (res.ok) FleetRoles.refresh(groupId).catch(() => {});
+  return res.ok ? { ok: true } : res;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const FleetTeams = {
+  getTeams,
+  saveTeam,
+  deleteTeam,
+  saveShift,
+  deleteShift,
+  assignMember,
+  setOffShiftSharing,
+};
+
+export default FleetTeams;
@@ -0,0 +1,524 @@
+// 📂 FILE: src/services/GeofenceMonitor.js
+// ✅ Fleet geofences (home, school, job site, …)
+//
+// What it does:
+// 1) ✅ Owner side: create / edit / delete named zones for a fleet (fleet_geofences RPCs).
+// 2) ✅ Member side: downloads the zones of the ACTIVE fleet (the one this device shares
+//    its location with), caches them for offline / headless use and evaluates every fix
+//    from LiveTracker's background location task against them.
+// 3) ✅ Enter / exit transitions (inside the zone's active hours) are broadcast on
+//    fleet:{groupId} (event "geofence"). A radius margin on exit keeps GPS jitter at the
+//    boundary from flapping; the first fix for a zone only records a baseline.
+// 4) ✅ Arriving at a safe zone with auto check-in enabled sends a fleet check-in (and
+//    satisfies a running safe-arrival timer).
+
+import * as Location from "expo-location";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "../lib/supabase";
+import { getDeviceId } from "./Identity";
+import { addBackgroundTickListener } from "./LiveTracker";
+import { sendCheckIn } from "./BatSignal";
+import SafeArrivalTimer, { TIMER_STATE } from "./SafeArrivalTimer";
+import { haversineMeters } from "../utils/geo";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORAGE_KEY_GROUP_ID = "sentinel_group_id";
+const STORAGE_KEY_DEVICE_NAME = "sentinel_device_display_name";
+const STORAGE_KEY_ZONES = "sentinel_geofences_cache";
+const STORAGE_KEY_STATE = "sentinel_geofence_state";
+
+const RPC_GET = "get_fleet_geofences";
+const RPC_UPSERT = "upsert_fleet_geofence";
+const RPC_DELETE = "delete_fleet_geofence";
+
+const RPC_TIMEOUT_MS = 5000;
+
+// Zones rarely change — re-download at most this often (edits refresh immediately)
+const ZONES_REFRESH_MS = 15 * 60_000;
+
+// Fixes worse than this can't tell inside from outside for small zones
+const MAX_FIX_ACCURACY_M = 100;
+
+// Extra distance beyond the radius before an exit counts (grows with poor accuracy)
+const EXIT_MARGIN_M = 25;
+
+// One automatic check-in per zone per window, however often the boundary is crossed
+const AUTO_CHECK_IN_COOLDOWN_MS = 10 * 60_000;
+
+export const ZONE_KINDS = ["home", "school", "job_site", "other"];
+
+export const ZONE_KIND_LABELS = {
+  home: "Home",
+  school: "School",
+  job_site: "Job Site",
+  other: "Other",
+};
+
+export const GEOFENCE_EVENT = {
+  ENTER: "enter",
+  EXIT: "exit",
+};
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let zoneCache = null; // { groupId, fetchedAt, zones: [] }
+let zoneState = null; // { inside: { [zoneId]: bool }, lastAutoCheckIn: { [zoneId]: ms } }
+let isEvaluating = false;
+let started = false;
+const listeners = new Set();
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function withTimeout(promise, timeoutMs, label = "timeout") {
+  let t;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error(label)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function isNum(n) {
+  return typeof n === "number" && Number.isFinite(n);
+}
+
+function normalizeZone(row) {
+  if (!row?.id || !isNum(row.latitude) || !isNum(row.longitude) || !isNum(row.radius_m)) return null;
+  return {
+    id: String(row.id),
+    group_id: row.group_id ? String(row.group_id) : null,
+    name: String(row.name || "Zone"),
+    kind: ZONE_KINDS.includes(row.kind) ? row.kind : "other",
+    latitude: row.latitude,
+    longitude: row.longitude,
+    radius_m: row.radius_m,
+    active_from_min: isNum(row.active_from_min) ? row.active_from_min : null,
+    active_to_min: isNum(row.active_to_min) ? row.active_to_min : null,
+    is_safe_zone: row.is_safe_zone === true,
+    auto_check_in: row.is_safe_zone === true && row.auto_check_in === true,
+  };
+}
+
+/**
+ * Active-hours check in device-local time. NULL/NULL = always; from > to wraps midnight.
+ */
+export function isZoneActive(zone, at = new Date()) {
+  const from = zone?.active_from_min;
+  const to = zone?.active_to_min;
+  if (!isNum(from) || !isNum(to) || from === to) return true;
+
+  const minutes = at.getHours() * 60 + at.getMinutes();
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+export function formatMinutesOfDay(min) {
+  if (!isNum(min)) return "";
+  const d = new Date();
+  d.setHours(Math.floor(min / 60), min % 60, 0, 0);
+  return d.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+}
+
+export function formatActiveHours(zone) {
+  if (!isNum(zone?.active_from_min) || !isNum(zone?.active_to_min)) return "All day";
+  return `${formatMinutesOfDay(zone.active_from_min)} – ${formatMinutesOfDay(zone.active_to_min)}`;
+}
+
+async function getActiveGroupId() {
+  try {
+    const g = await AsyncStorage.getItem(STORAGE_KEY_GROUP_ID);
+    return g ? String(g) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function getDisplayName() {
+  try {
+    const name = await AsyncStorage.getItem(STORAGE_KEY_DEVICE_NAME);
+    return name ? String(name).trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+async function loadCache() {
+  if (zoneCache) return zoneCache;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_ZONES);
+    const parsed = raw ? JSON.parse(raw) : null;
+    zoneCache = parsed && Array.isArray(parsed.zones) ? parsed : null;
+  } catch {
+    zoneCache = null;
+  }
+  return zoneCache;
+}
+
+async function loadState() {
+  if (zoneState) return zoneState;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_STATE);
+    const parsed = raw ? JSON.parse(raw) : null;
+    zoneState = {
+      inside: parsed?.inside && typeof parsed.inside === "object" ? parsed.inside : {},
+      lastAutoCheckIn:
+        parsed?.lastAutoCheckIn && typeof parsed.lastAutoCheckIn === "object" ? parsed.lastAutoCheckIn : {},
+    };
+  } catch {
+    zoneState = { inside: {}, lastAutoCheckIn: {} };
+  }
+  return zoneState;
+}
+
+async function persistState() {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_STATE, JSON.stringify(zoneState));
+  } catch (e) {
+    console.log("⚠️ GEOFENCE: state persist failed (non-fatal):", e?.message || e);
+  }
+}
+
+function notify() {
+  const snapshot = zoneCache ? { groupId: zoneCache.groupId, zones: [...zoneCache.zones] } : null;
+  for (const fn of listeners) {
+    try {
+      fn(snapshot);
+    } catch {}
+  }
+}
+
+async function fetchZones(groupId) {
+  const { data, error } = await withTimeout(
+    supabase.rpc(RPC_GET, { p_group_ids: [groupId] }),
+    RPC_TIMEOUT_MS,
+    "geofence_fetch_timeout"
+  );
+  if (error) throw error;
+  return (Array.isArray(data) ? data : []).map(normalizeZone).filter(Boolean);
+}
+
+/**
+ * Zones for the active fleet — cached copy unless stale or the fleet changed.
+ * Offline: keeps using the cache for the same fleet.
+ */
+async function ensureZones({ force = false } = {}) {
+  await loadCache();
+  const groupId = await getActiveGroupId();
+  if (!groupId) return [];
+
+  const sameGroup = zoneCache?.groupId === groupId;
+  const fresh = sameGroup && Date.now() - (zoneCache?.fetchedAt || 0) < ZONES_REFRESH_MS;
+  if (fresh && !force) return zoneCache.zones;
+
+  try {
+    const zones = await fetchZones(groupId);
+    zoneCache = { groupId, fetchedAt: Date.now(), zones };
+    await AsyncStorage.setItem(STORAGE_KEY_ZONES, JSON.stringify(zoneCache)).catch(() => {});
+    notify();
+    return zones;
+  } catch (e) {
+    console.log("🟡 GEOFENCE: zone refresh failed (using cache):", e?.message || e);
+    return sameGroup ? zoneCache.zones : [];
+  }
+}
+
+// ✅ Enter/exit realtime broadcast (fleet: channel) — same short-lived channel pattern as check-ins
+async function broadcastTransition({ groupId, zone, event, deviceId, displayName, lat, lng, timestamp }) {
+  try {
+    const ch = supabase.channel(`fleet:${groupId}`);
+
+    const subscribed = await new Promise((resolve) => {
+      let done = false;
+      const timer = setTimeout(() => {
+        if (!done) resolve(false);
+      }, 2500);
+
+      ch.subscribe((status) => {
+        if (status === "SUBSCRIBED") {
+          done = true;
+          clearTimeout(timer);
+          resolve(true);
+        }
+        if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+          done = true;
+          clearTimeout(timer);
+          resolve(false);
+        }
+      });
+    });
+
+    if (!subscribed) {
+      try {
+        await supabase.removeChannel(ch);
+      } catch {}
+      return false;
+    }
+
+    const who = displayName || "A fleet member";
+    const payload = {
+      kind: "GEOFENCE",
+      event,
+      zone_id: zone.id,
+      zone_name: zone.name,
+      zone_kind: zone.kind,
+      is_safe_zone: zone.is_safe_zone,
+      device_id: deviceId,
+      display_name: displayName || null,
+      group_id: groupId,
+      latitude: isNum(lat) ? lat : null,
+      longitude: isNum(lng) ? lng : null,
+      title: event === GEOFENCE_EVENT.ENTER ? "📍 Arrived" : "📍 Left",
+      body: event === GEOFENCE_EVENT.ENTER ? `${who} arrived at ${zone.name}` : `${who} left ${zone.name}`,
+      timestamp,
+    };
+
+    const out = await ch.send({ type: "broadcast", event: "geofence", payload });
+
+    try {
+      await supabase.removeChannel(ch);
+    } catch {}
+
+    return !!out && (!out.status || out.status === "ok");
+  } catch {
+    return false;
+  }
+}
+
+async function autoCheckIn(zone) {
+  const now = Date.now();
+  const last = zoneState.lastAutoCheckIn[zone.id] || 0;
+  if (now - last < AUTO_CHECK_IN_COOLDOWN_MS) return;
+
+  zoneState.lastAutoCheckIn[zone.id] = now;
+  await persistState();
+
+  try {
+    // Arriving at a safe zone is what the safe-arrival timer was waiting for
+    const timer = await SafeArrivalTimer.getTimer();
+    const ok =
+      timer && timer.state !== TIMER_STATE.ESCALATED ? await SafeArrivalTimer.checkIn() : await sendCheckIn();
+    console.log(`✅ GEOFENCE: auto check-in at ${zone.name}:`, ok ? "sent" : "failed");
+  } catch (e) {
+    console.log("⚠️ GEOFENCE: auto check-in failed (non-blocking):", e?.message || e);
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Evaluate one location fix against the active fleet's zones.
+ */
+async function evaluate(location, reason = "manual") {
+  const lat = location?.coords?.latitude;
+  const lng = location?.coords?.longitude;
+  const acc = location?.coords?.accuracy;
+  if (!isNum(lat) || !isNum(lng)) return;
+  if (isNum(acc) && acc > MAX_FIX_ACCURACY_M) return;
+
+  if (isEvaluating) return;
+  isEvaluating = true;
+
+  try {
+    const zones = await ensureZones();
+    await loadState();
+
+    const groupId = zoneCache?.groupId;
+    const now = new Date();
+    const transitions = [];
+    const known = new Set();
+
+    for (const zone of zones) {
+      known.add(zone.id);
+      const wasInside = zoneState.inside[zone.id];
+
+      // Outside active hours: forget the zone so the window opens with a fresh baseline
+      if (!isZoneActive(zone, now)) {
+        delete zoneState.inside[zone.id];
+        continue;
+      }
+
+      const distance = haversineMeters(lat, lng, zone.latitude, zone.longitude);
+      const margin = Math.max(EXIT_MARGIN_M, isNum(acc) ? acc : 0);
+      const inside = wasInside === true ? distance <= zone.radius_m + margin : distance <= zone.radius_m;
+
+      zoneState.inside[zone.id] = inside;
+      if (typeof wasInside !== "boolean" || wasInside === inside) continue;
+
+      transitions.push({ zone, event: inside ? GEOFENCE_EVENT.ENTER : GEOFENCE_EVENT.EXIT });
+    }
+
+    // Drop state for zones that were deleted
+    for (const id of Object.keys(zoneState.inside)) {
+      if (!known.has(id)) delete zoneState.inside[id];
+    }
+    await persistState();
+
+    if (!transitions.length || !groupId) return;
+
+    const deviceId = await getDeviceId();
+    const displayName = await getDisplayName();
+
+    for (const { zone, event } of transitions) {
+      console.log(`📍 GEOFENCE: ${event} ${zone.name} (${reason})`);
+
+      broadcastTransition({ groupId, zone, event, deviceId, displayName, lat, lng, timestamp: Date.now() })
+        .then((ok) => {
+          if (!ok) console.log("⚠️ GEOFENCE: broadcast failed (non-blocking)");
+        })
+        .catch(() => {});
+
+      if (event === GEOFENCE_EVENT.ENTER && zone.auto_check_in) {
+        await autoCheckIn(zone);
+      }
+    }
+  } catch (e) {
+    console.log("⚠️ GEOFENCE: evaluate failed:", e?.message || e);
+  } finally {
+    isEvaluating = false;
+  }
+}
+
+/**
+ * Call on app start — loads zones and records a baseline from the last known fix.
+ */
+async function start() {
+  if (started) return;
+  started = true;
+
+  await ensureZones();
+
+  try {
+    const last = await Location.getLastKnownPositionAsync({ maxAge: 5 * 60_000 });
+    if (last) await evaluate(last, "start");
+  } catch {}
+}
+
+/**
+ * Re-download the active fleet's zones (after an edit or a fleet switch).
+ */
+async function refresh() {
+  return ensureZones({ force: true });
+}
+
+/**
+ * Zones of any fleet the caller belongs to (Fleet screen list). Never throws.
+ */
+async function loadZones(groupId) {
+  if (!groupId) return [];
+  const activeGroupId = await getActiveGroupId();
+  if (activeGroupId === groupId) return ensureZones({ force: true });
+
+  try {
+    return await fetchZones(groupId);
+  } catch (e) {
+    console.log("🟡 GEOFENCE: loadZones failed:", e?.message || e);
+    return [];
+  }
+}
+
+/**
+ * Owner: create (no zone.id) or update a zone → { ok, id } | { ok: false, error }.
+ */
+async function saveZone(groupId, zone) {
+  try {
+    const { data, error } = await withTimeout(
+      supabase.rpc(RPC_UPSERT, {
+        p_group_id: groupId,
+        p_name: zone.name,
+        p_latitude: zone.latitude,
+        p_longitude: zone.longitude,
+        p_radius_m: Math.round(zone.radius_m),
+        p_kind: zone.kind || "other",
+        p_active_from_min: isNum(zone.active_from_min) ? zone.active_from_min : null,
+        p_active_to_min: isNum(zone.active_to_min) ? zone.active_to_min : null,
+        p_is_safe_zone: zone.is_safe_zone === true,
+        p_auto_check_in: zone.auto_check_in === true,
+        p_id: zone.id || null,
+      }),
+      RPC_TIMEOUT_MS,
+      "geofence_save_timeout"
+    );
+    if (error) return { ok: false, error: error.message || "save_failed" };
+    if (data?.ok === false) return { ok: false, error: data.error || "save_failed" };
+
+    refresh().catch(() => {});
+    return { ok: true, id: data?.id || zone.id || null };
+  } catch (e) {
+    return { ok: false, error: e?.message || "save_failed" };
+  }
+}
+
+/**
+ * Owner: delete a zone → { ok } | { ok: false, error }.
+ */
+async function deleteZone(zoneId) {
+  try {
+    const { data, error } = await withTimeout(
+      supabase.rpc(RPC_DELETE, { p_id: zoneId }),
+      RPC_TIMEOUT_MS,
+      "geofence_delete_timeout"
+    );
+    if (error) return { ok: false, error: error.message || "delete_failed" };
+    if (data?.ok === false) return { ok: false, error: data.error || "delete_failed" };
+
+    refresh().catch(() => {});
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: e?.message || "delete_failed" };
+  }
+}
+
+function subscribe(fn) {
+  if (typeof fn !== "function") return () => {};
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Forget cached zones and inside/outside state (logout).
+ */
+async function reset() {
+  zoneCache = null;
+  zoneState = null;
+  started = false;
+  try {
+    await AsyncStorage.multiRemove([STORAGE_KEY_ZONES, STORAGE_KEY_STATE]);
+  } catch {}
+  notify();
+}
+
+// ============================================
+// BACKGROUND HOOKS
+// ============================================
+
+addBackgroundTickListener(({ location } = {}) => (location ? evaluate(location, "location_task") : null));
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const GeofenceMonitor = {
+  start,
+  evaluate,
+  refresh,
+  loadZones,
+  saveZone,
+  deleteZone,
+  subscribe,
+  reset,
+};
+
+export default GeofenceMonitor;
@@ -0,0 +1,157 @@
+// 📂 FILE: src/services/InviteLinks.js
+// ✅ Invite links and QR codes
+//
+// What it does:
+// 1) ✅ buildInviteUrl / buildShareMessage: https://sentihnel.com/join?code=… — shared as text
+//    and drawn as a QR (InviteQrCard).
+//    Opens the app straight away where the link is verified (app.json associatedDomains /
+//    intentFilters); otherwise the /join web page hands over to sentihnel://join.
+// 2) ✅ parseInviteCode: a scanned QR / pasted text → invite code (links or a bare code)
+// 3) ✅ deliverLinkedCode / takeLinkedCode / onLinkedCode: app/join.js hands the code to the
+//    screen that ends up in front — the login screen (Join Fleet) or Fleet (Switch Fleet).
+//    Kept in AsyncStorage as well, because on a cold start that screen mounts later.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Linking from "expo-linking";
+import FleetInvites from "./FleetInvites";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const INVITE_WEB_URL = "https://sentihnel.com/join";
+const INVITE_WEB_HOST = "sentihnel.com";
+const INVITE_PATH = "join";
+
+const STORAGE_KEY_LINKED_INVITE = "sentinel_linked_invite_code"; // { code, at }
+
+// A link tapped yesterday shouldn't pop up the join form today
+const LINKED_CODE_TTL_MS = 30 * 60 * 1000;
+
+const CODE_RE = /^[A-Z0-9]{4,32}$/;
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+const listeners = new Set();
+
+// ============================================
+// HELPERS
+// ============================================
+
+function cleanCode(code) {
+  const clean = FleetInvites.normalizeInviteCode(code);
+  return CODE_RE.test(clean) ? clean : null;
+}
+
+function stripSlashes(path) {
+  return String(path || "").replace(/^\/+|\/+$/g, "");
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Universal link for a code — what we share and put in the QR
+ */
+function buildInviteUrl(code) {
+  const clean = cleanCode(code);
+  return clean ? `${INVITE_WEB_URL}?code=${clean}` : null;
+}
+
+/**
+ * Text for the share sheet: the tap-to-join link, plus the code for typing in by hand
+ */
+function buildShareMessage(code, label = "") {
+  const clean = cleanCode(code);
+  if (!clean) return "";
+  return (
+    `SenTihNel invite${label ? ` (${label})` : ""}\n\n` +
+    `Tap to join: ${buildInviteUrl(clean)}\n\n` +
+    `Or open the app → Login → Join Fleet → enter ${clean}.`
+  );
+}
+
+/**
+ * Invite code from a scanned QR or pasted text, or null.
+ * Accepts our https link, the app link, or a bare code ("ABCD-2345" → "ABCD2345").
+ */
+function parseInviteCode(text) {
+  const raw = String(text || "").trim();
+  if (!raw) return null;
+
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(raw)) return cleanCode(raw);
+
+  try {
+    const { scheme, hostname, path, queryParams } = Linking.parse(raw);
+    const isWeb = scheme === "http" || scheme === "https";
+    if (isWeb && String(hostname || "").toLowerCase().replace(/^www\./, "") !== INVITE_WEB_HOST) return null;
+
+    // sentihnel://join?code= → hostname "join"; https://…/join and exp://…/--/join → path
+    const route = isWeb ? stripSlashes(path) : stripSlashes(path) || stripSlashes(hostname);
+    if (!route.endsWith(INVITE_PATH)) return null;
+
+    const code = Array.isArray(queryParams?.code) ? queryParams.code[0] : queryParams?.code;
+    return cleanCode(code);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A link opened the app (app/join.js) → keep the code for whichever screen shows next
+ */
+async function deliverLinkedCode(code) {
+  const clean = cleanCode(code);
+  if (!clean) return;
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_LINKED_INVITE, JSON.stringify({ code: clean, at: Date.now() }));
+  } catch {}
+  listeners.forEach((fn) => {
+    try {
+      fn(clean);
+    } catch {}
+  });
+}
+
+/**
+ * The code a link delivered (once — it is cleared), or null
+ */
+async function takeLinkedCode() {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_LINKED_INVITE);
+    if (!raw) return null;
+    await AsyncStorage.removeItem(STORAGE_KEY_LINKED_INVITE);
+    const saved = JSON.parse(raw);
+    if (!saved?.code || Date.now() - Number(saved.at || 0) > LINKED_CODE_TTL_MS) return null;
+    return cleanCode(saved.code);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Called when a link arrives while the screen is already open → unsubscribe function.
+ * The listener should still call takeLinkedCode() so the code isn't offered twice.
+ */
+function onLinkedCode(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const InviteLinks = {
+  buildInviteUrl,
+  buildShareMessage,
+  parseInviteCode,
+  deliverLinkedCode,
+  takeLinkedCode,
+  onLinkedCode,
+};
+
+export default InviteLinks;
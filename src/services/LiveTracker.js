@@ -8,24 +8,41 @@
 // - If SOS triggers before we get a “good” GPS lock, we immediately use LAST-KNOWN GPS (best-effort),
 //   upload it to tracking_sessions, and keep updating as better GPS arrives.
 // - forceOneShotSync() now supports fallback to getLastKnownPositionAsync() and can accept injected coords.
+//
+// ✅ Adaptive tracking profiles:
+// - SOS / ACTIVE / TRAVEL / PASSIVE, picked from SOS state, motion (speed of recent fixes),
+//   battery level + charging, and whether the app is in the foreground.
+// - startLiveTracking(id, mode): mode "AUTO" (default) adapts; a profile name pins it.
+//   SOS always wins over a pinned profile.
 
 import * as Location from "expo-location";
 import * as Battery from "expo-battery";
 import * as TaskManager from "expo-task-manager";
+import { AppState, Platform } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { activateKeepAwakeAsync, deactivateKeepAwake } from "expo-keep-awake";
 import { supabase } from "../lib/supabase";
 import { getDeviceId as getStableDeviceId } from "./Identity";
 import { handshakeDevice } from "./deviceHandshake";
+import SOSOutbox, { OUTBOX_KINDS, isNetworkError } from "./SOSOutbox";
+import { haversineMeters } from "../utils/geo";
 
 const BACKGROUND_TASK_NAME = "BACKGROUND_LOCATION_TASK";
 const STORAGE_KEY_DEVICE_ID = "sentinel_device_id";
 const STORAGE_KEY_GROUP_ID = "sentinel_group_id";
 const STORAGE_KEY_SOS = "sentinel_sos_active";
+const STORAGE_KEY_SOS_SESSION = "sentinel_sos_session_id";
+const STORAGE_KEY_SOS_TRIGGER = "sentinel_sos_trigger";
+const STORAGE_KEY_SOS_DRILL = "sentinel_sos_drill";
+const STORAGE_KEY_TRACKING_MODE = "sentinel_tracking_mode"; // "AUTO" | pinned profile name
+const STORAGE_KEY_TRACKING_PROFILE = "sentinel_tracking_profile"; // profile the task runs with
 
 // ✅ server-side "claim" RPC (deletes stale tracking_sessions row for this device)
 const RPC_CLAIM_TRACKING_DEVICE = "claim_tracking_session_device";
 
+// ✅ Breadcrumb trail: every SOS fix is kept per SOS session (tracking_sessions only keeps the latest)
+const RPC_APPEND_BREADCRUMB = "append_sos_breadcrumb";
+
 // ✅ Your DB now has these columns (after running your SQL):
 const SCHEMA_FLAGS = {
   has_speed: true,
@@ -35,10 +52,12 @@ const SCHEMA_FLAGS = {
   has_gps_accuracy_m: true,
   has_status: true,
   has_last_updated: true,
+  has_sos_trigger: true,
 };
 
 // Tracking profiles
-const TRACKING_PROFILES = {
+export const TRACKING_PROFILES = {
+  // Emergency: best fix every 5 seconds
   SOS: {
     accuracy: Location.Accuracy.Highest,
     distanceInterval: 5,
@@ -46,10 +65,59 @@ const TRACKING_PROFILES = {
     deferredUpdatesInterval: 5000,
     deferredUpdatesDistance: 5,
   },
+  // App open, or on foot: fresh enough to follow on the fleet map
+  ACTIVE: {
+    accuracy: Location.Accuracy.High,
+    distanceInterval: 15,
+    timeInterval: 15_000,
+    deferredUpdatesInterval: 15_000,
+    deferredUpdatesDistance: 15,
+  },
+  // Driving / transit: distance gates the updates, batched to spare the radio
+  TRAVEL: {
+    accuracy: Location.Accuracy.High,
+    distanceInterval: 100,
+    timeInterval: 20_000,
+    deferredUpdatesInterval: 60_000,
+    deferredUpdatesDistance: 250,
+  },
+  // Backgrounded + still, or low battery: coarse heartbeat every few minutes
+  PASSIVE: {
+    accuracy: Location.Accuracy.Balanced,
+    distanceInterval: 0,
+    timeInterval: 180_000,
+    deferredUpdatesInterval: 300_000,
+    deferredUpdatesDistance: 100,
+  },
 };
 
+export const TRACKING_MODE_AUTO = "AUTO";
+
+// Adaptive profile thresholds
+const MOVING_SPEED_MPS = 0.8; // ~3 km/h — walking
+const TRAVEL_SPEED_MPS = 7; // ~25 km/h — vehicle
+const MOTION_HOLD_MS = 3 * 60_000; // a red light / short stop doesn't drop the profile
+const LOW_BATTERY_PERCENT = 20;
+const PROFILE_SWITCH_MIN_MS = 60_000; // non-SOS switches re-register the location task; don't thrash
+
+// Android 12+ refuses to start a foreground service from the background, and every
+// startLocationUpdatesAsync starts one → only switch profiles there while the app is open
+const BLOCKS_BACKGROUND_SERVICE_START = Platform.OS === "android" && Platform.Version >= 31;
+
 // State Tracking (Memory)
 let memoryDeviceId = null;
+
+// ✅ Adaptive profile state
+let trackingMode = null; // null = not loaded from storage yet
+let activeProfileName = null;
+let lastProfileSwitchAt = 0;
+let isRefreshingProfile = false;
+let isForeground = AppState.currentState === "active";
+let appStateSubscription = null;
+let batterySubscriptions = [];
+let lastMotionFix = null; // { latitude, longitude, at }
+let lastMovingAt = 0;
+let lastTravelAt = 0;
 let isSending = false;
 let pendingLocation = null;
 
@@ -152,6 +220,14 @@ const safeGetBatteryPercent = async () => {
   return null;
 };
 
+const safeIsCharging = async () => {
+  try {
+    const state = await Battery.getBatteryStateAsync();
+    return state === Battery.BatteryState.CHARGING || state === Battery.BatteryState.FULL;
+  } catch (_) {}
+  return false;
+};
+
 /**
  * ✅ Phase 1: Always resolve device id via Identity (stable)
  * - Persist to AsyncStorage so all modules share the same value.
@@ -209,10 +285,61 @@ const resetFleetBoundState = (reason = "unknown") => {
 };
 
 // ✅ SOS Helpers
-export const setSOSActive = async (active) => {
+// opts.trigger: what raised the SOS (src/utils/sosTriggers) — recorded once per session
+// opts.drill: SOS drill — everything runs, but the tracking row never says "SOS"
+// A real SOS raised during a drill replaces the drill session (new id, drill flag cleared)
+export const setSOSActive = async (active, opts = {}) => {
   try {
     await AsyncStorage.setItem(STORAGE_KEY_SOS, active ? "1" : "0");
   } catch (_) {}
+
+  // ✅ Breadcrumbs: one trail per SOS session (kept across re-triggers, reset on cancel)
+  try {
+    if (active) {
+      const existing = await AsyncStorage.getItem(STORAGE_KEY_SOS_SESSION);
+      const endsDrill = !!existing && !opts?.drill && (await AsyncStorage.getItem(STORAGE_KEY_SOS_DRILL)) === "1";
+      if (!existing || endsDrill) {
+        const sessionId = `sos_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+        await AsyncStorage.setItem(STORAGE_KEY_SOS_SESSION, sessionId);
+        if (opts?.trigger) await AsyncStorage.setItem(STORAGE_KEY_SOS_TRIGGER, String(opts.trigger));
+        else await AsyncStorage.removeItem(STORAGE_KEY_SOS_TRIGGER);
+        if (opts?.drill) await AsyncStorage.setItem(STORAGE_KEY_SOS_DRILL, "1");
+        else await AsyncStorage.removeItem(STORAGE_KEY_SOS_DRILL);
+      }
+    } else {
+      await AsyncStorage.multiRemove([STORAGE_KEY_SOS_SESSION, STORAGE_KEY_SOS_TRIGGER, STORAGE_KEY_SOS_DRILL]);
+    }
+  } catch (_) {}
+
+  // ✅ Adaptive profiles: entering / leaving SOS switches the tracking profile right away
+  refreshTrackingProfile(active ? "sos_on" : "sos_off", { force: true }).catch(() => {});
+};
+
+// ✅ Current SOS session id (groups breadcrumb points into one trail), null when not in SOS
+export const getSOSSessionId = async () => {
+  try {
+    return (await AsyncStorage.getItem(STORAGE_KEY_SOS_SESSION)) || null;
+  } catch (_) {
+    return null;
+  }
+};
+
+// ✅ What raised the current SOS session, null when unknown / not in SOS
+export const getSOSTrigger = async () => {
+  try {
+    return (await AsyncStorage.getItem(STORAGE_KEY_SOS_TRIGGER)) || null;
+  } catch (_) {
+    return null;
+  }
+};
+
+// ✅ Current SOS session is a drill (see SOSDrill)
+export const isSOSDrill = async () => {
+  try {
+    return (await AsyncStorage.getItem(STORAGE_KEY_SOS_DRILL)) === "1";
+  } catch (_) {
+    return false;
+  }
 };
 
 export const clearSOS = async () => {
@@ -386,6 +513,12 @@ const ensureMemberOfGroup = async (userId, groupId) => {
       .eq("group_id", groupId)
       .limit(1);
 
+    // ✅ Offline: a network failure is not a "no" — don't cache it, let the upload queue
+    if (memberError && isNetworkError(memberError)) {
+      console.log("🟡 MEMBERSHIP CHECK NETWORK ERROR (allowing upload):", memberError.message);
+      return true;
+    }
+
     const isMember = !memberError && Array.isArray(memberData) && memberData.length > 0;
 
     if (isMember) {
@@ -515,6 +648,85 @@ const claimTrackingDeviceIfNeeded = async (deviceId, groupId, { force = false }
   }
 };
 
+// ✅ Append one point to the SOS breadcrumb trail ({ ok, retryable })
+const appendBreadcrumb = async (params) => {
+  try {
+    const { data, error } = await supabase.rpc(RPC_APPEND_BREADCRUMB, params);
+    if (error) return { ok: false, retryable: isNetworkError(error) || isAuthError(error), error };
+    if (data?.ok === false) return { ok: false, retryable: false, error: data?.error };
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, retryable: true, error: e };
+  }
+};
+
+/**
+ * 📮 OUTBOX REPLAY: queued breadcrumb points (original recorded_at is inside p_point)
+ */
+SOSOutbox.registerHandler(OUTBOX_KINDS.BREADCRUMB, async (entry) => {
+  if (!entry?.data?.p_session_id) return true; // malformed → drop
+
+  const res = await appendBreadcrumb(entry.data);
+  if (!res.ok && !res.retryable) {
+    console.log("🟡 OUTBOX: queued breadcrumb rejected (dropping):", res.error?.message || res.error);
+  }
+  return res.ok || !res.retryable;
+});
+
+/**
+ * 📮 OUTBOX REPLAY: queued location fixes (original last_updated is inside p_data)
+ * Returns false only for retryable failures so the outbox keeps order.
+ */
+SOSOutbox.registerHandler(OUTBOX_KINDS.LOCATION, async (entry) => {
+  const rpcParams = entry?.data;
+  if (!rpcParams?.p_device_id || !rpcParams?.p_group_id) return true; // malformed → drop
+
+  let { data: rpcResult, error: rpcError } = await supabase.rpc("upsert_tracking_session", rpcParams);
+
+  if (rpcError && isAuthError(rpcError)) {
+    try {
+      await supabase.auth.refreshSession();
+      const retry = await supabase.rpc("upsert_tracking_session", rpcParams);
+      rpcResult = retry.data;
+      rpcError = retry.error;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  if (rpcError) {
+    if (isNetworkError(rpcError) || isAuthError(rpcError)) return false;
+    console.log("🟡 OUTBOX: queued fix rejected (dropping):", rpcError.message);
+    return true;
+  }
+
+  if (rpcResult?.ok === false) {
+    console.log("🟡 OUTBOX: queued fix rejected by RPC (dropping):", rpcResult?.error);
+  }
+  return true;
+});
+
+// ✅ Background tick hooks: other services (safe-arrival timer, geofences) piggyback on the
+// location task, which keeps running while the app is backgrounded.
+// Listeners receive { location } — the latest fix of the batch, or null.
+const backgroundTickListeners = new Set();
+
+export const addBackgroundTickListener = (fn) => {
+  if (typeof fn !== "function") return () => {};
+  backgroundTickListeners.add(fn);
+  return () => backgroundTickListeners.delete(fn);
+};
+
+const runBackgroundTickListeners = async (location = null) => {
+  for (const fn of backgroundTickListeners) {
+    try {
+      await fn({ location });
+    } catch (e) {
+      console.log("⚠️ TRACKER: background tick listener failed:", e?.message || e);
+    }
+  }
+};
+
 /**
  * 1️⃣ DEFINE THE BACKGROUND TASK
  */
@@ -524,11 +736,19 @@ try {
       console.error("❌ BACKGROUND TASK ERROR:", error);
       return;
     }
+
     const locations = data?.locations;
-    if (!locations || locations.length === 0) return;
+    const latestLocation = locations?.length ? locations[locations.length - 1] : null;
+
+    await runBackgroundTickListeners(latestLocation);
+
+    if (!latestLocation) return;
+
+    for (const loc of locations) updateMotionState(loc);
 
-    const latestLocation = locations[locations.length - 1];
     await handleLocationUpdate(latestLocation);
+
+    await refreshTrackingProfile("location_tick");
   });
 } catch (e) {
   // Ignore re-definition errors during hot reload
@@ -603,24 +823,30 @@ const processUpload = async (location, { isPoorGps, statusOverride = null }) =>
     memoryGroupId = groupId;
   }
 
-  // ✅ Avoid RLS spam if membership isn't ready / not linked
-  const isMember = await ensureMemberOfGroup(user.id, groupId);
-  if (!isMember) {
-    console.log(
-      "🟡 TRACKER: Authenticated but NOT a member of this fleet yet — skipping upload.",
-      `user_id=${user.id} group_id=${groupId}`
-    );
-    return;
-  }
+  // ✅ Offline outbox: when there's no network, skip the network-bound checks below
+  // (they'd only time out) and queue the fix for in-order replay after reconnect.
+  const online = await SOSOutbox.isOnline();
+
+  if (online) {
+    // ✅ Avoid RLS spam if membership isn't ready / not linked
+    const isMember = await ensureMemberOfGroup(user.id, groupId);
+    if (!isMember) {
+      console.log(
+        "🟡 TRACKER: Authenticated but NOT a member of this fleet yet — skipping upload.",
+        `user_id=${user.id} group_id=${groupId}`
+      );
+      return;
+    }
 
-  // ✅ Option B: ensure device is bound/moved to this user+group before we touch tracking_sessions
-  const boundOk = await ensureDeviceBoundToUserAndGroup(user.id, deviceId, groupId);
-  if (!boundOk) {
-    console.log("🟡 TRACKER: Device not bound to user+group yet — will still attempt claim + upload.");
-  }
+    // ✅ Option B: ensure device is bound/moved to this user+group before we touch tracking_sessions
+    const boundOk = await ensureDeviceBoundToUserAndGroup(user.id, deviceId, groupId);
+    if (!boundOk) {
+      console.log("🟡 TRACKER: Device not bound to user+group yet — will still attempt claim + upload.");
+    }
 
-  // ✅ Best-effort claim on the current group (run even if bind failed — claim may succeed independently)
-  await claimTrackingDeviceIfNeeded(deviceId, groupId);
+    // ✅ Best-effort claim on the current group (run even if bind failed — claim may succeed independently)
+    await claimTrackingDeviceIfNeeded(deviceId, groupId);
+  }
 
   const batteryPercent = await safeGetBatteryPercent();
   const coords = location?.coords || {};
@@ -650,10 +876,15 @@ const processUpload = async (location, { isPoorGps, statusOverride = null }) =>
 
   // ✅ PRIVACY RESTORATION: Use statusOverride if provided (e.g., "OFFLINE")
   const sosOn = await isSOSActive();
-  const finalStatus = statusOverride || (sosOn ? "SOS" : "ACTIVE");
+  // Drills keep the row ACTIVE: a drill must never fire notify_fleet_sos / receivers' polls
+  // (not even through a forced "SOS" sync)
+  const drill = sosOn && (await isSOSDrill());
+  const finalStatus =
+    statusOverride === "SOS" && drill ? "ACTIVE" : statusOverride || (sosOn && !drill ? "SOS" : "ACTIVE");
   setIfAllowed(payload, "status", finalStatus);
   setIfAllowed(payload, "last_updated", safeIsoNow());
   setIfAllowed(payload, "gps_accuracy_m", typeof accuracyM === "number" ? Math.round(accuracyM) : lastKnownAccuracyM);
+  setIfAllowed(payload, "sos_trigger", finalStatus === "SOS" ? await getSOSTrigger() : null);
 
   // ✅ Decision tree:
   // 1) If current coords are not poor → use them
@@ -661,6 +892,9 @@ const processUpload = async (location, { isPoorGps, statusOverride = null }) =>
   // 3) Else if SOS is on and we have lastKnownCoords → use them immediately (Phase 5 requirement)
   // 4) Else if SOS is on, try fetching last-known once → use it if found
   // 5) Else: wait
+  // ✅ Breadcrumbs: re-sent cached coords are not a new point on the trail
+  let isFreshFix = true;
+
   if (!isPoorGps && latitude != null && longitude != null) {
     payload.latitude = latitude;
     payload.longitude = longitude;
@@ -673,6 +907,7 @@ const processUpload = async (location, { isPoorGps, statusOverride = null }) =>
     payload.latitude = lastGoodCoords.latitude;
     payload.longitude = lastGoodCoords.longitude;
     setIfAllowed(payload, "gps_quality", "POOR");
+    isFreshFix = false;
   } else if (sosOn && lastKnownCoords) {
     payload.latitude = lastKnownCoords.latitude;
     payload.longitude = lastKnownCoords.longitude;
@@ -713,11 +948,49 @@ const processUpload = async (location, { isPoorGps, statusOverride = null }) =>
       last_updated: payload.last_updated,
       gps_quality: payload.gps_quality,
       gps_accuracy_m: payload.gps_accuracy_m,
+      sos_trigger: payload.sos_trigger ?? null,
       speed: payload.speed,
       heading: payload.heading,
     },
   };
 
+  // ✅ Offline outbox: queue while offline, and always queue BEHIND anything still pending
+  // so an old fix can never overwrite a newer one on replay.
+  const fixTimestamp = Date.parse(payload.last_updated) || Date.now();
+
+  // ✅ Breadcrumbs: every fresh SOS fix becomes a trail point (same values as the live row)
+  const sosSessionId = finalStatus === "SOS" && isFreshFix ? await getSOSSessionId() : null;
+  const breadcrumbParams = sosSessionId
+    ? {
+        p_device_id: deviceId,
+        p_group_id: groupId,
+        p_session_id: sosSessionId,
+        p_point: {
+          latitude: payload.latitude,
+          longitude: payload.longitude,
+          speed: payload.speed ?? null,
+          heading: payload.heading ?? null,
+          gps_accuracy_m: payload.gps_accuracy_m ?? null,
+          gps_quality: payload.gps_quality ?? null,
+          battery_level: batteryPercent,
+          recorded_at: new Date(
+            typeof location?.timestamp === "number" ? location.timestamp : fixTimestamp
+          ).toISOString(),
+        },
+      }
+    : null;
+
+  const queueFix = async () => {
+    await SOSOutbox.enqueue(OUTBOX_KINDS.LOCATION, rpcParams, fixTimestamp);
+    if (breadcrumbParams) await SOSOutbox.enqueue(OUTBOX_KINDS.BREADCRUMB, breadcrumbParams, fixTimestamp);
+  };
+
+  if (!online || (await SOSOutbox.hasPending())) {
+    await queueFix();
+    if (online) SOSOutbox.flush("location_fix");
+    return;
+  }
+
   let { data: rpcResult, error: rpcError } = await supabase.rpc("upsert_tracking_session", rpcParams);
 
   // ✅ If auth token expired (long background session), refresh and retry once
@@ -740,6 +1013,13 @@ const processUpload = async (location, { isPoorGps, statusOverride = null }) =>
     return;
   }
 
+  // ✅ Network dropped mid-upload → queue instead of losing the fix
+  if (rpcError && isNetworkError(rpcError)) {
+    console.log("📮 SYNC: Network error — queuing fix for replay");
+    await queueFix();
+    return;
+  }
+
   if (rpcError) {
     // Fallback: if RPC doesn't exist yet, try direct upsert
     if (rpcError.message?.includes("function") && rpcError.message?.includes("does not exist")) {
@@ -756,6 +1036,15 @@ const processUpload = async (location, { isPoorGps, statusOverride = null }) =>
   }
 
   console.log("✅ SYNC OK");
+
+  if (breadcrumbParams) {
+    const crumb = await appendBreadcrumb(breadcrumbParams);
+    if (!crumb.ok && crumb.retryable) {
+      await SOSOutbox.enqueue(OUTBOX_KINDS.BREADCRUMB, breadcrumbParams, fixTimestamp);
+    } else if (!crumb.ok) {
+      console.log("🟡 BREADCRUMB rejected:", crumb.error?.message || crumb.error);
+    }
+  }
   return;
 
   // Legacy error handling removed - RPC handles all cases now
@@ -790,10 +1079,193 @@ RPCs installed (you confirmed):
   */
 };
 
+/**
+ * 🔀 ADAPTIVE TRACKING PROFILES
+ */
+
+// Motion from the fix's own speed, else from the distance to the previous fix
+const updateMotionState = (location) => {
+  const lat = safeCoord(location?.coords?.latitude);
+  const lng = safeCoord(location?.coords?.longitude);
+  if (lat == null || lng == null) return;
+
+  const at = typeof location?.timestamp === "number" ? location.timestamp : Date.now();
+  let speed = safeCoord(location?.coords?.speed);
+  if (speed == null || speed < 0) {
+    speed = null;
+    if (lastMotionFix && at > lastMotionFix.at) {
+      const meters = haversineMeters(lastMotionFix.latitude, lastMotionFix.longitude, lat, lng);
+      const acc = location?.coords?.accuracy;
+      // Ignore jumps inside the accuracy circle (GPS jitter while still)
+      if (typeof acc !== "number" || meters > acc) speed = meters / ((at - lastMotionFix.at) / 1000);
+    }
+  }
+  lastMotionFix = { latitude: lat, longitude: lng, at };
+
+  if (speed == null) return;
+  if (speed >= MOVING_SPEED_MPS) lastMovingAt = at;
+  if (speed >= TRAVEL_SPEED_MPS) lastTravelAt = at;
+};
+
+/**
+ * Pick the non-pinned profile.
+ * SOS > low battery (PASSIVE) > vehicle speed (TRAVEL) > foreground or walking (ACTIVE) > PASSIVE
+ */
+export const chooseTrackingProfile = ({
+  sosOn = false,
+  foreground = false,
+  batteryPercent = null,
+  charging = false,
+  now = Date.now(),
+} = {}) => {
+  if (sosOn) return "SOS";
+  if (typeof batteryPercent === "number" && batteryPercent <= LOW_BATTERY_PERCENT && !charging) return "PASSIVE";
+  if (now - lastTravelAt < MOTION_HOLD_MS) return "TRAVEL";
+  if (foreground || now - lastMovingAt < MOTION_HOLD_MS) return "ACTIVE";
+  return "PASSIVE";
+};
+
+const loadTrackingState = async () => {
+  if (trackingMode != null) return;
+  try {
+    const [mode, profile] = await Promise.all([
+      AsyncStorage.getItem(STORAGE_KEY_TRACKING_MODE),
+      AsyncStorage.getItem(STORAGE_KEY_TRACKING_PROFILE),
+    ]);
+    trackingMode = mode && (mode === TRACKING_MODE_AUTO || TRACKING_PROFILES[mode]) ? mode : TRACKING_MODE_AUTO;
+    // Background relaunch: remember what the running task was started with
+    if (!activeProfileName && TRACKING_PROFILES[profile]) activeProfileName = profile;
+  } catch (_) {
+    trackingMode = TRACKING_MODE_AUTO;
+  }
+};
+
+const buildLocationTaskOptions = (profileName) => ({
+  ...TRACKING_PROFILES[profileName],
+  showsBackgroundLocationIndicator: true,
+  foregroundService: {
+    notificationTitle: "System Security Active",
+    notificationBody: "SenTihNel is protecting this device.",
+    notificationColor: "#FF0000",
+    killServiceOnTerminate: false,
+  },
+  pausesUpdatesAutomatically: false,
+  mayShowUserSettingsDialog: true,
+});
+
+// Starting an already-running task re-registers it with the new options. Never stop it first:
+// if the start throws, the task keeps running with the profile it had (state is only updated
+// after a successful start).
+const applyTrackingProfile = async (profileName, reason) => {
+  await Location.startLocationUpdatesAsync(BACKGROUND_TASK_NAME, buildLocationTaskOptions(profileName));
+
+  const prev = activeProfileName;
+  activeProfileName = profileName;
+  lastProfileSwitchAt = Date.now();
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_TRACKING_PROFILE, profileName);
+  } catch (_) {}
+
+  // Screen keep-awake only while the SOS lock screen is up
+  try {
+    if (profileName === "SOS") await activateKeepAwakeAsync();
+    else deactivateKeepAwake();
+  } catch (_) {
+    console.log("🟡 KeepAwake not available right now (non-fatal).");
+  }
+
+  console.log(`🔀 TRACKER: profile ${prev || "none"} → ${profileName} (${reason})`);
+};
+
+/**
+ * Re-evaluate the profile and re-register the location task if it changed.
+ * No-op unless the tracker is running, and (Android 12+) while the app is in the background —
+ * the running profile stays until the app is opened again. Never throws.
+ */
+const refreshTrackingProfile = async (reason = "manual", { force = false } = {}) => {
+  if (isRefreshingProfile) return;
+  isRefreshingProfile = true;
+
+  try {
+    if (BLOCKS_BACKGROUND_SERVICE_START && !isForeground) return;
+    if (!(await Location.hasStartedLocationUpdatesAsync(BACKGROUND_TASK_NAME))) return;
+    await loadTrackingState();
+
+    const sosOn = await isSOSActive();
+    let next;
+    if (sosOn) {
+      next = "SOS";
+    } else if (trackingMode !== TRACKING_MODE_AUTO) {
+      next = trackingMode;
+    } else {
+      next = chooseTrackingProfile({
+        sosOn,
+        foreground: isForeground,
+        batteryPercent: await safeGetBatteryPercent(),
+        charging: await safeIsCharging(),
+      });
+    }
+
+    if (next === activeProfileName) return;
+
+    // SOS transitions are immediate; everyday switches are rate-limited
+    const sosTransition = next === "SOS" || activeProfileName === "SOS";
+    if (!force && !sosTransition && Date.now() - lastProfileSwitchAt < PROFILE_SWITCH_MIN_MS) return;
+
+    await applyTrackingProfile(next, reason);
+  } catch (e) {
+    console.log("⚠️ TRACKER: profile refresh failed (non-fatal):", e?.message || e);
+  } finally {
+    isRefreshingProfile = false;
+  }
+};
+
+const startProfileListeners = () => {
+  if (!appStateSubscription) {
+    appStateSubscription = AppState.addEventListener("change", (next) => {
+      const fg = next === "active";
+      if (fg === isForeground) return;
+      isForeground = fg;
+      // Opening the app should show a fresh position right away (and applies any switch
+      // that was held back while in the background)
+      refreshTrackingProfile(fg ? "foreground" : "background", { force: fg }).catch(() => {});
+    });
+  }
+
+  if (!batterySubscriptions.length) {
+    try {
+      batterySubscriptions = [
+        Battery.addBatteryLevelListener(() => refreshTrackingProfile("battery_level").catch(() => {})),
+        Battery.addBatteryStateListener(() => refreshTrackingProfile("battery_state").catch(() => {})),
+      ];
+    } catch (_) {
+      batterySubscriptions = [];
+    }
+  }
+};
+
+const stopProfileListeners = () => {
+  try {
+    appStateSubscription?.remove();
+  } catch (_) {}
+  appStateSubscription = null;
+
+  for (const sub of batterySubscriptions) {
+    try {
+      sub?.remove();
+    } catch (_) {}
+  }
+  batterySubscriptions = [];
+};
+
+// Profile the location task is currently running with (null when stopped)
+export const getActiveTrackingProfile = () => activeProfileName;
+
 /**
  * 4️⃣ START TRACKING
+ * mode: "AUTO" (adaptive) or a TRACKING_PROFILES name to pin it (SOS still overrides).
  */
-export const startLiveTracking = async (_deviceId, mode = "SOS") => {
+export const startLiveTracking = async (_deviceId, mode = TRACKING_MODE_AUTO) => {
   // ✅ Phase 1: ALWAYS use Identity as the source of truth
   const stableId = await safeGetDeviceId();
   if (!stableId) {
@@ -803,12 +1275,6 @@ export const startLiveTracking = async (_deviceId, mode = "SOS") => {
 
   console.log(`🚀 ACTIVATING STEALTH TRACKER: ${stableId}`);
 
-  try {
-    await activateKeepAwakeAsync();
-  } catch (e) {
-    console.log("🟡 KeepAwake not available right now (non-fatal).");
-  }
-
   const fg = await Location.requestForegroundPermissionsAsync();
   await Location.requestBackgroundPermissionsAsync();
 
@@ -841,25 +1307,29 @@ export const startLiveTracking = async (_deviceId, mode = "SOS") => {
   const alreadyRunning = await Location.hasStartedLocationUpdatesAsync(BACKGROUND_TASK_NAME);
   if (alreadyRunning) {
     console.log("⚠️ TRACKER ALREADY RUNNING (Ensuring background task is fresh)");
-    await Location.stopLocationUpdatesAsync(BACKGROUND_TASK_NAME);
   }
 
-  const profile = TRACKING_PROFILES[mode] || TRACKING_PROFILES.SOS;
+  trackingMode = mode === TRACKING_MODE_AUTO || TRACKING_PROFILES[mode] ? mode : TRACKING_MODE_AUTO;
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_TRACKING_MODE, trackingMode);
+  } catch (_) {}
 
-  await Location.startLocationUpdatesAsync(BACKGROUND_TASK_NAME, {
-    ...profile,
-    showsBackgroundLocationIndicator: true,
-    foregroundService: {
-      notificationTitle: "System Security Active",
-      notificationBody: "SenTihNel is protecting this device.",
-      notificationColor: "#FF0000",
-      killServiceOnTerminate: false,
-    },
-    pausesUpdatesAutomatically: false,
-    mayShowUserSettingsDialog: true,
-  });
+  isForeground = AppState.currentState === "active";
+  const sosOn = await isSOSActive();
+  const initial =
+    sosOn ? "SOS" :
+    trackingMode !== TRACKING_MODE_AUTO ? trackingMode :
+    chooseTrackingProfile({
+      foreground: isForeground,
+      batteryPercent: await safeGetBatteryPercent(),
+      charging: await safeIsCharging(),
+    });
+
+  // applyTrackingProfile re-registers the task, so an already-running one is refreshed too
+  await applyTrackingProfile(initial, "start");
+  startProfileListeners();
 
-  console.log("✅ TRACKER STARTED");
+  console.log(`✅ TRACKER STARTED (${trackingMode === TRACKING_MODE_AUTO ? "adaptive" : "pinned"}: ${initial})`);
 };
 
 /**
@@ -870,6 +1340,15 @@ export const stopLiveTracking = async () => {
     deactivateKeepAwake();
   } catch (_) {}
 
+  stopProfileListeners();
+  activeProfileName = null;
+  lastMotionFix = null;
+  lastMovingAt = 0;
+  lastTravelAt = 0;
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY_TRACKING_PROFILE);
+  } catch (_) {}
+
   const isRegistered = await TaskManager.isTaskRegisteredAsync(BACKGROUND_TASK_NAME);
   if (isRegistered) {
     await Location.stopLocationUpdatesAsync(BACKGROUND_TASK_NAME);
@@ -8,6 +8,7 @@ import Constants from "expo-constants";
 import { Platform } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { supabase } from "../lib/supabase";
+import { getAutoTriggerText } from "../utils/sosTriggers";
 
 // Get project ID from app.json/app.config.js (EAS project id)
 const PROJECT_ID = Constants.expoConfig?.extra?.eas?.projectId;
@@ -25,6 +26,9 @@ const PUSH_TOKEN_KEY = "sentinel_push_token";
  */
 const SOS_CHANNEL_ID = "sos_alerts";
 
+// SOS drills: low importance, no sound — must never sound like the real thing
+const DRILL_CHANNEL_ID = "sos_drill";
+
 // ============================================
 // NOTIFICATION HANDLER SETUP
 // ============================================
@@ -44,6 +48,18 @@ Notifications.setNotificationHandler({
   handleNotification: async (notification) => {
     // ✅ FIX: Suppress foreground notification banners for already-acknowledged SOS
     const data = notification?.request?.content?.data;
+
+    // Drills: the in-app banner is enough in the foreground — no sound, no heads-up
+    if (data?.type === "sos_drill" || data?.drill) {
+      return {
+        shouldShowAlert: false,
+        shouldShowBanner: false,
+        shouldShowList: true,
+        shouldPlaySound: false,
+        shouldSetBadge: false,
+      };
+    }
+
     if (data?.type === "sos" && data?.device_id) {
       const mgr = getSOSAlertManager();
       if (mgr?.isSuppressed?.(data.device_id)) {
@@ -98,7 +114,15 @@ async function setupNotificationChannel() {
     sound: "alarm", // ✅ Resource name (android/app/src/main/res/raw/alarm.mp3)
   });
 
-  console.log("NotificationService: Android channel created");
+  await Notifications.setNotificationChannelAsync(DRILL_CHANNEL_ID, {
+    name: "SOS Drills",
+    description: "Silent notices when a fleet member runs an SOS drill",
+    importance: Notifications.AndroidImportance.LOW,
+    sound: null,
+    enableVibrate: false,
+  });
+
+  console.log("NotificationService: Android channels created");
 }
 
 // ============================================
@@ -237,11 +261,17 @@ async function removePushToken(deviceId) {
  * Used when receiving SOS via realtime while app is in foreground/background
  */
 async function showSOSNotification(senderName, sosData = {}) {
+  const duress = sosData?.severity === "duress";
+  const autoText = getAutoTriggerText(sosData?.trigger);
   try {
     await Notifications.scheduleNotificationAsync({
       content: {
-        title: "🚨 SOS ALERT",
-        body: `${senderName || "A fleet member"} needs help!`,
+        title: duress ? "🚨 DURESS ALERT" : "🚨 SOS ALERT",
+        body: duress
+          ? `${senderName || "A fleet member"} was forced to cancel their SOS — they are still in danger. Do not call them.`
+          : autoText
+          ? `${senderName || "A fleet member"}: ${autoText}. They may need help!`
+          : `${senderName || "A fleet member"} needs help!`,
         data: {
           type: "sos",
           ...sosData,
@@ -259,6 +289,31 @@ async function showSOSNotification(senderName, sosData = {}) {
   }
 }
 
+/**
+ * Silent, clearly labelled notice for an SOS drill (no sound, no vibration)
+ */
+async function showDrillNotification(senderName, drillData = {}) {
+  try {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: "🧪 SOS DRILL — not an emergency",
+        body: `${senderName || "A fleet member"} is testing SenTihNel. No action needed.`,
+        data: {
+          ...drillData,
+          type: "sos_drill",
+          drill: true,
+        },
+        sound: false,
+        priority: Notifications.AndroidNotificationPriority.LOW,
+        ...(Platform.OS === "android" ? { channelId: DRILL_CHANNEL_ID } : {}),
+      },
+      trigger: null,
+    });
+  } catch (e) {
+    console.log("NotificationService: Failed to show drill notification", e);
+  }
+}
+
 /**
  * Show SOS cancelled notification
  */
@@ -323,11 +378,13 @@ export const NotificationService = {
   removePushToken,
   showSOSNotification,
   showSOSCancelledNotification,
+  showDrillNotification,
   clearAllNotifications,
   addNotificationReceivedListener,
   addNotificationResponseListener,
   getInitialNotification,
   SOS_CHANNEL_ID,
+  DRILL_CHANNEL_ID,
 };
 
 export default NotificationService;
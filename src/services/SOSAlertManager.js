@@ -14,12 +14,37 @@
 // ✅ FIX: Centralized maybeRaiseAlarm prevents 5-channel stampede
 // ✅ FIX: Resume only restarts alarm for unsuppressed incidents
 // ✅ FIX: Multi-group init no longer spams stopAlarm
+// ✅ Incidents: acknowledge / Live View are also recorded on the sender's sos_incidents
+//    record (audit trail only — still no write to the sender's tracking_sessions row)
+// ✅ Responders: "I'm on my way" claims share the responder's live position + ETA over
+//    the same sos:{groupId} channel (event "sos_responder", see SOSResponders)
+// ✅ Duress: "sos_duress" means the sender was made to "cancel" with their duress PIN —
+//    their phone looks normal but they are still in danger. Re-alarms even if acknowledged.
+// ✅ Receipts: delivered / alarm shown / opened are recorded per receiving device on the
+//    sender's incident, so the sender and the fleet view can see who was actually reached
+// ✅ Escalation: an acknowledgement of OUR SOS stops the escalation chain (SOSEscalation).
+//    Alerts escalated from another fleet are followed through the incident record, since the
+//    sender's tracking row in this fleet never says "SOS".
+// ✅ Drills: a "sos_drill" broadcast never touches the alarm or the active alerts —
+//    it shows a silent test banner and answers with "sos_drill_receipt" (see SOSDrill)
+// ✅ Fleet roles: members whose role can't acknowledge (e.g. a plain work-fleet member) only
+//    silence their own phone — no "sos_acknowledge", so the sender's escalation keeps going
+// ✅ Team routing: an SOS routed to the sender's on-shift team supervisors (route on the
+//    broadcast / routed_to on the incident) is held on everyone else's phone until the
+//    window ends — then it alarms as usual, unless a supervisor acknowledged first.
+//    Only the in-app alarm is held: the server's SOS push still reaches every member.
 
 import { AppState } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { supabase } from "../lib/supabase";
 import AlarmService from "./AlarmService";
 import NotificationService from "./NotificationService";
+import SOSIncidents, { RESPONSE_KIND, RECEIPT_STAGE, INCIDENT_STATUS } from "./SOSIncidents";
+import SOSResponders from "./SOSResponders";
+import SOSDrill, { DRILL_EVENT, DRILL_RECEIPT_EVENT } from "./SOSDrill";
+import SOSEscalation from "./SOSEscalation";
+import FleetRoles from "./FleetRoles";
+import { FLEET_PERMISSIONS } from "../utils/fleetRoles";
 
 // ============================================
 // CONFIGURATION
@@ -28,6 +53,7 @@ import NotificationService from "./NotificationService";
 const ACTIVE_SOS_KEY = "sentinel_active_sos";
 const SUPPRESSED_KEY = "sentinel_suppressed_sos"; // ✅ Persisted suppression
 const MY_DEVICE_ID_KEY = "sentinel_device_id";
+const DEVICE_NAME_KEY = "sentinel_device_display_name";
 
 // Retry config for channel connection
 const MAX_CHANNEL_RETRIES = 5;
@@ -44,6 +70,7 @@ let isInitialized = false;
 let isInitializing = false;
 let currentGroupIds = [];
 let myDeviceId = null;
+let myUserId = null;
 let realtimeChannels = new Map(); // groupId -> channel (broadcast)
 let dbWatchChannels = new Map(); // groupId -> channel (postgres_changes backup)
 let channelRetryTimers = new Map();
@@ -56,6 +83,7 @@ let resolvedPollTimer = null;
 let onSOSReceived = null; // (sosData) => void
 let onSOSCancelled = null; // (deviceId) => void
 let onSOSAcknowledged = null; // (deviceId, byDeviceId) => void
+let onDrillReceived = null; // ({ deviceId, displayName, drillId }) => void
 
 // Track active SOS alerts (truth from sender's DB status)
 let activeSOSAlerts = new Map(); // deviceId -> sosData
@@ -69,6 +97,12 @@ let suppressedIncidents = new Map(); // deviceId -> { suppressedAt, suppressedBy
 let handledIncidents = new Map(); // incidentKey -> timestamp
 const HANDLED_INCIDENT_TTL_MS = 5 * 60 * 1000;
 
+// Delivery receipts already sent: "deviceId:incidentId:stage" (cleared when the SOS ends)
+let sentReceipts = new Set();
+
+// Alerts waiting for the sender's team supervisors (not alarming yet)
+let heldAlerts = new Map(); // deviceId -> { sosData, until, timer }
+
 // ============================================
 // SUPPRESSION PERSISTENCE
 // ============================================
@@ -136,9 +170,11 @@ async function initialize(groupIds, deviceId, callbacks = {}) {
   try {
     currentGroupIds = ids;
     myDeviceId = deviceId || (await AsyncStorage.getItem(MY_DEVICE_ID_KEY));
+    myUserId = await resolveUserId();
     onSOSReceived = callbacks.onSOSReceived || null;
     onSOSCancelled = callbacks.onSOSCancelled || null;
     onSOSAcknowledged = callbacks.onSOSAcknowledged || null;
+    onDrillReceived = callbacks.onDrillReceived || null;
 
     // Cleanup existing subscriptions (but preserve suppression state)
     await cleanup();
@@ -154,6 +190,11 @@ async function initialize(groupIds, deviceId, callbacks = {}) {
       }
     }
 
+    // Our role in each fleet decides whether "acknowledge" is shared (best-effort)
+    for (const gid of ids) {
+      FleetRoles.refresh(gid).catch(() => {});
+    }
+
     // Subscribe to broadcast + DB changes for EACH group
     for (const gid of ids) {
       subscribeToRealtimeChannel(gid);
@@ -202,6 +243,9 @@ async function cleanup() {
 
   await AlarmService.stopAlarm();
 
+  for (const [, held] of heldAlerts) clearTimeout(held.timer);
+  heldAlerts.clear();
+
   handledIncidents.clear();
   // ✅ NOTE: We do NOT clear suppressedIncidents on cleanup.
   // Suppression persists until sender cancels SOS.
@@ -225,8 +269,22 @@ function subscribeToRealtimeChannel(groupId) {
     .on("broadcast", { event: "sos_cancel" }, (payload) => {
       handleSOSCancelBroadcast(payload.payload);
     })
+    .on("broadcast", { event: "sos_duress" }, (payload) => {
+      handleSOSDuressBroadcast(payload.payload);
+    })
     .on("broadcast", { event: "sos_acknowledge" }, (payload) => {
       handleSOSAcknowledgeBroadcast(payload.payload);
+    })
+    .on("broadcast", { event: "sos_responder" }, (payload) => {
+      // Only updates addressed to this device (we are the one in SOS) are kept
+      SOSResponders.handleResponderUpdate(payload.payload, myDeviceId);
+    })
+    .on("broadcast", { event: DRILL_EVENT }, (payload) => {
+      handleDrillBroadcast(payload.payload);
+    })
+    .on("broadcast", { event: DRILL_RECEIPT_EVENT }, (payload) => {
+      // Only receipts for a drill this device is running are kept
+      SOSDrill.handleReceipt(payload.payload, myDeviceId);
     });
 
   channel.subscribe((status) => {
@@ -345,6 +403,8 @@ async function maybeRaiseAlarm(sosData) {
     return false;
   }
 
+  sendReceipt(sosData, RECEIPT_STAGE.DELIVERED);
+
   // ✅ SUPPRESSION CHECK: If receiver already acknowledged this incident, no alarm
   if (isSuppressed(device_id)) {
     console.log("SOSAlertManager: Incident suppressed for", device_id, "- no alarm");
@@ -369,6 +429,16 @@ async function maybeRaiseAlarm(sosData) {
     return false;
   }
 
+  // ✅ Team routing: the sender's on-shift supervisors hear it first
+  if (heldAlerts.has(device_id)) {
+    return false;
+  }
+  const holdUntil = routeHoldUntil(sosData);
+  if (holdUntil) {
+    holdAlert(sosData, holdUntil);
+    return false;
+  }
+
   // Mark as handled
   handledIncidents.set(dedupeKey, Date.now());
   cleanupOldHandledIncidents();
@@ -384,6 +454,7 @@ async function maybeRaiseAlarm(sosData) {
   const appState = AppState.currentState;
   console.log("🚨 SOSAlertManager: Raising alarm for", device_id, "(appState:", appState, ")");
   await AlarmService.startAlarm();
+  sendReceipt(sosData, RECEIPT_STAGE.ALARM_SHOWN);
 
   if (appState !== "active") {
     console.log("SOSAlertManager: App backgrounded - showing notification");
@@ -404,6 +475,60 @@ async function maybeRaiseAlarm(sosData) {
       latitude,
       longitude,
       timestamp,
+      severity: sosData.severity || "normal",
+      trigger: sosData.trigger || null,
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Escalate (or raise) an alert to duress severity. Clears local suppression on purpose:
+ * acknowledging the original SOS must not silence the fact that it was "cancelled" under duress.
+ */
+async function raiseDuressAlarm(sosData) {
+  const { device_id } = sosData;
+  if (!device_id || device_id === myDeviceId) return false;
+
+  const existing = activeSOSAlerts.get(device_id);
+  if (existing?.severity === "duress") return false;
+
+  clearSuppression(device_id);
+  dropHold(device_id);
+
+  const merged = {
+    ...(existing || {}),
+    ...sosData,
+    latitude: sosData.latitude ?? existing?.latitude ?? null,
+    longitude: sosData.longitude ?? existing?.longitude ?? null,
+    severity: "duress",
+    receivedAt: existing?.receivedAt || Date.now(),
+  };
+  activeSOSAlerts.set(device_id, merged);
+  await saveActiveAlerts();
+
+  console.log("🚨 SOSAlertManager: DURESS alarm for", device_id);
+  await AlarmService.startAlarm();
+  sendReceipt(merged, RECEIPT_STAGE.ALARM_SHOWN);
+
+  if (AppState.currentState !== "active") {
+    await NotificationService.showSOSNotification(
+      merged.display_name || `Device ${device_id?.slice(0, 8)}`,
+      merged
+    );
+  }
+
+  startResolvedPoll();
+
+  if (onSOSReceived) {
+    onSOSReceived({
+      deviceId: device_id,
+      displayName: merged.display_name,
+      latitude: merged.latitude,
+      longitude: merged.longitude,
+      timestamp: merged.timestamp,
+      severity: "duress",
     });
   }
 
@@ -415,11 +540,63 @@ async function maybeRaiseAlarm(sosData) {
 // ============================================
 
 async function handleSOSBroadcast(sosData) {
+  // A drill on the alarm event (shouldn't happen) still never sounds the alarm
+  if (sosData?.drill) {
+    await handleDrillBroadcast(sosData);
+    return;
+  }
   console.log("🚨 SOSAlertManager: SOS received from", sosData?.device_id);
   await maybeRaiseAlarm(sosData);
 }
 
+/**
+ * Drill: no alarm, no active alert, no suppression — just a silent labelled banner and a
+ * receipt back to the sender so their report shows who got it.
+ */
+async function handleDrillBroadcast(data) {
+  const { device_id, drill_id, group_id } = data;
+  if (!device_id || !drill_id || device_id === myDeviceId) return;
+
+  const dedupeKey = `drill:${drill_id}`;
+  if (handledIncidents.has(dedupeKey)) return;
+  handledIncidents.set(dedupeKey, Date.now());
+  cleanupOldHandledIncidents();
+
+  const appState = AppState.currentState;
+  console.log("🧪 SOSAlertManager: SOS drill from", device_id, "(appState:", appState, ")");
+
+  if (appState !== "active") {
+    await NotificationService.showDrillNotification(
+      data.display_name || `Device ${device_id.slice(0, 8)}`,
+      data
+    );
+  }
+
+  if (onDrillReceived) {
+    onDrillReceived({ deviceId: device_id, displayName: data.display_name, drillId: drill_id });
+  }
+
+  if (!group_id) return;
+  let myName = null;
+  try {
+    myName = await AsyncStorage.getItem(DEVICE_NAME_KEY);
+  } catch {}
+  await sendOnGroup(group_id, DRILL_RECEIPT_EVENT, {
+    drill_id,
+    sender_device_id: device_id,
+    device_id: myDeviceId,
+    display_name: myName || null,
+    received_at: Date.now(),
+    app_state: appState,
+  });
+}
+
 async function handleSOSStatusChange(row) {
+  // The row doesn't say who hears it first — the incident does (null when unavailable → alarm)
+  const incident = row.group_id && !activeSOSAlerts.has(row.device_id)
+    ? (await SOSIncidents.getOpenIncidentsByDevice([row.group_id]))?.get(row.device_id) || null
+    : null;
+
   await maybeRaiseAlarm({
     device_id: row.device_id,
     display_name: row.display_name,
@@ -427,9 +604,17 @@ async function handleSOSStatusChange(row) {
     longitude: row.longitude,
     timestamp: row.last_updated,
     group_id: row.group_id || null,
+    trigger: row.sos_trigger || null,
+    incident_id: incident?.id || null,
+    route: incidentRoute(incident),
   });
 }
 
+async function handleSOSDuressBroadcast(data) {
+  console.log("🚨 SOSAlertManager: DURESS received from", data?.device_id);
+  if (data?.device_id) await raiseDuressAlarm(data);
+}
+
 /**
  * Handle SOS cancel broadcast (sender cancelled their SOS)
  */
@@ -441,7 +626,12 @@ async function handleSOSCancelBroadcast(data) {
   // ✅ Clear suppression - incident is over, next SOS from same device should alarm
   clearSuppression(device_id);
 
+  // Incident is over — stop sharing our position if we were responding
+  SOSResponders.stopResponding(device_id);
+  clearReceipts(device_id);
+
   // Remove from active alerts
+  dropHold(device_id);
   activeSOSAlerts.delete(device_id);
   await saveActiveAlerts();
 
@@ -472,6 +662,17 @@ async function handleSOSCancelledStatusChange(row) {
 function handleSOSAcknowledgeBroadcast(data) {
   const { device_id, acknowledged_by } = data;
   console.log("SOSAlertManager: SOS acknowledged for", device_id, "by", acknowledged_by);
+
+  // Someone has our SOS — no need to escalate further
+  if (device_id && device_id === myDeviceId) {
+    SOSEscalation.handleAcknowledged({ incidentId: data.incident_id || null }).catch(() => {});
+  }
+
+  // A team supervisor took it inside their window — the rest of the fleet stays quiet
+  if (device_id && heldAlerts.has(device_id)) {
+    markHandledByTeam(device_id).catch(() => {});
+  }
+
   if (onSOSAcknowledged) {
     onSOSAcknowledged(device_id, acknowledged_by);
   }
@@ -491,6 +692,9 @@ function setupAppStateListener() {
     console.log("SOSAlertManager: App state changed to", nextState);
 
     if (nextState === "active") {
+      // Timers don't run reliably in the background — release holds whose window ended
+      await releaseDueHolds();
+
       // Re-check database for SOS status changes we may have missed
       await checkAllGroupsForActiveAlerts(currentGroupIds);
 
@@ -549,7 +753,14 @@ function setupNotificationListeners() {
       console.log("SOSAlertManager: Notification tapped");
       const data = response.notification.request.content.data;
 
-      if (data?.type === "sos" && data?.device_id) {
+      if (data?.type === DRILL_EVENT || data?.drill) {
+        if (onDrillReceived && data.device_id) {
+          onDrillReceived({ deviceId: data.device_id, displayName: data.display_name, drillId: data.drill_id || null });
+        }
+        return;
+      }
+
+      if ((data?.type === "sos" || data?.type === "sos_duress") && data?.device_id) {
         // ✅ FIX: Suppress locally instead of writing to DB
         console.log("SOSAlertManager: User tapped SOS notification - suppressing locally");
         await suppressIncident(data.device_id);
@@ -560,6 +771,8 @@ function setupNotificationListeners() {
             displayName: data.display_name,
             latitude: data.latitude,
             longitude: data.longitude,
+            severity: data.type === "sos_duress" ? "duress" : data.severity || "normal",
+            trigger: data.trigger || null,
             fromNotification: true,
           });
         }
@@ -610,6 +823,9 @@ async function checkAllGroupsForActiveAlerts(groupIds) {
     // Collect all active SOS devices across all groups
     const dbActiveDevices = new Set(); // deviceIds still in SOS in DB
 
+    // ✅ Incident records (null if unavailable → tracking_sessions alone decides)
+    const openIncidents = await SOSIncidents.getOpenIncidentsByDevice(groupIds);
+
     for (const groupId of groupIds) {
       const { data, error } = await supabase
         .from('tracking_sessions_with_name')
@@ -627,17 +843,48 @@ async function checkAllGroupsForActiveAlerts(groupIds) {
           if (row.device_id === myDeviceId) continue;
           dbActiveDevices.add(row.device_id);
 
-          // Add to active alerts if not already there
-          if (!activeSOSAlerts.has(row.device_id)) {
+          const incident = openIncidents?.get(row.device_id) || null;
+
+          // Duress PIN on the sender's side (broadcast missed while we were away)
+          if (incident?.severity === "duress" && activeSOSAlerts.get(row.device_id)?.severity !== "duress") {
+            await raiseDuressAlarm({
+              device_id: row.device_id,
+              display_name: row.display_name || incident.opener_display_name || null,
+              latitude: row.latitude,
+              longitude: row.longitude,
+              timestamp: incident.started_at,
+              group_id: groupId,
+              incident_id: incident.id,
+              incident_started_at: incident.started_at,
+            });
+          } else if (!activeSOSAlerts.has(row.device_id)) {
+            // A team supervisor acknowledged it inside their window while we were away
+            if (incident?.status === INCIDENT_STATUS.ACKNOWLEDGED && incident.routed_to?.length) {
+              await markHandledByTeam(row.device_id);
+            }
+            // Add to active alerts if not already there
             // Use maybeRaiseAlarm (checks suppression + dedup)
+            // Incident start time is stable across polls → better dedupe key than last_updated
             await maybeRaiseAlarm({
               device_id: row.device_id,
-              display_name: row.display_name,
+              display_name: row.display_name || incident?.opener_display_name || null,
               latitude: row.latitude,
               longitude: row.longitude,
-              timestamp: row.last_updated,
+              timestamp: incident?.started_at || row.last_updated,
               group_id: groupId,
+              incident_id: incident?.id || null,
+              incident_started_at: incident?.started_at || null,
+              trigger: incident?.trigger_source || null,
+              route: incidentRoute(incident),
+            });
+          } else if (incident && !activeSOSAlerts.get(row.device_id)?.incident_id) {
+            // Alert came in without an incident id (DB trigger / push) — attach it now
+            activeSOSAlerts.set(row.device_id, {
+              ...activeSOSAlerts.get(row.device_id),
+              incident_id: incident.id,
+              incident_started_at: incident.started_at,
             });
+            await saveActiveAlerts();
           }
         }
       }
@@ -645,11 +892,14 @@ async function checkAllGroupsForActiveAlerts(groupIds) {
 
     // Clear stale alerts: devices that are no longer in SOS in any group
     let removedAny = false;
-    for (const [deviceId] of activeSOSAlerts) {
+    for (const [deviceId, alert] of activeSOSAlerts) {
+      // Escalated alerts have no SOS row in our fleets — the resolved poll follows their incident
+      if (alert?.escalated) continue;
       if (!dbActiveDevices.has(deviceId)) {
         console.log("SOSAlertManager: Clearing stale alert for", deviceId);
         activeSOSAlerts.delete(deviceId);
         clearSuppression(deviceId); // Also clear suppression for resolved incidents
+        clearReceipts(deviceId);
         removedAny = true;
         if (onSOSCancelled) onSOSCancelled(deviceId);
       }
@@ -659,6 +909,10 @@ async function checkAllGroupsForActiveAlerts(groupIds) {
       await saveActiveAlerts();
     }
 
+    for (const [deviceId] of Array.from(heldAlerts)) {
+      if (!dbActiveDevices.has(deviceId)) dropHold(deviceId);
+    }
+
     // ✅ FIX: Single alarm decision AFTER all groups checked
     if (!hasUnsuppressedAlerts()) {
       // No unsuppressed alerts - make sure alarm is off (ONE call, not per-group)
@@ -672,6 +926,83 @@ async function checkAllGroupsForActiveAlerts(groupIds) {
   }
 }
 
+// ============================================
+// TEAM ROUTING (held until the supervisors' window ends)
+// ============================================
+
+async function resolveUserId() {
+  try {
+    const { data } = await supabase.auth.getSession();
+    return data?.session?.user?.id || null;
+  } catch {
+    return null;
+  }
+}
+
+// sos_incidents row → the broadcast's route shape (undefined = no routing)
+function incidentRoute(incident) {
+  if (!incident?.routed_to?.length || !incident.route_until) return undefined;
+  return { user_ids: incident.routed_to, until: incident.route_until };
+}
+
+// Until when this alert waits for the team supervisors (null = alarm now).
+// Unknown user → never hold: an SOS must not go quiet on a guess.
+function routeHoldUntil(sosData) {
+  const route = sosData?.route;
+  const userIds = Array.isArray(route?.user_ids) ? route.user_ids.map(String) : [];
+  const until = typeof route?.until === "number" ? route.until : Date.parse(route?.until);
+  if (!userIds.length || !Number.isFinite(until) || until <= Date.now()) return null;
+  if (!myUserId || userIds.includes(String(myUserId))) return null;
+  return until;
+}
+
+function holdAlert(sosData, until) {
+  const deviceId = sosData.device_id;
+  console.log(
+    "👷 SOSAlertManager: Holding alert for", deviceId,
+    `- team supervisors first (${Math.round((until - Date.now()) / 1000)}s)`
+  );
+  const timer = setTimeout(() => {
+    releaseHold(deviceId).catch(() => {});
+  }, Math.max(0, until - Date.now()));
+  heldAlerts.set(deviceId, { sosData, until, timer });
+}
+
+function dropHold(deviceId) {
+  const held = heldAlerts.get(deviceId);
+  if (!held) return null;
+  clearTimeout(held.timer);
+  heldAlerts.delete(deviceId);
+  return held;
+}
+
+// Window over and no supervisor acknowledged → alarm like any other SOS
+async function releaseHold(deviceId) {
+  const held = dropHold(deviceId);
+  if (!held) return;
+  const { route: _route, ...sosData } = held.sosData;
+  console.log("SOSAlertManager: Supervisor window over for", deviceId, "- alarming");
+  await maybeRaiseAlarm(sosData);
+}
+
+async function releaseDueHolds() {
+  for (const [deviceId, held] of Array.from(heldAlerts)) {
+    if (held.until <= Date.now()) await releaseHold(deviceId);
+  }
+}
+
+// Tracked like an acknowledged alert (suppressed until the sender cancels), never alarmed here
+async function markHandledByTeam(deviceId) {
+  dropHold(deviceId);
+  if (isSuppressed(deviceId)) return;
+  console.log("SOSAlertManager: Team supervisor acknowledged", deviceId, "- no alarm here");
+  suppressedIncidents.set(deviceId, {
+    suppressedAt: Date.now(),
+    suppressedBy: "team_supervisor",
+  });
+  await saveSuppressed();
+}
+
 // ============================================
 // RESOLVED-ALERT POLLING
 // ============================================
@@ -718,8 +1049,20 @@ async function checkForResolvedAlerts(groupId) {
   try {
     if (activeSOSAlerts.size === 0) return;
 
-    const activeDeviceIds = Array.from(activeSOSAlerts.entries())
-      .filter(([, data]) => data.group_id === groupId)
+    const groupAlerts = Array.from(activeSOSAlerts.entries()).filter(([, data]) => data.group_id === groupId);
+
+    // Escalated from the sender's other fleet: resolved when their incident is
+    for (const [deviceId, alertData] of groupAlerts) {
+      if (!alertData?.escalated || !alertData.incident_id) continue;
+      const incident = await SOSIncidents.getIncident(alertData.incident_id);
+      if (incident?.status === INCIDENT_STATUS.RESOLVED) {
+        console.log("SOSAlertManager: Escalated alert resolved for", deviceId);
+        await handleSOSCancelBroadcast({ device_id: deviceId, display_name: alertData.display_name || null });
+      }
+    }
+
+    const activeDeviceIds = groupAlerts
+      .filter(([, data]) => !data?.escalated)
       .map(([deviceId]) => deviceId);
 
     if (activeDeviceIds.length === 0) return;
@@ -776,6 +1119,73 @@ function cleanupOldHandledIncidents() {
 // HELPERS
 // ============================================
 
+/**
+ * ✅ Record acknowledge / respond on the sender's incident (best-effort, non-blocking)
+ */
+function recordIncidentResponse(deviceId, kind) {
+  const alert = activeSOSAlerts.get(deviceId);
+  const groupId = alert?.group_id || (currentGroupIds.length === 1 ? currentGroupIds[0] : null);
+  if (!groupId) return;
+
+  // Acknowledging / responding means the member opened the alert
+  sendReceipt({ ...(alert || {}), device_id: deviceId, group_id: groupId }, RECEIPT_STAGE.OPENED);
+
+  SOSIncidents.recordResponse({
+    incidentId: alert?.incident_id || null,
+    deviceId,
+    groupId,
+    kind,
+    responderDeviceId: myDeviceId,
+  }).catch((e) => {
+    console.log("SOSAlertManager: Incident response not recorded (non-fatal)", e?.message || e);
+  });
+}
+
+/**
+ * ✅ Delivery receipt on the sender's incident — once per stage (best-effort, non-blocking)
+ */
+function sendReceipt(sosData, stage) {
+  const deviceId = sosData?.device_id;
+  if (!deviceId || deviceId === myDeviceId || !myDeviceId || sosData?.drill) return;
+
+  const groupId = sosData.group_id || (currentGroupIds.length === 1 ? currentGroupIds[0] : null);
+  if (!groupId) return;
+
+  const key = `${deviceId}:${sosData.incident_id || ""}:${stage}`;
+  if (sentReceipts.has(key)) return;
+  sentReceipts.add(key);
+
+  SOSIncidents.recordReceipt({
+    incidentId: sosData.incident_id || null,
+    deviceId,
+    groupId,
+    stage,
+    receiverDeviceId: myDeviceId,
+  }).catch((e) => {
+    console.log("SOSAlertManager: Delivery receipt not recorded (non-fatal)", e?.message || e);
+  });
+}
+
+function clearReceipts(deviceId) {
+  for (const key of sentReceipts) {
+    if (key.startsWith(`${deviceId}:`)) sentReceipts.delete(key);
+  }
+}
+
+/**
+ * Broadcast on one fleet's sos:{groupId} channel (best-effort)
+ */
+async function sendOnGroup(groupId, event, payload) {
+  const ch = realtimeChannels.get(groupId);
+  if (!ch) return false;
+  try {
+    const out = await ch.send({ type: "broadcast", event, payload });
+    return !!out && (!out.status || out.status === "ok");
+  } catch {
+    return false;
+  }
+}
+
 /**
  * ✅ Check if there are any active alerts that are NOT suppressed
  */
@@ -816,7 +1226,17 @@ async function suppressIncident(deviceId) {
     stopResolvedPoll();
   }
 
-  // Broadcast acknowledgment to fleet (informational only - no DB write)
+  // Role can't acknowledge → silenced here only; the fleet still waits for someone who can.
+  // Unknown role (never fetched) → acknowledge; the server still checks the record.
+  const alert = activeSOSAlerts.get(deviceId);
+  const groupId = alert?.group_id || (currentGroupIds.length === 1 ? currentGroupIds[0] : null);
+  if (groupId && !FleetRoles.can(groupId, FLEET_PERMISSIONS.ACKNOWLEDGE, true)) {
+    console.log("SOSAlertManager: Role can't acknowledge — silenced locally only");
+    sendReceipt({ ...(alert || {}), device_id: deviceId, group_id: groupId }, RECEIPT_STAGE.OPENED);
+    return;
+  }
+
+  // Broadcast acknowledgment to fleet (informational only - no write to sender's status)
   for (const [, ch] of realtimeChannels) {
     try {
       await ch.send({
@@ -824,12 +1244,16 @@ async function suppressIncident(deviceId) {
         event: "sos_acknowledge",
         payload: {
           device_id: deviceId,
+          incident_id: activeSOSAlerts.get(deviceId)?.incident_id || null,
           acknowledged_by: myDeviceId,
           timestamp: Date.now(),
         },
       });
     } catch {}
   }
+
+  // ✅ Audit: who acknowledged (sos_incident_responses)
+  recordIncidentResponse(deviceId, RESPONSE_KIND.ACKNOWLEDGED);
 }
 
 /**
@@ -842,6 +1266,33 @@ async function acknowledgeAlert(deviceId) {
   await suppressIncident(deviceId);
 }
 
+/**
+ * ✅ "I'm on my way": acknowledge + claim the incident as a responder and share
+ * this device's live position / ETA with the sender until the SOS ends.
+ */
+async function respondToAlert(deviceId) {
+  if (!deviceId) return { ok: false };
+
+  console.log("SOSAlertManager: Responding to alert for", deviceId);
+  await suppressIncident(deviceId);
+
+  const alert = activeSOSAlerts.get(deviceId);
+  const groupId = alert?.group_id || (currentGroupIds.length === 1 ? currentGroupIds[0] : null);
+  if (!groupId) return { ok: false, error: "unknown_group" };
+
+  return SOSResponders.startResponding({
+    deviceId,
+    groupId,
+    incidentId: alert?.incident_id || null,
+    latitude: alert?.latitude ?? null,
+    longitude: alert?.longitude ?? null,
+    myDeviceId,
+    send: (payload) => {
+      sendOnGroup(groupId, "sos_responder", payload);
+    },
+  });
+}
+
 /**
  * Dismiss all alerts (stops alarm, suppresses all, no broadcast)
  */
@@ -885,11 +1336,20 @@ function hasActiveAlerts() {
 }
 
 /**
- * ✅ setEngaged is now an alias for suppressIncident
+ * ✅ setEngaged: suppress + record this user as a responder (Live View opened)
  * Kept for backwards compatibility with fleet.js
  */
 function setEngaged(deviceId) {
-  suppressIncident(deviceId).catch(() => {});
+  suppressIncident(deviceId)
+    .then(() => recordIncidentResponse(deviceId, RESPONSE_KIND.RESPONDED))
+    .catch(() => {});
+}
+
+/**
+ * ✅ sos_incidents.id for a device's active alert (null if unknown)
+ */
+function getIncidentId(deviceId) {
+  return activeSOSAlerts.get(deviceId)?.incident_id || null;
 }
 
 /**
@@ -912,6 +1372,7 @@ async function updateGroup(newGroupIds, deviceId) {
       onSOSReceived,
       onSOSCancelled,
       onSOSAcknowledged,
+      onDrillReceived,
     });
   }
 }
@@ -924,6 +1385,7 @@ export const SOSAlertManager = {
   initialize,
   cleanup,
   acknowledgeAlert,
+  respondToAlert,
   suppressIncident,
   dismissAllAlerts,
   getActiveAlerts,
@@ -934,6 +1396,7 @@ export const SOSAlertManager = {
   updateGroup,
   setEngaged,
   isEngaged,
+  getIncidentId,
 };
 
 export default SOSAlertManager;
@@ -0,0 +1,218 @@
+// 📂 FILE: src/services/SOSDrill.js
+// ✅ SOS drills (test the whole pipeline without alarming anyone)
+//
+// What it does:
+// 1) ✅ Sender: sendBatSignal({ drill: true }) runs the real path — location sync, fleet
+//    broadcast, push function, StealthStreamer + FakeLockScreen — but the broadcast event and
+//    push type are "sos_drill", never "sos", so clients that predate drills ignore them.
+//    The tracking row stays ACTIVE (never "SOS"), so notify_fleet_sos and the receivers'
+//    polls can't turn a drill into a real alarm.
+// 2) ✅ Receivers: SOSAlertManager shows a labelled, silent "SOS DRILL" banner instead of the
+//    siren and answers with a receipt (event "sos_drill_receipt" on sos:{groupId}).
+// 3) ✅ Sender: this module collects those receipts against the fleet roster, so the
+//    post-SOS report can say who actually got it. The last report is kept on the phone.
+//
+// Channel I/O stays in SOSAlertManager (it owns the sos:{groupId} subscriptions) — this
+// module only receives incoming receipt payloads.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import SOSIncidents from "./SOSIncidents";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORAGE_KEY_LAST_REPORT = "sentinel_last_drill_report";
+
+// Broadcast event on sos:{groupId} and push `type` — never "sos"
+export const DRILL_EVENT = "sos_drill";
+export const DRILL_RECEIPT_EVENT = "sos_drill_receipt";
+
+export const DRILL_BROADCAST = {
+  PENDING: "pending",
+  SENT: "sent",
+  FAILED: "failed", // offline / channel down — drills are never queued for later
+};
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let report = null; // { drillId, groupId, deviceId, startedAt, endedAt, broadcast, pushSent, roster, receipts }
+const listeners = new Set();
+
+// ============================================
+// HELPERS
+// ============================================
+
+function notify() {
+  const snapshot = getReport();
+  for (const fn of listeners) {
+    try {
+      fn(snapshot);
+    } catch {}
+  }
+}
+
+async function persist() {
+  try {
+    if (report) await AsyncStorage.setItem(STORAGE_KEY_LAST_REPORT, JSON.stringify(report));
+  } catch {}
+}
+
+// ============================================
+// SENDER SIDE
+// ============================================
+
+/**
+ * A drill just started (called by sendBatSignal before the broadcast goes out).
+ */
+async function beginDrill({ drillId, groupId, deviceId }) {
+  report = {
+    drillId,
+    groupId,
+    deviceId,
+    startedAt: Date.now(),
+    endedAt: null,
+    broadcast: DRILL_BROADCAST.PENDING,
+    pushSent: false,
+    roster: [],
+    receipts: {},
+  };
+  await persist();
+  notify();
+
+  SOSIncidents.getFleetRoster(groupId, deviceId).then((roster) => {
+    if (report?.drillId !== drillId) return;
+    report.roster = roster;
+    persist();
+    notify();
+  });
+}
+
+function markBroadcast(ok) {
+  if (!report) return;
+  report.broadcast = ok ? DRILL_BROADCAST.SENT : DRILL_BROADCAST.FAILED;
+  persist();
+  notify();
+}
+
+function markPushSent() {
+  if (!report) return;
+  report.pushSent = true;
+  persist();
+  notify();
+}
+
+/**
+ * Drill cancelled with the PIN. Receipts that arrive afterwards still count.
+ */
+async function endDrill() {
+  if (!report || report.endedAt) return;
+  report.endedAt = Date.now();
+  await persist();
+  notify();
+}
+
+/**
+ * Incoming "sos_drill_receipt" (from SOSAlertManager) — only receipts for OUR drill count.
+ */
+function handleReceipt(payload, myDeviceId) {
+  if (!report || !payload?.device_id) return;
+  if (payload.drill_id !== report.drillId) return;
+  if (myDeviceId && payload.sender_device_id !== myDeviceId) return;
+  if (report.receipts[payload.device_id]) return;
+
+  report.receipts[payload.device_id] = {
+    displayName: payload.display_name || null,
+    receivedAt: Number.isFinite(payload.received_at) ? payload.received_at : Date.now(),
+    appState: payload.app_state || null,
+  };
+  console.log("🧪 DRILL: receipt from", payload.display_name || payload.device_id);
+  persist();
+  notify();
+}
+
+/**
+ * → { drillId, startedAt, endedAt, broadcast, pushSent, reached, total,
+ *     members: [{ deviceId, displayName, received, receivedAt, appState }] } or null
+ */
+function getReport() {
+  if (!report) return null;
+
+  const members = new Map();
+  for (const m of report.roster) {
+    members.set(m.deviceId, { ...m, received: false, receivedAt: null, appState: null });
+  }
+  for (const [deviceId, r] of Object.entries(report.receipts)) {
+    const known = members.get(deviceId);
+    members.set(deviceId, {
+      deviceId,
+      displayName: r.displayName || known?.displayName || null,
+      received: true,
+      receivedAt: r.receivedAt,
+      appState: r.appState,
+    });
+  }
+
+  const list = Array.from(members.values()).sort(
+    (a, b) => Number(b.received) - Number(a.received) || String(a.displayName).localeCompare(String(b.displayName))
+  );
+
+  return {
+    drillId: report.drillId,
+    startedAt: report.startedAt,
+    endedAt: report.endedAt,
+    broadcast: report.broadcast,
+    pushSent: report.pushSent,
+    reached: list.filter((m) => m.received).length,
+    total: list.length,
+    members: list,
+  };
+}
+
+/**
+ * Last drill's report from storage (e.g. after an app restart mid-drill).
+ */
+async function loadLastReport() {
+  if (report) return getReport();
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_LAST_REPORT);
+    report = raw ? JSON.parse(raw) : null;
+  } catch {
+    report = null;
+  }
+  return getReport();
+}
+
+function subscribe(fn) {
+  if (typeof fn !== "function") return () => {};
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+async function clear() {
+  report = null;
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY_LAST_REPORT);
+  } catch {}
+  notify();
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const SOSDrill = {
+  beginDrill,
+  markBroadcast,
+  markPushSent,
+  endDrill,
+  handleReceipt,
+  getReport,
+  loadLastReport,
+  subscribe,
+  clear,
+};
+
+export default SOSDrill;
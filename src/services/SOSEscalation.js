@@ -0,0 +1,317 @@
+// 📂 FILE: src/services/SOSEscalation.js
+// ✅ Escalation chain when nobody acknowledges an SOS
+//
+// What it does:
+// 1) ✅ Tier 1 — the current fleet (the normal SOS broadcast + push) — starts the clock.
+// 2) ✅ No acknowledgement within the window → tier 2: the user's other fleet(s) (work/family).
+// 3) ✅ Still nothing after another window → tier 3: the user's emergency contacts
+//    (SMS / email / webhook through ContactDelivery).
+// 4) ✅ Every step is recorded on the incident (sos_incident_escalations).
+// 5) ✅ Team routing: when the on-shift supervisors of the sender's team hear it first
+//    ("team_supervisors", recorded server-side by open_sos_incident), the clock starts
+//    when their window ends and the whole fleet is alarmed.
+//
+// "Acknowledged" = a "sos_acknowledge" broadcast for this device (SOSAlertManager forwards it)
+// or the incident record no longer "open" (ack / respond recorded server-side).
+// The tier actions live in BatSignal (registerTierHandler), like the SOSOutbox handlers.
+// Survives restarts: the chain is persisted and re-checked on resume, by an in-process timer
+// and on every background location tick.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { addBackgroundTickListener, getSOSSessionId } from "./LiveTracker";
+import SOSIncidents, { INCIDENT_STATUS } from "./SOSIncidents";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORAGE_KEY_CONFIG = "sentinel_escalation_config";
+const STORAGE_KEY_STATE = "sentinel_sos_escalation";
+
+export const ESCALATION_TIER = {
+  TEAM_SUPERVISORS: "team_supervisors", // before tier 1, only when routed (not in TIER_ORDER)
+  FLEET: "fleet",
+  OTHER_FLEETS: "other_fleets",
+  CONTACTS: "emergency_contacts",
+};
+
+// Tier n runs n windows after the SOS
+const TIER_ORDER = [ESCALATION_TIER.FLEET, ESCALATION_TIER.OTHER_FLEETS, ESCALATION_TIER.CONTACTS];
+
+export const ESCALATION_WINDOW_OPTIONS_MIN = [1, 2, 5, 10];
+
+const DEFAULT_CONFIG = { enabled: true, windowMinutes: 2 };
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let config = null; // { enabled, windowMinutes }
+let chain = null; // { incidentId, ctx, startedAt, windowMs, nextTier, escalatedGroupIds }
+let loaded = false;
+let tickTimeout = null;
+let isEvaluating = false;
+const tierHandlers = new Map(); // tier -> async (ctx, { announce }) => { ok, detail, groupIds? }
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function loadConfig() {
+  if (config) return config;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_CONFIG);
+    const parsed = raw ? JSON.parse(raw) : null;
+    config = {
+      enabled: parsed?.enabled !== false,
+      windowMinutes: ESCALATION_WINDOW_OPTIONS_MIN.includes(parsed?.windowMinutes)
+        ? parsed.windowMinutes
+        : DEFAULT_CONFIG.windowMinutes,
+    };
+  } catch {
+    config = { ...DEFAULT_CONFIG };
+  }
+  return config;
+}
+
+async function loadChain() {
+  if (loaded) return chain;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_STATE);
+    const parsed = raw ? JSON.parse(raw) : null;
+    chain = parsed?.incidentId && Number.isFinite(parsed.startedAt) ? parsed : null;
+  } catch {
+    chain = null;
+  }
+  loaded = true;
+  return chain;
+}
+
+async function persistChain() {
+  try {
+    if (chain) await AsyncStorage.setItem(STORAGE_KEY_STATE, JSON.stringify(chain));
+    else await AsyncStorage.removeItem(STORAGE_KEY_STATE);
+  } catch {}
+}
+
+function recordStep(incidentId, tier, { ok, detail = null, groupIds = null }, at = Date.now()) {
+  SOSIncidents.recordEscalationStep({ incidentId, tier, ok: !!ok, detail, at, targetGroupIds: groupIds }).catch(() => {});
+}
+
+/**
+ * In-process timer for the next tier (only while the JS runtime is alive —
+ * background ticks and resume cover the rest).
+ */
+function scheduleTick() {
+  if (tickTimeout) {
+    clearTimeout(tickTimeout);
+    tickTimeout = null;
+  }
+  if (!chain || chain.nextTier >= TIER_ORDER.length) return;
+
+  const dueAt = chain.startedAt + chain.windowMs * chain.nextTier;
+  const delay = Math.max(0, Math.min(dueAt - Date.now(), 2 ** 31 - 1));
+  tickTimeout = setTimeout(() => {
+    tickTimeout = null;
+    evaluate("timer");
+  }, delay);
+}
+
+async function endChain(reason) {
+  if (tickTimeout) {
+    clearTimeout(tickTimeout);
+    tickTimeout = null;
+  }
+  if (chain) console.log("🟢 ESCALATION: chain ended:", reason);
+  chain = null;
+  await persistChain();
+}
+
+// Acknowledged server-side (ack / respond recorded, or resolved)? null = unknown (offline)
+async function isAcknowledged(incidentId) {
+  const incident = await SOSIncidents.getIncident(incidentId);
+  if (!incident) return null;
+  return incident.status !== INCIDENT_STATUS.OPEN;
+}
+
+async function evaluate(reason = "manual") {
+  if (isEvaluating) return;
+  isEvaluating = true;
+  try {
+    await loadChain();
+    if (!chain) return;
+
+    // The SOS this chain belongs to is over (or a new one started)
+    if ((await getSOSSessionId()) !== chain.incidentId) {
+      await endChain("sos_ended");
+      return;
+    }
+
+    while (chain && chain.nextTier < TIER_ORDER.length) {
+      const dueAt = chain.startedAt + chain.windowMs * chain.nextTier;
+      if (Date.now() < dueAt) break;
+
+      if (await isAcknowledged(chain.incidentId)) {
+        await endChain("acknowledged");
+        return;
+      }
+
+      const tier = TIER_ORDER[chain.nextTier];
+      console.log(`🚨 ESCALATION (${reason}): nobody acknowledged — escalating to`, tier);
+
+      const handler = tierHandlers.get(tier);
+      const incidentId = chain.incidentId;
+      // Fleets are put on the record before they are alerted, so their members can acknowledge
+      const announce = (groupIds) =>
+        SOSIncidents.recordEscalationStep({ incidentId, tier, ok: false, at: Date.now(), targetGroupIds: groupIds }).catch(() => {});
+      let res;
+      try {
+        res = handler ? (await handler({ ...chain.ctx, incidentId }, { announce })) || {} : { ok: false, detail: "no_handler" };
+      } catch (e) {
+        res = { ok: false, detail: String(e?.message || e).slice(0, 120) };
+      }
+
+      if (!chain) return; // acknowledged / cancelled while the tier ran
+      recordStep(chain.incidentId, tier, res);
+      if (Array.isArray(res.groupIds)) {
+        chain.escalatedGroupIds = Array.from(new Set([...(chain.escalatedGroupIds || []), ...res.groupIds]));
+      }
+      chain.nextTier += 1;
+      await persistChain();
+    }
+
+    scheduleTick();
+  } finally {
+    isEvaluating = false;
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * BatSignal registers what each tier actually does:
+ * handler({ incidentId, ...ctx }, { announce(groupIds) }) → { ok, detail, groupIds? }
+ */
+function registerTierHandler(tier, handler) {
+  if (typeof handler === "function") tierHandlers.set(tier, handler);
+}
+
+/**
+ * SOS just went out to the current fleet (tier 1). Starts the clock unless escalation is off.
+ * ctx: { deviceId, groupId, displayName, link, trigger, fleetNotified, routeUntil? }
+ */
+async function start(incidentId, ctx = {}) {
+  if (!incidentId) return false;
+  await loadChain();
+  if (chain?.incidentId === incidentId) return true; // already running (duress re-send)
+
+  const c = await loadConfig();
+  if (!c.enabled) {
+    await endChain("disabled");
+    return false;
+  }
+
+  const { fleetNotified, routeUntil, ...rest } = ctx;
+  chain = {
+    incidentId,
+    ctx: rest,
+    startedAt: Math.max(Date.now(), Number.isFinite(routeUntil) ? routeUntil : 0),
+    windowMs: c.windowMinutes * 60_000,
+    nextTier: 1,
+    escalatedGroupIds: [],
+  };
+  await persistChain();
+
+  recordStep(incidentId, ESCALATION_TIER.FLEET, {
+    ok: !!fleetNotified,
+    detail: fleetNotified ? null : "queued_offline",
+  });
+  console.log(`⏱️ ESCALATION: armed — next tier in ${c.windowMinutes} min without an acknowledgement`);
+  scheduleTick();
+  return true;
+}
+
+/**
+ * Someone acknowledged our SOS ("sos_acknowledge" for this device, via SOSAlertManager).
+ */
+async function handleAcknowledged({ incidentId = null } = {}) {
+  await loadChain();
+  if (!chain) return;
+  if (incidentId && incidentId !== chain.incidentId) return;
+  await endChain("acknowledged");
+}
+
+/**
+ * SOS cancelled → stop. Returns the fleets the SOS was escalated to (they need the cancel too).
+ */
+async function stop() {
+  await loadChain();
+  const groupIds = chain?.escalatedGroupIds || [];
+  await endChain("cancelled");
+  return groupIds;
+}
+
+async function getEscalatedGroupIds() {
+  await loadChain();
+  return chain?.escalatedGroupIds ? [...chain.escalatedGroupIds] : [];
+}
+
+/**
+ * Call on app start — restores the in-process timer and catches up on missed tiers.
+ */
+async function resume() {
+  await loadChain();
+  if (chain) await evaluate("resume");
+}
+
+/**
+ * → { enabled, windowMinutes }
+ */
+async function getConfig() {
+  return { ...(await loadConfig()) };
+}
+
+async function saveConfig({ enabled, windowMinutes }) {
+  const c = await loadConfig();
+  config = {
+    enabled: enabled === undefined ? c.enabled : !!enabled,
+    windowMinutes: ESCALATION_WINDOW_OPTIONS_MIN.includes(windowMinutes) ? windowMinutes : c.windowMinutes,
+  };
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_CONFIG, JSON.stringify(config));
+  } catch {}
+  return { ...config };
+}
+
+/**
+ * Drop any running chain without a signal (logout).
+ */
+async function reset() {
+  await endChain("reset");
+}
+
+// ============================================
+// BACKGROUND HOOKS
+// ============================================
+
+addBackgroundTickListener(() => evaluate("location_task"));
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const SOSEscalation = {
+  registerTierHandler,
+  start,
+  handleAcknowledged,
+  stop,
+  getEscalatedGroupIds,
+  resume,
+  getConfig,
+  saveConfig,
+  reset,
+};
+
+export default SOSEscalation;
@@ -0,0 +1,447 @@
+// 📂 FILE: src/services/SOSIncidents.js
+// ✅ SOS incident records (opened → acknowledged → resolved)
+//
+// What it does:
+// 1) ✅ Sender: BatSignal opens the incident on SOS (with what raised it) and resolves it on cancel
+//    (a duress PIN escalates it to severity "duress" instead — it stays open).
+//    The incident id IS the SOS session id (LiveTracker), so it also keys the breadcrumb trail.
+// 2) ✅ Receivers: SOSAlertManager records "acknowledged" (overlay ack / notification tap)
+//    and "responded" (Live View opened) entries — never touching the sender's tracking row.
+// 3) ✅ Offline: every write goes through the SOS outbox so it replays in order after reconnect.
+// 4) ✅ Reads: get_sos_incident (audit record + responders) and get_open_sos_incidents.
+// 5) ✅ Escalation chain: each tier the SOS was escalated to (SOSEscalation) is a step on the record.
+// 6) ✅ Delivery receipts: each receiver records delivered → alarm shown → opened, so the
+//    sender's report and the fleet view can say per member who got it and who was not reached.
+// 7) ✅ Team routing: opening the incident returns who hears it first (on-shift supervisors of
+//    the sender's team) and until when — BatSignal puts that on the broadcast.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "../lib/supabase";
+import SOSOutbox, { OUTBOX_KINDS, isNetworkError } from "./SOSOutbox";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORAGE_KEY_LAST_INCIDENT = "sentinel_last_sos_incident_id";
+const STORAGE_KEY_DEVICE_NAME = "sentinel_device_display_name";
+
+const RPC_OPEN = "open_sos_incident";
+const RPC_RESPOND = "record_sos_incident_response";
+const RPC_RECEIPT = "record_sos_receipt";
+const RPC_RESOLVE = "resolve_sos_incident";
+const RPC_ESCALATE = "escalate_sos_incident";
+const RPC_ESCALATION_STEP = "record_sos_escalation";
+const RPC_GET = "get_sos_incident";
+const RPC_GET_OPEN = "get_open_sos_incidents";
+
+// Never let an incident write hold up SOS / cancel
+const RPC_TIMEOUT_MS = 4000;
+
+export const INCIDENT_STATUS = {
+  OPEN: "open",
+  ACKNOWLEDGED: "acknowledged",
+  RESOLVED: "resolved",
+};
+
+export const INCIDENT_SEVERITY = {
+  NORMAL: "normal",
+  DURESS: "duress",
+};
+
+export const RESPONSE_KIND = {
+  ACKNOWLEDGED: "acknowledged",
+  RESPONDED: "responded",
+};
+
+// In order — a later stage implies the earlier ones
+export const RECEIPT_STAGE = {
+  DELIVERED: "delivered", // the app got the alert (broadcast, DB watch or poll)
+  ALARM_SHOWN: "alarm_shown", // siren + overlay / notification raised
+  OPENED: "opened", // member acknowledged, responded or opened Live View
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function withTimeout(promise, timeoutMs, label = "timeout") {
+  let t;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error(label)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function toIso(ms) {
+  return new Date(Number.isFinite(ms) ? ms : Date.now()).toISOString();
+}
+
+/**
+ * Run an incident RPC → { ok, retryable, data, error }
+ */
+async function callRpc(fnName, params) {
+  try {
+    const { data, error } = await withTimeout(supabase.rpc(fnName, params), RPC_TIMEOUT_MS, `${fnName}_timeout`);
+    if (error) return { ok: false, retryable: isNetworkError(error), error };
+    if (data?.ok === false) return { ok: false, retryable: false, error: data?.error, data };
+    return { ok: true, data };
+  } catch (e) {
+    return { ok: false, retryable: true, error: e };
+  }
+}
+
+/**
+ * Send live when possible, otherwise (offline / backlog / network failure) queue it.
+ * Non-retryable rejections are logged and dropped.
+ */
+async function sendOrQueue(kind, fnName, params, timestamp, label) {
+  const online = await SOSOutbox.isOnline();
+  if (!online || (await SOSOutbox.hasPending({ alertsOnly: true }))) {
+    await SOSOutbox.enqueue(kind, { fnName, params }, timestamp);
+    if (online) SOSOutbox.flush(label);
+    return { ok: true, queued: true };
+  }
+
+  const res = await callRpc(fnName, params);
+  if (!res.ok && res.retryable) {
+    await SOSOutbox.enqueue(kind, { fnName, params }, timestamp);
+    return { ok: true, queued: true };
+  }
+  if (!res.ok) {
+    console.log(`🟡 INCIDENT: ${label} rejected:`, res.error?.message || res.error);
+  }
+  return res;
+}
+
+async function replayQueued(entry) {
+  const { fnName, params } = entry?.data || {};
+  if (!fnName || !params) return true; // malformed → drop
+
+  const res = await callRpc(fnName, params);
+  if (!res.ok && !res.retryable) {
+    console.log(`🟡 OUTBOX: queued ${fnName} rejected (dropping):`, res.error?.message || res.error);
+  }
+  return res.ok || !res.retryable;
+}
+
+SOSOutbox.registerHandler(OUTBOX_KINDS.INCIDENT_OPEN, replayQueued);
+SOSOutbox.registerHandler(OUTBOX_KINDS.INCIDENT_RESPONSE, replayQueued);
+SOSOutbox.registerHandler(OUTBOX_KINDS.INCIDENT_RESOLVE, replayQueued);
+SOSOutbox.registerHandler(OUTBOX_KINDS.INCIDENT_ESCALATE, replayQueued);
+SOSOutbox.registerHandler(OUTBOX_KINDS.INCIDENT_ESCALATION_STEP, replayQueued);
+
+// ============================================
+// SENDER SIDE
+// ============================================
+
+function parseRoute(route) {
+  const userIds = Array.isArray(route?.user_ids) ? route.user_ids.filter(Boolean).map(String) : [];
+  const until = route?.until ? Date.parse(route.until) : NaN;
+  if (!userIds.length || !Number.isFinite(until)) return null;
+  return { userIds, until, teamName: route.team_name || null };
+}
+
+/**
+ * Open the incident for an SOS session (idempotent server-side).
+ * → { ok, queued?, route } — route is { userIds, until, teamName } when the sender's team
+ *   supervisors hear it first, null otherwise (or when the open was queued).
+ */
+async function openIncident({ incidentId, deviceId, groupId, displayName, startedAt, trigger = null, triggerDetail = null }) {
+  if (!incidentId || !deviceId || !groupId) return { ok: false };
+
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_LAST_INCIDENT, incidentId);
+  } catch {}
+
+  const res = await sendOrQueue(
+    OUTBOX_KINDS.INCIDENT_OPEN,
+    RPC_OPEN,
+    {
+      p_incident_id: incidentId,
+      p_device_id: deviceId,
+      p_group_id: groupId,
+      p_display_name: displayName || null,
+      p_started_at: toIso(startedAt),
+      p_trigger: trigger || null,
+      p_trigger_detail: triggerDetail || null,
+    },
+    startedAt,
+    "incident_open"
+  );
+
+  if (res.ok) console.log(`📋 INCIDENT: opened ${incidentId}${res.queued ? " (queued)" : ""}`);
+  return { ...res, route: res.ok ? parseRoute(res.data?.route) : null };
+}
+
+/**
+ * Close the incident (SOS cancelled). A note can be added later via addResolutionNote.
+ */
+async function resolveIncident({ incidentId, endedAt, note = null }) {
+  if (!incidentId) return { ok: false };
+
+  const res = await sendOrQueue(
+    OUTBOX_KINDS.INCIDENT_RESOLVE,
+    RPC_RESOLVE,
+    {
+      p_incident_id: incidentId,
+      p_ended_at: toIso(endedAt),
+      p_note: note,
+    },
+    endedAt,
+    "incident_resolve"
+  );
+
+  if (res.ok) console.log(`📋 INCIDENT: resolved ${incidentId}${res.queued ? " (queued)" : ""}`);
+  return res;
+}
+
+/**
+ * Duress PIN entered: mark the incident severity "duress" (stays open).
+ */
+async function escalateIncident({ incidentId, at }) {
+  if (!incidentId) return { ok: false };
+
+  const res = await sendOrQueue(
+    OUTBOX_KINDS.INCIDENT_ESCALATE,
+    RPC_ESCALATE,
+    {
+      p_incident_id: incidentId,
+      p_at: toIso(at),
+    },
+    at,
+    "incident_escalate"
+  );
+
+  if (res.ok) console.log(`📋 INCIDENT: escalated ${incidentId} (duress)${res.queued ? " (queued)" : ""}`);
+  return res;
+}
+
+/**
+ * Nobody acknowledged in time: record an escalation tier (fleet / other_fleets / emergency_contacts).
+ */
+async function recordEscalationStep({ incidentId, tier, ok, detail = null, at, targetGroupIds = null }) {
+  if (!incidentId || !tier) return { ok: false };
+
+  const res = await sendOrQueue(
+    OUTBOX_KINDS.INCIDENT_ESCALATION_STEP,
+    RPC_ESCALATION_STEP,
+    {
+      p_incident_id: incidentId,
+      p_tier: tier,
+      p_ok: !!ok,
+      p_detail: detail ? String(detail).slice(0, 120) : null,
+      p_at: toIso(at),
+      p_target_group_ids: Array.isArray(targetGroupIds) && targetGroupIds.length ? targetGroupIds : null,
+    },
+    at,
+    "incident_escalation_step"
+  );
+
+  if (res.ok) console.log(`📋 INCIDENT: escalation step ${tier} on ${incidentId}${res.queued ? " (queued)" : ""}`);
+  return res;
+}
+
+/**
+ * Attach the sender's resolution note (post-SOS report). ended_at is kept as-is.
+ */
+async function addResolutionNote(incidentId, note) {
+  const trimmed = String(note || "").trim();
+  if (!incidentId || !trimmed) return { ok: false };
+  return resolveIncident({ incidentId, endedAt: Date.now(), note: trimmed });
+}
+
+async function getLastIncidentId() {
+  try {
+    return (await AsyncStorage.getItem(STORAGE_KEY_LAST_INCIDENT)) || null;
+  } catch {
+    return null;
+  }
+}
+
+// ============================================
+// RECEIVER SIDE
+// ============================================
+
+/**
+ * Record that this user acknowledged / responded to an incident.
+ * incidentId may be null (sender on an older build) → server uses the open incident for the device.
+ */
+async function recordResponse({ incidentId, deviceId, groupId, kind, responderDeviceId }) {
+  if (!deviceId || !groupId) return { ok: false };
+  if (kind !== RESPONSE_KIND.ACKNOWLEDGED && kind !== RESPONSE_KIND.RESPONDED) return { ok: false };
+
+  let displayName = null;
+  try {
+    displayName = (await AsyncStorage.getItem(STORAGE_KEY_DEVICE_NAME)) || null;
+  } catch {}
+
+  const at = Date.now();
+  return sendOrQueue(
+    OUTBOX_KINDS.INCIDENT_RESPONSE,
+    RPC_RESPOND,
+    {
+      p_incident_id: incidentId || null,
+      p_device_id: deviceId,
+      p_group_id: groupId,
+      p_kind: kind,
+      p_display_name: displayName,
+      p_responder_device_id: responderDeviceId || null,
+      p_at: toIso(at),
+    },
+    at,
+    `incident_${kind}`
+  );
+}
+
+/**
+ * Delivery receipt for an incident this device received (one row per receiving device).
+ * incidentId may be null (sender on an older build) → server uses the open incident for the device.
+ */
+async function recordReceipt({ incidentId, deviceId, groupId, stage, receiverDeviceId }) {
+  if (!deviceId || !groupId || !receiverDeviceId) return { ok: false };
+  if (!Object.values(RECEIPT_STAGE).includes(stage)) return { ok: false };
+
+  let displayName = null;
+  try {
+    displayName = (await AsyncStorage.getItem(STORAGE_KEY_DEVICE_NAME)) || null;
+  } catch {}
+
+  const at = Date.now();
+  return sendOrQueue(
+    OUTBOX_KINDS.INCIDENT_RESPONSE,
+    RPC_RECEIPT,
+    {
+      p_incident_id: incidentId || null,
+      p_device_id: deviceId,
+      p_group_id: groupId,
+      p_stage: stage,
+      p_receiver_device_id: receiverDeviceId,
+      p_display_name: displayName,
+      p_at: toIso(at),
+    },
+    at,
+    `receipt_${stage}`
+  );
+}
+
+// ============================================
+// READS
+// ============================================
+
+/**
+ * Full incident record: { id, status, started_at, ended_at, opener_display_name, trigger_source,
+ * trigger_detail, resolution_note, responses: [{ display_name, kind, created_at }],
+ * receipts: [...], escalations: [{ tier, ok, detail, created_at }] } or null.
+ */
+async function getIncident(incidentId) {
+  if (!incidentId) return null;
+  const res = await callRpc(RPC_GET, { p_incident_id: incidentId });
+  if (!res.ok) {
+    console.log("🟡 INCIDENT: fetch failed:", res.error?.message || res.error);
+    return null;
+  }
+  return res.data || null;
+}
+
+/**
+ * Per-member delivery from an incident's receipts against the fleet roster
+ * ([{ deviceId, displayName }], sender excluded). Members without a receipt were not reached.
+ * → [{ deviceId, displayName, stage (RECEIPT_STAGE | null), at }] — furthest along first.
+ */
+function buildDeliveryList(receipts, roster = []) {
+  const members = new Map();
+  for (const m of Array.isArray(roster) ? roster : []) {
+    if (m?.deviceId) members.set(m.deviceId, { deviceId: m.deviceId, displayName: m.displayName || null, stage: null, at: null });
+  }
+
+  for (const r of Array.isArray(receipts) ? receipts : []) {
+    if (!r?.device_id) continue;
+    const stage = r.opened_at
+      ? RECEIPT_STAGE.OPENED
+      : r.alarm_shown_at
+      ? RECEIPT_STAGE.ALARM_SHOWN
+      : RECEIPT_STAGE.DELIVERED;
+    const known = members.get(r.device_id);
+    members.set(r.device_id, {
+      deviceId: r.device_id,
+      displayName: known?.displayName || r.display_name || null,
+      stage,
+      at: r.opened_at || r.alarm_shown_at || r.delivered_at || null,
+    });
+  }
+
+  const rank = { [RECEIPT_STAGE.OPENED]: 3, [RECEIPT_STAGE.ALARM_SHOWN]: 2, [RECEIPT_STAGE.DELIVERED]: 1 };
+  return Array.from(members.values()).sort(
+    (a, b) => (rank[b.stage] || 0) - (rank[a.stage] || 0) || String(a.displayName).localeCompare(String(b.displayName))
+  );
+}
+
+/**
+ * Everyone else in a fleet (for "not reached") → [{ deviceId, displayName }]
+ */
+async function getFleetRoster(groupId, excludeDeviceId = null) {
+  if (!groupId) return [];
+  try {
+    const { data, error } = await withTimeout(
+      supabase
+        .from("tracking_sessions_with_name")
+        .select("device_id, display_name")
+        .eq("group_id", groupId),
+      RPC_TIMEOUT_MS,
+      "fleet_roster_timeout"
+    );
+    if (error) return [];
+    return (data || [])
+      .filter((row) => row?.device_id && row.device_id !== excludeDeviceId)
+      .map((row) => ({ deviceId: row.device_id, displayName: row.display_name || null }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Unresolved incidents across the given fleets → Map(device_id → incident)
+ * Returns null when the lookup failed (callers fall back to tracking_sessions only).
+ */
+async function getOpenIncidentsByDevice(groupIds) {
+  const ids = (Array.isArray(groupIds) ? groupIds : [groupIds]).filter(Boolean);
+  if (ids.length === 0) return new Map();
+
+  const res = await callRpc(RPC_GET_OPEN, { p_group_ids: ids });
+  if (!res.ok) return null;
+
+  const byDevice = new Map();
+  for (const row of Array.isArray(res.data) ? res.data : []) {
+    // Newest first from the RPC — keep the first per device
+    if (row?.device_id && !byDevice.has(row.device_id)) byDevice.set(row.device_id, row);
+  }
+  return byDevice;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const SOSIncidents = {
+  openIncident,
+  resolveIncident,
+  escalateIncident,
+  recordEscalationStep,
+  addResolutionNote,
+  getLastIncidentId,
+  recordResponse,
+  recordReceipt,
+  getIncident,
+  getOpenIncidentsByDevice,
+  buildDeliveryList,
+  getFleetRoster,
+};
+
+export default SOSIncidents;
@@ -0,0 +1,400 @@
+// 📂 FILE: src/services/SOSOutbox.js
+// ✅ Offline SOS outbox (guaranteed delivery after reconnect)
+//
+// What it does:
+// 1) ✅ Persists every SOS activation, location fix, check-in and cancel that could not be
+//    delivered (no network / realtime not reachable) to AsyncStorage, so it survives restarts.
+// 2) ✅ Replays entries IN ORDER with their ORIGINAL timestamps once NetInfo reports
+//    connectivity again (plus a backoff timer for "connected but unreachable" cases).
+//    Alert entries (SOS / cancel / duress / incident / contact alerts) go first, in order among
+//    themselves — a new SOS never waits behind a dead zone's worth of location fixes.
+// 3) ✅ Location fixes are coalesced: only the newest queued fix per device + fleet is kept
+//    (the replay is an upsert of the live position, so older fixes would be overwritten anyway).
+// 4) ✅ Delivery logic stays with the owning module: BatSignal registers sos/check_in/cancel/duress/
+//    battery_critical handlers, LiveTracker registers the location + breadcrumb handlers, SOSIncidents the
+//    incident_* handlers, ContactDelivery the contact_alert handler (avoids a circular import).
+//
+// Handler contract: async (entry) => true (delivered → drop) | false (keep + stop, retry later)
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+
+const STORAGE_KEY_OUTBOX = "sentinel_sos_outbox";
+
+// Hard cap so a long dead-zone session can't grow storage forever.
+// When full, the OLDEST location fixes are dropped first, then the oldest breadcrumbs
+// (SOS/cancel/duress/check-in/battery-critical are never dropped).
+const MAX_ENTRIES = 500;
+
+// Retry backoff while entries are pending (covers "online but Supabase unreachable")
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 60000;
+
+export const OUTBOX_KINDS = {
+  SOS: "sos",
+  LOCATION: "location",
+  BREADCRUMB: "breadcrumb",
+  CHECK_IN: "check_in",
+  CANCEL: "cancel",
+  DURESS: "duress",
+  BATTERY_CRITICAL: "battery_critical",
+  INCIDENT_OPEN: "incident_open",
+  INCIDENT_RESPONSE: "incident_response",
+  INCIDENT_RESOLVE: "incident_resolve",
+  INCIDENT_ESCALATE: "incident_escalate",
+  INCIDENT_ESCALATION_STEP: "incident_escalation_step",
+  CONTACT_ALERT: "contact_alert",
+};
+
+// Replayed ahead of everything else (order is only kept among these)
+const ALERT_KINDS = new Set([
+  OUTBOX_KINDS.SOS,
+  OUTBOX_KINDS.CANCEL,
+  OUTBOX_KINDS.DURESS,
+  OUTBOX_KINDS.INCIDENT_OPEN,
+  OUTBOX_KINDS.INCIDENT_RESPONSE,
+  OUTBOX_KINDS.INCIDENT_RESOLVE,
+  OUTBOX_KINDS.INCIDENT_ESCALATE,
+  OUTBOX_KINDS.INCIDENT_ESCALATION_STEP,
+  OUTBOX_KINDS.CONTACT_ALERT,
+]);
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let queue = null; // lazy-loaded from storage
+let loadPromise = null;
+let isFlushing = false;
+let flushAgain = false;
+let retryTimer = null;
+let retryDelayMs = RETRY_BASE_MS;
+let netUnsubscribe = null;
+let lastOnline = null;
+const handlers = {};
+
+// ============================================
+// HELPERS
+// ============================================
+
+function makeEntryId() {
+  return `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function loadQueue() {
+  if (queue) return queue;
+  if (loadPromise) return loadPromise;
+
+  loadPromise = (async () => {
+    try {
+      const raw = await AsyncStorage.getItem(STORAGE_KEY_OUTBOX);
+      const parsed = raw ? JSON.parse(raw) : [];
+      queue = Array.isArray(parsed) ? parsed : [];
+    } catch {
+      queue = [];
+    }
+    loadPromise = null;
+    return queue;
+  })();
+
+  return loadPromise;
+}
+
+async function persistQueue() {
+  try {
+    if (!queue || queue.length === 0) {
+      await AsyncStorage.removeItem(STORAGE_KEY_OUTBOX);
+    } else {
+      await AsyncStorage.setItem(STORAGE_KEY_OUTBOX, JSON.stringify(queue));
+    }
+  } catch (e) {
+    console.log("⚠️ OUTBOX: persist failed (non-fatal):", e?.message || e);
+  }
+}
+
+function trimQueue() {
+  while (queue.length > MAX_ENTRIES) {
+    let idx = queue.findIndex((e) => e.kind === OUTBOX_KINDS.LOCATION);
+    if (idx === -1) idx = queue.findIndex((e) => e.kind === OUTBOX_KINDS.BREADCRUMB);
+    if (idx === -1) break; // never drop SOS / cancel / check-in
+    queue.splice(idx, 1);
+  }
+}
+
+// Older queued fixes for the same device + fleet (the replay upserts the live row)
+function dropSupersededFixes(entry) {
+  if (entry.kind !== OUTBOX_KINDS.LOCATION) return;
+  const { p_device_id: deviceId, p_group_id: groupId } = entry.data || {};
+  queue = queue.filter(
+    (e) =>
+      e === entry ||
+      e.kind !== OUTBOX_KINDS.LOCATION ||
+      e.data?.p_device_id !== deviceId ||
+      e.data?.p_group_id !== groupId
+  );
+}
+
+// Oldest alert entry first, otherwise the oldest entry
+function nextEntry() {
+  return queue.find((e) => ALERT_KINDS.has(e.kind)) || queue[0];
+}
+
+function isStateOnline(state) {
+  if (!state) return false;
+  // isInternetReachable is null while unknown — only treat explicit false as offline
+  return !!state.isConnected && state.isInternetReachable !== false;
+}
+
+function clearRetryTimer() {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+}
+
+function scheduleRetry() {
+  if (retryTimer) return;
+  const delay = retryDelayMs;
+  retryDelayMs = Math.min(retryDelayMs * 2, RETRY_MAX_MS);
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flush("retry_timer");
+  }, delay);
+}
+
+/**
+ * Network-level failure detection (as opposed to RLS / validation errors,
+ * which will never succeed on replay and must not be queued).
+ */
+export function isNetworkError(err) {
+  const msg = String(err?.message || err || "").toLowerCase();
+  return (
+    msg.includes("network request failed") ||
+    msg.includes("failed to fetch") ||
+    msg.includes("network error") ||
+    msg.includes("networkerror") ||
+    msg.includes("timeout") ||
+    msg.includes("timed out") ||
+    msg.includes("aborted")
+  );
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Register the delivery function for an entry kind.
+ */
+function registerHandler(kind, fn) {
+  if (!kind || typeof fn !== "function") return;
+  handlers[kind] = fn;
+}
+
+/**
+ * Best-effort connectivity check (true when unknown — callers still handle send failures).
+ */
+async function isOnline() {
+  try {
+    const state = await NetInfo.fetch();
+    return isStateOnline(state);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Queue an undeliverable event. `timestamp` is the ORIGINAL event time (ms) and is
+ * what the replay handler must send — never the replay time.
+ */
+async function enqueue(kind, data = {}, timestamp = Date.now()) {
+  try {
+    await loadQueue();
+
+    const entry = {
+      id: makeEntryId(),
+      kind,
+      timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+      data,
+      attempts: 0,
+    };
+
+    queue.push(entry);
+    dropSupersededFixes(entry);
+    trimQueue();
+    await persistQueue();
+
+    console.log(`📮 OUTBOX: queued ${kind} (${queue.length} pending)`);
+
+    start();
+    scheduleRetry();
+    return entry.id;
+  } catch (e) {
+    console.log("⚠️ OUTBOX: enqueue failed:", e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * Replay pending entries in order (alert entries first). Stops at the first failure so
+ * ordering is preserved. `alertsOnly` → stop once no alert entry is left (the rest follows
+ * on the retry timer, after whatever the caller is about to send live).
+ */
+async function flush(reason = "manual", { alertsOnly = false } = {}) {
+  if (isFlushing) {
+    flushAgain = true;
+    return false;
+  }
+
+  isFlushing = true;
+  clearRetryTimer();
+
+  try {
+    await loadQueue();
+    if (queue.length === 0) {
+      retryDelayMs = RETRY_BASE_MS;
+      return true;
+    }
+
+    if (!(await isOnline())) {
+      console.log("📮 OUTBOX: still offline — waiting for reconnect");
+      return false;
+    }
+
+    console.log(`📮 OUTBOX: replaying ${queue.length} entr${queue.length === 1 ? "y" : "ies"} (${reason})`);
+
+    while (queue.length > 0) {
+      const entry = nextEntry();
+      if (alertsOnly && !ALERT_KINDS.has(entry.kind)) {
+        retryDelayMs = RETRY_BASE_MS;
+        scheduleRetry();
+        return true;
+      }
+
+      const handler = handlers[entry.kind];
+
+      if (!handler) {
+        // Owning module not loaded yet (e.g. headless start) — try again later
+        console.log(`🟡 OUTBOX: no handler for ${entry.kind} yet — deferring`);
+        scheduleRetry();
+        return false;
+      }
+
+      let ok = false;
+      try {
+        ok = !!(await handler(entry));
+      } catch (e) {
+        console.log(`⚠️ OUTBOX: ${entry.kind} replay threw:`, e?.message || e);
+        ok = false;
+      }
+
+      if (!ok) {
+        entry.attempts = (entry.attempts || 0) + 1;
+        await persistQueue();
+        scheduleRetry();
+        return false;
+      }
+
+      queue = queue.filter((e) => e !== entry);
+      await persistQueue();
+      console.log(`✅ OUTBOX: delivered ${entry.kind} from ${new Date(entry.timestamp).toISOString()}`);
+    }
+
+    retryDelayMs = RETRY_BASE_MS;
+    return true;
+  } finally {
+    isFlushing = false;
+    if (flushAgain) {
+      flushAgain = false;
+      flush("coalesced");
+    }
+  }
+}
+
+/**
+ * True while anything is waiting for delivery (new events should queue behind it).
+ * `alertsOnly` → only SOS / cancel / duress / incident / contact alert entries count.
+ */
+async function hasPending({ alertsOnly = false } = {}) {
+  try {
+    await loadQueue();
+    return alertsOnly ? queue.some((e) => ALERT_KINDS.has(e.kind)) : queue.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+async function getPendingCount() {
+  try {
+    await loadQueue();
+    return queue.length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Start listening for reconnects (idempotent). Also kicks a flush for entries
+ * persisted by a previous app run.
+ */
+function start() {
+  if (netUnsubscribe) return;
+
+  try {
+    netUnsubscribe = NetInfo.addEventListener((state) => {
+      const online = isStateOnline(state);
+      const cameBack = online && lastOnline === false;
+      lastOnline = online;
+
+      if (cameBack) {
+        console.log("📶 OUTBOX: connectivity restored — flushing");
+        retryDelayMs = RETRY_BASE_MS;
+        flush("reconnect");
+      }
+    });
+  } catch (e) {
+    console.log("⚠️ OUTBOX: NetInfo listener unavailable:", e?.message || e);
+  }
+
+  hasPending().then((pending) => {
+    if (pending) flush("startup");
+  });
+}
+
+function stop() {
+  clearRetryTimer();
+  if (netUnsubscribe) {
+    try {
+      netUnsubscribe();
+    } catch {}
+    netUnsubscribe = null;
+  }
+  lastOnline = null;
+}
+
+/**
+ * Drop everything (used on logout — queued SOS data must not leak to the next account).
+ */
+async function clear() {
+  stop();
+  queue = [];
+  retryDelayMs = RETRY_BASE_MS;
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEY_OUTBOX);
+  } catch {}
+}
+
+const SOSOutbox = {
+  registerHandler,
+  enqueue,
+  flush,
+  hasPending,
+  getPendingCount,
+  isOnline,
+  start,
+  stop,
+  clear,
+};
+
+export default SOSOutbox;
@@ -0,0 +1,466 @@
+// 📂 FILE: src/services/SOSResponders.js
+// ✅ Responder claims ("I'm on my way") with live ETA
+//
+// What it does:
+// 1) ✅ Responder side: claims the incident (claim_sos_incident), then watches the
+//    responder's OWN location, computes distance + rough ETA toward the SOS position and
+//    broadcasts it on sos:{groupId} (event "sos_responder") via SOSAlertManager's channel.
+//    The durable copy is throttled into sos_responders (update_sos_responder).
+// 2) ✅ Sender side: collects sos_responder broadcasts addressed to this device and
+//    reloads get_sos_responders as a backup, so FakeLockScreen can show a discreet
+//    "N en route · nearest X" line.
+//
+// Channel I/O stays in SOSAlertManager (it owns the sos:{groupId} subscriptions) — this
+// module only receives a `send(payload)` function and incoming payloads.
+
+import * as Location from "expo-location";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "../lib/supabase";
+import { haversineMeters } from "../utils/geo";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORAGE_KEY_DEVICE_NAME = "sentinel_device_display_name";
+
+const RPC_CLAIM = "claim_sos_incident";
+const RPC_UPDATE = "update_sos_responder";
+const RPC_GET = "get_sos_responders";
+
+const RPC_TIMEOUT_MS = 4000;
+
+// Responder location watch (foreground — the responder is looking at the app)
+const WATCH_TIME_INTERVAL_MS = 10_000;
+const WATCH_DISTANCE_INTERVAL_M = 20;
+
+// Throttle DB writes; broadcasts go out on every fix
+const DB_SYNC_INTERVAL_MS = 30_000;
+
+// Re-read the sender's latest position (they may be moving)
+const TARGET_REFRESH_MS = 30_000;
+
+// Within this radius the responder is considered on scene
+const ARRIVED_RADIUS_M = 75;
+
+// Sender side: drop responders we have not heard from in a while
+const RESPONDER_STALE_MS = 5 * 60_000;
+
+// Rough ETA model: straight line × detour factor at the measured speed, or an assumed
+// walking / driving speed when the responder is not (yet) moving
+const ROUTE_FACTOR = 1.3;
+const MIN_MOVING_SPEED_MPS = 1.0;
+const WALK_SPEED_MPS = 1.4;
+const DRIVE_SPEED_MPS = 11.0;
+const WALK_MAX_M = 1500;
+
+export const RESPONDER_STATUS = {
+  EN_ROUTE: "en_route",
+  ARRIVED: "arrived",
+  WITHDRAWN: "withdrawn",
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function withTimeout(promise, timeoutMs, label = "timeout") {
+  let t;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error(label)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function isNum(n) {
+  return typeof n === "number" && Number.isFinite(n);
+}
+
+/**
+ * Rough ETA in seconds (never a routing result — good enough for "about 4 min").
+ */
+export function estimateEtaSeconds(distanceM, speedMps) {
+  if (!isNum(distanceM)) return null;
+  if (distanceM <= ARRIVED_RADIUS_M) return 0;
+
+  const routeM = distanceM * ROUTE_FACTOR;
+  const speed =
+    isNum(speedMps) && speedMps >= MIN_MOVING_SPEED_MPS
+      ? speedMps
+      : routeM > WALK_MAX_M
+        ? DRIVE_SPEED_MPS
+        : WALK_SPEED_MPS;
+
+  return Math.round(routeM / speed);
+}
+
+async function callRpc(fnName, params) {
+  try {
+    const { data, error } = await withTimeout(supabase.rpc(fnName, params), RPC_TIMEOUT_MS, `${fnName}_timeout`);
+    if (error) return { ok: false, error };
+    if (data?.ok === false) return { ok: false, error: data?.error, data };
+    return { ok: true, data };
+  } catch (e) {
+    return { ok: false, error: e };
+  }
+}
+
+// ============================================
+// RESPONDER SIDE
+// ============================================
+
+// senderDeviceId -> { incidentId, groupId, target, watch, send, ... }
+const responding = new Map();
+
+let myDisplayName = null;
+
+async function getMyDisplayName() {
+  if (myDisplayName) return myDisplayName;
+  try {
+    myDisplayName = (await AsyncStorage.getItem(STORAGE_KEY_DEVICE_NAME)) || null;
+  } catch {}
+  return myDisplayName;
+}
+
+async function refreshTarget(session) {
+  session.lastTargetRefreshAt = Date.now();
+  try {
+    const { data, error } = await withTimeout(
+      supabase
+        .from("tracking_sessions_with_name")
+        .select("latitude, longitude, status")
+        .eq("device_id", session.deviceId)
+        .eq("group_id", session.groupId)
+        .maybeSingle(),
+      RPC_TIMEOUT_MS,
+      "target_timeout"
+    );
+    if (error || !data) return;
+
+    if (isNum(data.latitude) && isNum(data.longitude)) {
+      session.target = { latitude: data.latitude, longitude: data.longitude };
+    }
+    if (data.status && data.status !== "SOS") {
+      // Sender is no longer in SOS — the cancel broadcast may have been missed
+      console.log("🚑 RESPONDER: sender no longer in SOS — stopping");
+      stopResponding(session.deviceId);
+    }
+  } catch {}
+}
+
+async function syncToServer(session, update) {
+  if (!session.incidentId) return;
+  session.lastDbSyncAt = Date.now();
+  const res = await callRpc(RPC_UPDATE, {
+    p_incident_id: session.incidentId,
+    p_latitude: update.latitude,
+    p_longitude: update.longitude,
+    p_distance_m: isNum(update.distance_m) ? Math.round(update.distance_m) : null,
+    p_eta_seconds: isNum(update.eta_seconds) ? update.eta_seconds : null,
+    p_status: update.status,
+  });
+  if (!res.ok) {
+    console.log("🟡 RESPONDER: update not saved (non-blocking):", res.error?.message || res.error);
+  }
+}
+
+async function handleResponderFix(session, loc) {
+  if (!responding.has(session.deviceId)) return;
+
+  const lat = loc?.coords?.latitude;
+  const lng = loc?.coords?.longitude;
+  if (!isNum(lat) || !isNum(lng)) return;
+
+  if (Date.now() - session.lastTargetRefreshAt >= TARGET_REFRESH_MS) {
+    await refreshTarget(session);
+    if (!responding.has(session.deviceId)) return;
+  }
+
+  const target = session.target;
+  const distance = target ? haversineMeters(lat, lng, target.latitude, target.longitude) : null;
+  const status =
+    isNum(distance) && distance <= ARRIVED_RADIUS_M ? RESPONDER_STATUS.ARRIVED : RESPONDER_STATUS.EN_ROUTE;
+  const eta = estimateEtaSeconds(distance, loc?.coords?.speed);
+
+  const update = {
+    device_id: session.deviceId, // the SOS sender this update is for
+    incident_id: session.incidentId,
+    group_id: session.groupId,
+    responder_device_id: session.myDeviceId,
+    responder_name: session.displayName,
+    status,
+    latitude: lat,
+    longitude: lng,
+    distance_m: isNum(distance) ? Math.round(distance) : null,
+    eta_seconds: eta,
+    timestamp: Date.now(),
+  };
+
+  session.send?.(update);
+
+  const statusChanged = status !== session.lastStatus;
+  session.lastStatus = status;
+  if (statusChanged || Date.now() - session.lastDbSyncAt >= DB_SYNC_INTERVAL_MS) {
+    syncToServer(session, update);
+  }
+}
+
+/**
+ * Claim an SOS and start sharing this device's live position + ETA with the sender.
+ * `send(payload)` broadcasts a sos_responder event on the sender's fleet channel.
+ */
+async function startResponding({ deviceId, groupId, incidentId, latitude, longitude, myDeviceId, send }) {
+  if (!deviceId || !groupId) return { ok: false, error: "missing_ids" };
+  if (responding.has(deviceId)) return { ok: true, already: true };
+
+  const displayName = await getMyDisplayName();
+
+  const claim = await callRpc(RPC_CLAIM, {
+    p_incident_id: incidentId || null,
+    p_device_id: deviceId,
+    p_group_id: groupId,
+    p_responder_device_id: myDeviceId || null,
+    p_display_name: displayName,
+  });
+
+  if (!claim.ok) {
+    // Still share live position over broadcast — the claim is only the durable copy
+    console.log("🟡 RESPONDER: claim not recorded (continuing live):", claim.error?.message || claim.error);
+  }
+
+  try {
+    const perm = await Location.getForegroundPermissionsAsync();
+    if (perm.status !== "granted") {
+      const req = await Location.requestForegroundPermissionsAsync();
+      if (req.status !== "granted") return { ok: false, error: "location_permission" };
+    }
+  } catch (e) {
+    return { ok: false, error: e?.message || "location_permission" };
+  }
+
+  const session = {
+    deviceId,
+    groupId,
+    incidentId: claim.data?.incident_id || incidentId || null,
+    myDeviceId: myDeviceId || null,
+    displayName,
+    target: isNum(latitude) && isNum(longitude) ? { latitude, longitude } : null,
+    send,
+    watch: null,
+    lastStatus: null,
+    lastDbSyncAt: 0,
+    lastTargetRefreshAt: 0,
+  };
+  responding.set(deviceId, session);
+
+  try {
+    session.watch = await Location.watchPositionAsync(
+      {
+        accuracy: Location.Accuracy.High,
+        timeInterval: WATCH_TIME_INTERVAL_MS,
+        distanceInterval: WATCH_DISTANCE_INTERVAL_M,
+      },
+      (loc) => {
+        handleResponderFix(session, loc).catch(() => {});
+      }
+    );
+  } catch (e) {
+    responding.delete(deviceId);
+    console.log("⚠️ RESPONDER: location watch failed:", e?.message || e);
+    return { ok: false, error: "location_watch" };
+  }
+
+  // stopResponding may have run while the watch was starting
+  if (!responding.has(deviceId)) {
+    try {
+      session.watch?.remove();
+    } catch {}
+    return { ok: false, error: "stopped" };
+  }
+
+  console.log("🚑 RESPONDER: en route to", deviceId);
+  return { ok: true, incidentId: session.incidentId };
+}
+
+/**
+ * Stop sharing. `withdraw` tells the sender this responder is no longer coming
+ * (not needed when the SOS itself ended).
+ */
+function stopResponding(deviceId, { withdraw = false } = {}) {
+  const session = responding.get(deviceId);
+  if (!session) return;
+  responding.delete(deviceId);
+
+  try {
+    session.watch?.remove();
+  } catch {}
+
+  if (withdraw) {
+    const update = {
+      device_id: session.deviceId,
+      incident_id: session.incidentId,
+      group_id: session.groupId,
+      responder_device_id: session.myDeviceId,
+      responder_name: session.displayName,
+      status: RESPONDER_STATUS.WITHDRAWN,
+      timestamp: Date.now(),
+    };
+    session.send?.(update);
+    syncToServer(session, update);
+  }
+
+  console.log("🚑 RESPONDER: stopped for", deviceId);
+}
+
+function stopAll() {
+  for (const deviceId of Array.from(responding.keys())) stopResponding(deviceId);
+}
+
+function isResponding(deviceId) {
+  return responding.has(deviceId);
+}
+
+// ============================================
+// SENDER SIDE
+// ============================================
+
+let senderIncidentId = null;
+let responders = new Map(); // responder key -> { name, status, distance_m, eta_seconds, updatedAt }
+const listeners = new Set();
+
+function responderKey(row) {
+  return row?.responder_device_id || row?.device_id || row?.user_id || row?.responder_name || "unknown";
+}
+
+function notify() {
+  const summary = getSummary();
+  for (const fn of listeners) {
+    try {
+      fn(summary);
+    } catch {}
+  }
+}
+
+function pruneStale() {
+  const now = Date.now();
+  for (const [key, r] of responders) {
+    if (now - r.updatedAt > RESPONDER_STALE_MS) responders.delete(key);
+  }
+}
+
+/**
+ * Incoming sos_responder broadcast (called by SOSAlertManager for every group channel).
+ */
+function handleResponderUpdate(payload, myDeviceId) {
+  if (!payload || !myDeviceId || payload.device_id !== myDeviceId) return;
+  if (senderIncidentId && payload.incident_id && payload.incident_id !== senderIncidentId) return;
+
+  const key = responderKey(payload);
+  if (payload.status === RESPONDER_STATUS.WITHDRAWN) {
+    responders.delete(key);
+  } else {
+    responders.set(key, {
+      name: payload.responder_name || null,
+      status: payload.status || RESPONDER_STATUS.EN_ROUTE,
+      distance_m: isNum(payload.distance_m) ? payload.distance_m : null,
+      eta_seconds: isNum(payload.eta_seconds) ? payload.eta_seconds : null,
+      updatedAt: Date.now(),
+    });
+  }
+  notify();
+}
+
+/**
+ * Reload the durable responder list for this device's incident (backup for missed broadcasts).
+ */
+async function loadResponders(incidentId) {
+  if (!incidentId) return getSummary();
+
+  if (incidentId !== senderIncidentId) {
+    senderIncidentId = incidentId;
+    responders = new Map();
+  }
+
+  const res = await callRpc(RPC_GET, { p_incident_id: incidentId });
+  if (res.ok && Array.isArray(res.data)) {
+    for (const row of res.data) {
+      const key = responderKey(row);
+      const updatedAt = Date.parse(row.updated_at) || Date.now();
+      const existing = responders.get(key);
+      // A fresher live broadcast wins over the throttled DB copy
+      if (existing && existing.updatedAt >= updatedAt) continue;
+      responders.set(key, {
+        name: row.display_name || null,
+        status: row.status,
+        distance_m: isNum(row.distance_m) ? row.distance_m : null,
+        eta_seconds: isNum(row.eta_seconds) ? row.eta_seconds : null,
+        updatedAt,
+      });
+    }
+  }
+
+  notify();
+  return getSummary();
+}
+
+/**
+ * { count, arrived, nearestMeters, nearestEtaSeconds } for the sender's current SOS.
+ */
+function getSummary() {
+  pruneStale();
+  let count = 0;
+  let arrived = 0;
+  let nearest = null;
+
+  for (const [, r] of responders) {
+    count += 1;
+    if (r.status === RESPONDER_STATUS.ARRIVED) arrived += 1;
+    if (isNum(r.distance_m) && (!nearest || r.distance_m < nearest.distance_m)) nearest = r;
+  }
+
+  return {
+    count,
+    arrived,
+    nearestMeters: nearest ? nearest.distance_m : null,
+    nearestEtaSeconds: nearest ? nearest.eta_seconds : null,
+  };
+}
+
+function subscribe(fn) {
+  if (typeof fn !== "function") return () => {};
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Forget responders (sender's SOS ended).
+ */
+function resetSender() {
+  senderIncidentId = null;
+  responders = new Map();
+  notify();
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const SOSResponders = {
+  startResponding,
+  stopResponding,
+  stopAll,
+  isResponding,
+  handleResponderUpdate,
+  loadResponders,
+  getSummary,
+  subscribe,
+  resetSender,
+};
+
+export default SOSResponders;
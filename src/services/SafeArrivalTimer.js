@@ -0,0 +1,374 @@
+// 📂 FILE: src/services/SafeArrivalTimer.js
+// ✅ Safe-arrival timers ("I'll be home by 23:00" / "check on me in 45 minutes")
+//
+// What it does:
+// 1) ✅ Member arms a deadline. Checking in or cancelling requires the SOS PIN (UI side).
+// 2) ✅ Deadline passes without a check-in → PRE-ALERT (local notification + in-app prompt)
+//    for PRE_ALERT_GRACE_MS, then sendBatSignal() fires automatically.
+// 3) ✅ Survives restarts: the timer is persisted, the pre-alert notification is scheduled
+//    with the OS up front, the shield notification (ForegroundService) shows the deadline, and
+//    the deadline is re-checked from the LiveTracker background location task, a background
+//    fetch task and on every app resume.
+
+import { Platform, Vibration } from "react-native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Notifications from "expo-notifications";
+import * as TaskManager from "expo-task-manager";
+import * as BackgroundFetch from "expo-background-fetch";
+import ForegroundService from "./ForegroundService";
+import NotificationService from "./NotificationService";
+import { addBackgroundTickListener } from "./LiveTracker";
+import { sendBatSignal, sendCheckIn } from "./BatSignal";
+import { SOS_TRIGGERS } from "../utils/sosTriggers";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORAGE_KEY_TIMER = "sentinel_safe_arrival_timer";
+const STORAGE_KEY_LAST_CHECKIN = "sentinel_last_checkin";
+
+const BACKGROUND_FETCH_TASK = "sentihnel-safe-arrival-check";
+
+// Time between the missed deadline and the automatic SOS
+export const PRE_ALERT_GRACE_MS = 2 * 60_000;
+
+// Sanity bounds for a deadline
+const MIN_TIMER_MS = 60_000;
+const MAX_TIMER_MS = 24 * 60 * 60_000;
+
+export const TIMER_STATE = {
+  ARMED: "armed",
+  PRE_ALERT: "pre_alert",
+  ESCALATED: "escalated",
+};
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let timer = null; // { id, label, armedAt, deadline, state, notificationIds }
+let loaded = false;
+let tickTimeout = null;
+let isEvaluating = false;
+const listeners = new Set();
+
+// ============================================
+// HELPERS
+// ============================================
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+}
+
+async function loadTimer() {
+  if (loaded) return timer;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_TIMER);
+    const parsed = raw ? JSON.parse(raw) : null;
+    timer = parsed && Number.isFinite(parsed.deadline) ? parsed : null;
+  } catch {
+    timer = null;
+  }
+  loaded = true;
+  return timer;
+}
+
+async function persistTimer() {
+  try {
+    if (timer) await AsyncStorage.setItem(STORAGE_KEY_TIMER, JSON.stringify(timer));
+    else await AsyncStorage.removeItem(STORAGE_KEY_TIMER);
+  } catch (e) {
+    console.log("⚠️ SAFE ARRIVAL: persist failed (non-fatal):", e?.message || e);
+  }
+}
+
+function notify() {
+  const snapshot = timer ? { ...timer } : null;
+  for (const fn of listeners) {
+    try {
+      fn(snapshot);
+    } catch {}
+  }
+}
+
+/**
+ * Schedule the OS-level pre-alert so the member is warned even if the app was killed.
+ */
+async function schedulePreAlertNotification(deadline) {
+  try {
+    const id = await Notifications.scheduleNotificationAsync({
+      content: {
+        title: "⏱️ Safe arrival check-in missed",
+        body: "Open SenTihNel and check in with your PIN — SOS will be sent to your fleet in 2 minutes.",
+        data: { type: "safe_arrival_pre_alert" },
+        sound: true,
+        priority: Notifications.AndroidNotificationPriority.MAX,
+        ...(Platform.OS === "android" ? { channelId: NotificationService.SOS_CHANNEL_ID } : {}),
+      },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: new Date(deadline),
+      },
+    });
+    return id ? [id] : [];
+  } catch (e) {
+    console.log("⚠️ SAFE ARRIVAL: could not schedule pre-alert notification:", e?.message || e);
+    return [];
+  }
+}
+
+async function cancelScheduledNotifications(ids) {
+  for (const id of Array.isArray(ids) ? ids : []) {
+    try {
+      await Notifications.cancelScheduledNotificationAsync(id);
+    } catch {}
+  }
+}
+
+async function registerBackgroundFetch() {
+  try {
+    const registered = await TaskManager.isTaskRegisteredAsync(BACKGROUND_FETCH_TASK);
+    if (registered) return;
+    await BackgroundFetch.registerTaskAsync(BACKGROUND_FETCH_TASK, {
+      minimumInterval: 15 * 60, // OS minimum — the location task ticks more often
+      stopOnTerminate: false,
+      startOnBoot: true,
+    });
+  } catch (e) {
+    console.log("🟡 SAFE ARRIVAL: background fetch unavailable (non-fatal):", e?.message || e);
+  }
+}
+
+async function unregisterBackgroundFetch() {
+  try {
+    const registered = await TaskManager.isTaskRegisteredAsync(BACKGROUND_FETCH_TASK);
+    if (registered) await BackgroundFetch.unregisterTaskAsync(BACKGROUND_FETCH_TASK);
+  } catch {}
+}
+
+function updateShieldNotification() {
+  if (!timer) {
+    ForegroundService.updateNotification(
+      "🛡️ SENTIHNEL SHIELD ACTIVE",
+      "Protection running - Location tracking enabled"
+    ).catch(() => {});
+    return;
+  }
+
+  const body =
+    timer.state === TIMER_STATE.PRE_ALERT
+      ? "Check-in missed — open the app and enter your PIN"
+      : `Safe arrival check-in due by ${formatClock(timer.deadline)}`;
+  ForegroundService.updateNotification("🛡️ SENTIHNEL SHIELD ACTIVE", body).catch(() => {});
+}
+
+/**
+ * In-process timer for the next transition (only while the JS runtime is alive —
+ * background ticks and resume cover the rest).
+ */
+function scheduleTick() {
+  if (tickTimeout) {
+    clearTimeout(tickTimeout);
+    tickTimeout = null;
+  }
+  if (!timer || timer.state === TIMER_STATE.ESCALATED) return;
+
+  const nextAt = timer.state === TIMER_STATE.ARMED ? timer.deadline : timer.deadline + PRE_ALERT_GRACE_MS;
+  const delay = Math.max(0, Math.min(nextAt - Date.now(), 2 ** 31 - 1));
+  tickTimeout = setTimeout(() => {
+    tickTimeout = null;
+    evaluate("timer");
+  }, delay);
+}
+
+async function clearTimer(reason) {
+  await loadTimer();
+  if (!timer) return;
+
+  const ids = timer.notificationIds;
+  timer = null;
+  await persistTimer();
+  scheduleTick();
+  await cancelScheduledNotifications(ids);
+  await unregisterBackgroundFetch();
+  updateShieldNotification();
+  notify();
+
+  console.log(`⏱️ SAFE ARRIVAL: cleared (${reason})`);
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Arm a timer. Pass either `deadline` (ms epoch, "home by 23:00") or `durationMs`
+ * ("check on me in 45 minutes"). Replaces any existing timer.
+ */
+async function arm({ deadline, durationMs, label = null } = {}) {
+  const now = Date.now();
+  const at = Number.isFinite(deadline) ? deadline : Number.isFinite(durationMs) ? now + durationMs : NaN;
+
+  if (!Number.isFinite(at)) return { ok: false, error: "missing_deadline" };
+  if (at - now < MIN_TIMER_MS) return { ok: false, error: "too_soon" };
+  if (at - now > MAX_TIMER_MS) return { ok: false, error: "too_far" };
+
+  await loadTimer();
+  if (timer) await cancelScheduledNotifications(timer.notificationIds);
+
+  timer = {
+    id: `sat_${now.toString(36)}`,
+    label: label ? String(label).slice(0, 80) : null,
+    armedAt: now,
+    deadline: at,
+    state: TIMER_STATE.ARMED,
+    notificationIds: [],
+  };
+  await persistTimer();
+
+  timer.notificationIds = await schedulePreAlertNotification(at);
+  await persistTimer();
+
+  await registerBackgroundFetch();
+  scheduleTick();
+  updateShieldNotification();
+  notify();
+
+  console.log(`⏱️ SAFE ARRIVAL: armed until ${new Date(at).toISOString()}`);
+  return { ok: true, deadline: at };
+}
+
+/**
+ * Member checked in (PIN already verified by the caller) → fleet check-in + disarm.
+ */
+async function checkIn() {
+  await clearTimer("checked_in");
+
+  let ok = false;
+  try {
+    ok = await sendCheckIn();
+    if (ok) AsyncStorage.setItem(STORAGE_KEY_LAST_CHECKIN, String(Date.now())).catch(() => {});
+  } catch (e) {
+    console.log("🟡 SAFE ARRIVAL: check-in broadcast failed (non-blocking):", e?.message || e);
+  }
+  return ok;
+}
+
+/**
+ * Cancel without checking in (PIN already verified by the caller).
+ */
+async function cancel() {
+  await clearTimer("cancelled");
+}
+
+/**
+ * Drive the state machine. Safe to call from anywhere (resume, background tasks, timers).
+ */
+async function evaluate(reason = "manual") {
+  if (isEvaluating) return;
+  isEvaluating = true;
+
+  try {
+    await loadTimer();
+    if (!timer || timer.state === TIMER_STATE.ESCALATED) return;
+
+    const now = Date.now();
+
+    if (timer.state === TIMER_STATE.ARMED && now >= timer.deadline) {
+      timer.state = TIMER_STATE.PRE_ALERT;
+      await persistTimer();
+      console.log(`⏱️ SAFE ARRIVAL: deadline missed — pre-alert (${reason})`);
+      try {
+        Vibration.vibrate([0, 400, 200, 400]);
+      } catch {}
+      updateShieldNotification();
+      notify();
+    }
+
+    if (timer.state === TIMER_STATE.PRE_ALERT && now >= timer.deadline + PRE_ALERT_GRACE_MS) {
+      timer.state = TIMER_STATE.ESCALATED;
+      await persistTimer();
+      console.log(`🚨 SAFE ARRIVAL: no check-in — sending SOS (${reason})`);
+      notify();
+
+      try {
+        await sendBatSignal({ trigger: SOS_TRIGGERS.SAFE_ARRIVAL });
+      } catch (e) {
+        console.log("⚠️ SAFE ARRIVAL: sendBatSignal failed:", e?.message || e);
+      }
+
+      // SOS owns the flow from here (FakeLockScreen + PIN cancel)
+      await clearTimer("escalated");
+      return;
+    }
+
+    scheduleTick();
+  } finally {
+    isEvaluating = false;
+  }
+}
+
+/**
+ * Call on app start — restores the in-process timer and catches up on missed transitions.
+ */
+async function resume() {
+  await loadTimer();
+  if (!timer) return;
+  updateShieldNotification();
+  await evaluate("resume");
+}
+
+async function getTimer() {
+  await loadTimer();
+  return timer ? { ...timer } : null;
+}
+
+function subscribe(fn) {
+  if (typeof fn !== "function") return () => {};
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Drop the timer without any fleet signal (logout).
+ */
+async function reset() {
+  await clearTimer("reset");
+}
+
+// ============================================
+// BACKGROUND HOOKS
+// ============================================
+
+try {
+  TaskManager.defineTask(BACKGROUND_FETCH_TASK, async () => {
+    try {
+      await evaluate("background_fetch");
+      return BackgroundFetch.BackgroundFetchResult.NewData;
+    } catch {
+      return BackgroundFetch.BackgroundFetchResult.Failed;
+    }
+  });
+} catch (e) {
+  // Ignore re-definition errors during hot reload
+}
+
+addBackgroundTickListener(() => evaluate("location_task"));
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const SafeArrivalTimer = {
+  arm,
+  checkIn,
+  cancel,
+  evaluate,
+  resume,
+  getTimer,
+  subscribe,
+  reset,
+};
+
+export default SafeArrivalTimer;
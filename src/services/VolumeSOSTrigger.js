@@ -0,0 +1,294 @@
+// 📂 FILE: src/services/VolumeSOSTrigger.js
+// ✅ Hardware volume-button SOS (no need to look at the screen)
+//
+// What it does:
+// 1) ✅ Watches volume-button presses while the app runs (the foreground service keeps the
+//    process alive on Android with the screen off / app in the background).
+// 2) ✅ When the last presses match the user's pattern (e.g. up ×3, down ×3) quickly enough,
+//    the SOS handler runs with trigger "volume_buttons" → sendBatSignal, which gives the usual
+//    discreet vibration.
+// 3) ✅ Pattern is configurable (presets or a custom up/down sequence), off by default.
+// 4) ✅ Practice mode: same matching + same vibration, but no SOS — for learning the feel.
+//
+// Holding a button is not a pattern: steps that follow each other faster than a finger can
+// press (auto-repeat) start the pattern over.
+//
+// The OS only reports volume CHANGES, so at the very top / bottom of the range a press
+// would be invisible. While listening, the volume is nudged one step back from the edge.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { Vibration } from "react-native";
+import { sendBatSignal, SOS_CONFIRM_VIBRATION } from "./BatSignal";
+import { SOS_TRIGGERS } from "../utils/sosTriggers";
+
+let VolumeManager = null;
+try {
+  VolumeManager = require("react-native-volume-manager").VolumeManager;
+} catch {}
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORAGE_KEY_CONFIG = "sentinel_volume_sos_config";
+
+export const VOLUME_KEYS = {
+  UP: "up",
+  DOWN: "down",
+};
+
+const { UP, DOWN } = VOLUME_KEYS;
+
+// Mixed default: one held button can never complete it
+export const PATTERN_PRESETS = [
+  { id: "up3down3", label: "Up ×3, then down ×3", sequence: [UP, UP, UP, DOWN, DOWN, DOWN] },
+  { id: "alternate", label: "Up, down ×3", sequence: [UP, DOWN, UP, DOWN, UP, DOWN] },
+  { id: "down5", label: "Volume down ×5", sequence: [DOWN, DOWN, DOWN, DOWN, DOWN] },
+];
+
+export const MIN_PATTERN_LENGTH = 4; // fewer = pocket presses / normal volume changes
+export const MAX_PATTERN_LENGTH = 8;
+
+const DEFAULT_CONFIG = { enabled: false, sequence: PATTERN_PRESETS[0].sequence };
+
+const MAX_GAP_MS = 1200; // longer pause between presses starts over
+const MIN_GAP_MS = 180; // same button faster than this = held down (auto-repeat) → starts over
+const PATTERN_WINDOW_MS = 6000; // whole pattern must fit in this
+const COOLDOWN_MS = 10_000; // after a match
+
+const VOLUME_STEP = 1 / 15; // one notch on Android's media stream
+const CHANGE_EPSILON = 0.005; // our own edge nudge lands exactly on lastVolume → ignored
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let config = null; // { enabled, sequence }
+let subscription = null;
+let sosHandler = null;
+let practiceListener = null;
+let lastVolume = null;
+let presses = []; // [{ key, at }]
+let lastStep = null; // { key, at } — every volume step, including ignored auto-repeats
+let cooldownUntil = 0;
+
+// ============================================
+// HELPERS
+// ============================================
+
+function isValidSequence(sequence) {
+  return (
+    Array.isArray(sequence) &&
+    sequence.length >= MIN_PATTERN_LENGTH &&
+    sequence.length <= MAX_PATTERN_LENGTH &&
+    sequence.every((k) => k === UP || k === DOWN)
+  );
+}
+
+async function loadConfig() {
+  if (config) return config;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY_CONFIG);
+    const parsed = raw ? JSON.parse(raw) : null;
+    config = {
+      enabled: parsed?.enabled === true,
+      sequence: isValidSequence(parsed?.sequence) ? parsed.sequence : DEFAULT_CONFIG.sequence,
+    };
+  } catch {
+    config = { ...DEFAULT_CONFIG };
+  }
+  return config;
+}
+
+// How many presses at the end of the buffer line up with the start of the pattern
+function matchedCount(sequence) {
+  for (let k = Math.min(presses.length, sequence.length); k > 0; k--) {
+    const tail = presses.slice(presses.length - k);
+    if (tail.every((p, i) => p.key === sequence[i])) return k;
+  }
+  return 0;
+}
+
+// Keep presses detectable at the ends of the range (no change = no event)
+function nudgeFromEdge(volume) {
+  let target = null;
+  if (volume >= 1 - CHANGE_EPSILON) target = 1 - VOLUME_STEP;
+  else if (volume <= CHANGE_EPSILON) target = VOLUME_STEP;
+  if (target == null) return volume;
+
+  try {
+    VolumeManager.setVolume(target, { showUI: false });
+  } catch {}
+  return target;
+}
+
+function handleMatch() {
+  presses = [];
+
+  if (practiceListener) {
+    console.log("🔊 VOLUME SOS: practice pattern matched");
+    try {
+      Vibration.vibrate(SOS_CONFIRM_VIBRATION);
+    } catch {}
+    practiceListener({ matched: 0, total: config.sequence.length, done: true });
+    return;
+  }
+
+  console.log("🚨 VOLUME SOS: pattern matched — sending SOS");
+  cooldownUntil = Date.now() + COOLDOWN_MS;
+  const trigger = SOS_TRIGGERS.VOLUME_BUTTONS;
+  Promise.resolve(sosHandler ? sosHandler({ trigger }) : sendBatSignal({ trigger })).catch((e) => {
+    console.log("⚠️ VOLUME SOS: SOS failed:", e?.message || e);
+  });
+}
+
+function handleVolume({ volume }) {
+  if (typeof volume !== "number") return;
+
+  const now = Date.now();
+  const prev = lastVolume;
+  lastVolume = nudgeFromEdge(volume);
+  if (prev == null || Math.abs(volume - prev) < CHANGE_EPSILON) return;
+  if (!practiceListener && now < cooldownUntil) return;
+
+  const key = volume > prev ? UP : DOWN;
+  const repeat = lastStep && lastStep.key === key && now - lastStep.at < MIN_GAP_MS;
+  lastStep = { key, at: now };
+  if (repeat) {
+    // Button held down: whatever it added so far doesn't count
+    presses = [];
+    if (practiceListener) practiceListener({ matched: 0, total: config.sequence.length, key, done: false });
+    return;
+  }
+
+  const last = presses[presses.length - 1];
+  if (last && now - last.at > MAX_GAP_MS) presses = [];
+  presses.push({ key, at: now });
+
+  const sequence = config.sequence;
+  if (presses.length > sequence.length) presses = presses.slice(presses.length - sequence.length);
+
+  const matched = matchedCount(sequence);
+  if (matched === sequence.length && now - presses[0].at <= PATTERN_WINDOW_MS) {
+    handleMatch();
+    return;
+  }
+
+  if (practiceListener) {
+    practiceListener({ matched, total: sequence.length, key, done: false });
+  }
+}
+
+async function refreshListener() {
+  const wanted = !!VolumeManager && (!!practiceListener || (!!sosHandler && config?.enabled));
+
+  if (!wanted) {
+    try {
+      subscription?.remove();
+    } catch {}
+    subscription = null;
+    presses = [];
+    lastStep = null;
+    return;
+  }
+
+  if (subscription) return;
+  try {
+    const current = await VolumeManager.getVolume();
+    lastVolume = nudgeFromEdge(typeof current === "number" ? current : current?.volume ?? 0.5);
+    subscription = VolumeManager.addVolumeListener(handleVolume);
+  } catch (e) {
+    console.log("⚠️ VOLUME SOS: volume listener unavailable:", e?.message || e);
+    subscription = null;
+  }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Arm the trigger. `onSOS({ trigger })` raises the SOS (the home screen passes its own
+ * trigger so the lock screen comes up). Does nothing while disabled in settings.
+ */
+async function start(onSOS) {
+  sosHandler = typeof onSOS === "function" ? onSOS : null;
+  if (!VolumeManager) {
+    console.log("🟡 VOLUME SOS: react-native-volume-manager not available in this build");
+    return false;
+  }
+  await loadConfig();
+  await refreshListener();
+  return !!subscription;
+}
+
+function stop() {
+  sosHandler = null;
+  refreshListener().catch(() => {});
+}
+
+/**
+ * → { enabled, sequence }
+ */
+async function getConfig() {
+  const c = await loadConfig();
+  return { enabled: c.enabled, sequence: [...c.sequence] };
+}
+
+/**
+ * Save { enabled, sequence } → { ok, error? }
+ */
+async function saveConfig({ enabled, sequence }) {
+  if (!isValidSequence(sequence)) return { ok: false, error: "invalid_pattern" };
+
+  config = { enabled: !!enabled, sequence: [...sequence] };
+  presses = [];
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY_CONFIG, JSON.stringify(config));
+  } catch {}
+  await refreshListener();
+  return { ok: true };
+}
+
+/**
+ * Practice mode: `listener({ matched, total, key, done })` on every press; a full match
+ * vibrates like a real SOS but sends nothing. The real trigger is paused meanwhile.
+ */
+async function startPractice(listener, sequence = null) {
+  if (!VolumeManager || typeof listener !== "function") return false;
+  await loadConfig();
+  if (isValidSequence(sequence)) config = { ...config, sequence: [...sequence] };
+
+  practiceListener = listener;
+  presses = [];
+  await refreshListener();
+  return !!subscription;
+}
+
+async function stopPractice() {
+  practiceListener = null;
+  presses = [];
+  config = null; // drop any unsaved practice pattern
+  await loadConfig();
+  await refreshListener();
+}
+
+function isAvailable() {
+  return !!VolumeManager;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const VolumeSOSTrigger = {
+  start,
+  stop,
+  getConfig,
+  saveConfig,
+  startPractice,
+  stopPractice,
+  isAvailable,
+};
+
+export default VolumeSOSTrigger;
@@ -0,0 +1,303 @@
+// 📂 FILE: src/services/WakePhrases.js
+// ✅ Per-user covert wake phrases for the voice SOS trigger
+//
+// What it does:
+// 1) ✅ Keeps the user's own phrases + fuzzy threshold in a user-scoped local cache so
+//    WakeWordListener works offline and from the first frame after launch.
+// 2) ✅ Syncs with Supabase (get_wake_phrases / set_wake_phrases) so the phrases follow the
+//    user to other devices. Local edits made offline are pushed on the next sync.
+// 3) ✅ No custom phrases → the built-in phrases for the user's languages are used.
+// 4) ✅ Languages: phrases are { phrase, lang }; the user's languages pick the speech
+//    recognition locale(s) (WakeWordListener rotates between them).
+// 5) ✅ Test mode: the settings screen borrows the microphone, so the listener pauses.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "../lib/supabase";
+import {
+  DEFAULT_FUZZY_THRESHOLD,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_PROFILES,
+  MIN_FUZZY_THRESHOLD,
+  MAX_FUZZY_THRESHOLD,
+  MAX_WAKE_PHRASES,
+  cleanWakePhrase,
+  defaultPhrasesFor,
+  normalizeLanguages,
+} from "../utils/wakeMatch";
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RPC_GET = "get_wake_phrases";
+const RPC_SET = "set_wake_phrases";
+
+const RPC_TIMEOUT_MS = 5000;
+
+// User-scoped so a shared phone never hands one account's phrases to the next
+const storageKey = (userId) => (userId ? `sentinel_wake_phrases:${userId}` : "sentinel_wake_phrases");
+
+const EMPTY_CONFIG = {
+  phrases: [], // [{ phrase, lang }]
+  fuzzyThreshold: DEFAULT_FUZZY_THRESHOLD,
+  languages: [DEFAULT_LANGUAGE],
+  dirty: false,
+};
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+let userId = null;
+let custom = { ...EMPTY_CONFIG };
+let loadPromise = null;
+let isSyncing = false;
+let testMode = false;
+const listeners = new Set();
+
+// ============================================
+// HELPERS
+// ============================================
+
+async function withTimeout(promise, timeoutMs, label = "timeout") {
+  let t;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, rej) => {
+        t = setTimeout(() => rej(new Error(label)), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function clampThreshold(n) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return DEFAULT_FUZZY_THRESHOLD;
+  return Math.min(MAX_FUZZY_THRESHOLD, Math.max(MIN_FUZZY_THRESHOLD, Math.round(v * 100) / 100));
+}
+
+// Accepts [{ phrase, lang }] or plain strings (caches written before phrase languages → English)
+function sanitizePhrases(list) {
+  const out = [];
+  for (const p of Array.isArray(list) ? list : []) {
+    const cleaned = cleanWakePhrase(typeof p === "string" ? p : p?.phrase);
+    const lang = typeof p === "object" && LANGUAGE_PROFILES[p?.lang] ? p.lang : DEFAULT_LANGUAGE;
+    if (cleaned && !out.some((x) => x.phrase === cleaned)) out.push({ phrase: cleaned, lang });
+  }
+  return out.slice(0, MAX_WAKE_PHRASES);
+}
+
+async function resolveUserId() {
+  try {
+    const { data } = await supabase.auth.getUser();
+    return data?.user?.id || null;
+  } catch {
+    return null;
+  }
+}
+
+async function persist() {
+  try {
+    await AsyncStorage.setItem(storageKey(userId), JSON.stringify(custom));
+  } catch (e) {
+    console.log("⚠️ WAKE PHRASES: persist failed (non-fatal):", e?.message || e);
+  }
+}
+
+function notify() {
+  const snapshot = getConfig();
+  for (const fn of listeners) {
+    try {
+      fn(snapshot);
+    } catch {}
+  }
+}
+
+async function pushToServer() {
+  const { data, error } = await withTimeout(
+    supabase.rpc(RPC_SET, {
+      p_phrases: custom.phrases,
+      p_fuzzy_threshold: custom.fuzzyThreshold,
+      p_languages: custom.languages,
+    }),
+    RPC_TIMEOUT_MS,
+    "wake_phrases_push_timeout"
+  );
+  if (error) throw error;
+  if (data?.ok === false) throw new Error(data.error || "set_wake_phrases_failed");
+}
+
+async function pullFromServer() {
+  const { data, error } = await withTimeout(supabase.rpc(RPC_GET), RPC_TIMEOUT_MS, "wake_phrases_pull_timeout");
+  if (error) throw error;
+  if (!data?.ok) return false;
+
+  custom = {
+    phrases: sanitizePhrases(data.phrases),
+    fuzzyThreshold: data.fuzzy_threshold == null ? DEFAULT_FUZZY_THRESHOLD : clampThreshold(data.fuzzy_threshold),
+    languages: normalizeLanguages(data.languages),
+    dirty: false,
+  };
+  return true;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Effective matcher config: the user's phrases, or the built-ins for their languages.
+ * → { phrases: [{ phrase, lang }], fuzzyThreshold, languages, isCustom }
+ */
+function getConfig() {
+  const isCustom = custom.phrases.length > 0;
+  return {
+    phrases: isCustom ? custom.phrases.map((p) => ({ ...p })) : defaultPhrasesFor(custom.languages),
+    fuzzyThreshold: custom.fuzzyThreshold,
+    languages: [...custom.languages],
+    isCustom,
+  };
+}
+
+/**
+ * The user's own phrases (empty = using the built-ins).
+ */
+function getCustomPhrases() {
+  return custom.phrases.map((p) => ({ ...p }));
+}
+
+/**
+ * Load the cached phrases for the signed-in user, then sync in the background.
+ */
+async function load() {
+  if (loadPromise) return loadPromise;
+
+  loadPromise = (async () => {
+    userId = await resolveUserId();
+    try {
+      const raw = await AsyncStorage.getItem(storageKey(userId));
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed) {
+        custom = {
+          phrases: sanitizePhrases(parsed.phrases),
+          fuzzyThreshold: clampThreshold(parsed.fuzzyThreshold ?? DEFAULT_FUZZY_THRESHOLD),
+          languages: normalizeLanguages(parsed.languages),
+          dirty: parsed.dirty === true,
+        };
+      }
+    } catch {}
+    notify();
+
+    sync().catch(() => {});
+    return getConfig();
+  })();
+
+  return loadPromise;
+}
+
+/**
+ * Push unsynced local edits, otherwise adopt the server copy. Never throws.
+ */
+async function sync() {
+  if (isSyncing || !userId) return false;
+  isSyncing = true;
+
+  try {
+    if (custom.dirty) {
+      await pushToServer();
+      custom.dirty = false;
+      await persist();
+      console.log("✅ WAKE PHRASES: local changes synced");
+      return true;
+    }
+
+    if (await pullFromServer()) {
+      await persist();
+      notify();
+    }
+    return true;
+  } catch (e) {
+    console.log("🟡 WAKE PHRASES: sync failed (using local copy):", e?.message || e);
+    return false;
+  } finally {
+    isSyncing = false;
+  }
+}
+
+/**
+ * Replace the user's phrases / threshold / languages. Saved locally first; `synced` says
+ * whether the server copy is up to date yet (otherwise it is pushed on the next sync).
+ */
+async function save({ phrases, fuzzyThreshold, languages } = {}) {
+  await load();
+
+  const next = sanitizePhrases(phrases ?? custom.phrases);
+  const requested = Array.isArray(phrases)
+    ? phrases.filter((p) => String((typeof p === "string" ? p : p?.phrase) || "").trim())
+    : null;
+  if (requested && next.length < Math.min(requested.length, MAX_WAKE_PHRASES)) {
+    return { ok: false, error: "invalid_phrase" };
+  }
+
+  custom = {
+    phrases: next,
+    fuzzyThreshold: clampThreshold(fuzzyThreshold ?? custom.fuzzyThreshold),
+    languages: normalizeLanguages(languages ?? custom.languages),
+    dirty: true,
+  };
+  await persist();
+  notify();
+
+  const synced = await sync();
+  return { ok: true, synced };
+}
+
+function setTestMode(on) {
+  const next = !!on;
+  if (next === testMode) return;
+  testMode = next;
+  notify();
+}
+
+function isTestMode() {
+  return testMode;
+}
+
+function subscribe(fn) {
+  if (typeof fn !== "function") return () => {};
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Forget the signed-in user's phrases in memory (logout). The user-scoped cache stays
+ * so the phrases are back immediately on their next sign-in.
+ */
+function reset() {
+  userId = null;
+  custom = { ...EMPTY_CONFIG };
+  loadPromise = null;
+  testMode = false;
+  notify();
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+export const WakePhrases = {
+  load,
+  sync,
+  save,
+  getConfig,
+  getCustomPhrases,
+  setTestMode,
+  isTestMode,
+  subscribe,
+  reset,
+};
+
+export default WakePhrases;
@@ -0,0 +1,131 @@
+// 📂 FILE: src/utils/contactMessages.js
+// Emergency-contact helpers shared by EmergencyContacts (validation before save) and
+// ContactDelivery (the text each provider sends). Contacts are people outside the fleet,
+// so every message says who it is about and what to do — in the contact's own language.
+// Nobody gets an SOS text before agreeing to it: the invite message (link + reply code)
+// comes first, and only "confirmed" contacts are alerted.
+
+import { LANGUAGE_PROFILES, DEFAULT_LANGUAGE } from "./wakeMatch";
+
+export const MAX_EMERGENCY_CONTACTS = 5;
+
+export const CONTACT_MESSAGE_KIND = {
+  SOS: "sos",
+  CANCEL: "cancel",
+  INVITE: "invite",
+};
+
+// Opt-in status (set server-side by the confirm page / SMS reply, never by the app)
+export const CONTACT_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  OPTED_OUT: "opted_out",
+};
+
+// The invite's opt-in link and reply code only exist server-side: the app sends the text
+// with these placeholders and the Cloud Robot fills them in
+export const INVITE_PLACEHOLDER = { LINK: "{link}", CODE: "{code}" };
+
+// Suggestions for the relationship field (free text is fine too)
+export const RELATIONSHIP_SUGGESTIONS = ["Partner", "Parent", "Sibling", "Friend", "Coworker"];
+
+// Same languages as the wake phrases (labels from LANGUAGE_PROFILES)
+export const CONTACT_LANGUAGES = Object.keys(LANGUAGE_PROFILES).map((code) => ({
+  code,
+  label: LANGUAGE_PROFILES[code].label,
+}));
+
+const TEMPLATES = {
+  en: {
+    sosSubject: (name) => `SOS: ${name} needs help`,
+    sos: (name, time) =>
+      `SOS from ${name} (SenTihNel) at ${time}. Their fleet has not answered. See their live location:`,
+    sosNoLink: (name, time) => `SOS from ${name} (SenTihNel) at ${time}. Their fleet has not answered.`,
+    cancelSubject: (name) => `SOS cancelled: ${name}`,
+    cancel: (name, time) => `${name} cancelled their SOS at ${time}. Location sharing has stopped.`,
+    inviteSubject: (name) => `${name} added you as an emergency contact`,
+    invite: (name) =>
+      `${name} added you as an emergency contact on SenTihNel. If they send an SOS their fleet doesn't answer, you'd get their live location. Agree or decline:`,
+    inviteReply: (code) => `Or reply YES ${code} to agree, STOP to decline.`,
+  },
+  es: {
+    sosSubject: (name) => `SOS: ${name} necesita ayuda`,
+    sos: (name, time) =>
+      `SOS de ${name} (SenTihNel) a las ${time}. Su grupo no ha respondido. Vea su ubicación en vivo:`,
+    sosNoLink: (name, time) => `SOS de ${name} (SenTihNel) a las ${time}. Su grupo no ha respondido.`,
+    cancelSubject: (name) => `SOS cancelado: ${name}`,
+    cancel: (name, time) => `${name} canceló su SOS a las ${time}. Ya no comparte su ubicación.`,
+    inviteSubject: (name) => `${name} le agregó como contacto de emergencia`,
+    invite: (name) =>
+      `${name} le agregó como contacto de emergencia en SenTihNel. Si envía un SOS que su grupo no responde, recibiría su ubicación en vivo. Acepte o rechace:`,
+    inviteReply: (code) => `O responda YES ${code} para aceptar, STOP para rechazar.`,
+  },
+  pt: {
+    sosSubject: (name) => `SOS: ${name} precisa de ajuda`,
+    sos: (name, time) =>
+      `SOS de ${name} (SenTihNel) às ${time}. O grupo não respondeu. Veja a localização ao vivo:`,
+    sosNoLink: (name, time) => `SOS de ${name} (SenTihNel) às ${time}. O grupo não respondeu.`,
+    cancelSubject: (name) => `SOS cancelado: ${name}`,
+    cancel: (name, time) => `${name} cancelou o SOS às ${time}. A localização não é mais compartilhada.`,
+    inviteSubject: (name) => `${name} adicionou você como contato de emergência`,
+    invite: (name) =>
+      `${name} adicionou você como contato de emergência no SenTihNel. Se enviar um SOS que o grupo não responder, você receberia a localização ao vivo. Aceite ou recuse:`,
+    inviteReply: (code) => `Ou responda YES ${code} para aceitar, STOP para recusar.`,
+  },
+};
+
+export function normalizeContactLanguage(lang) {
+  return TEMPLATES[lang] ? lang : DEFAULT_LANGUAGE;
+}
+
+/**
+ * "+1 (470) 555-0100" → "+14705550100". null when it can't be an international number.
+ */
+export function cleanPhone(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  const digits = s.replace(/[^\d]/g, "");
+  const e164 = `+${digits}`;
+  return s.startsWith("+") && /^\+[1-9]\d{6,14}$/.test(e164) ? e164 : null;
+}
+
+export function cleanEmail(raw) {
+  const s = String(raw || "").trim().toLowerCase();
+  if (!s) return null;
+  return s.length <= 120 && /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(s) ? s : null;
+}
+
+function formatTime(at, lang) {
+  const t = new Date(Number.isFinite(at) ? at : Date.now());
+  try {
+    return t.toLocaleTimeString(LANGUAGE_PROFILES[lang]?.locale || [], { hour: "numeric", minute: "2-digit" });
+  } catch {
+    return t.toISOString().slice(11, 16);
+  }
+}
+
+/**
+ * → { subject, text } in the contact's language. The SOS text ends with the dashboard link
+ * (the same buildLink the fleet gets) when there is one; the invite with the opt-in link
+ * and the SMS reply code as INVITE_PLACEHOLDER slots.
+ */
+export function buildContactMessage({ kind, displayName, link = null, at = Date.now(), language }) {
+  const lang = normalizeContactLanguage(language);
+  const t = TEMPLATES[lang];
+  const name = String(displayName || "").trim() || "A SenTihNel user";
+  const time = formatTime(at, lang);
+
+  if (kind === CONTACT_MESSAGE_KIND.INVITE) {
+    return {
+      subject: t.inviteSubject(name),
+      text: `${t.invite(name)} ${INVITE_PLACEHOLDER.LINK} ${t.inviteReply(INVITE_PLACEHOLDER.CODE)}`,
+    };
+  }
+  if (kind === CONTACT_MESSAGE_KIND.CANCEL) {
+    return { subject: t.cancelSubject(name), text: t.cancel(name, time) };
+  }
+  return {
+    subject: t.sosSubject(name),
+    text: link ? `${t.sos(name, time)} ${link}` : t.sosNoLink(name, time),
+  };
+}
@@ -0,0 +1,93 @@
+// 📂 FILE: src/utils/fleetRoles.js
+// Fleet roles and what each one may do. Mirrors fleet_role_permissions() in
+// supabase/fleet_roles.sql — the server enforces, the app only decides what to show.
+// Family fleets stay open: every member invites, sees locations and acknowledges.
+
+export const FLEET_ROLES = {
+  OWNER: "owner",
+  ADMIN: "admin",
+  SUPERVISOR: "supervisor",
+  RESPONDER: "responder",
+  MEMBER: "member",
+};
+
+export const FLEET_PERMISSIONS = {
+  REMOVE: "remove",
+  BLOCK: "block",
+  INVITE: "invite",
+  VIEW_LOCATION: "view_location", // outside an SOS (a supervisor: their team only)
+  ACKNOWLEDGE: "acknowledge",
+  MANAGE_ROLES: "manage_roles",
+  MANAGE_TEAMS: "manage_teams", // teams, shifts and who is on which
+};
+
+export const ROLE_LABELS = {
+  owner: "Owner",
+  admin: "Admin",
+  supervisor: "Supervisor",
+  responder: "Responder",
+  member: "Member",
+};
+
+export const ROLE_DESCRIPTIONS = {
+  admin: "Remove, block, invite, see everyone, manage roles and teams",
+  supervisor: "Invite, see their team, first to get their team's SOS",
+  responder: "Acknowledge SOS; sees locations only during an SOS",
+  member: "Shares location; sees others only during an SOS",
+};
+
+const P = FLEET_PERMISSIONS;
+const ALL = Object.values(P);
+
+const WORK_PERMISSIONS = {
+  owner: ALL,
+  admin: ALL,
+  supervisor: [P.INVITE, P.VIEW_LOCATION, P.ACKNOWLEDGE],
+  responder: [P.ACKNOWLEDGE],
+  member: [],
+};
+
+const FAMILY_MEMBER_PERMISSIONS = [P.INVITE, P.VIEW_LOCATION, P.ACKNOWLEDGE];
+
+export function normalizeRole(role) {
+  const r = String(role || "").toLowerCase();
+  return ROLE_LABELS[r] ? r : FLEET_ROLES.MEMBER;
+}
+
+export function permissionsFor(role, fleetType) {
+  const r = normalizeRole(role);
+  if (r === FLEET_ROLES.OWNER || r === FLEET_ROLES.ADMIN) return ALL;
+  return fleetType === "work" ? WORK_PERMISSIONS[r] : FAMILY_MEMBER_PERMISSIONS;
+}
+
+export function roleCan(role, fleetType, permission) {
+  return permissionsFor(role, fleetType).includes(permission);
+}
+
+/**
+ * Roles `actorRole` may hand out to someone who is currently `targetRole`
+ * ([] = can't change them). Only the owner makes or unmakes admins; nobody changes the owner.
+ */
+export function assignableRoles(actorRole, targetRole) {
+  const actor = normalizeRole(actorRole);
+  const target = normalizeRole(targetRole);
+  if (target === FLEET_ROLES.OWNER) return [];
+  if (actor === FLEET_ROLES.OWNER) {
+    return [FLEET_ROLES.ADMIN, FLEET_ROLES.SUPERVISOR, FLEET_ROLES.RESPONDER, FLEET_ROLES.MEMBER];
+  }
+  if (actor === FLEET_ROLES.ADMIN && target !== FLEET_ROLES.ADMIN) {
+    return [FLEET_ROLES.SUPERVISOR, FLEET_ROLES.RESPONDER, FLEET_ROLES.MEMBER];
+  }
+  return [];
+}
+
+/**
+ * Can `actorRole` remove / block someone who is `targetRole`? (same owner/admin rule)
+ */
+export function canActOn(actorRole, targetRole) {
+  const actor = normalizeRole(actorRole);
+  const target = normalizeRole(targetRole);
+  if (target === FLEET_ROLES.OWNER) return false;
+  if (target === FLEET_ROLES.ADMIN) return actor === FLEET_ROLES.OWNER;
+  return actor === FLEET_ROLES.OWNER || actor === FLEET_ROLES.ADMIN;
+}
@@ -0,0 +1,22 @@
+// 📂 FILE: src/utils/geo.js
+// Shared distance math for fixes, geofences, responders and breadcrumb trails.
+
+const EARTH_RADIUS_M = 6371000;
+
+// Great-circle distance in meters between two lat/lng points
+export function haversineMeters(aLat, aLng, bLat, bLng) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(bLat - aLat);
+  const dLng = toRad(bLng - aLng);
+  const s =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(aLat)) * Math.cos(toRad(bLat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(s));
+}
+
+// "0.4 mi" / "850 ft" — trail length, responder distance
+export function formatDistance(meters) {
+  const miles = meters / 1609.344;
+  if (miles >= 0.1) return `${miles.toFixed(miles >= 10 ? 0 : 1)} mi`;
+  return `${Math.round(meters * 3.28084)} ft`;
+}
@@ -1,12 +1,209 @@
 // 📂 FILE: src/utils/pinHash.js
 // Shared PIN hashing + user-scoped storage key builders.
-// Used by FakeLockScreen.js (SOS cancel PIN pad) and fleet.js (PIN setup modal).
+// Used by pinVerify.js (SOS cancel / safe-arrival PIN checks) and fleet.js (PIN setup modal).
+//
+// Stored format (must match supabase/sos_pins.sql):
+//   v2$<iterations>$<salt hex>$<PBKDF2-HMAC-SHA256 hex>   ← current
+//   pin_xxxxxxxx                                           ← legacy 32-bit hash, upgraded on next unlock
+//
+// The KDF is plain JS (no native crypto module in this app); a 4-6 digit PIN space is
+// small, so the iteration count + per-user salt are what make offline guessing expensive.
+
+import "react-native-get-random-values";
+
+export const PIN_HASH_VERSION = "v2";
+export const PIN_KDF_ITERATIONS = 20000;
+const PIN_SALT_BYTES = 16;
+
+const LEGACY_HASH_RE = /^pin_[0-9a-f]{8}$/;
+const V2_HASH_RE = /^v2\$(\d{4,7})\$([0-9a-f]{32})\$([0-9a-f]{64})$/;
+
+// ============================================
+// SHA-256 / HMAC / PBKDF2 (single 32-byte block)
+// ============================================
+
+const K = new Int32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const SHA256_IV = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+// One compression round: state (8 words) absorbs W[0..15]; W must have room for 64 words
+function compress(state, W) {
+  for (let i = 16; i < 64; i++) {
+    const w15 = W[i - 15];
+    const w2 = W[i - 2];
+    const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+    const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+    W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+  }
+
+  let a = state[0], b = state[1], c = state[2], d = state[3];
+  let e = state[4], f = state[5], g = state[6], h = state[7];
+
+  for (let i = 0; i < 64; i++) {
+    const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+    const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+    const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+    const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+    h = g; g = f; f = e; e = (d + t1) | 0;
+    d = c; c = b; b = a; a = (t1 + t2) | 0;
+  }
+
+  state[0] = (state[0] + a) | 0; state[1] = (state[1] + b) | 0;
+  state[2] = (state[2] + c) | 0; state[3] = (state[3] + d) | 0;
+  state[4] = (state[4] + e) | 0; state[5] = (state[5] + f) | 0;
+  state[6] = (state[6] + g) | 0; state[7] = (state[7] + h) | 0;
+}
+
+// SHA-256 of `bytes`, continuing from `state` after `prefixLen` bytes were already absorbed
+function sha256From(state, bytes, prefixLen = 0) {
+  const s = Int32Array.from(state);
+  const W = new Int32Array(64);
+  const total = bytes.length;
+  const padded = new Uint8Array(Math.ceil((total + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[total] = 0x80;
+  const bitLen = (prefixLen + total) * 8;
+  padded[padded.length - 4] = (bitLen >>> 24) & 0xff;
+  padded[padded.length - 3] = (bitLen >>> 16) & 0xff;
+  padded[padded.length - 2] = (bitLen >>> 8) & 0xff;
+  padded[padded.length - 1] = bitLen & 0xff;
+
+  for (let off = 0; off < padded.length; off += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = off + i * 4;
+      W[i] = (padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3];
+    }
+    compress(s, W);
+  }
+  return s;
+}
+
+function wordsToBytes(words) {
+  const out = new Uint8Array(words.length * 4);
+  for (let i = 0; i < words.length; i++) {
+    out[i * 4] = words[i] >>> 24;
+    out[i * 4 + 1] = (words[i] >>> 16) & 0xff;
+    out[i * 4 + 2] = (words[i] >>> 8) & 0xff;
+    out[i * 4 + 3] = words[i] & 0xff;
+  }
+  return out;
+}
+
+function utf8Bytes(str) {
+  const bin = unescape(encodeURIComponent(String(str)));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function hexToBytes(hex) {
+  const out = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+  return out;
+}
+
+function bytesToHex(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i++) out += bytes[i].toString(16).padStart(2, "0");
+  return out;
+}
+
+// Inner / outer HMAC states with the padded key already absorbed (reused every iteration)
+function hmacStates(keyBytes) {
+  const key = new Uint8Array(64);
+  key.set(keyBytes.length > 64 ? wordsToBytes(sha256From(SHA256_IV, keyBytes)) : keyBytes);
+
+  const W = new Int32Array(64);
+  const inner = Int32Array.from(SHA256_IV);
+  const outer = Int32Array.from(SHA256_IV);
+  for (let i = 0; i < 16; i++) {
+    const j = i * 4;
+    const k = (key[j] << 24) | (key[j + 1] << 16) | (key[j + 2] << 8) | key[j + 3];
+    W[i] = k ^ 0x36363636;
+  }
+  compress(inner, W);
+  for (let i = 0; i < 16; i++) {
+    const j = i * 4;
+    const k = (key[j] << 24) | (key[j + 1] << 16) | (key[j + 2] << 8) | key[j + 3];
+    W[i] = k ^ 0x5c5c5c5c;
+  }
+  compress(outer, W);
+  return { inner, outer };
+}
+
+// HMAC of a 32-byte message given as 8 words — one compression per half, no allocation
+function hmacWords32(states, msg, out, W, s) {
+  for (let pass = 0; pass < 2; pass++) {
+    s.set(pass === 0 ? states.inner : states.outer);
+    for (let i = 0; i < 8; i++) W[i] = pass === 0 ? msg[i] : out[i];
+    W[8] = 0x80000000;
+    W.fill(0, 9, 15);
+    W[15] = (64 + 32) * 8;
+    compress(s, W);
+    out.set(s);
+  }
+}
+
+function pbkdf2Sha256Hex(pin, saltBytes, iterations) {
+  const states = hmacStates(utf8Bytes(pin));
+
+  // U1 = HMAC(pin, salt || INT(1))
+  const first = new Uint8Array(saltBytes.length + 4);
+  first.set(saltBytes);
+  first[first.length - 1] = 1;
+  const inner = sha256From(states.inner, first, 64);
+  let u = sha256From(states.outer, wordsToBytes(inner), 64);
+
+  const t = Int32Array.from(u);
+  let next = new Int32Array(8);
+  const W = new Int32Array(64);
+  const s = new Int32Array(8);
+  for (let i = 1; i < iterations; i++) {
+    hmacWords32(states, u, next, W, s);
+    [u, next] = [next, u];
+    for (let j = 0; j < 8; j++) t[j] ^= u[j];
+  }
+  return bytesToHex(wordsToBytes(t));
+}
+
+function randomSaltHex() {
+  const cryptoObj = globalThis?.crypto;
+  if (!cryptoObj?.getRandomValues) throw new Error("secure_random_unavailable");
+  const arr = new Uint8Array(PIN_SALT_BYTES);
+  cryptoObj.getRandomValues(arr);
+  return bytesToHex(arr);
+}
+
+function constantTimeEqual(a, b) {
+  const x = String(a || "");
+  const y = String(b || "");
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    diff |= (x.charCodeAt(i) || 0) ^ (y.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
 
 /**
- * Deterministic PIN hash — must produce the same output as the SQL verify_user_sos_pin RPC.
- * Not cryptographically strong but consistent across app versions.
+ * Legacy deterministic 32-bit PIN hash ("pin_xxxxxxxx"). Only used to recognise and
+ * upgrade hashes written by older app versions — never to store new PINs.
  */
-export const hashPin = (pin) => {
+export const legacyHashPin = (pin) => {
   let hash = 0;
   const str = String(pin || "");
   for (let i = 0; i < str.length; i++) {
@@ -17,6 +214,33 @@ export const hashPin = (pin) => {
   return `pin_${Math.abs(hash).toString(16).padStart(8, "0")}`;
 };
 
+export const isLegacyPinHash = (stored) => LEGACY_HASH_RE.test(String(stored || ""));
+
+/**
+ * New salted PIN hash → "v2$<iterations>$<salt>$<hash>". Throws if no secure RNG.
+ */
+export const createPinHash = (pin, { iterations = PIN_KDF_ITERATIONS } = {}) => {
+  const salt = randomSaltHex();
+  const hash = pbkdf2Sha256Hex(String(pin || ""), hexToBytes(salt), iterations);
+  return `${PIN_HASH_VERSION}$${iterations}$${salt}$${hash}`;
+};
+
+/**
+ * Check a PIN against a stored hash (v2 or legacy) → true / false. Never throws.
+ */
+export const verifyPinHash = (pin, stored) => {
+  try {
+    if (isLegacyPinHash(stored)) return constantTimeEqual(legacyHashPin(pin), stored);
+
+    const m = V2_HASH_RE.exec(String(stored || ""));
+    if (!m) return false;
+    const hash = pbkdf2Sha256Hex(String(pin || ""), hexToBytes(m[2]), Number(m[1]));
+    return constantTimeEqual(hash, m[3]);
+  } catch {
+    return false;
+  }
+};
+
 /**
  * User-scoped AsyncStorage / SecureStore key for the PIN hash.
  * Falls back to the legacy unscoped key if userId is not available
@@ -25,6 +249,12 @@ export const hashPin = (pin) => {
 export const pinHashKey = (userId) =>
   userId ? `sentinel_pin_hash:${userId}` : "sentinel_pin_hash";
 
+/**
+ * User-scoped key for the duress PIN hash (offline duress detection).
+ */
+export const duressPinHashKey = (userId) =>
+  userId ? `sentinel_duress_pin_hash:${userId}` : "sentinel_duress_pin_hash";
+
 /**
  * User-scoped key for the PIN lockout timestamp (ms since epoch).
  */
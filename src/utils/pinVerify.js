@@ -0,0 +1,173 @@
+// 📂 FILE: src/utils/pinVerify.js
+// Shared SOS PIN verification (server first, then local / cloud cache when offline).
+// Used by FakeLockScreen.js (SOS cancel) and the safe-arrival timer (check-in / cancel).
+// Hash format + KDF live in pinHash.js; legacy hashes are upgraded by upgradeLegacyPinHash.
+// checkSosPin also recognises the duress PIN; verifySosPin treats it as a wrong PIN.
+// The server rate limits wrong PINs (verify_user_sos_pin → PIN_RESULT.LOCKED).
+// Offline copies of the hashes live in SecureStore only — a 4-digit PIN falls to an offline
+// brute force in seconds, so they must never sit in plain AsyncStorage.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "../lib/supabase";
+import { createPinHash, duressPinHashKey, isLegacyPinHash, pinHashKey, verifyPinHash } from "./pinHash";
+
+// PIN hashes are kept in SecureStore (encrypted on device) — no SecureStore, no offline copy
+let SecureStore = null;
+try {
+  SecureStore = require("expo-secure-store");
+} catch {}
+
+// Legacy unscoped fallback key (used when userId is not yet known)
+export const LEGACY_PIN_KEY = "sentinel_pin_hash";
+
+export const PIN_RESULT = {
+  VALID: "valid",
+  DURESS: "duress",
+  INVALID: "invalid",
+  LOCKED: "locked", // too many wrong PINs — the server refuses to check for a while
+};
+
+// ✅ During SOS the network is saturated (video streaming, GPS syncs, cloud recording)
+// so the RPC needs generous time
+const PIN_VERIFY_TIMEOUT_MS = 8000;
+
+export async function readPinHash(key = LEGACY_PIN_KEY) {
+  if (SecureStore?.getItemAsync) {
+    try {
+      const v = await SecureStore.getItemAsync(key);
+      if (v) return v;
+    } catch {}
+  }
+
+  // Older builds also kept a copy in AsyncStorage → move it into SecureStore, drop the plain copy
+  let legacy = null;
+  try {
+    legacy = await AsyncStorage.getItem(key);
+    if (legacy) await AsyncStorage.removeItem(key);
+  } catch {}
+  if (legacy && SecureStore?.setItemAsync) {
+    try {
+      await SecureStore.setItemAsync(key, legacy);
+      return legacy;
+    } catch {}
+  }
+  return null;
+}
+
+export async function clearPinHash(key) {
+  if (SecureStore?.deleteItemAsync) {
+    try { await SecureStore.deleteItemAsync(key); } catch {}
+  }
+  try { await AsyncStorage.removeItem(key); } catch {}
+}
+
+export async function writePinHash(hash, key = LEGACY_PIN_KEY) {
+  if (SecureStore?.setItemAsync) {
+    try { await SecureStore.setItemAsync(key, hash); } catch {}
+  }
+  try { await AsyncStorage.removeItem(key); } catch {}
+}
+
+function withTimeout(promise, ms) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error("timeout")), ms)
+    ),
+  ]);
+}
+
+/**
+ * Check an SOS PIN → PIN_RESULT.VALID | DURESS | INVALID | LOCKED. Never throws.
+ * Server (verify_user_sos_pin) is the source of truth; the SecureStore copy (refreshed on
+ * every successful online check) is only used when the server can't be reached.
+ */
+export async function checkSosPin(inputPin, { userId = null, timeoutMs = PIN_VERIFY_TIMEOUT_MS } = {}) {
+  // Resolve userId for scoped keys (may already be known; fetch as fallback)
+  let resolvedUserId = userId;
+  if (!resolvedUserId) {
+    try {
+      const { data: authData } = await supabase.auth.getUser();
+      resolvedUserId = authData?.user?.id || null;
+    } catch {}
+  }
+  const scopedPinKey = pinHashKey(resolvedUserId);
+  const scopedDuressKey = duressPinHashKey(resolvedUserId);
+
+  try {
+    const { data, error } = await withTimeout(
+      supabase.rpc("verify_user_sos_pin", { p_pin: String(inputPin || "") }),
+      timeoutMs
+    );
+
+    if (!error && data?.valid === true) {
+      // Cache the server's PIN hash locally (SecureStore + AsyncStorage) for offline use
+      if (data.pin_hash) await writePinHash(data.pin_hash, scopedPinKey);
+      return PIN_RESULT.VALID;
+    }
+    if (!error && data?.duress === true) {
+      if (data.duress_pin_hash) await writePinHash(data.duress_pin_hash, scopedDuressKey);
+      return PIN_RESULT.DURESS;
+    }
+    if (!error && data?.locked === true) return PIN_RESULT.LOCKED;
+    // If "No PIN set" server-side, stay locked (user must set a PIN from fleet screen)
+    return PIN_RESULT.INVALID;
+  } catch (e) {
+    console.log("PIN verification error (falling back to the offline copy):", e?.message || e);
+
+    // After a reinstall there is no copy until the first successful online check
+    const cachedHash = await readPinHash(scopedPinKey);
+    const cachedDuressHash = await readPinHash(scopedDuressKey);
+
+    // No cached PIN + no server = stay locked (safe default)
+    if (cachedHash && verifyPinHash(inputPin, cachedHash)) return PIN_RESULT.VALID;
+    if (cachedDuressHash && verifyPinHash(inputPin, cachedDuressHash)) return PIN_RESULT.DURESS;
+    return PIN_RESULT.INVALID;
+  }
+}
+
+/**
+ * Verify the real SOS PIN → true / false. Never throws.
+ * The duress PIN is NOT accepted here — callers that can act on duress use checkSosPin.
+ */
+export async function verifySosPin(inputPin, opts = {}) {
+  return (await checkSosPin(inputPin, opts)) === PIN_RESULT.VALID;
+}
+
+/**
+ * After a successful unlock: replace a legacy "pin_xxxxxxxx" hash with a salted v2 hash
+ * (server first, then the local cache). No-op when already upgraded. Never throws.
+ */
+export async function upgradeLegacyPinHash(inputPin, { userId = null } = {}) {
+  try {
+    let resolvedUserId = userId;
+    if (!resolvedUserId) {
+      const { data: authData } = await supabase.auth.getUser();
+      resolvedUserId = authData?.user?.id || null;
+    }
+    const scopedPinKey = pinHashKey(resolvedUserId);
+
+    const cachedHash = await readPinHash(scopedPinKey);
+    if (!isLegacyPinHash(cachedHash) || !verifyPinHash(inputPin, cachedHash)) return false;
+
+    const newHash = createPinHash(inputPin);
+    const { data, error } = await withTimeout(
+      supabase.rpc("upgrade_user_sos_pin", { p_pin: String(inputPin || ""), p_new_hash: newHash }),
+      PIN_VERIFY_TIMEOUT_MS
+    );
+    if (error || data?.ok !== true) {
+      console.log("PIN hash upgrade rejected (non-blocking):", error?.message || data?.error);
+      return false;
+    }
+
+    // Server was already upgraded (another device) → the next online verify refreshes the cache
+    if (data.upgraded === false) return false;
+
+    await writePinHash(newHash, scopedPinKey);
+    console.log("✅ PIN hash upgraded to v2");
+    return true;
+  } catch (e) {
+    console.log("PIN hash upgrade failed (non-blocking):", e?.message || e);
+    return false;
+  }
+}
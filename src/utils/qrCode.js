@@ -0,0 +1,348 @@
+// 📂 FILE: src/utils/qrCode.js
+// QR code encoder for invite links (InviteQrCode draws the result with plain Views).
+//
+// Plain JS like pinHash.js — no QR / SVG native module in this app. Byte mode, error
+// correction level M, versions 1-10 (up to 213 bytes; an invite link is ~40).
+// Mask choice uses the run, 2x2 block and balance penalties of the spec; the finder-like
+// pattern penalty is skipped — any mask scans, the penalty only picks the cleanest one.
+
+// Level M, index = version
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = 10;
+const ECL_FORMAT_BITS_M = 0;
+
+const PAD_BYTES = [0xec, 0x11];
+
+// ============================================
+// HELPERS
+// ============================================
+
+function getBit(x, i) {
+  return ((x >>> i) & 1) !== 0;
+}
+
+function utf8Bytes(text) {
+  const out = [];
+  const encoded = encodeURIComponent(String(text));
+  for (let i = 0; i < encoded.length; i++) {
+    if (encoded[i] === "%") {
+      out.push(parseInt(encoded.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      out.push(encoded.charCodeAt(i));
+    }
+  }
+  return out;
+}
+
+function numRawDataModules(ver) {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+}
+
+function numDataCodewords(ver) {
+  return Math.floor(numRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ver] * NUM_ECC_BLOCKS[ver];
+}
+
+function alignmentPositions(ver) {
+  if (ver === 1) return [];
+  const size = ver * 4 + 17;
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+// ---------- Reed-Solomon over GF(256), polynomial 0x11D ----------
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z & 0xff;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// Split into blocks, add ECC to each, interleave → final codeword sequence
+function addEccAndInterleave(data, ver) {
+  const numBlocks = NUM_ECC_BLOCKS[ver];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ver];
+  const rawCodewords = Math.floor(numRawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = rsDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// ---------- Module grid ----------
+
+function createGrid(ver) {
+  const size = ver * 4 + 17;
+  const modules = [];
+  const isFunction = [];
+  for (let i = 0; i < size; i++) {
+    modules.push(new Array(size).fill(false));
+    isFunction.push(new Array(size).fill(false));
+  }
+
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns + separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < size && yy >= 0 && yy < size) setFunction(xx, yy, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+
+  // Alignment patterns (not on top of the finders)
+  const align = alignmentPositions(ver);
+  const last = align.length - 1;
+  align.forEach((ax, i) => {
+    align.forEach((ay, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) setFunction(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+
+  // Version information (7+)
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = getBit(bits, i);
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  const grid = { size, modules, isFunction, setFunction };
+  drawFormatBits(grid, 0); // reserve the format areas; redrawn with the chosen mask
+  return grid;
+}
+
+function drawFormatBits(grid, mask) {
+  const { size, setFunction } = grid;
+  const data = (ECL_FORMAT_BITS_M << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+  setFunction(8, 7, getBit(bits, 6));
+  setFunction(8, 8, getBit(bits, 7));
+  setFunction(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+  setFunction(8, size - 8, true); // always dark
+}
+
+function drawCodewords(grid, codewords) {
+  const { size, modules, isFunction } = grid;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// XOR — applying the same mask twice undoes it
+function applyMask(grid, mask) {
+  const { size, modules, isFunction } = grid;
+  const invert = MASKS[mask];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && invert(x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+function penaltyScore({ size, modules }) {
+  let score = 0;
+
+  // Runs of 5+ same-colored modules in rows and columns
+  const runPenalty = (get) => {
+    for (let a = 0; a < size; a++) {
+      let run = 1;
+      for (let b = 1; b <= size; b++) {
+        if (b < size && get(a, b) === get(a, b - 1)) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+    }
+  };
+  runPenalty((y, x) => modules[y][x]);
+  runPenalty((x, y) => modules[y][x]);
+
+  // 2x2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  // Dark / light balance
+  let dark = 0;
+  modules.forEach((row) => row.forEach((m) => { if (m) dark++; }));
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return score;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Encode text → { size, modules } (modules[y][x] true = dark), or null when it doesn't fit.
+ * No quiet zone — the renderer adds the 4-module margin.
+ */
+export function encodeQr(text) {
+  const bytes = utf8Bytes(text);
+
+  let ver = 1;
+  for (; ver <= MAX_VERSION; ver++) {
+    const countBits = ver < 10 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 <= numDataCodewords(ver) * 8) break;
+  }
+  if (ver > MAX_VERSION) return null;
+
+  // Mode indicator (byte) + length + data
+  const bits = [];
+  const append = (val, len) => {
+    for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1);
+  };
+  append(0x4, 4);
+  append(bytes.length, ver < 10 ? 8 : 16);
+  bytes.forEach((b) => append(b, 8));
+
+  // Terminator, byte alignment, pad bytes
+  const capacityBits = numDataCodewords(ver) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let i = 0; bits.length < capacityBits; i++) append(PAD_BYTES[i % 2], 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    let byte = 0;
+    for (let j = 0; j < 8; j++) byte = (byte << 1) | bits[i + j];
+    data.push(byte);
+  }
+
+  const grid = createGrid(ver);
+  drawCodewords(grid, addEccAndInterleave(data, ver));
+
+  let bestMask = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    applyMask(grid, mask);
+    drawFormatBits(grid, mask);
+    const score = penaltyScore(grid);
+    if (score < bestScore) {
+      bestScore = score;
+      bestMask = mask;
+    }
+    applyMask(grid, mask);
+  }
+  applyMask(grid, bestMask);
+  drawFormatBits(grid, bestMask);
+
+  return { size: grid.size, modules: grid.modules };
+}
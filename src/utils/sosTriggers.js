@@ -0,0 +1,59 @@
+// 📂 FILE: src/utils/sosTriggers.js
+// What raised an SOS. The sender stamps it on the broadcast, the push, tracking_sessions
+// and the incident record; receivers (SOSAlertOverlay) and the post-SOS report show it.
+// Kept per source so false positives (especially the voice listener) can be tuned.
+
+export const SOS_TRIGGERS = {
+  BUTTON: "button", // on-screen SOS button
+  VOICE: "voice", // WakeWordListener
+  BACK_TAP: "back_tap", // iOS Back Tap shortcut (sentihnel://sos)
+  FLOATING_BUTTON: "floating_button", // Android overlay button
+  VOLUME_BUTTONS: "volume_buttons", // hardware volume-key pattern (VolumeSOSTrigger)
+  SAFE_ARRIVAL: "safe_arrival", // missed safe-arrival check-in (timer + notification)
+  DURESS: "duress", // duress PIN entered with no SOS running
+  FALL: "fall", // FallDetector, countdown not dismissed
+  CRASH: "crash",
+};
+
+const TRIGGER_LABELS = {
+  button: "SOS button",
+  voice: "Voice phrase",
+  back_tap: "Back Tap",
+  floating_button: "Floating button",
+  volume_buttons: "Volume buttons",
+  safe_arrival: "Missed safe-arrival check-in",
+  duress: "Duress PIN",
+  fall: "Fall detected",
+  crash: "Crash detected",
+};
+
+// Nobody pressed anything — receivers need to know why it fired
+const AUTO_TRIGGER_TEXT = {
+  safe_arrival: "They did not check in before their safe-arrival deadline",
+  fall: "A hard fall was detected and they did not respond",
+  crash: "A possible crash was detected and they did not respond",
+};
+
+const KNOWN = new Set(Object.values(SOS_TRIGGERS));
+
+/**
+ * Known trigger id, or null (older builds / junk payloads).
+ */
+export function normalizeSosTrigger(trigger) {
+  const t = String(trigger || "").trim().toLowerCase();
+  return KNOWN.has(t) ? t : null;
+}
+
+/**
+ * Short human label ("Voice phrase"), or null when unknown.
+ */
+export function getSosTriggerLabel(trigger) {
+  return TRIGGER_LABELS[normalizeSosTrigger(trigger)] || null;
+}
+
+/**
+ * Alert sentence for automatic triggers, or null when a person raised it.
+ */
+export function getAutoTriggerText(trigger) {
+  return AUTO_TRIGGER_TEXT[normalizeSosTrigger(trigger)] || null;
+}
@@ -0,0 +1,272 @@
+// 📂 FILE: src/utils/wakeMatch.js
+// Wake-phrase matching shared by WakeWordListener (live detection) and the phrase
+// settings screen (test mode shows the same score the listener would use).
+// IMPORTANT: Only FULL phrases trigger — single words never do.
+// Phrases carry a language ({ phrase, lang }); each language has its own recognition
+// locale, filler words and threshold adjustment (LANGUAGE_PROFILES).
+
+// Recognition + matching profile per supported language.
+// thresholdAdjust is added to the user's threshold: recognizers transcribe Spanish /
+// Portuguese with more spelling variation (accents, clitics, elision), so those
+// languages match slightly more leniently.
+export const LANGUAGE_PROFILES = {
+  en: {
+    label: "English",
+    locale: "en-US",
+    thresholdAdjust: 0,
+    fillers: ["um", "uh", "like"],
+  },
+  es: {
+    label: "Español",
+    locale: "es-US",
+    thresholdAdjust: -0.05,
+    fillers: ["eh", "este", "pues", "o sea"],
+  },
+  pt: {
+    label: "Português",
+    locale: "pt-BR",
+    thresholdAdjust: -0.05,
+    fillers: ["ne", "tipo", "entao", "ah"],
+  },
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_PROFILES);
+export const DEFAULT_LANGUAGE = "en";
+
+// Built-in phrases, used until the user records their own
+export const DEFAULT_WAKE_PHRASES = [
+  "i'm feeling sick",
+  "where's the bathroom",
+  "please stop",
+  "it might rain today",
+];
+
+const DEFAULT_PHRASES_BY_LANG = {
+  en: DEFAULT_WAKE_PHRASES,
+  es: ["me siento mal", "dónde está el baño", "por favor para", "puede que llueva hoy"],
+  pt: ["estou passando mal", "onde fica o banheiro", "por favor para", "acho que vai chover hoje"],
+};
+
+// Fuzzy matching threshold (0-1, lower = more lenient)
+export const DEFAULT_FUZZY_THRESHOLD = 0.75;
+export const MIN_FUZZY_THRESHOLD = 0.6;
+export const MAX_FUZZY_THRESHOLD = 0.95;
+
+export const MAX_WAKE_PHRASES = 10;
+const MAX_PHRASE_LENGTH = 80;
+
+// Common mishearings of the built-in phrases
+const PHONETIC_VARIANTS = {
+  "i'm feeling sick": [
+    "im feeling sick",
+    "i am feeling sick",
+    "i'm feeling sic",
+    "i feel sick",
+    "i'm feeling ill",
+    "i'm feeling seek",
+  ],
+  "where's the bathroom": [
+    "wheres the bathroom",
+    "where is the bathroom",
+    "where's the restroom",
+    "where is the restroom",
+    "where's the bath room",
+    "where's a bathroom",
+    "where is a bathroom",
+  ],
+  "please stop": [
+    "please top",
+    "pleas stop",
+    "please stap",
+    "please stopp",
+  ],
+  "it might rain today": [
+    "it might rain to day",
+    "it may rain today",
+    "it might rain 2day",
+    "it might reign today",
+    "it might rain toda",
+  ],
+};
+
+/**
+ * Calculate Levenshtein distance between two strings
+ */
+function levenshteinDistance(str1, str2) {
+  const m = str1.length;
+  const n = str2.length;
+
+  // Create distance matrix
+  const dp = Array(m + 1)
+    .fill(null)
+    .map(() => Array(n + 1).fill(0));
+
+  // Initialize base cases
+  for (let i = 0; i <= m; i++) dp[i][0] = i;
+  for (let j = 0; j <= n; j++) dp[0][j] = j;
+
+  // Fill the matrix
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      if (str1[i - 1] === str2[j - 1]) {
+        dp[i][j] = dp[i - 1][j - 1];
+      } else {
+        dp[i][j] = 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
+      }
+    }
+  }
+
+  return dp[m][n];
+}
+
+/**
+ * Calculate similarity score between two strings (0-1)
+ */
+export function similarity(str1, str2) {
+  const s1 = str1.toLowerCase().trim();
+  const s2 = str2.toLowerCase().trim();
+
+  if (s1 === s2) return 1;
+  if (s1.length === 0 || s2.length === 0) return 0;
+
+  const distance = levenshteinDistance(s1, s2);
+  const maxLen = Math.max(s1.length, s2.length);
+
+  return 1 - distance / maxLen;
+}
+
+/**
+ * Extract sliding window phrases of a given word count from transcript
+ */
+function extractPhrases(words, wordCount) {
+  const phrases = [];
+  for (let i = 0; i <= words.length - wordCount; i++) {
+    phrases.push(words.slice(i, i + wordCount).join(" "));
+  }
+  return phrases;
+}
+
+export function languageProfile(lang) {
+  return LANGUAGE_PROFILES[lang] || LANGUAGE_PROFILES[DEFAULT_LANGUAGE];
+}
+
+export function normalizeLanguages(langs) {
+  const out = (Array.isArray(langs) ? langs : []).filter((l) => LANGUAGE_PROFILES[l]);
+  return out.length ? Array.from(new Set(out)) : [DEFAULT_LANGUAGE];
+}
+
+/**
+ * Built-in phrases for the given languages → [{ phrase, lang }]
+ */
+export function defaultPhrasesFor(languages) {
+  return normalizeLanguages(languages).flatMap((lang) =>
+    (DEFAULT_PHRASES_BY_LANG[lang] || []).map((phrase) => ({ phrase, lang }))
+  );
+}
+
+/**
+ * User's threshold adjusted for the phrase language, kept in sane bounds
+ */
+export function thresholdFor(lang, threshold = DEFAULT_FUZZY_THRESHOLD) {
+  const t = threshold + languageProfile(lang).thresholdAdjust;
+  return Math.min(MAX_FUZZY_THRESHOLD, Math.max(MIN_FUZZY_THRESHOLD - 0.05, t));
+}
+
+/**
+ * Normalize: lowercase, strip accents (está → esta, ação → acao, ñ → n),
+ * remove punctuation (incl. ¿ ¡ « »), collapse whitespace
+ */
+export function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // drop combining accents
+    .toLowerCase()
+    .replace(/[‘’`´]/g, "'") // normalize apostrophes
+    .replace(/[^a-z0-9\s']/g, " ") // remove punctuation except apostrophes
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Matching form for one language: normalized, apostrophes and filler words removed
+ */
+function matchForm(text, lang) {
+  let out = ` ${normalizeText(text).replace(/'/g, "")} `;
+  for (const filler of languageProfile(lang).fillers) {
+    out = out.split(` ${filler} `).join(" ");
+  }
+  return out.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Clean a user-entered phrase for storage → phrase, or null if unusable.
+ * Accents are kept for display ("dónde está el baño"); matching normalizes them away.
+ */
+export function cleanWakePhrase(phrase) {
+  const cleaned = String(phrase || "")
+    .toLowerCase()
+    .replace(/[¿¡?!.,;:"«»]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!cleaned || cleaned.length > MAX_PHRASE_LENGTH) return null;
+  if (normalizeText(cleaned).split(" ").length < 2) return null; // Never single words
+  return cleaned;
+}
+
+/**
+ * How well a transcript matches ONE wake phrase → { score (0-1), heard, how }.
+ * how: "exact" | "phonetic" | "fuzzy" | null
+ */
+export function scoreWakePhrase(transcript, wakePhrase, lang = DEFAULT_LANGUAGE) {
+  const normalized = normalizeText(transcript);
+  const phrase = normalizeText(wakePhrase);
+  if (!normalized || !phrase) return { score: 0, heard: null, how: null };
+
+  // Exact substring match (also without apostrophes: "i'm" -> "im", "where's" -> "wheres")
+  const phraseNoApostrophe = phrase.replace(/'/g, "");
+  if (normalized.includes(phrase) || normalized.includes(phraseNoApostrophe)) {
+    return { score: 1, heard: phrase, how: "exact" };
+  }
+
+  // Known mishearings (built-in English phrases only)
+  for (const variant of PHONETIC_VARIANTS[phrase] || []) {
+    if (normalized.includes(variant)) return { score: 1, heard: variant, how: "phonetic" };
+  }
+
+  // Fuzzy match full phrases only (no single-word matching!)
+  const target = matchForm(phrase, lang) || phraseNoApostrophe;
+  const words = matchForm(transcript, lang).split(/\s+/).filter((w) => w.length > 0);
+  const phraseWordCount = target.split(/\s+/).length;
+
+  let best = { score: 0, heard: null, how: null };
+
+  // Only check windows with the same word count (or close to it: -1 to +1)
+  for (let windowSize = phraseWordCount - 1; windowSize <= phraseWordCount + 1; windowSize++) {
+    if (windowSize < 2) continue; // Never match single words
+
+    for (const candidate of extractPhrases(words, windowSize)) {
+      const score = similarity(candidate, target);
+      if (score > best.score) best = { score, heard: candidate, how: "fuzzy" };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Check if transcript contains any wake phrase (exact or fuzzy match)
+ * phrases: [{ phrase, lang }] (plain strings are treated as English)
+ * Returns { phrase, lang, score, heard, how } for the first phrase at/above its
+ * language-adjusted threshold, or null
+ */
+export function detectWakePhrase(transcript, phrases = defaultPhrasesFor([DEFAULT_LANGUAGE]), threshold = DEFAULT_FUZZY_THRESHOLD) {
+  for (const entry of phrases) {
+    const wakePhrase = typeof entry === "string" ? entry : entry?.phrase;
+    const lang = (typeof entry === "object" && entry?.lang) || DEFAULT_LANGUAGE;
+    if (!wakePhrase) continue;
+
+    const result = scoreWakePhrase(transcript, wakePhrase, lang);
+    if (result.score >= thresholdFor(lang, threshold)) return { phrase: wakePhrase, lang, ...result };
+  }
+  return null;
+}
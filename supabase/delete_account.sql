@@ -15,7 +15,20 @@ BEGIN
     RAISE EXCEPTION 'Not authenticated';
   END IF;
 
+  -- Remove SOS incident history opened or answered by this user
+  DELETE FROM public.sos_responders         WHERE user_id = _uid;
+  DELETE FROM public.sos_incident_responses WHERE user_id = _uid;
+  DELETE FROM public.sos_incidents          WHERE opened_by = _uid;
+
+  -- Remove private voice-trigger phrases
+  DELETE FROM public.user_wake_phrases  WHERE user_id = _uid;
+  DELETE FROM public.user_wake_settings WHERE user_id = _uid;
+
+  -- Remove private emergency contacts
+  DELETE FROM public.user_emergency_contacts WHERE user_id = _uid;
+
   -- Remove device-level rows
+  DELETE FROM public.sos_breadcrumbs   WHERE user_id = _uid;
   DELETE FROM public.push_tokens       WHERE user_id = _uid;
   DELETE FROM public.user_sos_pins     WHERE user_id = _uid;
   DELETE FROM public.tracking_sessions WHERE user_id = _uid;
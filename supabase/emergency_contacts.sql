@@ -0,0 +1,371 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- Per-user emergency contacts (people outside the fleet: family, a friend, a doctor).
+-- They are reached by SMS / webhook (src/services/ContactDelivery) when an SOS
+-- escalates past the fleets, and again when it is cancelled.
+-- Contacts are private to their owner: no fleet member can read them.
+-- The app keeps a local copy so an SOS can reach them without a round trip; these rows
+-- make the list follow the user to a new / reinstalled device.
+-- language picks the message template (en / es / pt, same set as the wake phrases).
+--
+-- Opt-in: a contact only receives SOS messages once they agreed (status 'confirmed').
+-- New contacts — and contacts whose phone / email changed — start 'pending' and get an
+-- invite with a tokenized link (https://sentihnel.com/confirm/?contact=<token>, handled by
+-- the static confirm page) and a reply code ("YES 123456" / "STOP" by SMS, forwarded by the
+-- Cloud Robot). Declining sets 'opted_out'. Status is never writable by the app.
+-- The token and reply code never leave the server: the Cloud Robot asks for them
+-- (issue_emergency_contact_invite, service role) and texts the invite itself, so the owner
+-- can't agree on the contact's behalf. Both come from pgcrypto's gen_random_bytes.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS public.user_emergency_contacts (
+  user_id      uuid NOT NULL DEFAULT auth.uid(),
+  id           text NOT NULL CHECK (char_length(id) BETWEEN 4 AND 40), -- generated on the device
+  name         text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+  phone        text CHECK (phone ~ '^\+[1-9][0-9]{6,14}$'),
+  email        text CHECK (char_length(email) <= 120 AND email ~ '^[^@\s]+@[^@\s]+\.[^@\s]+$'),
+  relationship text CHECK (char_length(relationship) <= 40),
+  language     text NOT NULL DEFAULT 'en' CHECK (language IN ('en', 'es', 'pt')),
+  position     smallint NOT NULL DEFAULT 0,
+  status       text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'opted_out')),
+  invite_token text NOT NULL DEFAULT encode(extensions.gen_random_bytes(16), 'hex'),
+  reply_code   text NOT NULL DEFAULT lpad((('x' || encode(extensions.gen_random_bytes(4), 'hex'))::bit(32)::bigint % 1000000)::text, 6, '0'),
+  owner_name   text CHECK (char_length(owner_name) <= 60),
+  invited_at   timestamptz,
+  responded_at timestamptz,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  updated_at   timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, id),
+  CHECK (phone IS NOT NULL OR email IS NOT NULL)
+);
+
+-- Upgrade path for installs created before contact opt-in existed (existing rows must opt in too)
+ALTER TABLE public.user_emergency_contacts ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'pending'
+  CHECK (status IN ('pending', 'confirmed', 'opted_out'));
+ALTER TABLE public.user_emergency_contacts ADD COLUMN IF NOT EXISTS invite_token text NOT NULL
+  DEFAULT encode(extensions.gen_random_bytes(16), 'hex');
+ALTER TABLE public.user_emergency_contacts ADD COLUMN IF NOT EXISTS reply_code text NOT NULL
+  DEFAULT lpad((('x' || encode(extensions.gen_random_bytes(4), 'hex'))::bit(32)::bigint % 1000000)::text, 6, '0');
+-- Installs that created the columns with the old random() defaults
+ALTER TABLE public.user_emergency_contacts ALTER COLUMN invite_token SET DEFAULT encode(extensions.gen_random_bytes(16), 'hex');
+ALTER TABLE public.user_emergency_contacts ALTER COLUMN reply_code SET DEFAULT lpad((('x' || encode(extensions.gen_random_bytes(4), 'hex'))::bit(32)::bigint % 1000000)::text, 6, '0');
+ALTER TABLE public.user_emergency_contacts ADD COLUMN IF NOT EXISTS owner_name text
+  CHECK (char_length(owner_name) <= 60);
+ALTER TABLE public.user_emergency_contacts ADD COLUMN IF NOT EXISTS invited_at timestamptz;
+ALTER TABLE public.user_emergency_contacts ADD COLUMN IF NOT EXISTS responded_at timestamptz;
+
+CREATE UNIQUE INDEX IF NOT EXISTS user_emergency_contacts_invite_token_idx
+  ON public.user_emergency_contacts (invite_token);
+
+-- Direct table access is closed; everything goes through the RPCs below
+ALTER TABLE public.user_emergency_contacts ENABLE ROW LEVEL SECURITY;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_emergency_contacts: caller's own contacts, in the order they set (no invite token /
+-- reply code — those are only for the contact)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_emergency_contacts()
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'contacts', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'id', c.id,
+               'name', c.name,
+               'phone', c.phone,
+               'email', c.email,
+               'relationship', c.relationship,
+               'language', c.language,
+               'status', c.status,
+               'invited_at', c.invited_at,
+               'responded_at', c.responded_at
+             ) ORDER BY c.position, c.created_at)
+      FROM public.user_emergency_contacts c
+      WHERE c.user_id = _uid
+    ), '[]'::jsonb)
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- set_emergency_contacts: replace the caller's contact list (app sends it already
+-- cleaned). p_contacts = [{ "id", "name", "phone", "email", "relationship", "language" }, ...]
+-- Rows keep their created_at — and their opt-in status — when the same id comes back with
+-- the same phone / email. A changed phone or email is a different person: back to
+-- 'pending' with a fresh token + reply code.
+-- p_owner_name is how the invite introduces the user ("Sam added you as …").
+-- ─────────────────────────────────────────────────────────────
+DROP FUNCTION IF EXISTS public.set_emergency_contacts(jsonb);
+
+CREATE OR REPLACE FUNCTION public.set_emergency_contacts(p_contacts jsonb, p_owner_name text DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _count integer;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_contacts IS NULL OR jsonb_typeof(p_contacts) <> 'array' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_contact');
+  END IF;
+
+  DROP TABLE IF EXISTS _contacts_in;
+  CREATE TEMP TABLE _contacts_in ON COMMIT DROP AS
+  SELECT DISTINCT ON (e->>'id')
+         e->>'id' AS id,
+         btrim(COALESCE(e->>'name', '')) AS name,
+         NULLIF(btrim(COALESCE(e->>'phone', '')), '') AS phone,
+         NULLIF(lower(btrim(COALESCE(e->>'email', ''))), '') AS email,
+         NULLIF(btrim(COALESCE(e->>'relationship', '')), '') AS relationship,
+         COALESCE(e->>'language', 'en') AS language,
+         (ord - 1)::smallint AS position
+  FROM jsonb_array_elements(p_contacts) WITH ORDINALITY AS t(e, ord)
+  WHERE COALESCE(e->>'id', '') <> ''
+  ORDER BY e->>'id', ord;
+
+  SELECT count(*) INTO _count FROM _contacts_in;
+
+  IF _count > 5 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'too_many_contacts');
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM _contacts_in
+    WHERE name = '' OR char_length(name) > 60
+       OR (phone IS NULL AND email IS NULL)
+       OR (phone IS NOT NULL AND phone !~ '^\+[1-9][0-9]{6,14}$')
+       OR (email IS NOT NULL AND email !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$')
+       OR char_length(COALESCE(relationship, '')) > 40
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_contact');
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM _contacts_in WHERE language NOT IN ('en', 'es', 'pt')) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_language');
+  END IF;
+
+  DELETE FROM public.user_emergency_contacts c
+  WHERE c.user_id = _uid
+    AND NOT EXISTS (SELECT 1 FROM _contacts_in i WHERE i.id = c.id);
+
+  INSERT INTO public.user_emergency_contacts (user_id, id, name, phone, email, relationship, language, position, owner_name, updated_at)
+  SELECT _uid, id, name, phone, email, relationship, language, position, NULLIF(left(btrim(COALESCE(p_owner_name, '')), 60), ''), now()
+  FROM _contacts_in
+  ON CONFLICT (user_id, id) DO UPDATE
+  SET name = EXCLUDED.name,
+      relationship = EXCLUDED.relationship,
+      language = EXCLUDED.language,
+      position = EXCLUDED.position,
+      owner_name = COALESCE(EXCLUDED.owner_name, user_emergency_contacts.owner_name),
+      status = CASE WHEN user_emergency_contacts.phone IS NOT DISTINCT FROM EXCLUDED.phone
+                     AND user_emergency_contacts.email IS NOT DISTINCT FROM EXCLUDED.email
+                    THEN user_emergency_contacts.status ELSE 'pending' END,
+      invite_token = CASE WHEN user_emergency_contacts.phone IS NOT DISTINCT FROM EXCLUDED.phone
+                           AND user_emergency_contacts.email IS NOT DISTINCT FROM EXCLUDED.email
+                          THEN user_emergency_contacts.invite_token ELSE EXCLUDED.invite_token END,
+      reply_code = CASE WHEN user_emergency_contacts.phone IS NOT DISTINCT FROM EXCLUDED.phone
+                         AND user_emergency_contacts.email IS NOT DISTINCT FROM EXCLUDED.email
+                        THEN user_emergency_contacts.reply_code ELSE EXCLUDED.reply_code END,
+      invited_at = CASE WHEN user_emergency_contacts.phone IS NOT DISTINCT FROM EXCLUDED.phone
+                         AND user_emergency_contacts.email IS NOT DISTINCT FROM EXCLUDED.email
+                        THEN user_emergency_contacts.invited_at ELSE NULL END,
+      responded_at = CASE WHEN user_emergency_contacts.phone IS NOT DISTINCT FROM EXCLUDED.phone
+                           AND user_emergency_contacts.email IS NOT DISTINCT FROM EXCLUDED.email
+                          THEN user_emergency_contacts.responded_at ELSE NULL END,
+      phone = EXCLUDED.phone,
+      email = EXCLUDED.email,
+      updated_at = now();
+
+  RETURN jsonb_build_object('ok', true, 'count', _count);
+END;
+$$;
+
+-- Replaced by issue_emergency_contact_invite: the app no longer sends invites itself
+DROP FUNCTION IF EXISTS public.mark_emergency_contact_invited(text);
+
+-- ─────────────────────────────────────────────────────────────
+-- issue_emergency_contact_invite: called by the Cloud Robot (service role only) after it
+-- verified the owner's session. Gives the pending contact a fresh token + reply code, stamps
+-- invited_at and returns what the invite text needs. Resends are limited to one per
+-- 10 minutes so a contact can't be spammed; only 'pending' contacts are invited (an
+-- opted-out contact is never asked again unless their number changes).
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.issue_emergency_contact_invite(p_user_id uuid, p_contact_id text)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  _row   public.user_emergency_contacts%ROWTYPE;
+  _token text := encode(gen_random_bytes(16), 'hex');
+  _code  text := lpad((('x' || encode(gen_random_bytes(4), 'hex'))::bit(32)::bigint % 1000000)::text, 6, '0');
+BEGIN
+  SELECT * INTO _row FROM public.user_emergency_contacts
+  WHERE user_id = p_user_id AND id = p_contact_id
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_found');
+  END IF;
+
+  IF _row.status <> 'pending' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_pending', 'status', _row.status);
+  END IF;
+
+  IF _row.invited_at IS NOT NULL AND _row.invited_at > now() - interval '10 minutes' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'too_soon', 'invited_at', _row.invited_at);
+  END IF;
+
+  IF _row.phone IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'missing_phone');
+  END IF;
+
+  -- A resend invalidates the previous link and code
+  UPDATE public.user_emergency_contacts
+  SET invite_token = _token, reply_code = _code, invited_at = now()
+  WHERE user_id = p_user_id AND id = p_contact_id;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'phone', _row.phone,
+    'language', _row.language,
+    'owner_name', _row.owner_name,
+    'link', 'https://sentihnel.com/confirm/?contact=' || _token,
+    'reply_code', _code
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_contact_invite: what the confirm page shows for a token (no sign-in needed —
+-- the token IS the credential). Only names, language and status are exposed.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_contact_invite(p_token text)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _row public.user_emergency_contacts%ROWTYPE;
+BEGIN
+  IF COALESCE(char_length(p_token), 0) < 16 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_token');
+  END IF;
+
+  SELECT * INTO _row FROM public.user_emergency_contacts WHERE invite_token = p_token;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_token');
+  END IF;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'contact_name', _row.name,
+    'owner_name', _row.owner_name,
+    'language', _row.language,
+    'status', _row.status
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- respond_contact_invite: agree (confirmed) or decline / stop (opted_out) from the link.
+-- A contact can change their mind either way with the same link.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.respond_contact_invite(p_token text, p_accept boolean)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _status text := CASE WHEN p_accept THEN 'confirmed' ELSE 'opted_out' END;
+BEGIN
+  IF COALESCE(char_length(p_token), 0) < 16 OR p_accept IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_token');
+  END IF;
+
+  UPDATE public.user_emergency_contacts
+  SET status = _status, responded_at = now()
+  WHERE invite_token = p_token;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_token');
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'status', _status);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- respond_contact_reply: SMS reply forwarded by the Cloud Robot (service role only).
+-- "YES <code>" → confirmed for that number + code; "STOP" (no code) → opted_out for
+-- every contact entry with that number.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.respond_contact_reply(p_phone text, p_code text, p_accept boolean)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _count integer;
+BEGIN
+  IF p_phone IS NULL OR p_accept IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_reply');
+  END IF;
+
+  IF p_accept THEN
+    UPDATE public.user_emergency_contacts
+    SET status = 'confirmed', responded_at = now()
+    WHERE phone = p_phone AND reply_code = btrim(COALESCE(p_code, '')) AND status <> 'confirmed';
+  ELSE
+    UPDATE public.user_emergency_contacts
+    SET status = 'opted_out', responded_at = now()
+    WHERE phone = p_phone
+      AND (p_code IS NULL OR reply_code = btrim(p_code))
+      AND status <> 'opted_out';
+  END IF;
+
+  GET DIAGNOSTICS _count = ROW_COUNT;
+  RETURN jsonb_build_object('ok', _count > 0, 'updated', _count);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_emergency_contacts() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_emergency_contacts() TO authenticated;
+
+REVOKE ALL ON FUNCTION public.set_emergency_contacts(jsonb, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_emergency_contacts(jsonb, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.issue_emergency_contact_invite(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.issue_emergency_contact_invite(uuid, text) TO service_role;
+
+-- The confirm page calls these with the anon key (the contact has no account)
+REVOKE ALL ON FUNCTION public.get_contact_invite(text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_contact_invite(text) TO anon, authenticated;
+
+REVOKE ALL ON FUNCTION public.respond_contact_invite(text, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.respond_contact_invite(text, boolean) TO anon, authenticated;
+
+REVOKE ALL ON FUNCTION public.respond_contact_reply(text, text, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.respond_contact_reply(text, text, boolean) TO service_role;
@@ -0,0 +1,956 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- Invite codes with expiry, usage limits, revocation and role / team presets, plus an
+-- audit of who joined with which code. Run AFTER fleet_roles.sql and fleet_teams.sql.
+--
+-- Every fleet keeps its primary code (groups.invite_code, permanent). On top of it, anyone
+-- with the 'invite' permission can issue extra codes (fleet_invite_codes) that:
+--   - expire (expires_at) and/or stop after max_uses joins
+--   - can be revoked at any time
+--   - preset the joiner's role and team
+-- A supervisor's codes always preset their own team and at most the Responder role; only the
+-- owner presets Admin. The owner / admins can replace a leaked primary code
+-- (rotate_fleet_invite_code) — the old one stops working immediately.
+--
+-- Joining: the app calls redeem_fleet_invite_code (both kinds of code). It checks the code,
+-- joins through the existing join_group_with_invite_code with the fleet's primary code (so
+-- its checks — fleet type, subscription — still apply), then applies the preset and records
+-- the join in fleet_invite_redemptions. resolve_fleet_invite_code replaces
+-- get_group_id_by_invite_code for the "does this code exist" step and says why a code is dead.
+--
+-- Blocked users (fleet_blocked_users) can't join with any code: a trigger on group_members
+-- refuses them, whichever RPC inserts the row.
+--
+-- Join approval (groups.join_approval, owner / admins turn it on): the same trigger keeps new
+-- joiners out of group_members and queues them in fleet_join_requests instead. Until the
+-- owner or an admin approves them they are not members — no location sharing, no SOS, no
+-- roster. Approving adds the membership with the code's preset and sends the joiner a push
+-- (pg_net → Expo, like the SOS push); rejecting just closes the request.
+
+-- ─────────────────────────────────────────────────────────────
+-- Tables
+-- ─────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.fleet_invite_codes (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id    uuid NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  code        text NOT NULL UNIQUE CHECK (code ~ '^[A-Z0-9]{6,16}$'),
+  label       text CHECK (label IS NULL OR char_length(label) <= 40),
+  role        text NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'supervisor', 'responder', 'member')),
+  team_id     uuid REFERENCES public.fleet_teams(id) ON DELETE SET NULL,
+  max_uses    int CHECK (max_uses IS NULL OR max_uses BETWEEN 1 AND 1000), -- NULL = unlimited
+  use_count   int NOT NULL DEFAULT 0,
+  expires_at  timestamptz,                                                 -- NULL = never
+  revoked_at  timestamptz,
+  revoked_by  uuid,
+  created_by  uuid NOT NULL DEFAULT auth.uid(),
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS fleet_invite_codes_group_idx
+  ON public.fleet_invite_codes (group_id, created_at DESC);
+
+ALTER TABLE public.fleet_invite_codes ENABLE ROW LEVEL SECURITY;
+
+-- invite_id NULL = joined with the primary code (or the code was deleted with its fleet)
+CREATE TABLE IF NOT EXISTS public.fleet_invite_redemptions (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id    uuid NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  invite_id   uuid REFERENCES public.fleet_invite_codes(id) ON DELETE SET NULL,
+  code        text NOT NULL,
+  user_id     uuid NOT NULL,
+  role        text NOT NULL,
+  team_id     uuid REFERENCES public.fleet_teams(id) ON DELETE SET NULL,
+  joined_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS fleet_invite_redemptions_group_idx
+  ON public.fleet_invite_redemptions (group_id, joined_at DESC);
+
+ALTER TABLE public.fleet_invite_redemptions ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS join_approval boolean NOT NULL DEFAULT false;
+
+-- One row per (fleet, joiner); asking again after a rejection reopens it.
+-- role / team_id / invite_id / code: what approving will apply (the code the joiner used)
+CREATE TABLE IF NOT EXISTS public.fleet_join_requests (
+  id           uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id     uuid NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  user_id      uuid NOT NULL,
+  status       text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  role         text NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'supervisor', 'responder', 'member')),
+  team_id      uuid REFERENCES public.fleet_teams(id) ON DELETE SET NULL,
+  invite_id    uuid REFERENCES public.fleet_invite_codes(id) ON DELETE SET NULL,
+  code         text,
+  push_token   text, -- the joiner isn't in the fleet yet, so push_tokens has nothing for it
+  requested_at timestamptz NOT NULL DEFAULT now(),
+  decided_at   timestamptz,
+  decided_by   uuid,
+  UNIQUE (group_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS fleet_join_requests_pending_idx
+  ON public.fleet_join_requests (group_id, requested_at) WHERE status = 'pending';
+
+ALTER TABLE public.fleet_join_requests ENABLE ROW LEVEL SECURITY;
+
+-- ─────────────────────────────────────────────────────────────
+-- Admission (any join path): blocked users never become members again; in fleets with
+-- join approval, new joiners are queued in fleet_join_requests instead of inserted.
+-- decide_fleet_join_request lets its own insert through (sentinel.admit_user).
+-- ─────────────────────────────────────────────────────────────
+DROP TRIGGER IF EXISTS group_members_refuse_blocked ON public.group_members;
+DROP FUNCTION IF EXISTS public.refuse_blocked_fleet_member();
+
+CREATE OR REPLACE FUNCTION public.admit_fleet_member()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _group public.groups%ROWTYPE;
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM public.fleet_blocked_users
+    WHERE group_id = NEW.group_id AND user_id = NEW.user_id
+  ) THEN
+    RAISE EXCEPTION 'You have been blocked from this fleet';
+  END IF;
+
+  SELECT * INTO _group FROM public.groups WHERE id = NEW.group_id;
+
+  IF COALESCE(_group.join_approval, false)
+     AND NEW.user_id IS DISTINCT FROM _group.owner_user_id
+     AND current_setting('sentinel.admit_user', true) IS DISTINCT FROM NEW.user_id::text THEN
+    INSERT INTO public.fleet_join_requests (group_id, user_id)
+    VALUES (NEW.group_id, NEW.user_id)
+    ON CONFLICT (group_id, user_id) DO UPDATE
+    SET status = 'pending', requested_at = now(), decided_at = NULL, decided_by = NULL
+    WHERE public.fleet_join_requests.status <> 'pending';
+
+    RETURN NULL; -- not a member until approved
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS group_members_admission ON public.group_members;
+CREATE TRIGGER group_members_admission
+  BEFORE INSERT ON public.group_members
+  FOR EACH ROW EXECUTE FUNCTION public.admit_fleet_member();
+
+-- ─────────────────────────────────────────────────────────────
+-- Helpers
+-- ─────────────────────────────────────────────────────────────
+
+-- Same normalization as the app (normalizeInviteCode): uppercase, alphanumerics only
+CREATE OR REPLACE FUNCTION public.normalize_invite_code(p_code text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT regexp_replace(upper(btrim(COALESCE(p_code, ''))), '[^A-Z0-9]', '', 'g');
+$$;
+
+-- 8 characters without look-alikes (0/O, 1/I), unused by any fleet or invite
+CREATE OR REPLACE FUNCTION public.generate_fleet_invite_code()
+RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _alphabet text := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  _code     text;
+BEGIN
+  LOOP
+    SELECT string_agg(substr(_alphabet, 1 + floor(random() * length(_alphabet))::int, 1), '')
+    INTO _code
+    FROM generate_series(1, 8);
+
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM public.fleet_invite_codes WHERE code = _code)
+          AND NOT EXISTS (SELECT 1 FROM public.groups WHERE public.normalize_invite_code(invite_code) = _code);
+  END LOOP;
+  RETURN _code;
+END;
+$$;
+
+-- Why a code can't be used right now (NULL = usable)
+CREATE OR REPLACE FUNCTION public.fleet_invite_code_problem(p_invite public.fleet_invite_codes)
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN p_invite.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN p_invite.expires_at IS NOT NULL AND p_invite.expires_at <= now() THEN 'expired'
+    WHEN p_invite.max_uses IS NOT NULL AND p_invite.use_count >= p_invite.max_uses THEN 'used_up'
+  END;
+$$;
+
+-- Roles the caller may preset on a new code (see the header)
+CREATE OR REPLACE FUNCTION public.fleet_invite_preset_roles(p_group_id uuid)
+RETURNS text[]
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE public.fleet_role(p_group_id)
+    WHEN 'owner' THEN ARRAY['admin', 'supervisor', 'responder', 'member']
+    WHEN 'admin' THEN ARRAY['supervisor', 'responder', 'member']
+    ELSE CASE WHEN public.fleet_has_permission(p_group_id, 'invite')
+      THEN ARRAY['responder', 'member'] ELSE ARRAY[]::text[] END
+  END;
+$$;
+
+-- A supervisor can only invite into their own team (NULL for everyone else = free choice)
+CREATE OR REPLACE FUNCTION public.fleet_invite_locked_team(p_group_id uuid)
+RETURNS uuid
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT gm.team_id FROM public.group_members gm
+  WHERE gm.group_id = p_group_id AND gm.user_id = auth.uid()
+    AND public.fleet_role(p_group_id) = 'supervisor';
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_fleet_invite_codes: codes + recent joins for the invite manager ('invite').
+-- A supervisor sees their own team's codes and joins.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_fleet_invite_codes(p_group_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _role   text;
+  _group  public.groups%ROWTYPE;
+  _scoped boolean;
+  _team   uuid;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF NOT public.fleet_has_permission(p_group_id, 'invite') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  SELECT * INTO _group FROM public.groups WHERE id = p_group_id;
+  _role := public.fleet_role(p_group_id);
+  _scoped := _role = 'supervisor';
+  _team := public.fleet_invite_locked_team(p_group_id);
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'group_id', p_group_id,
+    'fleet_type', COALESCE(_group.fleet_type, 'family'),
+    'primary_code', _group.invite_code,
+    'can_rotate', _role IN ('owner', 'admin'),
+    'preset_roles', to_jsonb(public.fleet_invite_preset_roles(p_group_id)),
+    'locked_team_id', _team,
+    'teams', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('id', t.id, 'name', t.name) ORDER BY t.name)
+      FROM public.fleet_teams t
+      WHERE t.group_id = p_group_id AND (NOT _scoped OR t.id = _team)
+    ), '[]'::jsonb),
+    'codes', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'id', c.id,
+               'code', c.code,
+               'label', c.label,
+               'role', c.role,
+               'team_id', c.team_id,
+               'team_name', t.name,
+               'max_uses', c.max_uses,
+               'use_count', c.use_count,
+               'expires_at', c.expires_at,
+               'revoked_at', c.revoked_at,
+               'created_at', c.created_at,
+               'status', COALESCE(public.fleet_invite_code_problem(c), 'active')
+             ) ORDER BY (public.fleet_invite_code_problem(c) IS NOT NULL), c.created_at DESC)
+      FROM public.fleet_invite_codes c
+      LEFT JOIN public.fleet_teams t ON t.id = c.team_id
+      WHERE c.group_id = p_group_id
+        AND (NOT _scoped OR c.team_id IS NOT DISTINCT FROM _team)
+        AND (c.revoked_at IS NULL OR c.revoked_at > now() - interval '30 days')
+    ), '[]'::jsonb),
+    'redemptions', COALESCE((
+      SELECT jsonb_agg(x.item ORDER BY x.joined_at DESC)
+      FROM (
+        SELECT r.joined_at, jsonb_build_object(
+                 'user_id', r.user_id,
+                 'display_name', (
+                   SELECT d.display_name FROM public.devices d
+                   WHERE d.user_id = r.user_id AND d.group_id = r.group_id
+                     AND d.display_name IS NOT NULL
+                   ORDER BY d.last_seen_at DESC NULLS LAST
+                   LIMIT 1
+                 ),
+                 'code', r.code,
+                 'label', c.label,
+                 'primary', r.invite_id IS NULL,
+                 'role', r.role,
+                 'team_name', t.name,
+                 'joined_at', r.joined_at
+               ) AS item
+        FROM public.fleet_invite_redemptions r
+        LEFT JOIN public.fleet_invite_codes c ON c.id = r.invite_id
+        LEFT JOIN public.fleet_teams t ON t.id = r.team_id
+        WHERE r.group_id = p_group_id
+          AND (NOT _scoped OR r.team_id IS NOT DISTINCT FROM _team)
+        ORDER BY r.joined_at DESC
+        LIMIT 100
+      ) x
+    ), '[]'::jsonb)
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- create_fleet_invite_code: 'invite', within the caller's preset limits
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.create_fleet_invite_code(
+  p_group_id         uuid,
+  p_label            text DEFAULT NULL,
+  p_role             text DEFAULT 'member',
+  p_team_id          uuid DEFAULT NULL,
+  p_max_uses         int DEFAULT NULL,
+  p_expires_in_hours int DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _label  text := NULLIF(btrim(COALESCE(p_label, '')), '');
+  _role   text := lower(COALESCE(NULLIF(btrim(p_role), ''), 'member'));
+  _team   uuid := p_team_id;
+  _invite public.fleet_invite_codes%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF NOT public.fleet_has_permission(p_group_id, 'invite') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  IF NOT _role = ANY (public.fleet_invite_preset_roles(p_group_id)) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'role_not_allowed');
+  END IF;
+
+  IF public.fleet_role(p_group_id) = 'supervisor' THEN
+    _team := public.fleet_invite_locked_team(p_group_id);
+  END IF;
+
+  IF _team IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM public.fleet_teams WHERE id = _team AND group_id = p_group_id
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'team_not_found');
+  END IF;
+
+  IF char_length(_label) > 40 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_label');
+  END IF;
+
+  IF p_max_uses IS NOT NULL AND p_max_uses NOT BETWEEN 1 AND 1000 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_max_uses');
+  END IF;
+
+  -- Up to 90 days; NULL = until revoked
+  IF p_expires_in_hours IS NOT NULL AND p_expires_in_hours NOT BETWEEN 1 AND 2160 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_expiry');
+  END IF;
+
+  INSERT INTO public.fleet_invite_codes (group_id, code, label, role, team_id, max_uses, expires_at)
+  VALUES (
+    p_group_id,
+    public.generate_fleet_invite_code(),
+    _label,
+    _role,
+    _team,
+    p_max_uses,
+    CASE WHEN p_expires_in_hours IS NOT NULL THEN now() + make_interval(hours => p_expires_in_hours) END
+  )
+  RETURNING * INTO _invite;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'id', _invite.id,
+    'code', _invite.code,
+    'expires_at', _invite.expires_at
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- revoke_fleet_invite_code: 'invite' (a supervisor: their team's codes only)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.revoke_fleet_invite_code(p_invite_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _invite public.fleet_invite_codes%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO _invite FROM public.fleet_invite_codes WHERE id = p_invite_id;
+  IF _invite.id IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invite_not_found');
+  END IF;
+
+  IF NOT public.fleet_has_permission(_invite.group_id, 'invite')
+     OR (public.fleet_role(_invite.group_id) = 'supervisor'
+         AND _invite.team_id IS DISTINCT FROM public.fleet_invite_locked_team(_invite.group_id)) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  UPDATE public.fleet_invite_codes
+  SET revoked_at = now(), revoked_by = auth.uid()
+  WHERE id = p_invite_id AND revoked_at IS NULL;
+
+  RETURN jsonb_build_object('ok', true, 'id', p_invite_id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- rotate_fleet_invite_code: replace the primary code (owner / admins).
+-- Members stay; only new joins need the new code.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.rotate_fleet_invite_code(p_group_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _code text;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF public.fleet_role(p_group_id) NOT IN ('owner', 'admin') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  _code := public.generate_fleet_invite_code();
+  UPDATE public.groups SET invite_code = _code WHERE id = p_group_id;
+
+  RETURN jsonb_build_object('ok', true, 'code', _code);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- resolve_fleet_invite_code: which fleet a code joins, or why it can't be used
+-- → { ok, group_id, fleet_type, role, team_name } | { ok: false, error }
+-- error: invalid_code / revoked / expired / used_up / blocked
+-- Members and pending joiners always resolve: their own join already counted a use, so
+-- "Link Now" after an approval must not fail on a code that has since run out.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.resolve_fleet_invite_code(p_invite_code text)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _code    text := public.normalize_invite_code(p_invite_code);
+  _invite  public.fleet_invite_codes%ROWTYPE;
+  _gid     uuid;
+  _problem text;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO _invite FROM public.fleet_invite_codes WHERE code = _code;
+  IF _invite.id IS NOT NULL THEN
+    _gid := _invite.group_id;
+    _problem := public.fleet_invite_code_problem(_invite);
+  ELSE
+    SELECT id INTO _gid FROM public.groups
+    WHERE _code <> '' AND public.normalize_invite_code(invite_code) = _code
+    LIMIT 1;
+  END IF;
+
+  IF _gid IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_code');
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM public.fleet_blocked_users WHERE group_id = _gid AND user_id = auth.uid()) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'blocked');
+  END IF;
+
+  IF public.fleet_role(_gid) IS NOT NULL THEN
+    RETURN jsonb_build_object(
+      'ok', true,
+      'group_id', _gid,
+      'fleet_type', (SELECT COALESCE(fleet_type, 'family') FROM public.groups WHERE id = _gid),
+      'role', public.fleet_role(_gid),
+      'team_name', (
+        SELECT t.name FROM public.group_members gm JOIN public.fleet_teams t ON t.id = gm.team_id
+        WHERE gm.group_id = _gid AND gm.user_id = auth.uid()
+      ),
+      'already_member', true
+    );
+  END IF;
+
+  IF _problem IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM public.fleet_join_requests
+    WHERE group_id = _gid AND user_id = auth.uid() AND status = 'pending'
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', _problem);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'group_id', _gid,
+    'fleet_type', (SELECT COALESCE(fleet_type, 'family') FROM public.groups WHERE id = _gid),
+    'role', COALESCE(_invite.role, 'member'),
+    'team_name', (SELECT name FROM public.fleet_teams WHERE id = _invite.team_id)
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- redeem_fleet_invite_code: join with a primary or an extra code.
+-- Same result shape as join_group_with_invite_code:
+--   { success: true, group_id, role, team_id } | { success: false, error (message), reason }
+--   | { success: true, group_id, pending: true } (join approval: waiting for the owner / an admin)
+-- Members who are already in the fleet (e.g. approved joiners linking their device) and
+-- pending joiners get success without using up the code or changing their role — even if
+-- the code has been revoked, expired or used up since their own join counted against it.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.redeem_fleet_invite_code(
+  p_invite_code text,
+  p_fleet_type  text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid     uuid := auth.uid();
+  _code    text := public.normalize_invite_code(p_invite_code);
+  _invite  public.fleet_invite_codes%ROWTYPE;
+  _group   public.groups%ROWTYPE;
+  _problem text;
+  _join    jsonb;
+  _role    text;
+  _team    uuid;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  -- Lock the code so two joins can't both take its last use
+  SELECT * INTO _invite FROM public.fleet_invite_codes WHERE code = _code FOR UPDATE;
+  IF _invite.id IS NOT NULL THEN
+    SELECT * INTO _group FROM public.groups WHERE id = _invite.group_id;
+    _problem := public.fleet_invite_code_problem(_invite);
+  ELSE
+    SELECT * INTO _group FROM public.groups
+    WHERE _code <> '' AND public.normalize_invite_code(invite_code) = _code
+    LIMIT 1;
+  END IF;
+
+  IF _group.id IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'invalid_code',
+      'error', 'That invite code does not exist.');
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM public.fleet_blocked_users WHERE group_id = _group.id AND user_id = _uid) THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'blocked',
+      'error', 'You have been blocked from this fleet.');
+  END IF;
+
+  IF public.fleet_role(_group.id) IS NOT NULL THEN
+    RETURN jsonb_build_object('success', true, 'group_id', _group.id, 'already_member', true,
+      'role', public.fleet_role(_group.id));
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.fleet_join_requests
+    WHERE group_id = _group.id AND user_id = _uid AND status = 'pending'
+  ) THEN
+    RETURN jsonb_build_object('success', true, 'group_id', _group.id, 'pending', true);
+  END IF;
+
+  IF _problem = 'revoked' THEN
+    RETURN jsonb_build_object('success', false, 'reason', _problem,
+      'error', 'This invite code has been revoked. Ask the fleet for a new one.');
+  ELSIF _problem = 'expired' THEN
+    RETURN jsonb_build_object('success', false, 'reason', _problem,
+      'error', 'This invite code has expired. Ask the fleet for a new one.');
+  ELSIF _problem = 'used_up' THEN
+    RETURN jsonb_build_object('success', false, 'reason', _problem,
+      'error', 'This invite code has already been used the maximum number of times.');
+  END IF;
+
+  -- The existing join does the membership (and its own checks) with the primary code
+  BEGIN
+    SELECT to_jsonb(j) INTO _join
+    FROM public.join_group_with_invite_code(_group.invite_code, COALESCE(p_fleet_type, _group.fleet_type)) AS j
+    LIMIT 1;
+  EXCEPTION WHEN undefined_function THEN
+    SELECT to_jsonb(j) INTO _join
+    FROM public.join_group_with_invite_code(_group.invite_code) AS j
+    LIMIT 1;
+  END;
+
+  -- Join approval: the admission trigger queued a request instead of the membership
+  IF EXISTS (
+    SELECT 1 FROM public.fleet_join_requests
+    WHERE group_id = _group.id AND user_id = _uid AND status = 'pending'
+  ) THEN
+    UPDATE public.fleet_join_requests
+    SET role = COALESCE(_invite.role, 'member'),
+        team_id = CASE WHEN _group.fleet_type = 'work' THEN _invite.team_id END,
+        invite_id = _invite.id,
+        code = _code
+    WHERE group_id = _group.id AND user_id = _uid;
+
+    IF _invite.id IS NOT NULL THEN
+      UPDATE public.fleet_invite_codes SET use_count = use_count + 1 WHERE id = _invite.id;
+    END IF;
+
+    RETURN jsonb_build_object('success', true, 'group_id', _group.id, 'pending', true);
+  END IF;
+
+  IF jsonb_typeof(_join) = 'object' AND _join->>'success' = 'false' THEN
+    RETURN _join || jsonb_build_object('reason', 'join_refused');
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.group_members WHERE group_id = _group.id AND user_id = _uid) THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'join_refused',
+      'error', 'Could not join fleet');
+  END IF;
+
+  -- Extra codes apply their preset; the primary code keeps whatever the join gave
+  IF _invite.id IS NOT NULL THEN
+    UPDATE public.group_members
+    SET role = _invite.role,
+        team_id = CASE WHEN _group.fleet_type = 'work' THEN _invite.team_id END,
+        shift_id = NULL
+    WHERE group_id = _group.id AND user_id = _uid AND role <> 'owner';
+
+    UPDATE public.fleet_invite_codes SET use_count = use_count + 1 WHERE id = _invite.id;
+  END IF;
+
+  SELECT role, team_id INTO _role, _team
+  FROM public.group_members WHERE group_id = _group.id AND user_id = _uid;
+
+  INSERT INTO public.fleet_invite_redemptions (group_id, invite_id, code, user_id, role, team_id)
+  VALUES (_group.id, _invite.id, _code, _uid, _role, _team);
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'group_id', _group.id,
+    'role', _role,
+    'team_id', _team
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- Join approval
+-- ─────────────────────────────────────────────────────────────
+
+-- Owner / admins turn approval on or off (requests already queued stay queued)
+CREATE OR REPLACE FUNCTION public.set_fleet_join_approval(p_group_id uuid, p_required boolean)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF public.fleet_role(p_group_id) NOT IN ('owner', 'admin') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  UPDATE public.groups SET join_approval = COALESCE(p_required, false) WHERE id = p_group_id;
+
+  RETURN jsonb_build_object('ok', true, 'approval_required', COALESCE(p_required, false));
+END;
+$$;
+
+-- Pending requests for the owner / admins
+CREATE OR REPLACE FUNCTION public.get_fleet_join_requests(p_group_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF public.fleet_role(p_group_id) NOT IN ('owner', 'admin') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'group_id', p_group_id,
+    'approval_required', (SELECT COALESCE(join_approval, false) FROM public.groups WHERE id = p_group_id),
+    'requests', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'id', r.id,
+               'user_id', r.user_id,
+               -- Not in this fleet yet: their name from any other fleet, else their email
+               'display_name', COALESCE((
+                 SELECT d.display_name FROM public.devices d
+                 WHERE d.user_id = r.user_id AND d.display_name IS NOT NULL
+                 ORDER BY d.last_seen_at DESC NULLS LAST
+                 LIMIT 1
+               ), (SELECT u.email FROM auth.users u WHERE u.id = r.user_id)),
+               'role', r.role,
+               'team_name', t.name,
+               'code', r.code,
+               'label', c.label,
+               'requested_at', r.requested_at
+             ) ORDER BY r.requested_at)
+      FROM public.fleet_join_requests r
+      LEFT JOIN public.fleet_teams t ON t.id = r.team_id
+      LEFT JOIN public.fleet_invite_codes c ON c.id = r.invite_id
+      WHERE r.group_id = p_group_id AND r.status = 'pending'
+    ), '[]'::jsonb)
+  );
+END;
+$$;
+
+-- Push to the joiner's phones (best effort: approving never fails because of it)
+CREATE OR REPLACE FUNCTION public.send_fleet_join_push(
+  p_user_id    uuid,
+  p_push_token text,
+  p_title      text,
+  p_body       text,
+  p_data       jsonb
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _messages jsonb;
+BEGIN
+  SELECT jsonb_agg(jsonb_build_object(
+           'to', tok,
+           'title', p_title,
+           'body', p_body,
+           'data', p_data,
+           'sound', 'default',
+           'priority', 'high'
+         ))
+  INTO _messages
+  FROM (
+    SELECT p_push_token AS tok WHERE p_push_token IS NOT NULL
+    UNION
+    SELECT pt.push_token FROM public.push_tokens pt
+    WHERE pt.user_id = p_user_id AND pt.push_token IS NOT NULL
+  ) t;
+
+  IF _messages IS NULL THEN
+    RETURN;
+  END IF;
+
+  BEGIN
+    PERFORM net.http_post(
+      url := 'https://exp.host/--/api/v2/push/send',
+      body := _messages,
+      headers := '{"Content-Type": "application/json", "Accept": "application/json"}'::jsonb
+    );
+  EXCEPTION WHEN OTHERS THEN
+    RAISE WARNING 'send_fleet_join_push: % (is pg_net enabled?)', SQLERRM;
+  END;
+END;
+$$;
+
+-- Approve (membership with the request's role / team, audit row, push) or reject
+CREATE OR REPLACE FUNCTION public.decide_fleet_join_request(p_request_id uuid, p_approve boolean)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _req   public.fleet_join_requests%ROWTYPE;
+  _group public.groups%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO _req FROM public.fleet_join_requests WHERE id = p_request_id FOR UPDATE;
+  IF _req.id IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'request_not_found');
+  END IF;
+
+  IF public.fleet_role(_req.group_id) NOT IN ('owner', 'admin') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  IF _req.status <> 'pending' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'already_decided', 'status', _req.status);
+  END IF;
+
+  -- Only the owner hands out Admin (a code made by the owner may carry it)
+  IF p_approve AND _req.role = 'admin' AND public.fleet_role(_req.group_id) <> 'owner' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'owner_only');
+  END IF;
+
+  IF p_approve AND EXISTS (
+    SELECT 1 FROM public.fleet_blocked_users WHERE group_id = _req.group_id AND user_id = _req.user_id
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'blocked');
+  END IF;
+
+  UPDATE public.fleet_join_requests
+  SET status = CASE WHEN p_approve THEN 'approved' ELSE 'rejected' END,
+      decided_at = now(),
+      decided_by = auth.uid()
+  WHERE id = _req.id;
+
+  IF NOT p_approve THEN
+    RETURN jsonb_build_object('ok', true, 'status', 'rejected');
+  END IF;
+
+  PERFORM set_config('sentinel.admit_user', _req.user_id::text, true);
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.group_members WHERE group_id = _req.group_id AND user_id = _req.user_id
+  ) THEN
+    INSERT INTO public.group_members (group_id, user_id, role, team_id)
+    VALUES (_req.group_id, _req.user_id, _req.role, _req.team_id);
+  END IF;
+
+  PERFORM set_config('sentinel.admit_user', '', true);
+
+  INSERT INTO public.fleet_invite_redemptions (group_id, invite_id, code, user_id, role, team_id)
+  VALUES (_req.group_id, _req.invite_id, COALESCE(_req.code, ''), _req.user_id, _req.role, _req.team_id);
+
+  SELECT * INTO _group FROM public.groups WHERE id = _req.group_id;
+  PERFORM public.send_fleet_join_push(
+    _req.user_id,
+    _req.push_token,
+    'You''re in',
+    format('Your request to join the %s fleet was approved. Open SenTihNel to start sharing.',
+           CASE WHEN _group.fleet_type = 'work' THEN 'Work' ELSE 'Family' END),
+    jsonb_build_object('type', 'fleet_join_approved', 'group_id', _req.group_id,
+                       'fleet_type', COALESCE(_group.fleet_type, 'family'))
+  );
+
+  RETURN jsonb_build_object('ok', true, 'status', 'approved');
+END;
+$$;
+
+-- The joiner: where their request stands → { ok, status: pending | approved | rejected | null, is_member }
+CREATE OR REPLACE FUNCTION public.get_my_fleet_join_request(p_group_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'group_id', p_group_id,
+    'status', (
+      SELECT status FROM public.fleet_join_requests
+      WHERE group_id = p_group_id AND user_id = auth.uid()
+    ),
+    'is_member', public.fleet_role(p_group_id) IS NOT NULL
+  );
+END;
+$$;
+
+-- The joiner: where to send the approval push
+CREATE OR REPLACE FUNCTION public.set_my_fleet_join_push_token(p_group_id uuid, p_push_token text)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  UPDATE public.fleet_join_requests
+  SET push_token = NULLIF(btrim(p_push_token), '')
+  WHERE group_id = p_group_id AND user_id = auth.uid() AND status = 'pending';
+
+  RETURN jsonb_build_object('ok', FOUND);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.admit_fleet_member() FROM PUBLIC;
+
+REVOKE ALL ON FUNCTION public.send_fleet_join_push(uuid, text, text, text, jsonb) FROM PUBLIC;
+
+REVOKE ALL ON FUNCTION public.generate_fleet_invite_code() FROM PUBLIC;
+
+REVOKE ALL ON FUNCTION public.fleet_invite_preset_roles(uuid) FROM PUBLIC;
+
+REVOKE ALL ON FUNCTION public.fleet_invite_locked_team(uuid) FROM PUBLIC;
+
+REVOKE ALL ON FUNCTION public.get_fleet_invite_codes(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_fleet_invite_codes(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.create_fleet_invite_code(uuid, text, text, uuid, int, int) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.create_fleet_invite_code(uuid, text, text, uuid, int, int) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.revoke_fleet_invite_code(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.revoke_fleet_invite_code(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.rotate_fleet_invite_code(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.rotate_fleet_invite_code(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.resolve_fleet_invite_code(text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.resolve_fleet_invite_code(text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.redeem_fleet_invite_code(text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.redeem_fleet_invite_code(text, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.set_fleet_join_approval(uuid, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_fleet_join_approval(uuid, boolean) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_fleet_join_requests(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_fleet_join_requests(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.decide_fleet_join_request(uuid, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.decide_fleet_join_request(uuid, boolean) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_my_fleet_join_request(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_my_fleet_join_request(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.set_my_fleet_join_push_token(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_my_fleet_join_push_token(uuid, text) TO authenticated;
@@ -0,0 +1,642 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- Fleet roles: owner, admin, supervisor, responder, member.
+-- The owner is always groups.owner_user_id; everyone else has group_members.role.
+-- Each role maps to a permission set (fleet_role_permissions), mirrored in the app by
+-- src/utils/fleetRoles.js — keep the two in sync:
+--
+--   permission      owner  admin  supervisor  responder  member
+--   remove            ✓      ✓
+--   block             ✓      ✓
+--   invite            ✓      ✓       ✓
+--   view_location     ✓      ✓     team only
+--   acknowledge       ✓      ✓       ✓           ✓
+--   manage_roles      ✓      ✓ (up to supervisor — only the owner makes admins)
+--   manage_teams      ✓      ✓
+--
+-- view_location is about locations OUTSIDE an SOS: every fleet member still sees a member
+-- who is in SOS, and everyone always sees their own device. A supervisor only sees members
+-- of their own team (group_members.team_id).
+--
+-- Shifts (work fleets): a member assigned to a shift is private while off shift — nobody,
+-- owner included, sees their location outside an SOS unless they opted in
+-- (group_members.share_off_shift). Members without a shift count as always on shift.
+--
+-- Family fleets keep their open behaviour: every member can invite, see locations and
+-- acknowledge; only the owner and admins can remove, block and manage roles.
+--
+-- Enforced server-side by:
+--   - the RPCs below (remove / block / unblock / roster / roles / member locations)
+--   - a RESTRICTIVE select policy on tracking_sessions (the Fleet screen and the Guardian
+--     Command dashboard read that table directly, realtime included)
+--   - record_sos_incident_response (sos_incidents.sql) for acknowledgements
+--
+-- Run this AFTER fleet_teams.sql (teams, shifts and group_members.team_id / shift_id /
+-- share_off_shift) and BEFORE sos_incidents.sql (which calls fleet_has_permission and
+-- sos_team_route).
+-- These versions replace the earlier owner-only remove_device_from_fleet,
+-- block_user_from_fleet, unblock_user_from_fleet, get_blocked_users and
+-- get_work_fleet_members_locations.
+
+-- ─────────────────────────────────────────────────────────────
+-- Roles on group_members (upgrade path: older builds used free-text role / is_admin)
+-- ─────────────────────────────────────────────────────────────
+ALTER TABLE public.group_members ADD COLUMN IF NOT EXISTS role text;
+
+UPDATE public.group_members gm
+SET role = CASE
+  WHEN EXISTS (SELECT 1 FROM public.groups g WHERE g.id = gm.group_id AND g.owner_user_id = gm.user_id) THEN 'owner'
+  WHEN lower(COALESCE(gm.role, '')) LIKE '%admin%' OR lower(COALESCE(gm.role, '')) LIKE '%manager%' THEN 'admin'
+  ELSE 'member'
+END
+WHERE gm.role IS NULL OR gm.role NOT IN ('owner', 'admin', 'supervisor', 'responder', 'member');
+
+ALTER TABLE public.group_members ALTER COLUMN role SET DEFAULT 'member';
+ALTER TABLE public.group_members ALTER COLUMN role SET NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'group_members_fleet_role_check') THEN
+    ALTER TABLE public.group_members ADD CONSTRAINT group_members_fleet_role_check
+      CHECK (role IN ('owner', 'admin', 'supervisor', 'responder', 'member'));
+  END IF;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.fleet_blocked_users (
+  group_id    uuid NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  user_id     uuid NOT NULL,
+  blocked_by  uuid NOT NULL DEFAULT auth.uid(),
+  reason      text,
+  blocked_at  timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (group_id, user_id)
+);
+
+ALTER TABLE public.fleet_blocked_users ENABLE ROW LEVEL SECURITY;
+
+-- ─────────────────────────────────────────────────────────────
+-- fleet_role_permissions: the matrix above
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.fleet_role_permissions(p_role text, p_fleet_type text)
+RETURNS text[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_role IN ('owner', 'admin') THEN
+      ARRAY['remove', 'block', 'invite', 'view_location', 'acknowledge', 'manage_roles', 'manage_teams']
+    WHEN p_role IS NULL THEN
+      ARRAY[]::text[]
+    WHEN COALESCE(p_fleet_type, 'family') = 'family' THEN
+      ARRAY['invite', 'view_location', 'acknowledge']
+    WHEN p_role = 'supervisor' THEN
+      ARRAY['invite', 'view_location', 'acknowledge']
+    WHEN p_role = 'responder' THEN
+      ARRAY['acknowledge']
+    ELSE
+      ARRAY[]::text[]
+  END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- fleet_role: the user's role in a fleet (NULL = not a member)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.fleet_role(p_group_id uuid, p_user_id uuid DEFAULT NULL)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN EXISTS (
+      SELECT 1 FROM public.groups
+      WHERE id = p_group_id AND owner_user_id = COALESCE(p_user_id, auth.uid())
+    ) THEN 'owner'
+    ELSE (
+      SELECT role FROM public.group_members
+      WHERE group_id = p_group_id AND user_id = COALESCE(p_user_id, auth.uid())
+      LIMIT 1
+    )
+  END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- fleet_has_permission: caller's role in the fleet grants the permission
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.fleet_has_permission(p_group_id uuid, p_permission text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT p_permission = ANY (public.fleet_role_permissions(
+    public.fleet_role(p_group_id),
+    (SELECT fleet_type FROM public.groups WHERE id = p_group_id)
+  ));
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- can_view_member_location: own device, anyone in SOS, or view_location
+-- (a work-fleet supervisor only for members of their own team; nobody for a member
+-- who is off shift and hasn't opted in)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.can_view_member_location(
+  p_group_id uuid,
+  p_user_id  uuid,
+  p_status   text
+)
+RETURNS boolean
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid  uuid := auth.uid();
+  _role text;
+  _team uuid;
+BEGIN
+  IF _uid IS NULL THEN
+    RETURN false;
+  END IF;
+
+  IF p_user_id = _uid THEN
+    RETURN true;
+  END IF;
+
+  _role := public.fleet_role(p_group_id);
+  IF _role IS NULL THEN
+    RETURN false;
+  END IF;
+
+  IF upper(COALESCE(p_status, '')) = 'SOS' THEN
+    RETURN true;
+  END IF;
+
+  IF NOT public.is_member_on_shift(p_group_id, p_user_id)
+     AND NOT COALESCE((
+       SELECT share_off_shift FROM public.group_members
+       WHERE group_id = p_group_id AND user_id = p_user_id
+     ), false) THEN
+    RETURN false;
+  END IF;
+
+  IF NOT public.fleet_has_permission(p_group_id, 'view_location') THEN
+    RETURN false;
+  END IF;
+
+  IF _role = 'supervisor'
+     AND (SELECT fleet_type FROM public.groups WHERE id = p_group_id) = 'work' THEN
+    SELECT team_id INTO _team FROM public.group_members WHERE group_id = p_group_id AND user_id = _uid;
+    RETURN _team IS NOT NULL AND EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = p_group_id AND user_id = p_user_id AND team_id = _team
+    );
+  END IF;
+
+  RETURN true;
+END;
+$$;
+
+-- tracking_sessions already has permissive policies for fleet members; this one narrows
+-- them (RESTRICTIVE policies are AND-ed) to what the caller's role may see.
+ALTER TABLE public.tracking_sessions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tracking_sessions_fleet_role_scope ON public.tracking_sessions;
+CREATE POLICY tracking_sessions_fleet_role_scope ON public.tracking_sessions
+  AS RESTRICTIVE
+  FOR SELECT
+  TO authenticated
+  USING (public.can_view_member_location(group_id, user_id, status));
+
+-- The app also reads the tracking_sessions_with_name view — make it apply the caller's
+-- policies (a plain view runs as its owner and would skip the scope above)
+ALTER VIEW IF EXISTS public.tracking_sessions_with_name SET (security_invoker = true);
+
+-- ─────────────────────────────────────────────────────────────
+-- get_my_fleet_role: role + permissions for the app / dashboard
+-- (the invite code only for roles that may invite)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_my_fleet_role(p_group_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid   uuid := auth.uid();
+  _group  public.groups%ROWTYPE;
+  _member public.group_members%ROWTYPE;
+  _role   text;
+  _perms  text[];
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO _group FROM public.groups WHERE id = p_group_id;
+  _role := public.fleet_role(p_group_id);
+  IF _group.id IS NULL OR _role IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_a_member');
+  END IF;
+
+  _perms := public.fleet_role_permissions(_role, _group.fleet_type);
+  SELECT * INTO _member FROM public.group_members WHERE group_id = p_group_id AND user_id = _uid;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'group_id', _group.id,
+    'fleet_type', COALESCE(_group.fleet_type, 'family'),
+    'role', _role,
+    'permissions', to_jsonb(_perms),
+    'team_id', _member.team_id,
+    'shift_id', _member.shift_id,
+    'on_shift', public.is_member_on_shift(p_group_id, _uid),
+    'share_off_shift', COALESCE(_member.share_off_shift, false),
+    'invite_code', CASE WHEN 'invite' = ANY (_perms) THEN _group.invite_code END
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_work_fleet_access: the caller's work fleet (owned first, else joined) and role
+-- Replaces is_work_fleet_owner for the Manager Dashboard.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_work_fleet_access()
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _gid uuid;
+  _res jsonb;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT id INTO _gid FROM public.groups
+  WHERE owner_user_id = _uid AND fleet_type = 'work'
+  LIMIT 1;
+
+  IF _gid IS NULL THEN
+    SELECT gm.group_id INTO _gid
+    FROM public.group_members gm
+    JOIN public.groups g ON g.id = gm.group_id
+    WHERE gm.user_id = _uid AND g.fleet_type = 'work'
+    LIMIT 1;
+  END IF;
+
+  IF _gid IS NULL THEN
+    RETURN jsonb_build_object('ok', true, 'has_work_fleet', false);
+  END IF;
+
+  _res := public.get_my_fleet_role(_gid);
+  RETURN _res || jsonb_build_object(
+    'has_work_fleet', true,
+    'member_count', (SELECT count(*) FROM public.group_members WHERE group_id = _gid)
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_work_fleet_members_locations: members the caller may see, with role, team and shift.
+-- Needs view_location (the roster carries everyone's status and battery). Members whose
+-- location is out of scope are listed without coordinates (unless in SOS); a supervisor's
+-- list is limited to their team. p_team_id narrows it to one team.
+-- ─────────────────────────────────────────────────────────────
+DROP FUNCTION IF EXISTS public.get_work_fleet_members_locations();
+
+CREATE OR REPLACE FUNCTION public.get_work_fleet_members_locations(p_team_id uuid DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid    uuid := auth.uid();
+  _access jsonb;
+  _gid    uuid;
+  _role   text;
+  _team   uuid;
+  _members jsonb;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  _access := public.get_work_fleet_access();
+  IF NOT COALESCE((_access->>'has_work_fleet')::boolean, false) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'No work fleet');
+  END IF;
+
+  _gid  := (_access->>'group_id')::uuid;
+  _role := _access->>'role';
+  _team := NULLIF(_access->>'team_id', '')::uuid;
+
+  IF NOT public.fleet_has_permission(_gid, 'view_location') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'You do not have permission to view member locations');
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(m ORDER BY m->>'display_name'), '[]'::jsonb) INTO _members
+  FROM (
+    SELECT jsonb_build_object(
+      'user_id', gm.user_id,
+      'display_name', COALESCE(d.display_name, 'Member'),
+      'role', CASE WHEN g.owner_user_id = gm.user_id THEN 'owner' ELSE gm.role END,
+      'team_id', gm.team_id,
+      'team_name', t.name,
+      'shift_id', gm.shift_id,
+      'shift_name', s.name,
+      'on_shift', public.is_member_on_shift(gm.group_id, gm.user_id),
+      'status', COALESCE(ts.status, 'OFFLINE'),
+      'latitude', CASE WHEN public.can_view_member_location(_gid, gm.user_id, ts.status) THEN ts.latitude END,
+      'longitude', CASE WHEN public.can_view_member_location(_gid, gm.user_id, ts.status) THEN ts.longitude END,
+      'battery_level', ts.battery_level,
+      'last_updated', ts.last_updated
+    ) AS m
+    FROM public.group_members gm
+    JOIN public.groups g ON g.id = gm.group_id
+    LEFT JOIN public.fleet_teams t ON t.id = gm.team_id
+    LEFT JOIN public.fleet_shifts s ON s.id = gm.shift_id
+    LEFT JOIN LATERAL (
+      SELECT device_id, display_name FROM public.devices
+      WHERE user_id = gm.user_id AND group_id = gm.group_id AND is_active = true
+      ORDER BY last_seen_at DESC NULLS LAST
+      LIMIT 1
+    ) d ON true
+    LEFT JOIN LATERAL (
+      SELECT status, latitude, longitude, battery_level, last_updated FROM public.tracking_sessions
+      WHERE group_id = gm.group_id AND device_id = d.device_id
+      ORDER BY last_updated DESC NULLS LAST
+      LIMIT 1
+    ) ts ON true
+    WHERE gm.group_id = _gid
+      AND gm.user_id <> _uid
+      AND (_role <> 'supervisor' OR (_team IS NOT NULL AND gm.team_id = _team))
+      AND (p_team_id IS NULL OR gm.team_id = p_team_id)
+  ) member_rows;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'group_id', _gid,
+    'role', _role,
+    'team_id', p_team_id,
+    'members', _members,
+    'member_count', jsonb_array_length(_members)
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- set_fleet_member_role: manage_roles. Nobody changes the owner; only the owner makes
+-- (or unmakes) admins.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.set_fleet_member_role(
+  p_group_id uuid,
+  p_user_id  uuid,
+  p_role     text
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid     uuid := auth.uid();
+  _mine    text;
+  _current text;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_role NOT IN ('admin', 'supervisor', 'responder', 'member') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_role');
+  END IF;
+
+  IF NOT public.fleet_has_permission(p_group_id, 'manage_roles') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  IF p_user_id = _uid THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'own_role');
+  END IF;
+
+  _mine := public.fleet_role(p_group_id);
+  _current := public.fleet_role(p_group_id, p_user_id);
+
+  IF _current IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_a_member');
+  END IF;
+
+  IF _current = 'owner' OR (_mine <> 'owner' AND (_current = 'admin' OR p_role = 'admin')) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  UPDATE public.group_members SET role = p_role
+  WHERE group_id = p_group_id AND user_id = p_user_id;
+
+  RETURN jsonb_build_object('ok', true, 'user_id', p_user_id, 'role', p_role);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- remove_device_from_fleet: 'remove'. Same call shape as before (device_id, purge).
+-- The owner's devices can't be removed; admins' devices only by the owner.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.remove_device_from_fleet(device_id text, purge boolean DEFAULT false)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid    uuid := auth.uid();
+  _device public.devices%ROWTYPE;
+  _target text;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO _device FROM public.devices d WHERE d.device_id = remove_device_from_fleet.device_id;
+  IF _device.device_id IS NULL OR _device.group_id IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'device_not_found');
+  END IF;
+
+  IF NOT public.fleet_has_permission(_device.group_id, 'remove') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  IF _device.user_id = _uid THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'own_device');
+  END IF;
+
+  _target := public.fleet_role(_device.group_id, _device.user_id);
+  IF _target = 'owner' OR (_target = 'admin' AND public.fleet_role(_device.group_id) <> 'owner') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  DELETE FROM public.tracking_sessions t
+  WHERE t.device_id = _device.device_id AND t.group_id = _device.group_id;
+
+  IF purge THEN
+    DELETE FROM public.devices d WHERE d.device_id = _device.device_id;
+  ELSE
+    UPDATE public.devices d SET is_active = false WHERE d.device_id = _device.device_id;
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'device_id', _device.device_id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- block_user_from_fleet / unblock_user_from_fleet / get_blocked_users: 'block'
+-- Blocking removes the member and their devices and lists them in fleet_blocked_users
+-- (the join RPC must refuse listed users).
+-- ─────────────────────────────────────────────────────────────
+DROP FUNCTION IF EXISTS public.block_user_from_fleet(uuid);
+
+CREATE OR REPLACE FUNCTION public.block_user_from_fleet(p_user_id uuid, p_reason text DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid    uuid := auth.uid();
+  _gid    uuid;
+  _target text;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  _gid := (public.get_work_fleet_access()->>'group_id')::uuid;
+  IF _gid IS NULL OR NOT public.fleet_has_permission(_gid, 'block') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'You do not have permission to block members');
+  END IF;
+
+  IF p_user_id = _uid THEN
+    RETURN jsonb_build_object('success', false, 'error', 'You cannot block yourself');
+  END IF;
+
+  _target := public.fleet_role(_gid, p_user_id);
+  IF _target = 'owner' OR (_target = 'admin' AND public.fleet_role(_gid) <> 'owner') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Only the fleet owner can block an admin');
+  END IF;
+
+  INSERT INTO public.fleet_blocked_users (group_id, user_id, blocked_by, reason)
+  VALUES (_gid, p_user_id, _uid, NULLIF(btrim(p_reason), ''))
+  ON CONFLICT (group_id, user_id) DO UPDATE
+  SET blocked_by = EXCLUDED.blocked_by, reason = EXCLUDED.reason, blocked_at = now();
+
+  DELETE FROM public.tracking_sessions WHERE group_id = _gid AND user_id = p_user_id;
+  UPDATE public.devices SET is_active = false WHERE group_id = _gid AND user_id = p_user_id;
+  DELETE FROM public.group_members WHERE group_id = _gid AND user_id = p_user_id;
+
+  RETURN jsonb_build_object('success', true);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.unblock_user_from_fleet(p_user_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _gid uuid;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  _gid := (public.get_work_fleet_access()->>'group_id')::uuid;
+  IF _gid IS NULL OR NOT public.fleet_has_permission(_gid, 'block') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'You do not have permission to unblock members');
+  END IF;
+
+  DELETE FROM public.fleet_blocked_users WHERE group_id = _gid AND user_id = p_user_id;
+
+  RETURN jsonb_build_object('success', true);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_blocked_users()
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _gid uuid;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  _gid := (public.get_work_fleet_access()->>'group_id')::uuid;
+  IF _gid IS NULL OR NOT public.fleet_has_permission(_gid, 'block') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'not_permitted');
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'blocked_users', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'user_id', b.user_id,
+        'display_name', (
+          SELECT d.display_name FROM public.devices d
+          WHERE d.user_id = b.user_id AND d.display_name IS NOT NULL
+          LIMIT 1
+        ),
+        'reason', b.reason,
+        'blocked_at', b.blocked_at
+      ) ORDER BY b.blocked_at DESC)
+      FROM public.fleet_blocked_users b
+      WHERE b.group_id = _gid
+    ), '[]'::jsonb)
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.fleet_role(uuid, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.fleet_role(uuid, uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.fleet_has_permission(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.fleet_has_permission(uuid, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.can_view_member_location(uuid, uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.can_view_member_location(uuid, uuid, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_my_fleet_role(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_my_fleet_role(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_work_fleet_access() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_work_fleet_access() TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_work_fleet_members_locations(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_work_fleet_members_locations(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.set_fleet_member_role(uuid, uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_fleet_member_role(uuid, uuid, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.remove_device_from_fleet(text, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.remove_device_from_fleet(text, boolean) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.block_user_from_fleet(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.block_user_from_fleet(uuid, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.unblock_user_from_fleet(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.unblock_user_from_fleet(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_blocked_users() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_blocked_users() TO authenticated;
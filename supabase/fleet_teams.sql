@@ -0,0 +1,536 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- Teams and shifts inside a work fleet. Run this BEFORE fleet_roles.sql (its supervisor
+-- scope and off-shift privacy read the tables and columns below) and sos_incidents.sql
+-- (whose open_sos_incident calls sos_team_route). The functions here use fleet_role /
+-- fleet_has_permission from fleet_roles.sql, so run both before using them.
+--
+-- A team is a named group of members (a site, a crew). Its supervisors are the members
+-- with role 'supervisor' and that team_id. Shifts belong to a team; a member assigned
+-- to a shift is "on shift" inside its hours (is_member_on_shift) and private outside
+-- them unless they opted in (share_off_shift — see can_view_member_location).
+--
+-- SOS routing: when a member of a team opens an SOS, the on-shift supervisors of that
+-- team are alerted first. Everyone else in the fleet holds the alarm for the team's
+-- supervisor_window_sec (sos_incidents.routed_to / route_until); if no supervisor
+-- acknowledges in time, the whole fleet is alarmed as before. A team with no supervisor
+-- on shift (or a window of 0) alarms the whole fleet straight away.
+-- Known limitation: the hold is done by the receiving apps only. The SOS push
+-- (notify_fleet_sos, kept in the dashboard) still goes to every member at once.
+--
+-- Managing teams, shifts and assignments needs the 'manage_teams' permission
+-- (owner / admin).
+
+-- ─────────────────────────────────────────────────────────────
+-- Teams and shifts (a team is also a supervisor's scope in fleet_roles.sql)
+-- ─────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS public.fleet_teams (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id    uuid NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  name        text NOT NULL CHECK (char_length(btrim(name)) BETWEEN 1 AND 40),
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (group_id, name)
+);
+
+-- 0 = no supervisor-first routing for this team (sos_team_route)
+ALTER TABLE public.fleet_teams ADD COLUMN IF NOT EXISTS supervisor_window_sec int NOT NULL DEFAULT 60
+  CHECK (supervisor_window_sec BETWEEN 0 AND 600);
+
+ALTER TABLE public.fleet_teams ENABLE ROW LEVEL SECURITY;
+
+-- Shifts: days are 0 = Sunday … 6 = Saturday; minutes after midnight in `timezone`.
+-- end_min < start_min runs past midnight; start_min = end_min is the whole day.
+CREATE TABLE IF NOT EXISTS public.fleet_shifts (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id    uuid NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  team_id     uuid NOT NULL REFERENCES public.fleet_teams(id) ON DELETE CASCADE,
+  name        text NOT NULL CHECK (char_length(btrim(name)) BETWEEN 1 AND 40),
+  days        smallint[] NOT NULL DEFAULT '{1,2,3,4,5}',
+  start_min   int NOT NULL CHECK (start_min BETWEEN 0 AND 1439),
+  end_min     int NOT NULL CHECK (end_min BETWEEN 0 AND 1439),
+  timezone    text NOT NULL DEFAULT 'UTC',
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (team_id, name)
+);
+
+ALTER TABLE public.fleet_shifts ENABLE ROW LEVEL SECURITY;
+
+-- Which team / shift a member is on, and whether they share their location off shift
+ALTER TABLE public.group_members ADD COLUMN IF NOT EXISTS team_id uuid
+  REFERENCES public.fleet_teams(id) ON DELETE SET NULL;
+ALTER TABLE public.group_members ADD COLUMN IF NOT EXISTS shift_id uuid
+  REFERENCES public.fleet_shifts(id) ON DELETE SET NULL;
+ALTER TABLE public.group_members ADD COLUMN IF NOT EXISTS share_off_shift boolean NOT NULL DEFAULT false;
+
+-- ─────────────────────────────────────────────────────────────
+-- shift_is_active / is_member_on_shift
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.shift_is_active(
+  p_days      smallint[],
+  p_start_min int,
+  p_end_min   int,
+  p_timezone  text,
+  p_at        timestamptz DEFAULT now()
+)
+RETURNS boolean
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  _local timestamp := p_at AT TIME ZONE COALESCE(p_timezone, 'UTC');
+  _dow   int := extract(dow FROM _local)::int;
+  _min   int := extract(hour FROM _local)::int * 60 + extract(minute FROM _local)::int;
+BEGIN
+  IF p_start_min = p_end_min THEN
+    RETURN _dow = ANY (p_days);
+  END IF;
+
+  IF p_start_min < p_end_min THEN
+    RETURN _dow = ANY (p_days) AND _min >= p_start_min AND _min < p_end_min;
+  END IF;
+
+  -- Overnight: the evening part on a listed day, the early part on the day after one
+  RETURN (_dow = ANY (p_days) AND _min >= p_start_min)
+      OR (((_dow + 6) % 7) = ANY (p_days) AND _min < p_end_min);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_member_on_shift(
+  p_group_id uuid,
+  p_user_id  uuid,
+  p_at       timestamptz DEFAULT now()
+)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE((
+    SELECT public.shift_is_active(s.days, s.start_min, s.end_min, s.timezone, p_at)
+    FROM public.group_members gm
+    JOIN public.fleet_shifts s ON s.id = gm.shift_id
+    WHERE gm.group_id = p_group_id AND gm.user_id = p_user_id
+    LIMIT 1
+  ), true);
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_fleet_teams: teams with their supervisors, member count and shifts
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_fleet_teams(p_group_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF public.fleet_role(p_group_id) IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_a_member');
+  END IF;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'group_id', p_group_id,
+    'can_manage', public.fleet_has_permission(p_group_id, 'manage_teams'),
+    'teams', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'id', t.id,
+               'name', t.name,
+               'supervisor_window_sec', t.supervisor_window_sec,
+               'member_count', (
+                 SELECT count(*) FROM public.group_members gm
+                 WHERE gm.group_id = t.group_id AND gm.team_id = t.id
+               ),
+               'supervisors', COALESCE((
+                 SELECT jsonb_agg(jsonb_build_object(
+                          'user_id', gm.user_id,
+                          'display_name', (
+                            SELECT d.display_name FROM public.devices d
+                            WHERE d.user_id = gm.user_id AND d.group_id = gm.group_id
+                              AND d.display_name IS NOT NULL
+                            ORDER BY d.last_seen_at DESC NULLS LAST
+                            LIMIT 1
+                          ),
+                          'on_shift', public.is_member_on_shift(gm.group_id, gm.user_id)
+                        ))
+                 FROM public.group_members gm
+                 WHERE gm.group_id = t.group_id AND gm.team_id = t.id AND gm.role = 'supervisor'
+               ), '[]'::jsonb),
+               'shifts', COALESCE((
+                 SELECT jsonb_agg(jsonb_build_object(
+                          'id', s.id,
+                          'name', s.name,
+                          'days', to_jsonb(s.days),
+                          'start_min', s.start_min,
+                          'end_min', s.end_min,
+                          'timezone', s.timezone,
+                          'active', public.shift_is_active(s.days, s.start_min, s.end_min, s.timezone)
+                        ) ORDER BY s.start_min, s.name)
+                 FROM public.fleet_shifts s
+                 WHERE s.team_id = t.id
+               ), '[]'::jsonb)
+             ) ORDER BY t.name)
+      FROM public.fleet_teams t
+      WHERE t.group_id = p_group_id
+    ), '[]'::jsonb)
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- upsert_fleet_team / delete_fleet_team: 'manage_teams', work fleets only
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.upsert_fleet_team(
+  p_group_id              uuid,
+  p_name                  text,
+  p_supervisor_window_sec int DEFAULT 60,
+  p_id                    uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _name text := btrim(COALESCE(p_name, ''));
+  _id   uuid;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF NOT public.fleet_has_permission(p_group_id, 'manage_teams') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  IF (SELECT fleet_type FROM public.groups WHERE id = p_group_id) IS DISTINCT FROM 'work' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_work_fleet');
+  END IF;
+
+  IF char_length(_name) NOT BETWEEN 1 AND 40 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_name');
+  END IF;
+
+  IF COALESCE(p_supervisor_window_sec, 60) NOT BETWEEN 0 AND 600 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_window');
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.fleet_teams
+    WHERE group_id = p_group_id AND lower(name) = lower(_name) AND id IS DISTINCT FROM p_id
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'name_taken');
+  END IF;
+
+  IF p_id IS NULL THEN
+    INSERT INTO public.fleet_teams (group_id, name, supervisor_window_sec)
+    VALUES (p_group_id, _name, COALESCE(p_supervisor_window_sec, 60))
+    RETURNING id INTO _id;
+  ELSE
+    UPDATE public.fleet_teams
+    SET name = _name, supervisor_window_sec = COALESCE(p_supervisor_window_sec, supervisor_window_sec)
+    WHERE id = p_id AND group_id = p_group_id
+    RETURNING id INTO _id;
+
+    IF _id IS NULL THEN
+      RETURN jsonb_build_object('ok', false, 'error', 'team_not_found');
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'team_id', _id);
+END;
+$$;
+
+-- Members of a deleted team keep their role but lose team and shift (ON DELETE SET NULL)
+CREATE OR REPLACE FUNCTION public.delete_fleet_team(p_team_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _gid uuid;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT group_id INTO _gid FROM public.fleet_teams WHERE id = p_team_id;
+  IF _gid IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'team_not_found');
+  END IF;
+
+  IF NOT public.fleet_has_permission(_gid, 'manage_teams') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  DELETE FROM public.fleet_teams WHERE id = p_team_id;
+
+  RETURN jsonb_build_object('ok', true, 'team_id', p_team_id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- upsert_fleet_shift / delete_fleet_shift: 'manage_teams'
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.upsert_fleet_shift(
+  p_team_id   uuid,
+  p_name      text,
+  p_days      smallint[],
+  p_start_min int,
+  p_end_min   int,
+  p_timezone  text DEFAULT 'UTC',
+  p_id        uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _name text := btrim(COALESCE(p_name, ''));
+  _tz   text := COALESCE(NULLIF(btrim(p_timezone), ''), 'UTC');
+  _days smallint[];
+  _gid  uuid;
+  _id   uuid;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT group_id INTO _gid FROM public.fleet_teams WHERE id = p_team_id;
+  IF _gid IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'team_not_found');
+  END IF;
+
+  IF NOT public.fleet_has_permission(_gid, 'manage_teams') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  IF char_length(_name) NOT BETWEEN 1 AND 40 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_name');
+  END IF;
+
+  SELECT COALESCE(array_agg(DISTINCT d ORDER BY d), '{}') INTO _days
+  FROM unnest(COALESCE(p_days, '{}')) AS x(d)
+  WHERE d BETWEEN 0 AND 6;
+
+  IF cardinality(_days) = 0
+     OR EXISTS (SELECT 1 FROM unnest(p_days) AS x(d) WHERE d IS NULL OR d NOT BETWEEN 0 AND 6) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_days');
+  END IF;
+
+  IF p_start_min IS NULL OR p_end_min IS NULL
+     OR p_start_min NOT BETWEEN 0 AND 1439 OR p_end_min NOT BETWEEN 0 AND 1439 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_time');
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = _tz) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_timezone');
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.fleet_shifts
+    WHERE team_id = p_team_id AND lower(name) = lower(_name) AND id IS DISTINCT FROM p_id
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'name_taken');
+  END IF;
+
+  IF p_id IS NULL THEN
+    INSERT INTO public.fleet_shifts (group_id, team_id, name, days, start_min, end_min, timezone)
+    VALUES (_gid, p_team_id, _name, _days, p_start_min, p_end_min, _tz)
+    RETURNING id INTO _id;
+  ELSE
+    UPDATE public.fleet_shifts
+    SET name = _name, days = _days, start_min = p_start_min, end_min = p_end_min, timezone = _tz
+    WHERE id = p_id AND team_id = p_team_id
+    RETURNING id INTO _id;
+
+    IF _id IS NULL THEN
+      RETURN jsonb_build_object('ok', false, 'error', 'shift_not_found');
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'shift_id', _id);
+END;
+$$;
+
+-- Members on a deleted shift count as always on shift again (ON DELETE SET NULL)
+CREATE OR REPLACE FUNCTION public.delete_fleet_shift(p_shift_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _gid uuid;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT group_id INTO _gid FROM public.fleet_shifts WHERE id = p_shift_id;
+  IF _gid IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'shift_not_found');
+  END IF;
+
+  IF NOT public.fleet_has_permission(_gid, 'manage_teams') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  DELETE FROM public.fleet_shifts WHERE id = p_shift_id;
+
+  RETURN jsonb_build_object('ok', true, 'shift_id', p_shift_id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- set_fleet_member_assignment: put a member on a team (and optionally one of its shifts).
+-- NULL team clears both. 'manage_teams'.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.set_fleet_member_assignment(
+  p_group_id uuid,
+  p_user_id  uuid,
+  p_team_id  uuid DEFAULT NULL,
+  p_shift_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF NOT public.fleet_has_permission(p_group_id, 'manage_teams') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  IF p_team_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM public.fleet_teams WHERE id = p_team_id AND group_id = p_group_id
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'team_not_found');
+  END IF;
+
+  IF p_shift_id IS NOT NULL AND (p_team_id IS NULL OR NOT EXISTS (
+    SELECT 1 FROM public.fleet_shifts WHERE id = p_shift_id AND team_id = p_team_id
+  )) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'shift_not_in_team');
+  END IF;
+
+  UPDATE public.group_members
+  SET team_id = p_team_id, shift_id = p_shift_id
+  WHERE group_id = p_group_id AND user_id = p_user_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_a_member');
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'user_id', p_user_id, 'team_id', p_team_id, 'shift_id', p_shift_id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- set_my_off_shift_sharing: the member's own opt-in to stay visible while off shift
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.set_my_off_shift_sharing(p_group_id uuid, p_share boolean)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  UPDATE public.group_members
+  SET share_off_shift = COALESCE(p_share, false)
+  WHERE group_id = p_group_id AND user_id = auth.uid();
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_a_member');
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'share_off_shift', COALESCE(p_share, false));
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- sos_team_route: who gets an SOS first → { team_id, team_name, user_ids, window_sec }
+-- user_ids = the sender's team's on-shift supervisors (never the sender); empty = no
+-- routing. Internal — called by open_sos_incident, not granted to clients.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.sos_team_route(
+  p_group_id uuid,
+  p_user_id  uuid,
+  p_at       timestamptz DEFAULT now()
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _team public.fleet_teams%ROWTYPE;
+  _ids  uuid[];
+BEGIN
+  SELECT t.* INTO _team
+  FROM public.group_members gm
+  JOIN public.fleet_teams t ON t.id = gm.team_id
+  WHERE gm.group_id = p_group_id AND gm.user_id = p_user_id;
+
+  IF _team.id IS NULL OR _team.supervisor_window_sec <= 0 THEN
+    RETURN jsonb_build_object('team_id', _team.id, 'user_ids', '[]'::jsonb, 'window_sec', 0);
+  END IF;
+
+  SELECT COALESCE(array_agg(gm.user_id), '{}') INTO _ids
+  FROM public.group_members gm
+  WHERE gm.group_id = p_group_id
+    AND gm.team_id = _team.id
+    AND gm.role = 'supervisor'
+    AND gm.user_id <> p_user_id
+    AND public.is_member_on_shift(p_group_id, gm.user_id, p_at);
+
+  RETURN jsonb_build_object(
+    'team_id', _team.id,
+    'team_name', _team.name,
+    'user_ids', to_jsonb(_ids),
+    'window_sec', CASE WHEN cardinality(_ids) > 0 THEN _team.supervisor_window_sec ELSE 0 END
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.is_member_on_shift(uuid, uuid, timestamptz) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.is_member_on_shift(uuid, uuid, timestamptz) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_fleet_teams(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_fleet_teams(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.upsert_fleet_team(uuid, text, int, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.upsert_fleet_team(uuid, text, int, uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.delete_fleet_team(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.delete_fleet_team(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.upsert_fleet_shift(uuid, text, smallint[], int, int, text, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.upsert_fleet_shift(uuid, text, smallint[], int, int, text, uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.delete_fleet_shift(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.delete_fleet_shift(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.set_fleet_member_assignment(uuid, uuid, uuid, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_fleet_member_assignment(uuid, uuid, uuid, uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.set_my_off_shift_sharing(uuid, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_my_off_shift_sharing(uuid, boolean) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.sos_team_route(uuid, uuid, timestamptz) FROM PUBLIC;
@@ -0,0 +1,158 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- Named geofences per fleet (home, school, job site, …). The fleet owner manages
+-- zones from the Fleet screen; members' devices download them and evaluate enter/exit
+-- locally (GeofenceMonitor), broadcasting events on the fleet:{groupId} channel.
+--
+-- Active hours are minutes after local midnight on the member's device
+-- (NULL/NULL = always active; from > to wraps past midnight, e.g. 22:00 → 06:00).
+-- Requires is_fleet_member() from sos_incidents.sql.
+
+CREATE TABLE IF NOT EXISTS public.fleet_geofences (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id        uuid NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  name            text NOT NULL CHECK (char_length(btrim(name)) BETWEEN 1 AND 60),
+  kind            text NOT NULL DEFAULT 'other'
+                  CHECK (kind IN ('home', 'school', 'job_site', 'other')),
+  latitude        double precision NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+  longitude       double precision NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+  radius_m        integer NOT NULL DEFAULT 150 CHECK (radius_m BETWEEN 50 AND 5000),
+  active_from_min smallint CHECK (active_from_min BETWEEN 0 AND 1439),
+  active_to_min   smallint CHECK (active_to_min BETWEEN 0 AND 1439),
+  is_safe_zone    boolean NOT NULL DEFAULT false,
+  auto_check_in   boolean NOT NULL DEFAULT false,
+  created_by      uuid NOT NULL DEFAULT auth.uid(),
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  updated_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS fleet_geofences_group_idx
+  ON public.fleet_geofences (group_id);
+
+-- Direct table access is closed; everything goes through the RPCs below
+ALTER TABLE public.fleet_geofences ENABLE ROW LEVEL SECURITY;
+
+-- ─────────────────────────────────────────────────────────────
+-- upsert_fleet_geofence: fleet owner creates (p_id NULL) or edits a zone
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.upsert_fleet_geofence(
+  p_group_id        uuid,
+  p_name            text,
+  p_latitude        double precision,
+  p_longitude       double precision,
+  p_radius_m        integer,
+  p_kind            text DEFAULT 'other',
+  p_active_from_min smallint DEFAULT NULL,
+  p_active_to_min   smallint DEFAULT NULL,
+  p_is_safe_zone    boolean DEFAULT false,
+  p_auto_check_in   boolean DEFAULT false,
+  p_id              uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _id  uuid;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.groups WHERE id = p_group_id AND owner_user_id = _uid) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_fleet_owner');
+  END IF;
+
+  -- Both ends or neither
+  IF (p_active_from_min IS NULL) <> (p_active_to_min IS NULL) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_active_hours');
+  END IF;
+
+  IF p_id IS NULL THEN
+    INSERT INTO public.fleet_geofences (
+      group_id, name, kind, latitude, longitude, radius_m,
+      active_from_min, active_to_min, is_safe_zone, auto_check_in, created_by
+    ) VALUES (
+      p_group_id, btrim(p_name), COALESCE(p_kind, 'other'), p_latitude, p_longitude, p_radius_m,
+      p_active_from_min, p_active_to_min, COALESCE(p_is_safe_zone, false),
+      COALESCE(p_is_safe_zone, false) AND COALESCE(p_auto_check_in, false), _uid
+    )
+    RETURNING id INTO _id;
+  ELSE
+    UPDATE public.fleet_geofences
+    SET name = btrim(p_name),
+        kind = COALESCE(p_kind, 'other'),
+        latitude = p_latitude,
+        longitude = p_longitude,
+        radius_m = p_radius_m,
+        active_from_min = p_active_from_min,
+        active_to_min = p_active_to_min,
+        is_safe_zone = COALESCE(p_is_safe_zone, false),
+        auto_check_in = COALESCE(p_is_safe_zone, false) AND COALESCE(p_auto_check_in, false),
+        updated_at = now()
+    WHERE id = p_id AND group_id = p_group_id
+    RETURNING id INTO _id;
+
+    IF _id IS NULL THEN
+      RETURN jsonb_build_object('ok', false, 'error', 'geofence_not_found');
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'id', _id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- delete_fleet_geofence: fleet owner removes a zone
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.delete_fleet_geofence(p_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  DELETE FROM public.fleet_geofences f
+  USING public.groups g
+  WHERE f.id = p_id AND g.id = f.group_id AND g.owner_user_id = _uid;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'geofence_not_found');
+  END IF;
+
+  RETURN jsonb_build_object('ok', true);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_fleet_geofences: zones for every fleet the caller belongs to / owns
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_fleet_geofences(p_group_ids uuid[])
+RETURNS SETOF public.fleet_geofences
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT f.*
+  FROM public.fleet_geofences f
+  WHERE f.group_id = ANY (p_group_ids)
+    AND public.is_fleet_member(f.group_id)
+  ORDER BY f.group_id, f.name;
+$$;
+
+REVOKE ALL ON FUNCTION public.upsert_fleet_geofence(uuid, text, double precision, double precision, integer, text, smallint, smallint, boolean, boolean, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.upsert_fleet_geofence(uuid, text, double precision, double precision, integer, text, smallint, smallint, boolean, boolean, uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.delete_fleet_geofence(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.delete_fleet_geofence(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_fleet_geofences(uuid[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_fleet_geofences(uuid[]) TO authenticated;
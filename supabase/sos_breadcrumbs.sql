@@ -0,0 +1,158 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- Breadcrumb trail for SOS sessions: every SOS fix is kept (tracking_sessions only
+-- holds the latest one). The app writes through append_sos_breadcrumb() and the
+-- Fleet screen reads the newest session's trail through get_sos_trail().
+-- Requires is_fleet_member() from sos_incidents.sql.
+
+CREATE TABLE IF NOT EXISTS public.sos_breadcrumbs (
+  id             bigserial PRIMARY KEY,
+  device_id      text        NOT NULL,
+  group_id       uuid        NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  user_id        uuid        NOT NULL DEFAULT auth.uid(),
+  session_id     text        NOT NULL,
+  latitude       double precision NOT NULL,
+  longitude      double precision NOT NULL,
+  speed          double precision,
+  heading        double precision,
+  gps_accuracy_m integer,
+  gps_quality    text,
+  battery_level  integer,
+  recorded_at    timestamptz NOT NULL DEFAULT now(),
+  created_at     timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS sos_breadcrumbs_session_idx
+  ON public.sos_breadcrumbs (device_id, session_id, recorded_at);
+
+CREATE INDEX IF NOT EXISTS sos_breadcrumbs_group_idx
+  ON public.sos_breadcrumbs (group_id, recorded_at DESC);
+
+-- Direct table access is closed; everything goes through the RPCs below
+ALTER TABLE public.sos_breadcrumbs ENABLE ROW LEVEL SECURITY;
+
+-- ─────────────────────────────────────────────────────────────
+-- append_sos_breadcrumb: called by LiveTracker for every SOS fix
+-- (also replayed from the offline outbox with the original recorded_at)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.append_sos_breadcrumb(
+  p_device_id  text,
+  p_group_id   uuid,
+  p_session_id text,
+  p_point      jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  -- Only the device's own user may write its trail
+  IF NOT EXISTS (
+    SELECT 1 FROM public.devices WHERE device_id = p_device_id AND user_id = _uid
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'device_not_owned');
+  END IF;
+
+  -- ...and only into a fleet they belong to
+  IF NOT public.is_fleet_member(p_group_id) THEN
+    RAISE EXCEPTION 'Not a member of this fleet';
+  END IF;
+
+  IF (p_point->>'latitude') IS NULL OR (p_point->>'longitude') IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'missing_coords');
+  END IF;
+
+  INSERT INTO public.sos_breadcrumbs (
+    device_id, group_id, user_id, session_id,
+    latitude, longitude, speed, heading,
+    gps_accuracy_m, gps_quality, battery_level, recorded_at
+  ) VALUES (
+    p_device_id, p_group_id, _uid, p_session_id,
+    (p_point->>'latitude')::double precision,
+    (p_point->>'longitude')::double precision,
+    NULLIF(p_point->>'speed', '')::double precision,
+    NULLIF(p_point->>'heading', '')::double precision,
+    NULLIF(p_point->>'gps_accuracy_m', '')::numeric::integer,
+    p_point->>'gps_quality',
+    NULLIF(p_point->>'battery_level', '')::numeric::integer,
+    COALESCE(NULLIF(p_point->>'recorded_at', '')::timestamptz, now())
+  );
+
+  RETURN jsonb_build_object('ok', true);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_sos_trail: ordered points of a device's SOS session
+-- (newest session when p_session_id is NULL). Fleet members/owner only.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_sos_trail(
+  p_device_id  text,
+  p_group_id   uuid,
+  p_session_id text DEFAULT NULL
+)
+RETURNS TABLE (
+  session_id     text,
+  latitude       double precision,
+  longitude      double precision,
+  speed          double precision,
+  heading        double precision,
+  gps_accuracy_m integer,
+  gps_quality    text,
+  battery_level  integer,
+  recorded_at    timestamptz
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _session text := p_session_id;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.group_members gm WHERE gm.group_id = p_group_id AND gm.user_id = _uid
+    UNION ALL
+    SELECT 1 FROM public.groups g WHERE g.id = p_group_id AND g.owner_user_id = _uid
+  ) THEN
+    RAISE EXCEPTION 'Not a member of this fleet';
+  END IF;
+
+  IF _session IS NULL THEN
+    SELECT b.session_id INTO _session
+    FROM public.sos_breadcrumbs b
+    WHERE b.device_id = p_device_id AND b.group_id = p_group_id
+    ORDER BY b.recorded_at DESC
+    LIMIT 1;
+  END IF;
+
+  IF _session IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT b.session_id, b.latitude, b.longitude, b.speed, b.heading,
+         b.gps_accuracy_m, b.gps_quality, b.battery_level, b.recorded_at
+  FROM public.sos_breadcrumbs b
+  WHERE b.device_id = p_device_id
+    AND b.group_id = p_group_id
+    AND b.session_id = _session
+  ORDER BY b.recorded_at ASC, b.id ASC;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.append_sos_breadcrumb(text, uuid, text, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.append_sos_breadcrumb(text, uuid, text, jsonb) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_sos_trail(text, uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_sos_trail(text, uuid, text) TO authenticated;
@@ -0,0 +1,650 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- SOS incident records with a lifecycle: open → acknowledged → resolved.
+-- The sender opens/resolves the incident (BatSignal), receivers add acknowledgements
+-- and "responded" entries (SOSAlertManager). Nothing here touches tracking_sessions,
+-- so the golden rule (only the sender changes their own status) still holds.
+--
+-- The incident id is the app's SOS session id, which also keys sos_breadcrumbs,
+-- so an incident's trail is simply get_sos_trail(device, group, incident_id).
+--
+-- severity: 'duress' when the sender entered their duress PIN — the phone looks
+-- cancelled but the incident stays open (escalate_sos_incident).
+--
+-- trigger_source: what raised the SOS (src/utils/sosTriggers — button, voice, fall, ...);
+-- trigger_detail: extra context, e.g. the wake phrase the voice listener matched.
+--
+-- sos_incident_receipts: per receiving device, when the alert was delivered to the app,
+-- when the alarm was shown and when the member opened it (SOSAlertManager). Members
+-- with no row were not reached.
+--
+-- sos_incident_escalations: the escalation chain when nobody acknowledges (SOSEscalation) —
+-- 'fleet' (the SOS itself), then 'other_fleets' (target_group_ids), then
+-- 'emergency_contacts'. Members of a fleet the SOS was escalated to can see and acknowledge
+-- the incident like its own fleet (can_access_sos_incident).
+--
+-- Acknowledging needs the 'acknowledge' permission of the member's fleet role
+-- (fleet_roles.sql — run that file first).
+--
+-- routed_to / route_until: an SOS from a team member goes to the on-shift supervisors of
+-- the team first (sos_team_route, fleet_teams.sql — run that file first too). Until
+-- route_until, other members' apps hold the alarm; the step is recorded as the
+-- 'team_supervisors' escalation tier. Known limitation: nothing holds it server-side —
+-- the push from notify_fleet_sos (dashboard) still reaches every member straight away,
+-- and a held phone still gets that notification. Skipping them there would also need a
+-- second push when route_until passes, which nothing sends yet.
+
+CREATE TABLE IF NOT EXISTS public.sos_incidents (
+  id                  text PRIMARY KEY,
+  group_id            uuid NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  device_id           text NOT NULL,
+  opened_by           uuid NOT NULL DEFAULT auth.uid(),
+  opener_display_name text,
+  status              text NOT NULL DEFAULT 'open'
+                      CHECK (status IN ('open', 'acknowledged', 'resolved')),
+  severity            text NOT NULL DEFAULT 'normal'
+                      CHECK (severity IN ('normal', 'duress')),
+  duress_at           timestamptz,
+  trigger_source      text,
+  trigger_detail      text,
+  started_at          timestamptz NOT NULL DEFAULT now(),
+  acknowledged_at     timestamptz,
+  ended_at            timestamptz,
+  resolved_by         uuid,
+  resolution_note     text,
+  routed_to           uuid[] NOT NULL DEFAULT '{}',
+  route_until         timestamptz,
+  created_at          timestamptz NOT NULL DEFAULT now(),
+  updated_at          timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS sos_incidents_group_idx
+  ON public.sos_incidents (group_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS sos_incidents_open_idx
+  ON public.sos_incidents (device_id, group_id) WHERE status <> 'resolved';
+
+CREATE TABLE IF NOT EXISTS public.sos_incident_responses (
+  id           bigserial PRIMARY KEY,
+  incident_id  text NOT NULL REFERENCES public.sos_incidents(id) ON DELETE CASCADE,
+  user_id      uuid NOT NULL DEFAULT auth.uid(),
+  device_id    text,
+  display_name text,
+  kind         text NOT NULL CHECK (kind IN ('acknowledged', 'responded')),
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (incident_id, user_id, kind)
+);
+
+CREATE TABLE IF NOT EXISTS public.sos_incident_receipts (
+  incident_id     text NOT NULL REFERENCES public.sos_incidents(id) ON DELETE CASCADE,
+  device_id       text NOT NULL,
+  user_id         uuid NOT NULL DEFAULT auth.uid(),
+  display_name    text,
+  delivered_at    timestamptz NOT NULL DEFAULT now(),
+  alarm_shown_at  timestamptz,
+  opened_at       timestamptz,
+  PRIMARY KEY (incident_id, device_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.sos_incident_escalations (
+  id               bigserial PRIMARY KEY,
+  incident_id      text NOT NULL REFERENCES public.sos_incidents(id) ON DELETE CASCADE,
+  tier             text NOT NULL CHECK (tier IN ('team_supervisors', 'fleet', 'other_fleets', 'emergency_contacts')),
+  ok               boolean NOT NULL DEFAULT false,
+  detail           text,
+  target_group_ids uuid[] NOT NULL DEFAULT '{}',
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (incident_id, tier)
+);
+
+-- Upgrade path for installs created before duress escalation existed
+ALTER TABLE public.sos_incidents ADD COLUMN IF NOT EXISTS severity text NOT NULL DEFAULT 'normal'
+  CHECK (severity IN ('normal', 'duress'));
+ALTER TABLE public.sos_incidents ADD COLUMN IF NOT EXISTS duress_at timestamptz;
+
+-- Upgrade path for installs created before the trigger source was recorded
+ALTER TABLE public.sos_incidents ADD COLUMN IF NOT EXISTS trigger_source text;
+ALTER TABLE public.sos_incidents ADD COLUMN IF NOT EXISTS trigger_detail text;
+DROP FUNCTION IF EXISTS public.open_sos_incident(text, text, uuid, text, timestamptz);
+
+-- Upgrade path for installs created before team supervisor routing existed
+ALTER TABLE public.sos_incidents ADD COLUMN IF NOT EXISTS routed_to uuid[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.sos_incidents ADD COLUMN IF NOT EXISTS route_until timestamptz;
+ALTER TABLE public.sos_incident_escalations DROP CONSTRAINT IF EXISTS sos_incident_escalations_tier_check;
+ALTER TABLE public.sos_incident_escalations ADD CONSTRAINT sos_incident_escalations_tier_check
+  CHECK (tier IN ('team_supervisors', 'fleet', 'other_fleets', 'emergency_contacts'));
+
+-- Direct table access is closed; everything goes through the RPCs below
+ALTER TABLE public.sos_incidents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sos_incident_responses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sos_incident_receipts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sos_incident_escalations ENABLE ROW LEVEL SECURITY;
+
+-- ─────────────────────────────────────────────────────────────
+-- is_fleet_member: caller is a member or the owner of the fleet
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.is_fleet_member(p_group_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.group_members WHERE group_id = p_group_id AND user_id = auth.uid()
+  ) OR EXISTS (
+    SELECT 1 FROM public.groups WHERE id = p_group_id AND owner_user_id = auth.uid()
+  );
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- can_access_sos_incident: the incident's fleet, or a fleet it was escalated to
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.can_access_sos_incident(p_incident_id text, p_group_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.is_fleet_member(p_group_id) OR EXISTS (
+    SELECT 1
+    FROM public.sos_incident_escalations e, unnest(e.target_group_ids) AS g(group_id)
+    WHERE e.incident_id = p_incident_id AND public.is_fleet_member(g.group_id)
+  );
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- can_acknowledge_sos_incident: the caller's role grants 'acknowledge' in the incident's
+-- fleet or in a fleet it was escalated to (fleet_has_permission, fleet_roles.sql)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.can_acknowledge_sos_incident(p_incident_id text, p_group_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.fleet_has_permission(p_group_id, 'acknowledge') OR EXISTS (
+    SELECT 1
+    FROM public.sos_incident_escalations e, unnest(e.target_group_ids) AS g(group_id)
+    WHERE e.incident_id = p_incident_id AND public.fleet_has_permission(g.group_id, 'acknowledge')
+  );
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- open_sos_incident: sender side (idempotent — safe to replay from the outbox)
+-- Returns the team route ({ user_ids, until, team_name } — empty user_ids = everyone at
+-- once) so the sender's broadcast can tell receivers whether to hold the alarm.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.open_sos_incident(
+  p_incident_id  text,
+  p_device_id    text,
+  p_group_id     uuid,
+  p_display_name text DEFAULT NULL,
+  p_started_at   timestamptz DEFAULT NULL,
+  p_trigger      text DEFAULT NULL,
+  p_trigger_detail text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid      uuid := auth.uid();
+  _started  timestamptz := COALESCE(p_started_at, now());
+  _route    jsonb;
+  _ids      uuid[];
+  _incident public.sos_incidents%ROWTYPE;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.devices WHERE device_id = p_device_id AND user_id = _uid
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'device_not_owned');
+  END IF;
+
+  IF NOT public.is_fleet_member(p_group_id) THEN
+    RAISE EXCEPTION 'Not a member of this fleet';
+  END IF;
+
+  _route := public.sos_team_route(p_group_id, _uid, _started);
+  SELECT COALESCE(array_agg(x::uuid), '{}') INTO _ids
+  FROM jsonb_array_elements_text(_route->'user_ids') AS x;
+
+  INSERT INTO public.sos_incidents (
+    id, group_id, device_id, opened_by, opener_display_name, trigger_source, trigger_detail, started_at,
+    routed_to, route_until
+  )
+  VALUES (
+    p_incident_id, p_group_id, p_device_id, _uid, p_display_name,
+    NULLIF(btrim(p_trigger), ''), left(NULLIF(btrim(p_trigger_detail), ''), 120),
+    _started,
+    _ids,
+    CASE WHEN cardinality(_ids) > 0
+      THEN _started + make_interval(secs => (_route->>'window_sec')::int) END
+  )
+  ON CONFLICT (id) DO NOTHING;
+
+  IF FOUND AND cardinality(_ids) > 0 THEN
+    INSERT INTO public.sos_incident_escalations (incident_id, tier, ok, detail, created_at)
+    VALUES (
+      p_incident_id, 'team_supervisors', true,
+      left(format('%s · %s on shift', _route->>'team_name', cardinality(_ids)), 120),
+      _started
+    )
+    ON CONFLICT (incident_id, tier) DO NOTHING;
+  END IF;
+
+  SELECT * INTO _incident FROM public.sos_incidents WHERE id = p_incident_id;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'incident_id', p_incident_id,
+    'route', jsonb_build_object(
+      'user_ids', to_jsonb(COALESCE(_incident.routed_to, '{}')),
+      'until', _incident.route_until,
+      'team_name', CASE WHEN cardinality(_incident.routed_to) > 0 THEN _route->>'team_name' END
+    )
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- record_sos_incident_response: receiver side ('acknowledged' | 'responded')
+-- p_incident_id may be NULL (older senders) → latest unresolved incident for the device.
+-- Only 'acknowledged' moves the incident to acknowledged; a resolved incident takes no
+-- more responses.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.record_sos_incident_response(
+  p_incident_id  text,
+  p_device_id    text,
+  p_group_id     uuid,
+  p_kind         text,
+  p_display_name text DEFAULT NULL,
+  p_responder_device_id text DEFAULT NULL,
+  p_at           timestamptz DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _incident public.sos_incidents%ROWTYPE;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_kind NOT IN ('acknowledged', 'responded') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_kind');
+  END IF;
+
+  IF p_incident_id IS NOT NULL THEN
+    SELECT * INTO _incident FROM public.sos_incidents WHERE id = p_incident_id;
+  ELSE
+    SELECT * INTO _incident FROM public.sos_incidents
+    WHERE device_id = p_device_id AND group_id = p_group_id AND status <> 'resolved'
+    ORDER BY started_at DESC
+    LIMIT 1;
+  END IF;
+
+  IF _incident.id IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'incident_not_found');
+  END IF;
+
+  IF NOT public.can_access_sos_incident(_incident.id, _incident.group_id) THEN
+    RAISE EXCEPTION 'Not a member of this fleet';
+  END IF;
+
+  IF _incident.status = 'resolved' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'incident_resolved');
+  END IF;
+
+  -- The sender can't acknowledge their own emergency
+  IF _incident.opened_by = _uid THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'own_incident');
+  END IF;
+
+  -- Fleet roles: e.g. a plain work-fleet member gets the alarm but doesn't acknowledge
+  IF NOT public.can_acknowledge_sos_incident(_incident.id, _incident.group_id) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_permitted');
+  END IF;
+
+  INSERT INTO public.sos_incident_responses (incident_id, user_id, device_id, display_name, kind, created_at)
+  VALUES (_incident.id, _uid, p_responder_device_id, p_display_name, p_kind, COALESCE(p_at, now()))
+  ON CONFLICT (incident_id, user_id, kind) DO NOTHING;
+
+  IF p_kind = 'acknowledged' AND _incident.status = 'open' THEN
+    UPDATE public.sos_incidents
+    SET status = 'acknowledged',
+        acknowledged_at = COALESCE(acknowledged_at, p_at, now()),
+        updated_at = now()
+    WHERE id = _incident.id;
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'incident_id', _incident.id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- record_sos_receipt: receiver side ('delivered' | 'alarm_shown' | 'opened')
+-- Later stages imply the earlier ones; each timestamp keeps its first value.
+-- p_incident_id may be NULL (older senders) → latest unresolved incident for the device
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.record_sos_receipt(
+  p_incident_id         text,
+  p_device_id           text,
+  p_group_id            uuid,
+  p_stage               text,
+  p_receiver_device_id  text,
+  p_display_name        text DEFAULT NULL,
+  p_at                  timestamptz DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _at timestamptz := COALESCE(p_at, now());
+  _incident public.sos_incidents%ROWTYPE;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_stage NOT IN ('delivered', 'alarm_shown', 'opened') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_stage');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.devices WHERE device_id = p_receiver_device_id AND user_id = _uid
+  ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'device_not_owned');
+  END IF;
+
+  IF p_incident_id IS NOT NULL THEN
+    SELECT * INTO _incident FROM public.sos_incidents WHERE id = p_incident_id;
+  ELSE
+    SELECT * INTO _incident FROM public.sos_incidents
+    WHERE device_id = p_device_id AND group_id = p_group_id AND status <> 'resolved'
+    ORDER BY started_at DESC
+    LIMIT 1;
+  END IF;
+
+  IF _incident.id IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'incident_not_found');
+  END IF;
+
+  IF NOT public.can_access_sos_incident(_incident.id, _incident.group_id) THEN
+    RAISE EXCEPTION 'Not a member of this fleet';
+  END IF;
+
+  IF _incident.device_id = p_receiver_device_id THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'own_incident');
+  END IF;
+
+  INSERT INTO public.sos_incident_receipts (
+    incident_id, device_id, user_id, display_name, delivered_at, alarm_shown_at, opened_at
+  )
+  VALUES (
+    _incident.id, p_receiver_device_id, _uid, p_display_name, _at,
+    CASE WHEN p_stage = 'alarm_shown' THEN _at END,
+    CASE WHEN p_stage = 'opened' THEN _at END
+  )
+  ON CONFLICT (incident_id, device_id) DO UPDATE
+  SET display_name   = COALESCE(EXCLUDED.display_name, sos_incident_receipts.display_name),
+      delivered_at   = LEAST(sos_incident_receipts.delivered_at, EXCLUDED.delivered_at),
+      alarm_shown_at = COALESCE(sos_incident_receipts.alarm_shown_at, EXCLUDED.alarm_shown_at),
+      opened_at      = COALESCE(sos_incident_receipts.opened_at, EXCLUDED.opened_at);
+
+  RETURN jsonb_build_object('ok', true, 'incident_id', _incident.id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- resolve_sos_incident: sender closes the incident (cancel) and may add a note later
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.resolve_sos_incident(
+  p_incident_id text,
+  p_ended_at    timestamptz DEFAULT NULL,
+  p_note        text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  UPDATE public.sos_incidents
+  SET status = 'resolved',
+      ended_at = COALESCE(ended_at, p_ended_at, now()),
+      resolved_by = COALESCE(resolved_by, _uid),
+      resolution_note = COALESCE(NULLIF(btrim(p_note), ''), resolution_note),
+      updated_at = now()
+  WHERE id = p_incident_id AND opened_by = _uid;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'incident_not_found');
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'incident_id', p_incident_id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- escalate_sos_incident: sender entered the duress PIN — raise severity, keep it open
+-- (idempotent — safe to replay from the outbox)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.escalate_sos_incident(
+  p_incident_id text,
+  p_at          timestamptz DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  UPDATE public.sos_incidents
+  SET severity = 'duress',
+      duress_at = COALESCE(duress_at, p_at, now()),
+      updated_at = now()
+  WHERE id = p_incident_id AND opened_by = _uid AND status <> 'resolved';
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'incident_not_found');
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'incident_id', p_incident_id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- record_sos_escalation: sender side, one row per tier (idempotent — safe to replay)
+-- 'other_fleets' records the fleets it goes to BEFORE the alert is sent, so their members
+-- can already acknowledge; the outcome is merged into the same row afterwards.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.record_sos_escalation(
+  p_incident_id      text,
+  p_tier             text,
+  p_ok               boolean DEFAULT false,
+  p_detail           text DEFAULT NULL,
+  p_at               timestamptz DEFAULT NULL,
+  p_target_group_ids uuid[] DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _targets uuid[];
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_tier NOT IN ('fleet', 'other_fleets', 'emergency_contacts') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_tier');
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.sos_incidents WHERE id = p_incident_id AND opened_by = _uid) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'incident_not_found');
+  END IF;
+
+  -- Only fleets the sender actually belongs to
+  SELECT COALESCE(array_agg(g), '{}') INTO _targets
+  FROM unnest(COALESCE(p_target_group_ids, '{}')) AS t(g)
+  WHERE public.is_fleet_member(g);
+
+  INSERT INTO public.sos_incident_escalations (incident_id, tier, ok, detail, target_group_ids, created_at)
+  VALUES (p_incident_id, p_tier, COALESCE(p_ok, false), left(NULLIF(btrim(p_detail), ''), 120), _targets, COALESCE(p_at, now()))
+  ON CONFLICT (incident_id, tier) DO UPDATE
+  SET ok = sos_incident_escalations.ok OR EXCLUDED.ok,
+      detail = COALESCE(EXCLUDED.detail, sos_incident_escalations.detail),
+      target_group_ids = ARRAY(
+        SELECT DISTINCT unnest(sos_incident_escalations.target_group_ids || EXCLUDED.target_group_ids)
+      );
+
+  RETURN jsonb_build_object('ok', true, 'incident_id', p_incident_id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_sos_incident: full audit record (incident + acknowledgements/responders + receipts +
+-- escalation steps)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_sos_incident(p_incident_id text)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _incident public.sos_incidents%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO _incident FROM public.sos_incidents WHERE id = p_incident_id;
+  IF _incident.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF NOT public.can_access_sos_incident(_incident.id, _incident.group_id) AND _incident.opened_by <> auth.uid() THEN
+    RAISE EXCEPTION 'Not a member of this fleet';
+  END IF;
+
+  RETURN to_jsonb(_incident) || jsonb_build_object(
+    'responses',
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'user_id', r.user_id,
+               'device_id', r.device_id,
+               'display_name', r.display_name,
+               'kind', r.kind,
+               'created_at', r.created_at
+             ) ORDER BY r.created_at)
+      FROM public.sos_incident_responses r
+      WHERE r.incident_id = _incident.id
+    ), '[]'::jsonb),
+    'receipts',
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'device_id', d.device_id,
+               'display_name', d.display_name,
+               'delivered_at', d.delivered_at,
+               'alarm_shown_at', d.alarm_shown_at,
+               'opened_at', d.opened_at
+             ) ORDER BY d.delivered_at)
+      FROM public.sos_incident_receipts d
+      WHERE d.incident_id = _incident.id
+    ), '[]'::jsonb),
+    'escalations',
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+               'tier', e.tier,
+               'ok', e.ok,
+               'detail', e.detail,
+               'created_at', e.created_at
+             ) ORDER BY e.created_at)
+      FROM public.sos_incident_escalations e
+      WHERE e.incident_id = _incident.id
+    ), '[]'::jsonb)
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_open_sos_incidents: unresolved incidents across the caller's fleets
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_open_sos_incidents(p_group_ids uuid[])
+RETURNS SETOF public.sos_incidents
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT i.*
+  FROM public.sos_incidents i
+  WHERE i.group_id = ANY (p_group_ids)
+    AND i.status <> 'resolved'
+    AND public.is_fleet_member(i.group_id)
+  ORDER BY i.started_at DESC;
+$$;
+
+REVOKE ALL ON FUNCTION public.is_fleet_member(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.is_fleet_member(uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.can_access_sos_incident(text, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.can_access_sos_incident(text, uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.can_acknowledge_sos_incident(text, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.can_acknowledge_sos_incident(text, uuid) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.open_sos_incident(text, text, uuid, text, timestamptz, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.open_sos_incident(text, text, uuid, text, timestamptz, text, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.record_sos_incident_response(text, text, uuid, text, text, text, timestamptz) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.record_sos_incident_response(text, text, uuid, text, text, text, timestamptz) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.record_sos_receipt(text, text, uuid, text, text, text, timestamptz) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.record_sos_receipt(text, text, uuid, text, text, text, timestamptz) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.resolve_sos_incident(text, timestamptz, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.resolve_sos_incident(text, timestamptz, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.escalate_sos_incident(text, timestamptz) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.escalate_sos_incident(text, timestamptz) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.record_sos_escalation(text, text, boolean, text, timestamptz, uuid[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.record_sos_escalation(text, text, boolean, text, timestamptz, uuid[]) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_sos_incident(text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_sos_incident(text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_open_sos_incidents(uuid[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_open_sos_incidents(uuid[]) TO authenticated;
@@ -0,0 +1,429 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- SOS cancel PIN hashing. The PIN is the only thing between an attacker and a
+-- silenced SOS, so it is stored as a salted, slow hash that the app can also check
+-- offline (src/utils/pinHash.js computes the exact same thing):
+--
+--   v2$<iterations>$<salt hex>$<PBKDF2-HMAC-SHA256(pin, salt, iterations) hex>
+--
+-- Legacy rows ("pin_xxxxxxxx", a 32-bit string hash) still verify, and the app
+-- replaces them with a v2 hash on the next successful unlock (upgrade_user_sos_pin).
+--
+-- Duress PIN: an optional second PIN (same v2 format). On the lock screen it looks like a
+-- normal cancel, but the app keeps tracking/streaming and raises a duress alert instead.
+-- verify_user_sos_pin reports it as valid = false, duress = true, so a caller that doesn't
+-- know about duress simply treats it as a wrong PIN (never as a cancel).
+--
+-- Wrong PINs are rate limited here, not just on the lock screen: after
+-- 5 misses in a row the account is locked out for 30 s, doubling with
+-- every further miss up to 15 min (verify_user_sos_pin and upgrade_user_sos_pin both count).
+-- A 4-digit PIN has only 10^4 values, so the hashes are never readable from the table
+-- (RLS on, no table grants) — only verify returns one, after the right PIN, for the
+-- app's offline copy in SecureStore.
+--
+-- Requires pgcrypto (enabled by default on Supabase, in the "extensions" schema).
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS public.user_sos_pins (
+  user_id    uuid PRIMARY KEY DEFAULT auth.uid(),
+  pin_hash   text NOT NULL,
+  duress_pin_hash text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.user_sos_pins ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+ALTER TABLE public.user_sos_pins ADD COLUMN IF NOT EXISTS duress_pin_hash text;
+ALTER TABLE public.user_sos_pins ADD COLUMN IF NOT EXISTS failed_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE public.user_sos_pins ADD COLUMN IF NOT EXISTS locked_until timestamptz;
+
+-- Only the SECURITY DEFINER RPCs below touch this table
+ALTER TABLE public.user_sos_pins ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON TABLE public.user_sos_pins FROM anon, authenticated;
+
+-- ─────────────────────────────────────────────────────────────
+-- Internal helpers (only called from the SECURITY DEFINER RPCs below)
+-- ─────────────────────────────────────────────────────────────
+
+-- Same output as legacyHashPin() in src/utils/pinHash.js
+CREATE OR REPLACE FUNCTION public.legacy_sos_pin_hash(p_pin text)
+RETURNS text
+LANGUAGE plpgsql
+IMMUTABLE
+STRICT
+SET search_path = public
+AS $$
+DECLARE
+  _h bigint := 0;
+BEGIN
+  FOR i IN 1..char_length(p_pin) LOOP
+    _h := (_h * 31 + ascii(substr(p_pin, i, 1))) % 4294967296;
+  END LOOP;
+  IF _h >= 2147483648 THEN
+    _h := _h - 4294967296; -- back to a signed 32-bit value like the JS version
+  END IF;
+  RETURN 'pin_' || lpad(to_hex(abs(_h)), 8, '0');
+END;
+$$;
+
+-- PBKDF2-HMAC-SHA256, one 32-byte block → hex
+CREATE OR REPLACE FUNCTION public.sos_pin_pbkdf2(p_pin text, p_salt bytea, p_iterations integer)
+RETURNS text
+LANGUAGE plpgsql
+IMMUTABLE
+STRICT
+SET search_path = public, extensions
+AS $$
+DECLARE
+  _key bytea := convert_to(p_pin, 'UTF8');
+  _u   bytea;
+  _t   bit(256);
+  _out text := '';
+BEGIN
+  _u := hmac(p_salt || '\x00000001'::bytea, _key, 'sha256');
+  _t := ('x' || encode(_u, 'hex'))::bit(256);
+
+  FOR i IN 2..p_iterations LOOP
+    _u := hmac(_u, _key, 'sha256');
+    _t := _t # ('x' || encode(_u, 'hex'))::bit(256);
+  END LOOP;
+
+  FOR i IN 0..7 LOOP
+    _out := _out || lpad(to_hex(substring(_t FROM i * 32 + 1 FOR 32)::bigint), 8, '0');
+  END LOOP;
+  RETURN _out;
+END;
+$$;
+
+-- true when p_pin matches a stored hash (v2 or legacy)
+CREATE OR REPLACE FUNCTION public.sos_pin_matches(p_pin text, p_stored text)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+  _parts text[];
+BEGIN
+  IF p_pin IS NULL OR p_stored IS NULL THEN
+    RETURN false;
+  END IF;
+
+  IF p_stored ~ '^pin_[0-9a-f]{8}$' THEN
+    RETURN public.legacy_sos_pin_hash(p_pin) = p_stored;
+  END IF;
+
+  IF p_stored !~ '^v2\$[0-9]{4,7}\$[0-9a-f]{32}\$[0-9a-f]{64}$' THEN
+    RETURN false;
+  END IF;
+
+  _parts := string_to_array(p_stored, '$');
+  RETURN public.sos_pin_pbkdf2(p_pin, decode(_parts[3], 'hex'), _parts[2]::integer) = _parts[4];
+END;
+$$;
+
+-- Wrong-PIN bookkeeping: a miss counts towards the lockout, a match clears it.
+-- → locked_until after this attempt (NULL when not locked)
+CREATE OR REPLACE FUNCTION public.record_sos_pin_attempt(p_user_id uuid, p_ok boolean)
+RETURNS timestamptz
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  _free    constant integer := 5;
+  _base_s  constant integer := 30;
+  _max_s   constant integer := 900;
+  _fails   integer;
+  _until   timestamptz;
+BEGIN
+  IF p_ok THEN
+    UPDATE public.user_sos_pins SET failed_attempts = 0, locked_until = NULL
+    WHERE user_id = p_user_id AND (failed_attempts <> 0 OR locked_until IS NOT NULL);
+    RETURN NULL;
+  END IF;
+
+  UPDATE public.user_sos_pins SET failed_attempts = failed_attempts + 1
+  WHERE user_id = p_user_id
+  RETURNING failed_attempts INTO _fails;
+
+  IF _fails IS NULL OR _fails < _free THEN
+    RETURN NULL;
+  END IF;
+
+  _until := now() + make_interval(secs => least(_max_s, _base_s * power(2, least(_fails - _free, 10))));
+  UPDATE public.user_sos_pins SET locked_until = _until WHERE user_id = p_user_id;
+  RETURN _until;
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- verify_user_sos_pin: check the caller's PIN.
+-- p_pin = the PIN itself (current app). p_pin_hash = legacy hash sent by older app
+-- builds; it only matches rows that have not been upgraded yet.
+-- Returns the stored hash on success so the app can refresh its offline copy
+-- (duress_pin_hash when the duress PIN was entered).
+-- While locked out: { valid: false, locked: true, retry_after } without checking the PIN.
+-- ─────────────────────────────────────────────────────────────
+DROP FUNCTION IF EXISTS public.verify_user_sos_pin(text);
+
+CREATE OR REPLACE FUNCTION public.verify_user_sos_pin(
+  p_pin      text DEFAULT NULL,
+  p_pin_hash text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _stored text;
+  _duress text;
+  _locked timestamptz;
+  _legacy boolean;
+  _valid boolean;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  -- Row lock: parallel guesses can't slip past the counter
+  SELECT pin_hash, duress_pin_hash, locked_until INTO _stored, _duress, _locked
+  FROM public.user_sos_pins WHERE user_id = _uid FOR UPDATE;
+
+  IF _stored IS NULL THEN
+    RETURN jsonb_build_object('valid', false, 'error', 'No PIN set');
+  END IF;
+
+  IF _locked > now() THEN
+    RETURN jsonb_build_object('valid', false, 'duress', false, 'locked', true, 'retry_after', _locked);
+  END IF;
+
+  _legacy := _stored ~ '^pin_[0-9a-f]{8}$';
+  _valid := public.sos_pin_matches(p_pin, _stored)
+            OR (_legacy AND p_pin_hash IS NOT NULL AND p_pin_hash = _stored);
+
+  IF NOT _valid AND _duress IS NOT NULL AND public.sos_pin_matches(p_pin, _duress) THEN
+    -- Looks like a normal cancel, so it also clears the lockout
+    PERFORM public.record_sos_pin_attempt(_uid, true);
+    RETURN jsonb_build_object('valid', false, 'duress', true, 'duress_pin_hash', _duress);
+  END IF;
+
+  _locked := public.record_sos_pin_attempt(_uid, _valid);
+  IF _locked IS NOT NULL THEN
+    RETURN jsonb_build_object('valid', false, 'duress', false, 'locked', true, 'retry_after', _locked);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'valid', _valid,
+    'duress', false,
+    'pin_hash', CASE WHEN _valid THEN _stored END,
+    'needs_upgrade', _valid AND _legacy
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- set_user_sos_pin: create / change the caller's PIN. Only v2 hashes are accepted;
+-- the iteration range keeps verification cost sane on both sides.
+-- ─────────────────────────────────────────────────────────────
+DROP FUNCTION IF EXISTS public.set_user_sos_pin(text);
+
+CREATE OR REPLACE FUNCTION public.set_user_sos_pin(p_pin_hash text)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _iterations integer;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_pin_hash IS NULL OR p_pin_hash !~ '^v2\$[0-9]{4,7}\$[0-9a-f]{32}\$[0-9a-f]{64}$' THEN
+    RETURN jsonb_build_object('success', false, 'error', 'weak_pin_hash');
+  END IF;
+
+  _iterations := split_part(p_pin_hash, '$', 2)::integer;
+  IF _iterations < 10000 OR _iterations > 200000 THEN
+    RETURN jsonb_build_object('success', false, 'error', 'invalid_iterations');
+  END IF;
+
+  INSERT INTO public.user_sos_pins (user_id, pin_hash, updated_at)
+  VALUES (_uid, p_pin_hash, now())
+  ON CONFLICT (user_id) DO UPDATE
+  SET pin_hash = EXCLUDED.pin_hash,
+      failed_attempts = 0,
+      locked_until = NULL,
+      updated_at = now();
+
+  RETURN jsonb_build_object('success', true);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- upgrade_user_sos_pin: swap a legacy hash for a v2 hash after a successful unlock.
+-- The new hash is recomputed here from p_pin, so a bad client can't store garbage.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.upgrade_user_sos_pin(p_pin text, p_new_hash text)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _stored text;
+  _locked timestamptz;
+  _iterations integer;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT pin_hash, locked_until INTO _stored, _locked
+  FROM public.user_sos_pins WHERE user_id = _uid FOR UPDATE;
+
+  IF _stored IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'no_pin');
+  END IF;
+
+  IF _stored !~ '^pin_[0-9a-f]{8}$' THEN
+    RETURN jsonb_build_object('ok', true, 'upgraded', false);
+  END IF;
+
+  -- Same lockout as verify: this is a PIN check too
+  IF _locked > now() THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'locked', 'retry_after', _locked);
+  END IF;
+
+  IF NOT public.sos_pin_matches(p_pin, _stored) THEN
+    PERFORM public.record_sos_pin_attempt(_uid, false);
+    RETURN jsonb_build_object('ok', false, 'error', 'pin_mismatch');
+  END IF;
+
+  IF p_new_hash IS NULL OR p_new_hash !~ '^v2\$[0-9]{4,7}\$[0-9a-f]{32}\$[0-9a-f]{64}$' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_pin_hash');
+  END IF;
+
+  _iterations := split_part(p_new_hash, '$', 2)::integer;
+  IF _iterations < 10000 OR _iterations > 200000 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_iterations');
+  END IF;
+
+  IF NOT public.sos_pin_matches(p_pin, p_new_hash) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_pin_hash');
+  END IF;
+
+  UPDATE public.user_sos_pins
+  SET pin_hash = p_new_hash,
+      updated_at = now()
+  WHERE user_id = _uid;
+
+  RETURN jsonb_build_object('ok', true, 'upgraded', true);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- set_user_sos_duress_pin: set (v2 hash) or remove (NULL) the caller's duress PIN.
+-- Needs a cancel PIN first. The app checks the two PINs differ (different salts,
+-- so identical PINs can't be detected here beyond an identical hash).
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.set_user_sos_duress_pin(p_pin_hash text DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _stored text;
+  _iterations integer;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT pin_hash INTO _stored FROM public.user_sos_pins WHERE user_id = _uid FOR UPDATE;
+  IF _stored IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'no_pin');
+  END IF;
+
+  IF NULLIF(btrim(p_pin_hash), '') IS NULL THEN
+    UPDATE public.user_sos_pins SET duress_pin_hash = NULL, updated_at = now() WHERE user_id = _uid;
+    RETURN jsonb_build_object('success', true, 'has_duress_pin', false);
+  END IF;
+
+  IF p_pin_hash !~ '^v2\$[0-9]{4,7}\$[0-9a-f]{32}\$[0-9a-f]{64}$' THEN
+    RETURN jsonb_build_object('success', false, 'error', 'weak_pin_hash');
+  END IF;
+
+  _iterations := split_part(p_pin_hash, '$', 2)::integer;
+  IF _iterations < 10000 OR _iterations > 200000 THEN
+    RETURN jsonb_build_object('success', false, 'error', 'invalid_iterations');
+  END IF;
+
+  IF p_pin_hash = _stored THEN
+    RETURN jsonb_build_object('success', false, 'error', 'same_as_cancel_pin');
+  END IF;
+
+  UPDATE public.user_sos_pins
+  SET duress_pin_hash = p_pin_hash,
+      updated_at = now()
+  WHERE user_id = _uid;
+
+  RETURN jsonb_build_object('success', true, 'has_duress_pin', true);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- has_user_sos_pin: { has_pin, has_duress_pin } for the caller
+-- ─────────────────────────────────────────────────────────────
+DROP FUNCTION IF EXISTS public.has_user_sos_pin();
+
+CREATE OR REPLACE FUNCTION public.has_user_sos_pin()
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _row public.user_sos_pins%ROWTYPE;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO _row FROM public.user_sos_pins WHERE user_id = _uid;
+
+  RETURN jsonb_build_object(
+    'has_pin', _row.pin_hash IS NOT NULL,
+    'has_duress_pin', _row.duress_pin_hash IS NOT NULL
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.legacy_sos_pin_hash(text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.sos_pin_pbkdf2(text, bytea, integer) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.sos_pin_matches(text, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.record_sos_pin_attempt(uuid, boolean) FROM PUBLIC;
+
+REVOKE ALL ON FUNCTION public.verify_user_sos_pin(text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.verify_user_sos_pin(text, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.set_user_sos_pin(text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_user_sos_pin(text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.upgrade_user_sos_pin(text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.upgrade_user_sos_pin(text, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.set_user_sos_duress_pin(text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_user_sos_duress_pin(text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.has_user_sos_pin() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.has_user_sos_pin() TO authenticated;
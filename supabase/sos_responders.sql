@@ -0,0 +1,200 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- Responder claims ("I'm on my way") for SOS incidents. Requires sos_incidents.sql.
+-- A responder claims the incident from the SOS overlay, then shares their own live
+-- position + rough ETA. Live updates travel over the sos:{groupId} broadcast channel;
+-- this table is the durable copy the sender reloads (missed broadcasts / app restart).
+
+CREATE TABLE IF NOT EXISTS public.sos_responders (
+  incident_id  text NOT NULL REFERENCES public.sos_incidents(id) ON DELETE CASCADE,
+  user_id      uuid NOT NULL DEFAULT auth.uid(),
+  device_id    text,
+  display_name text,
+  status       text NOT NULL DEFAULT 'en_route'
+               CHECK (status IN ('en_route', 'arrived', 'withdrawn')),
+  latitude     double precision,
+  longitude    double precision,
+  distance_m   integer,
+  eta_seconds  integer,
+  claimed_at   timestamptz NOT NULL DEFAULT now(),
+  updated_at   timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (incident_id, user_id)
+);
+
+-- Direct table access is closed; everything goes through the RPCs below
+ALTER TABLE public.sos_responders ENABLE ROW LEVEL SECURITY;
+
+-- ─────────────────────────────────────────────────────────────
+-- claim_sos_incident: receiver commits to respond (idempotent)
+-- p_incident_id may be NULL (older senders) → latest unresolved incident for the device
+-- Also records a 'responded' entry on the incident audit trail.
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.claim_sos_incident(
+  p_incident_id         text,
+  p_device_id           text,
+  p_group_id            uuid,
+  p_responder_device_id text DEFAULT NULL,
+  p_display_name        text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _incident public.sos_incidents%ROWTYPE;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_incident_id IS NOT NULL THEN
+    SELECT * INTO _incident FROM public.sos_incidents WHERE id = p_incident_id;
+  ELSE
+    SELECT * INTO _incident FROM public.sos_incidents
+    WHERE device_id = p_device_id AND group_id = p_group_id AND status <> 'resolved'
+    ORDER BY started_at DESC
+    LIMIT 1;
+  END IF;
+
+  IF _incident.id IS NULL THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'incident_not_found');
+  END IF;
+
+  IF _incident.status = 'resolved' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'incident_resolved');
+  END IF;
+
+  IF NOT public.is_fleet_member(_incident.group_id) THEN
+    RAISE EXCEPTION 'Not a member of this fleet';
+  END IF;
+
+  IF _incident.opened_by = _uid THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'own_incident');
+  END IF;
+
+  INSERT INTO public.sos_responders (incident_id, user_id, device_id, display_name, status)
+  VALUES (_incident.id, _uid, p_responder_device_id, p_display_name, 'en_route')
+  ON CONFLICT (incident_id, user_id) DO UPDATE
+  SET status = 'en_route',
+      device_id = COALESCE(EXCLUDED.device_id, sos_responders.device_id),
+      display_name = COALESCE(EXCLUDED.display_name, sos_responders.display_name),
+      updated_at = now();
+
+  INSERT INTO public.sos_incident_responses (incident_id, user_id, device_id, display_name, kind)
+  VALUES (_incident.id, _uid, p_responder_device_id, p_display_name, 'responded')
+  ON CONFLICT (incident_id, user_id, kind) DO NOTHING;
+
+  IF _incident.status = 'open' THEN
+    UPDATE public.sos_incidents
+    SET status = 'acknowledged',
+        acknowledged_at = COALESCE(acknowledged_at, now()),
+        updated_at = now()
+    WHERE id = _incident.id;
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'incident_id', _incident.id);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- update_sos_responder: responder's own position / ETA / status
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.update_sos_responder(
+  p_incident_id text,
+  p_latitude    double precision DEFAULT NULL,
+  p_longitude   double precision DEFAULT NULL,
+  p_distance_m  integer DEFAULT NULL,
+  p_eta_seconds integer DEFAULT NULL,
+  p_status      text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_status IS NOT NULL AND p_status NOT IN ('en_route', 'arrived', 'withdrawn') THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_status');
+  END IF;
+
+  UPDATE public.sos_responders
+  SET latitude = COALESCE(p_latitude, latitude),
+      longitude = COALESCE(p_longitude, longitude),
+      distance_m = COALESCE(p_distance_m, distance_m),
+      eta_seconds = CASE WHEN p_status = 'arrived' THEN 0 ELSE COALESCE(p_eta_seconds, eta_seconds) END,
+      status = COALESCE(p_status, status),
+      updated_at = now()
+  WHERE incident_id = p_incident_id AND user_id = _uid;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_claimed');
+  END IF;
+
+  RETURN jsonb_build_object('ok', true);
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_sos_responders: active responders for an incident
+-- (the sender on their lock screen, or any fleet member)
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_sos_responders(p_incident_id text)
+RETURNS TABLE (
+  user_id      uuid,
+  device_id    text,
+  display_name text,
+  status       text,
+  latitude     double precision,
+  longitude    double precision,
+  distance_m   integer,
+  eta_seconds  integer,
+  claimed_at   timestamptz,
+  updated_at   timestamptz
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _incident public.sos_incidents%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT * INTO _incident FROM public.sos_incidents WHERE id = p_incident_id;
+  IF _incident.id IS NULL THEN
+    RETURN;
+  END IF;
+
+  IF _incident.opened_by <> auth.uid() AND NOT public.is_fleet_member(_incident.group_id) THEN
+    RAISE EXCEPTION 'Not a member of this fleet';
+  END IF;
+
+  RETURN QUERY
+  SELECT r.user_id, r.device_id, r.display_name, r.status,
+         r.latitude, r.longitude, r.distance_m, r.eta_seconds,
+         r.claimed_at, r.updated_at
+  FROM public.sos_responders r
+  WHERE r.incident_id = _incident.id
+    AND r.status <> 'withdrawn'
+  ORDER BY r.distance_m ASC NULLS LAST;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.claim_sos_incident(text, text, uuid, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.claim_sos_incident(text, text, uuid, text, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.update_sos_responder(text, double precision, double precision, integer, integer, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.update_sos_responder(text, double precision, double precision, integer, integer, text) TO authenticated;
+
+REVOKE ALL ON FUNCTION public.get_sos_responders(text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_sos_responders(text) TO authenticated;
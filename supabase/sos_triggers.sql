@@ -0,0 +1,16 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- SOS trigger source on the live tracking row: which input raised the current SOS
+-- (src/utils/sosTriggers — button, voice, back_tap, floating_button, safe_arrival,
+-- duress, fall, crash). The app sends it as p_data.sos_trigger on every fix while the
+-- SOS is on and NULL otherwise, so the column clears itself when the SOS is cancelled.
+--
+-- The incident record keeps the permanent copy (sos_incidents.trigger_source).
+--
+-- upsert_tracking_session() and notify_fleet_sos() live in the dashboard, not in this
+-- folder. After running this file:
+--   • upsert_tracking_session: copy the value next to gps_quality, e.g.
+--       sos_trigger = NULLIF(p_data->>'sos_trigger', '')
+--   • notify_fleet_sos: add 'trigger', NEW.sos_trigger to the queued notification data
+--     so send-sos-notifications can word the push the same way as the broadcast.
+
+ALTER TABLE public.tracking_sessions ADD COLUMN IF NOT EXISTS sos_trigger text;
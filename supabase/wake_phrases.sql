@@ -0,0 +1,153 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- Per-user covert wake phrases for the voice SOS trigger (WakeWordListener).
+-- Phrases are private to their owner: no fleet member (or owner) can read them.
+-- The app keeps a local copy so detection works offline; these rows make the
+-- phrases follow the user to a new / reinstalled device.
+-- Each phrase has a language (en / es / pt); user_wake_settings.languages drives the
+-- speech recognition locale(s) on the device.
+
+CREATE TABLE IF NOT EXISTS public.user_wake_phrases (
+  id         uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id    uuid NOT NULL DEFAULT auth.uid(),
+  phrase     text NOT NULL CHECK (char_length(phrase) BETWEEN 3 AND 80),
+  lang       text NOT NULL DEFAULT 'en' CHECK (lang IN ('en', 'es', 'pt')),
+  position   smallint NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, phrase)
+);
+
+CREATE TABLE IF NOT EXISTS public.user_wake_settings (
+  user_id         uuid PRIMARY KEY DEFAULT auth.uid(),
+  fuzzy_threshold real NOT NULL DEFAULT 0.75 CHECK (fuzzy_threshold BETWEEN 0.6 AND 0.95),
+  languages       text[] NOT NULL DEFAULT '{en}'
+                  CHECK (cardinality(languages) BETWEEN 1 AND 3 AND languages <@ ARRAY['en', 'es', 'pt']),
+  updated_at      timestamptz NOT NULL DEFAULT now()
+);
+
+-- Upgrade path for installs created before phrase languages existed
+ALTER TABLE public.user_wake_phrases ADD COLUMN IF NOT EXISTS lang text NOT NULL DEFAULT 'en'
+  CHECK (lang IN ('en', 'es', 'pt'));
+ALTER TABLE public.user_wake_settings ADD COLUMN IF NOT EXISTS languages text[] NOT NULL DEFAULT '{en}'
+  CHECK (cardinality(languages) BETWEEN 1 AND 3 AND languages <@ ARRAY['en', 'es', 'pt']);
+
+-- Direct table access is closed; everything goes through the RPCs below
+ALTER TABLE public.user_wake_phrases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_wake_settings ENABLE ROW LEVEL SECURITY;
+
+-- ─────────────────────────────────────────────────────────────
+-- get_wake_phrases: caller's own phrases ({ phrase, lang }) + matcher settings
+-- ─────────────────────────────────────────────────────────────
+CREATE OR REPLACE FUNCTION public.get_wake_phrases()
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'phrases', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('phrase', p.phrase, 'lang', p.lang) ORDER BY p.position, p.created_at)
+      FROM public.user_wake_phrases p
+      WHERE p.user_id = _uid
+    ), '[]'::jsonb),
+    'fuzzy_threshold', (SELECT s.fuzzy_threshold FROM public.user_wake_settings s WHERE s.user_id = _uid),
+    'languages', (SELECT to_jsonb(s.languages) FROM public.user_wake_settings s WHERE s.user_id = _uid),
+    'updated_at', (SELECT s.updated_at FROM public.user_wake_settings s WHERE s.user_id = _uid)
+  );
+END;
+$$;
+
+-- ─────────────────────────────────────────────────────────────
+-- set_wake_phrases: replace the caller's phrase list (app sends it already
+-- cleaned). p_phrases = [{ "phrase": "...", "lang": "es" }, ...].
+-- Empty list = back to the built-in phrases.
+-- ─────────────────────────────────────────────────────────────
+DROP FUNCTION IF EXISTS public.set_wake_phrases(text[], real);
+
+CREATE OR REPLACE FUNCTION public.set_wake_phrases(
+  p_phrases         jsonb,
+  p_fuzzy_threshold real DEFAULT NULL,
+  p_languages       text[] DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  _uid uuid := auth.uid();
+  _count integer;
+BEGIN
+  IF _uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_phrases IS NOT NULL AND jsonb_typeof(p_phrases) <> 'array' THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_phrase');
+  END IF;
+
+  DROP TABLE IF EXISTS _wake_in;
+  CREATE TEMP TABLE _wake_in ON COMMIT DROP AS
+  SELECT DISTINCT ON (btrim(e->>'phrase'))
+         btrim(e->>'phrase') AS phrase,
+         COALESCE(e->>'lang', 'en') AS lang,
+         (ord - 1)::smallint AS position
+  FROM jsonb_array_elements(COALESCE(p_phrases, '[]'::jsonb)) WITH ORDINALITY AS t(e, ord)
+  WHERE btrim(COALESCE(e->>'phrase', '')) <> ''
+  ORDER BY btrim(e->>'phrase'), ord;
+
+  SELECT count(*) INTO _count FROM _wake_in;
+
+  IF _count > 10 THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'too_many_phrases');
+  END IF;
+
+  -- Full phrases only: single words trigger far too easily
+  IF EXISTS (SELECT 1 FROM _wake_in WHERE phrase !~ '\S\s+\S' OR char_length(phrase) > 80) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_phrase');
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM _wake_in WHERE lang NOT IN ('en', 'es', 'pt')) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_language');
+  END IF;
+
+  IF p_languages IS NOT NULL AND (
+       cardinality(p_languages) NOT BETWEEN 1 AND 3
+       OR NOT (p_languages <@ ARRAY['en', 'es', 'pt'])
+     ) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_language');
+  END IF;
+
+  IF p_fuzzy_threshold IS NOT NULL AND (p_fuzzy_threshold < 0.6 OR p_fuzzy_threshold > 0.95) THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'invalid_threshold');
+  END IF;
+
+  DELETE FROM public.user_wake_phrases WHERE user_id = _uid;
+
+  INSERT INTO public.user_wake_phrases (user_id, phrase, lang, position)
+  SELECT _uid, phrase, lang, position FROM _wake_in;
+
+  INSERT INTO public.user_wake_settings (user_id, fuzzy_threshold, languages, updated_at)
+  VALUES (_uid, COALESCE(p_fuzzy_threshold, 0.75), COALESCE(p_languages, '{en}'), now())
+  ON CONFLICT (user_id) DO UPDATE
+  SET fuzzy_threshold = COALESCE(p_fuzzy_threshold, user_wake_settings.fuzzy_threshold),
+      languages = COALESCE(p_languages, user_wake_settings.languages),
+      updated_at = now();
+
+  RETURN jsonb_build_object('ok', true, 'count', _count);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_wake_phrases() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_wake_phrases() TO authenticated;
+
+REVOKE ALL ON FUNCTION public.set_wake_phrases(jsonb, real, text[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_wake_phrases(jsonb, real, text[]) TO authenticated;